@@ -0,0 +1,268 @@
+// Asynchronous analysis jobs
+// Long tracks take longer than a request should wait, so POST /api/jobs only queues the
+// upload and answers at once. The queue analyses one file at a time in the background,
+// records the progress in the job store after every analysis step and stops at the next
+// step when the job is cancelled. GET /api/jobs/:id reads the store; every step is also
+// published as an event (with its partial result) for the SSE stream.
+// The queue runs in this process after the response has gone out, so jobs need a
+// long-running server (npm start): a serverless function such as the Vercel one is frozen
+// once it has answered, and its instances do not share the memory store.
+const { EventEmitter } = require('events');
+const { decodeAudioFile } = require('./audioDecoder');
+const { createJobStore } = require('./jobStore');
+
+// Finished jobs (and jobs that stopped reporting progress) are dropped after an hour
+const JOB_TTL_MS = 60 * 60 * 1000;
+
+// Share of the progress bar that goes to decoding; the analysis fills the rest
+const DECODE_PROGRESS = 10;
+
+// Where each job type puts its result in the response, as in the synchronous endpoints
+const RESULT_KEYS = { analyze: 'analysis', beats: 'beats', onsets: 'onsets' };
+
+const FINISHED_STATUSES = ['completed', 'failed', 'cancelled'];
+
+// Thrown inside a running job once it has been cancelled
+class JobCancelledError extends Error {
+    constructor(id) {
+        super(`Job ${id} was cancelled`);
+        this.name = 'JobCancelledError';
+    }
+}
+
+let store = null;
+
+// Uploads waiting for their turn: { id, file }
+const queue = [];
+let processing = false;
+
+// Jobs cancelled in this process, checked between analysis steps
+const cancelled = new Set();
+
+// Events of the jobs run in this process, emitted under the job id: (name, data)
+const jobEvents = new EventEmitter();
+jobEvents.setMaxListeners(0);
+
+function getJobStore() {
+    if (!store) {
+        store = createJobStore();
+    }
+    return store;
+}
+
+// What clients see of a job: no internals, the result only once it is there
+function describeJob(job) {
+    const description = {
+        id: job.id,
+        type: job.type,
+        status: job.status,
+        progress: job.progress,
+        stage: job.stage || null,
+        fileName: job.fileName,
+        fileSize: job.fileSize,
+        createdAt: job.createdAt,
+        updatedAt: job.updatedAt
+    };
+    if (job.status === 'completed') description.result = job.result;
+    if (job.status === 'failed') description.error = job.error;
+    return description;
+}
+
+// Queue an uploaded file (multer file: buffer, originalname, size) for analysis.
+// Bad options are rejected here with a 400 rather than failing the job later.
+async function createJob(file, type, options) {
+    const { validateAnalysisOptions } = require('./audioAnalyzer');
+    validateAnalysisOptions(type, options);
+
+    await removeExpiredJobs();
+
+    const job = await getJobStore().create({
+        type: type,
+        status: 'queued',
+        progress: 0,
+        fileName: file.originalname,
+        fileSize: file.size,
+        options: options
+    });
+
+    queue.push({ id: job.id, file: file });
+    processQueue();
+
+    return describeJob(job);
+}
+
+async function getJob(id) {
+    const job = await getJobStore().get(id);
+    return job ? describeJob(job) : null;
+}
+
+// Follow the jobs run by this process: listener(name, data) gets every later event of
+// job `id`. The events are status (the job started running), one per finished analysis
+// step, named after the step (decoding, bpm, beats, danceability, mood, key, structure,
+// loudness, ...; data: { stage, progress, channel, result }), and finally completed,
+// failed or cancelled (data: the job). Returns the function that stops listening.
+function subscribeToJob(id, listener) {
+    jobEvents.on(id, listener);
+    return () => jobEvents.off(id, listener);
+}
+
+function isFinished(job) {
+    return FINISHED_STATUSES.includes(job.status);
+}
+
+// Cancel a queued or running job (it stays in the store as cancelled); a finished job is
+// deleted instead. Returns the job as it was left, or null for an unknown id.
+async function cancelJob(id) {
+    const job = await getJobStore().get(id);
+    if (!job) return null;
+
+    if (isFinished(job)) {
+        await getJobStore().remove(id);
+        return Object.assign(describeJob(job), { deleted: true });
+    }
+
+    // A queued job just leaves the queue; a running one stops at its next checkpoint
+    const index = queue.findIndex(entry => entry.id === id);
+    if (index >= 0) {
+        queue.splice(index, 1);
+    } else {
+        cancelled.add(id);
+    }
+
+    // Only if it did not finish in the meantime; then it is deleted like any finished job
+    const updated = await getJobStore().update(id, { status: 'cancelled' }, job.status);
+    if (!updated) {
+        cancelled.delete(id);
+        return cancelJob(id);
+    }
+
+    const description = describeJob(updated);
+    jobEvents.emit(id, 'cancelled', description);
+    return description;
+}
+
+// Run queued jobs one after the other (the analysis is CPU-bound; running two at once
+// would only make both slower)
+async function processQueue() {
+    if (processing) return;
+    processing = true;
+
+    try {
+        while (queue.length > 0) {
+            const { id, file } = queue.shift();
+            try {
+                await runJob(id, file);
+            } catch (error) {
+                // Only a failing job store ends up here; the next job still gets its turn
+                console.error(`Job ${id} could not be updated:`, error);
+            }
+        }
+    } finally {
+        processing = false;
+    }
+}
+
+async function runJob(id, file) {
+    const jobStore = getJobStore();
+
+    // Between steps: let waiting requests (status polls, cancellations) through, stop if
+    // the job was cancelled (here, or by another process sharing a file store), then
+    // record the progress and publish the step that just finished
+    const checkpoint = async (progress, stage, result, channel) => {
+        await new Promise(resolve => setImmediate(resolve));
+        const current = await jobStore.get(id);
+        if (cancelled.has(id) || !current || current.status === 'cancelled') {
+            throw new JobCancelledError(id);
+        }
+
+        const changes = { progress: Math.round(progress) };
+        if (stage) changes.stage = stage;
+        await jobStore.update(id, changes);
+
+        if (stage) {
+            jobEvents.emit(id, stage, { stage: stage, progress: changes.progress, channel: channel || null, result: result });
+        }
+    };
+
+    try {
+        const queued = await jobStore.get(id);
+        if (!queued || queued.status !== 'queued' || cancelled.has(id)) return;
+        const job = await jobStore.update(id, { status: 'running' });
+        jobEvents.emit(id, 'status', describeJob(job));
+
+        const audioAnalyzer = require('./audioAnalyzer');
+        const analyzers = {
+            analyze: audioAnalyzer.analyzeAudioBuffer,
+            beats: audioAnalyzer.analyzeBeats,
+            onsets: audioAnalyzer.analyzeOnsets
+        };
+
+        const audioBuffer = await decodeAudioFile(file.buffer, file.originalname);
+        const audio = {
+            format: audioBuffer.format,
+            sampleRate: audioBuffer.sampleRate,
+            channels: audioBuffer.numberOfChannels,
+            duration: audioBuffer.duration
+        };
+        await checkpoint(DECODE_PROGRESS, 'decoding', audio);
+
+        const options = Object.assign({}, job.options, {
+            onProgress: (fraction, stage, result, channel) => checkpoint(DECODE_PROGRESS + fraction * (100 - DECODE_PROGRESS), stage, result, channel)
+        });
+        const result = await analyzers[job.type](audioBuffer, file.originalname, options);
+        await checkpoint(100);
+
+        // A cancellation after the last checkpoint wins: the job stays cancelled and sends
+        // no second final event
+        if (cancelled.has(id)) throw new JobCancelledError(id);
+        const completed = await jobStore.update(id, {
+            status: 'completed',
+            progress: 100,
+            result: {
+                fileName: file.originalname,
+                fileSize: file.size,
+                audio: audio,
+                [RESULT_KEYS[job.type]]: result
+            }
+        }, 'running');
+        if (!completed) throw new JobCancelledError(id);
+        jobEvents.emit(id, 'completed', describeJob(completed));
+        console.log(`Job ${id} completed: ${file.originalname}`);
+
+    } catch (error) {
+        if (error instanceof JobCancelledError || cancelled.has(id)) {
+            console.log(`Job ${id} cancelled: ${file.originalname}`);
+            return;
+        }
+        console.error(`Job ${id} failed:`, error);
+        const failed = await jobStore.update(id, {
+            status: 'failed',
+            error: { message: error.message || 'Analysis failed', status: error.status || 500 }
+        }, 'running');
+        if (failed) jobEvents.emit(id, 'failed', describeJob(failed));
+    } finally {
+        cancelled.delete(id);
+    }
+}
+
+// Drop jobs that have not been updated for JOB_TTL_MS (queued jobs of this process are kept)
+async function removeExpiredJobs() {
+    const jobStore = getJobStore();
+    const cutoff = Date.now() - JOB_TTL_MS;
+    const jobs = await jobStore.list();
+
+    for (const job of jobs) {
+        const waiting = queue.some(entry => entry.id === job.id);
+        if (!waiting && Date.parse(job.updatedAt) < cutoff) {
+            await jobStore.remove(job.id);
+        }
+    }
+}
+
+module.exports = {
+    createJob,
+    getJob,
+    cancelJob,
+    subscribeToJob,
+    isFinished
+};
@@ -0,0 +1,521 @@
+// Server-side audio decoding module
+// Turns uploaded container bytes (WAV, MP3, FLAC, OGG Vorbis, M4A, ...) into
+// real PCM channel data before anything is handed to the analyzers.
+const { AudioContext, AudioBuffer } = require('web-audio-api');
+
+// Thrown when the container or codec is recognised as something we cannot decode
+class UnsupportedAudioFormatError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'UnsupportedAudioFormatError';
+        this.status = 415;
+    }
+}
+
+// Thrown when the container is supported but the stream itself is broken
+class AudioDecodeError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'AudioDecodeError';
+        this.status = 422;
+    }
+}
+
+// WAVE format tags we decode ourselves
+const WAVE_FORMAT_PCM = 0x0001;
+const WAVE_FORMAT_IEEE_FLOAT = 0x0003;
+const WAVE_FORMAT_EXTENSIBLE = 0xFFFE;
+
+// Bytes collected from a stream before its container is sniffed (enough for the first Ogg page)
+const STREAM_SNIFF_BYTES = 4096;
+
+// Input Aurora keeps behind its read position while streaming (it may step back within a packet)
+const AURORA_HISTORY_BYTES = 1024 * 1024;
+
+// Decode an uploaded file into an AudioBuffer (getChannelData, sampleRate, length, duration)
+async function decodeAudioFile(buffer, fileName) {
+    const format = detectAudioFormat(buffer);
+
+    if (!format) {
+        throw new UnsupportedAudioFormatError(`Unrecognised audio container${fileName ? ` in ${fileName}` : ''}`);
+    }
+
+    let audioBuffer;
+    switch (format) {
+        case 'wav':
+            audioBuffer = decodeWav(buffer);
+            break;
+        case 'ogg':
+            audioBuffer = await decodeOgg(buffer);
+            break;
+        default:
+            audioBuffer = await decodeWithAurora(buffer, format);
+    }
+
+    if (!audioBuffer || audioBuffer.length === 0) {
+        throw new AudioDecodeError(`No audio samples could be decoded from ${format.toUpperCase()} data`);
+    }
+
+    audioBuffer.format = format;
+    return audioBuffer;
+}
+
+// Sniff the container from its magic bytes rather than trusting the upload's mimetype
+function detectAudioFormat(buffer) {
+    if (!buffer || buffer.length < 12) return null;
+
+    const tag = buffer.toString('latin1', 0, 4);
+
+    if (tag === 'RIFF' && buffer.toString('latin1', 8, 12) === 'WAVE') return 'wav';
+    if (tag === 'fLaC') return 'flac';
+    if (tag === 'OggS') return 'ogg';
+    if (tag === 'FORM' && /^AIF[FC]$/.test(buffer.toString('latin1', 8, 12))) return 'aiff';
+    if (tag === 'caff') return 'caf';
+    if (tag === '.snd') return 'au';
+    if (buffer.toString('latin1', 4, 8) === 'ftyp') return 'm4a';
+    if (buffer.toString('latin1', 0, 3) === 'ID3') return 'mp3';
+
+    // Bare MPEG audio frame (layer bits set) vs. ADTS AAC frame (layer bits zero)
+    if (buffer[0] === 0xFF && (buffer[1] & 0xE0) === 0xE0) {
+        return (buffer[1] & 0x06) === 0 ? 'aac' : 'mp3';
+    }
+
+    return null;
+}
+
+// RIFF/WAVE parser covering 8/16/24/32-bit integer and 32/64-bit float PCM
+function decodeWav(buffer) {
+    const header = parseWavHeader(buffer);
+    const layout = getWavLayout(header);
+
+    // Streamed WAVs often leave the size at 0 or 0xFFFFFFFF, so clamp to what we have
+    const dataLength = Math.min(header.dataSize || buffer.length, buffer.length - header.dataStart);
+    const channels = readWavFrames(buffer, header.dataStart, Math.floor(dataLength / layout.blockAlign), layout);
+
+    return AudioBuffer.fromArray(channels, layout.sampleRate);
+}
+
+// Walk the RIFF chunks up to the sample data: the fmt fields, where the samples start
+// (-1 while the data chunk has not been reached) and the data size the header declares
+function parseWavHeader(buffer) {
+    let offset = 12;
+    let fmt = null;
+
+    while (offset + 8 <= buffer.length) {
+        const chunkId = buffer.toString('latin1', offset, offset + 4);
+        const chunkSize = buffer.readUInt32LE(offset + 4);
+        const chunkStart = offset + 8;
+
+        if (chunkId === 'data') {
+            return { fmt: fmt, dataStart: chunkStart, dataSize: chunkSize };
+        }
+        // The rest of the header has not arrived (or the file is cut short)
+        if (chunkStart + chunkSize > buffer.length) break;
+
+        if (chunkId === 'fmt ') {
+            if (chunkSize < 16) throw new AudioDecodeError('WAV fmt chunk is truncated');
+            fmt = {
+                formatTag: buffer.readUInt16LE(chunkStart),
+                channels: buffer.readUInt16LE(chunkStart + 2),
+                sampleRate: buffer.readUInt32LE(chunkStart + 4),
+                blockAlign: buffer.readUInt16LE(chunkStart + 12),
+                bitsPerSample: buffer.readUInt16LE(chunkStart + 14)
+            };
+
+            // WAVE_FORMAT_EXTENSIBLE keeps the real format tag in the SubFormat GUID
+            if (fmt.formatTag === WAVE_FORMAT_EXTENSIBLE && chunkSize >= 40) {
+                fmt.formatTag = buffer.readUInt16LE(chunkStart + 24);
+            }
+        }
+
+        offset = chunkStart + chunkSize + (chunkSize % 2);
+    }
+
+    return { fmt: fmt, dataStart: -1, dataSize: 0 };
+}
+
+// How to read the sample frames of a parsed header; throws for a header we cannot use
+function getWavLayout(header) {
+    const fmt = header.fmt;
+    if (!fmt) throw new AudioDecodeError('WAV file has no fmt chunk');
+    if (header.dataStart < 0) throw new AudioDecodeError('WAV file has no data chunk');
+    if (!fmt.channels || !fmt.sampleRate) throw new AudioDecodeError('WAV fmt chunk declares no channels or sample rate');
+
+    const bytesPerSample = fmt.bitsPerSample / 8;
+    return {
+        channels: fmt.channels,
+        sampleRate: fmt.sampleRate,
+        readSample: getWavSampleReader(fmt.formatTag, fmt.bitsPerSample),
+        bytesPerSample: bytesPerSample,
+        blockAlign: fmt.blockAlign || bytesPerSample * fmt.channels
+    };
+}
+
+// `frameCount` interleaved frames from `offset` on, as one Float32Array per channel
+function readWavFrames(buffer, offset, frameCount, layout) {
+    const channels = [];
+    for (let ch = 0; ch < layout.channels; ch++) {
+        channels.push(new Float32Array(frameCount));
+    }
+
+    for (let i = 0; i < frameCount; i++) {
+        const frameOffset = offset + i * layout.blockAlign;
+        for (let ch = 0; ch < layout.channels; ch++) {
+            channels[ch][i] = layout.readSample(buffer, frameOffset + ch * layout.bytesPerSample);
+        }
+    }
+
+    return channels;
+}
+
+function getWavSampleReader(formatTag, bitsPerSample) {
+    if (formatTag === WAVE_FORMAT_PCM) {
+        switch (bitsPerSample) {
+            case 8: return (buf, pos) => (buf[pos] - 128) / 128;
+            case 16: return (buf, pos) => buf.readInt16LE(pos) / 32768;
+            case 24: return (buf, pos) => buf.readIntLE(pos, 3) / 8388608;
+            case 32: return (buf, pos) => buf.readInt32LE(pos) / 2147483648;
+        }
+    } else if (formatTag === WAVE_FORMAT_IEEE_FLOAT) {
+        switch (bitsPerSample) {
+            case 32: return (buf, pos) => buf.readFloatLE(pos);
+            case 64: return (buf, pos) => buf.readDoubleLE(pos);
+        }
+    } else {
+        throw new UnsupportedAudioFormatError(`WAV codec 0x${formatTag.toString(16).padStart(4, '0')} is not supported (only PCM and IEEE float)`);
+    }
+
+    throw new UnsupportedAudioFormatError(`${bitsPerSample}-bit ${formatTag === WAVE_FORMAT_PCM ? 'PCM' : 'float'} WAV is not supported`);
+}
+
+// Raw PCM sample encodings (ffmpeg's names) as the WAVE format tag and bit depth they match
+const PCM_ENCODINGS = {
+    u8: { formatTag: WAVE_FORMAT_PCM, bitsPerSample: 8 },
+    s16le: { formatTag: WAVE_FORMAT_PCM, bitsPerSample: 16 },
+    s24le: { formatTag: WAVE_FORMAT_PCM, bitsPerSample: 24 },
+    s32le: { formatTag: WAVE_FORMAT_PCM, bitsPerSample: 32 },
+    f32le: { formatTag: WAVE_FORMAT_IEEE_FLOAT, bitsPerSample: 32 },
+    f64le: { formatTag: WAVE_FORMAT_IEEE_FLOAT, bitsPerSample: 64 }
+};
+
+// Reader for headerless interleaved PCM arriving in arbitrary chunks (e.g. WebSocket
+// messages): read(chunk) returns the whole sample frames it completes as one
+// Float32Array per channel (null if none); a partial frame waits for the next chunk.
+function createPcmReader(encoding, channels) {
+    const pcm = PCM_ENCODINGS[encoding];
+    if (!pcm) {
+        throw new UnsupportedAudioFormatError(`Unknown PCM encoding "${encoding}" (expected one of: ${Object.keys(PCM_ENCODINGS).join(', ')})`);
+    }
+
+    const bytesPerSample = pcm.bitsPerSample / 8;
+    const layout = {
+        channels: channels,
+        readSample: getWavSampleReader(pcm.formatTag, pcm.bitsPerSample),
+        bytesPerSample: bytesPerSample,
+        blockAlign: bytesPerSample * channels
+    };
+    let partial = Buffer.alloc(0);
+
+    return {
+        read(chunk) {
+            const data = partial.length > 0 ? Buffer.concat([partial, chunk]) : chunk;
+            const frameCount = Math.floor(data.length / layout.blockAlign);
+            const used = frameCount * layout.blockAlign;
+            partial = Buffer.from(data.subarray(used));
+
+            return frameCount > 0 ? readWavFrames(data, 0, frameCount, layout) : null;
+        }
+    };
+}
+
+// Ogg is only a container: look at the first packet to see which codec it carries
+function detectOggCodec(buffer) {
+    const segmentCount = buffer[26];
+    const packetStart = 27 + segmentCount;
+    const header = buffer.toString('latin1', packetStart, packetStart + 8);
+
+    if (header.slice(1, 7) === 'vorbis') return 'vorbis';
+    if (header === 'OpusHead') return 'opus';
+    if (header.startsWith('Speex')) return 'speex';
+    if (header.slice(1, 5) === 'FLAC') return 'flac';
+    return 'unknown';
+}
+
+async function decodeOgg(buffer) {
+    const codec = detectOggCodec(buffer);
+    if (codec !== 'vorbis') {
+        throw new UnsupportedAudioFormatError(`Ogg ${codec === 'unknown' ? 'stream with an unknown codec' : codec.charAt(0).toUpperCase() + codec.slice(1)} is not supported (only Ogg Vorbis)`);
+    }
+
+    // The decoder package is ESM-only, so it has to be loaded with a dynamic import
+    const { OggVorbisDecoder } = await import('@wasm-audio-decoders/ogg-vorbis');
+    const decoder = new OggVorbisDecoder();
+
+    try {
+        await decoder.ready;
+        const { channelData, samplesDecoded, sampleRate, errors } = await decoder.decodeFile(new Uint8Array(buffer));
+
+        if (!samplesDecoded) {
+            const reason = errors && errors.length > 0 ? `: ${errors[0].message}` : '';
+            throw new AudioDecodeError(`Ogg Vorbis stream could not be decoded${reason}`);
+        }
+
+        return AudioBuffer.fromArray(channelData.map(data => data.subarray(0, samplesDecoded)), sampleRate);
+    } finally {
+        decoder.free();
+    }
+}
+
+// MP3, FLAC, M4A (AAC/ALAC), AIFF, CAF and AU go through the Aurora.js codecs bundled with web-audio-api
+function decodeWithAurora(buffer, format) {
+    const context = new AudioContext();
+
+    return new Promise((resolve, reject) => {
+        context.decodeAudioData(buffer, resolve, error => reject(toAuroraError(error, format)));
+    });
+}
+
+// Aurora reports errors as plain strings; a missing decoder means an unsupported codec
+function toAuroraError(error, format) {
+    const message = (error && error.message) || String(error);
+    if (/decoder .*not found/i.test(message)) {
+        return new UnsupportedAudioFormatError(`${format.toUpperCase()} codec is not supported: ${message}`);
+    }
+    return new AudioDecodeError(`Failed to decode ${format.toUpperCase()} data: ${message}`);
+}
+
+// Decode a readable stream of container bytes (e.g. an upload as it arrives) without ever
+// holding the whole file or its decoded audio. handlers.onFormat({ format, sampleRate,
+// channels }) is called before the first samples, handlers.onAudio(channels) with every
+// decoded block (one Float32Array per channel). Resolves with the stream's format,
+// sampleRate, channels, duration and size (bytes read).
+async function decodeAudioStream(stream, handlers) {
+    const chunks = stream[Symbol.asyncIterator]();
+    let size = 0;
+    const nextChunk = async () => {
+        const { value, done } = await chunks.next();
+        if (done) return null;
+        size += value.length;
+        return value;
+    };
+
+    // Sniff the container from the first bytes, then decode them and everything after
+    let head = Buffer.alloc(0);
+    let chunk;
+    while (head.length < STREAM_SNIFF_BYTES && (chunk = await nextChunk())) {
+        head = Buffer.concat([head, chunk]);
+    }
+
+    const format = detectAudioFormat(head);
+    if (!format) {
+        throw new UnsupportedAudioFormatError('Unrecognised audio container');
+    }
+
+    let description = null;
+    const emit = (channels, sampleRate) => {
+        if (!description) {
+            description = { format: format, sampleRate: sampleRate, channels: channels.length, length: 0 };
+            handlers.onFormat({ format: format, sampleRate: sampleRate, channels: channels.length });
+        }
+        description.length += channels[0].length;
+        handlers.onAudio(channels);
+    };
+
+    let decoder;
+    switch (format) {
+        case 'wav':
+            decoder = createWavStreamDecoder(emit);
+            break;
+        case 'ogg':
+            decoder = await createOggStreamDecoder(head, emit);
+            break;
+        default:
+            decoder = createAuroraStreamDecoder(format, emit);
+    }
+
+    try {
+        chunk = head;
+        while (chunk) {
+            await decoder.write(chunk);
+            chunk = await nextChunk();
+        }
+        await decoder.end();
+    } finally {
+        if (decoder.close) decoder.close();
+    }
+
+    if (!description || description.length === 0) {
+        throw new AudioDecodeError(`No audio samples could be decoded from ${format.toUpperCase()} data`);
+    }
+
+    return {
+        format: format,
+        sampleRate: description.sampleRate,
+        channels: description.channels,
+        duration: description.length / description.sampleRate,
+        size: size
+    };
+}
+
+// WAV: the header is collected until the data chunk starts, after that every chunk is
+// read as whole sample frames (a partial frame waits for the next chunk)
+function createWavStreamDecoder(emit) {
+    let header = Buffer.alloc(0);
+    let layout = null;
+    let remaining = 0;
+    let partial = Buffer.alloc(0);
+
+    return {
+        write(chunk) {
+            if (!layout) {
+                header = Buffer.concat([header, chunk]);
+                const parsed = parseWavHeader(header);
+                if (parsed.dataStart < 0) return;
+
+                layout = getWavLayout(parsed);
+                // A streamed WAV may not know its size (0); anything after the data chunk is ignored
+                remaining = parsed.dataSize || Infinity;
+                chunk = header.subarray(parsed.dataStart);
+                header = null;
+            }
+
+            const data = partial.length > 0 ? Buffer.concat([partial, chunk]) : chunk;
+            const usable = Math.min(data.length, remaining);
+            const frameCount = Math.floor(usable / layout.blockAlign);
+            const used = frameCount * layout.blockAlign;
+            remaining -= used;
+            partial = Buffer.from(data.subarray(used, usable));
+
+            if (frameCount > 0) {
+                emit(readWavFrames(data, 0, frameCount, layout), layout.sampleRate);
+            }
+        },
+
+        end() {
+            if (!layout) getWavLayout(parseWavHeader(header));
+        }
+    };
+}
+
+async function createOggStreamDecoder(head, emit) {
+    const codec = detectOggCodec(head);
+    if (codec !== 'vorbis') {
+        throw new UnsupportedAudioFormatError(`Ogg ${codec === 'unknown' ? 'stream with an unknown codec' : codec.charAt(0).toUpperCase() + codec.slice(1)} is not supported (only Ogg Vorbis)`);
+    }
+
+    const { OggVorbisDecoder } = await import('@wasm-audio-decoders/ogg-vorbis');
+    const decoder = new OggVorbisDecoder();
+    await decoder.ready;
+
+    let totalSamples = 0;
+    let firstError = null;
+    const take = ({ channelData, samplesDecoded, sampleRate, errors }) => {
+        if (!firstError && errors && errors.length > 0) firstError = errors[0];
+        if (samplesDecoded > 0) {
+            totalSamples += samplesDecoded;
+            emit(channelData.map(data => data.subarray(0, samplesDecoded)), sampleRate);
+        }
+    };
+
+    return {
+        async write(chunk) {
+            take(await decoder.decode(new Uint8Array(chunk)));
+        },
+        async end() {
+            take(await decoder.flush());
+            if (!totalSamples) {
+                const reason = firstError ? `: ${firstError.message}` : '';
+                throw new AudioDecodeError(`Ogg Vorbis stream could not be decoded${reason}`);
+            }
+        },
+        close() {
+            decoder.free();
+        }
+    };
+}
+
+// MP3, FLAC, M4A, AIFF, CAF and AU: the chunks are fed to an Aurora asset through a
+// minimal source; Aurora demuxes and decodes synchronously as each chunk arrives
+function createAuroraStreamDecoder(format, emit) {
+    const AV = require('av');
+
+    const source = new AV.EventEmitter();
+    source.start = source.pause = source.reset = () => {};
+
+    const asset = new AV.Asset(source);
+    let failure = null;
+
+    asset.on('error', error => {
+        failure = failure || toAuroraError(error, format);
+    });
+    asset.on('data', interleaved => {
+        if (failure) return;
+        try {
+            const channelCount = asset.format.channelsPerFrame;
+            const length = Math.floor(interleaved.length / channelCount);
+            const channels = [];
+            for (let ch = 0; ch < channelCount; ch++) {
+                const channel = new Float32Array(length);
+                for (let i = 0; i < length; i++) {
+                    channel[i] = interleaved[ch + i * channelCount];
+                }
+                channels.push(channel);
+            }
+            emit(channels, asset.format.sampleRate);
+        } catch (error) {
+            // Failures of the consumer are passed on as they are, not as decode errors
+            failure = error;
+            asset.stop();
+        }
+    });
+    asset.start();
+
+    const check = () => {
+        if (failure) throw failure;
+    };
+
+    return {
+        write(chunk) {
+            source.emit('data', new AV.Buffer(chunk));
+            releaseAuroraHistory(asset.demuxer);
+            releaseAuroraHistory(asset.decoder);
+            check();
+        },
+        end() {
+            source.emit('end');
+            check();
+        },
+        close() {
+            asset.destroy();
+        }
+    };
+}
+
+// The demuxer and decoder keep every buffer they were given in a doubly linked list (and
+// the demuxer holds on to the very first one); cut the list AURORA_HISTORY_BYTES behind
+// the read position, in both directions, so older input can be freed
+function releaseAuroraHistory(stage) {
+    const list = stage && stage.stream && stage.stream.list;
+    // A list that has been read to the end has no first buffer left, only its last one
+    let buffer = list && (list.first || list.last);
+    let kept = 0;
+    while (buffer && buffer.prev) {
+        kept += buffer.prev.length;
+        if (kept > AURORA_HISTORY_BYTES) {
+            buffer.prev.next = null;
+            buffer.prev = null;
+            return;
+        }
+        buffer = buffer.prev;
+    }
+}
+
+module.exports = {
+    decodeAudioFile,
+    decodeAudioStream,
+    detectAudioFormat,
+    createPcmReader,
+    PCM_ENCODINGS,
+    UnsupportedAudioFormatError,
+    AudioDecodeError
+};
@@ -0,0 +1,635 @@
+// Tag writing module
+// Writes the detected BPM, key and mood into a copy of an uploaded file, in the tags its
+// container carries: ID3v2 frames (MP3), Vorbis comments (FLAC and Ogg Vorbis) or RIFF
+// INFO chunks (WAV). Everything else in the file - other tags, pictures, the audio
+// itself - is copied unchanged.
+const { detectAudioFormat, UnsupportedAudioFormatError, AudioDecodeError } = require('./audioDecoder');
+
+// What to do with a BPM, key or mood the file already has
+const TAG_MODES = ['preserve', 'overwrite'];
+
+// Containers we can write tags into
+const TAGGABLE_FORMATS = ['mp3', 'flac', 'ogg', 'wav'];
+
+// Where every value goes, per tag format. RIFF INFO has no standard BPM, key or mood
+// fields (its IKEY is Keywords), so they get their own: IMKY is the musical key.
+const TAG_FIELDS = {
+    id3: { bpm: 'TBPM', key: 'TKEY', mood: 'TXXX:MOOD' },
+    vorbis: { bpm: 'BPM', key: 'INITIALKEY', mood: 'MOOD' },
+    info: { bpm: 'IBPM', key: 'IMKY', mood: 'IMOO' }
+};
+
+// ID3v2 header flags and the frame flags that make a frame's content unreadable to us
+const ID3_FLAG_UNSYNCHRONISATION = 0x80;
+const ID3_FLAG_EXTENDED_HEADER = 0x40;
+const ID3_FLAG_FOOTER = 0x10;
+const ID3_FRAME_UNREADABLE = { 3: 0x00C0, 4: 0x000C };
+const ID3_FRAME_UNSYNCHRONISED = 0x0002;
+const ID3_FRAME_DATA_LENGTH = 0x0001;
+
+// ID3v2 text encodings
+const ID3_LATIN1 = 0;
+const ID3_UTF16 = 1;
+const ID3_UTF16BE = 2;
+const ID3_UTF8 = 3;
+
+// FLAC metadata block types
+const FLAC_STREAMINFO = 0;
+const FLAC_VORBIS_COMMENT = 4;
+const FLAC_MAX_BLOCK_SIZE = 0xFFFFFF;
+
+// Ogg page layout: header size before the lacing values, header type flags, lacing limits
+const OGG_HEADER_SIZE = 27;
+const OGG_CONTINUED = 0x01;
+const OGG_MAX_SEGMENTS = 255;
+const OGG_NO_GRANULE = Buffer.from([0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF]);
+
+// Vendor string of a Vorbis comment block we create
+const VORBIS_VENDOR = 'Essentia.js Audio Analysis';
+
+// Reject an upload we cannot tag before it is analysed (including an MP3 whose ID3v2 tag
+// we cannot update); returns its container
+function checkTaggable(buffer, fileName) {
+    const format = detectAudioFormat(buffer);
+    if (!TAGGABLE_FORMATS.includes(format)) {
+        throw new UnsupportedAudioFormatError(`Cannot write tags into ${format ? format.toUpperCase() : 'an unrecognised container'}${fileName ? ` (${fileName})` : ''}; supported: MP3, FLAC, Ogg Vorbis and WAV`);
+    }
+    if (format === 'mp3') parseID3Tag(buffer);
+    return format;
+}
+
+function validateTagMode(mode) {
+    if (!TAG_MODES.includes(mode)) {
+        const error = new Error(`Unknown tag mode "${mode}" (expected one of: ${TAG_MODES.join(', ')})`);
+        error.status = 400;
+        throw error;
+    }
+}
+
+// The values to write from an analyzeAudioBuffer() result: BPM as a whole number, the key
+// as in ID3 TKEY ("Eb", "F#m") and the primary mood without its emoji. Values the
+// analysis did not produce are left out.
+function getAnalysisTags(analysis) {
+    const tags = {};
+    if (analysis.bpm && analysis.bpm.bpm > 0) {
+        tags.bpm = String(Math.round(analysis.bpm.bpm));
+    }
+    if (analysis.key && analysis.key.tonic) {
+        tags.key = `${analysis.key.tonic}${analysis.key.scale === 'minor' ? 'm' : ''}`;
+    }
+    if (analysis.mood && analysis.mood.primaryMood) {
+        const mood = analysis.mood.primaryMood.replace(/^[^\p{L}]+/u, '').trim();
+        if (mood) tags.mood = mood;
+    }
+    return tags;
+}
+
+// A copy of `buffer` with the analysis written into its tags. With mode 'preserve' a
+// value the file already has is kept; 'overwrite' replaces it. Returns the file
+// (`buffer`) and the names of the values `written` and `preserved`.
+function writeAnalysisTags(buffer, analysis, options = {}) {
+    const mode = options.mode || 'preserve';
+    validateTagMode(mode);
+    const format = checkTaggable(buffer, options.fileName);
+    const tags = getAnalysisTags(analysis);
+
+    switch (format) {
+        case 'mp3':
+            return writeID3Tags(buffer, tags, mode);
+        case 'flac':
+            return writeFlacTags(buffer, tags, mode);
+        case 'ogg':
+            return writeOggTags(buffer, tags, mode);
+        default:
+            return writeInfoTags(buffer, tags, mode);
+    }
+}
+
+// Split `tags` into what gets written and what is kept, given a test for a value the file
+// already has
+function planTags(tags, mode, hasValue) {
+    const written = [];
+    const preserved = [];
+    Object.keys(tags).forEach(name => {
+        if (mode === 'preserve' && hasValue(name)) {
+            preserved.push(name);
+        } else {
+            written.push(name);
+        }
+    });
+    return { written: written, preserved: preserved };
+}
+
+function isLatin1(text) {
+    return /^[\x00-\xFF]*$/.test(text);
+}
+
+// ID3v2
+
+function readSyncsafe(buffer, offset) {
+    return ((buffer[offset] & 0x7F) << 21) | ((buffer[offset + 1] & 0x7F) << 14) | ((buffer[offset + 2] & 0x7F) << 7) | (buffer[offset + 3] & 0x7F);
+}
+
+function syncsafeBytes(value) {
+    return Buffer.from([(value >> 21) & 0x7F, (value >> 14) & 0x7F, (value >> 7) & 0x7F, value & 0x7F]);
+}
+
+// Undo unsynchronisation: every 0xFF 0x00 back to 0xFF
+function resynchronise(data) {
+    const bytes = [];
+    for (let i = 0; i < data.length; i++) {
+        bytes.push(data[i]);
+        if (data[i] === 0xFF && data[i + 1] === 0x00) i++;
+    }
+    return Buffer.from(bytes);
+}
+
+// The ID3v2 tag at the start of an MP3: its version, its frames (id, flags, content as
+// stored, raw bytes including the header) and where the audio starts. A file without a
+// tag gets an empty ID3v2.3 one.
+function parseID3Tag(buffer) {
+    if (buffer.toString('latin1', 0, 3) !== 'ID3') {
+        return { version: 3, frames: [], audioStart: 0 };
+    }
+
+    const version = buffer[3];
+    if (version !== 3 && version !== 4) {
+        throw new UnsupportedAudioFormatError(`ID3v2.${version} tags cannot be updated (only ID3v2.3 and ID3v2.4)`);
+    }
+    const flags = buffer[5];
+    const size = readSyncsafe(buffer, 6);
+    if (10 + size > buffer.length) {
+        throw new AudioDecodeError('ID3v2 tag is truncated');
+    }
+
+    // ID3v2.3 unsynchronises the whole tag, ID3v2.4 frame by frame
+    let body = buffer.subarray(10, 10 + size);
+    if (version === 3 && (flags & ID3_FLAG_UNSYNCHRONISATION)) body = resynchronise(body);
+
+    let offset = 0;
+    if (flags & ID3_FLAG_EXTENDED_HEADER) {
+        offset = version === 3 ? 4 + body.readUInt32BE(0) : readSyncsafe(body, 0);
+    }
+
+    const frames = [];
+    while (offset + 10 <= body.length) {
+        const id = body.toString('latin1', offset, offset + 4);
+        // Padding, or garbage we would only copy wrongly
+        if (!/^[A-Z0-9]{4}$/.test(id)) break;
+
+        const frameSize = version === 4 ? readSyncsafe(body, offset + 4) : body.readUInt32BE(offset + 4);
+        const end = offset + 10 + frameSize;
+        if (end > body.length) throw new AudioDecodeError(`ID3v2 frame ${id} is truncated`);
+
+        frames.push({
+            id: id,
+            flags: body.readUInt16BE(offset + 8),
+            content: body.subarray(offset + 10, end),
+            raw: body.subarray(offset, end)
+        });
+        offset = end;
+    }
+
+    return {
+        version: version,
+        frames: frames,
+        audioStart: 10 + size + (version === 4 && (flags & ID3_FLAG_FOOTER) ? 10 : 0)
+    };
+}
+
+// A frame's content as the spec lays it out, or null if it is compressed or encrypted
+function readFrameContent(frame, version) {
+    if (frame.flags & ID3_FRAME_UNREADABLE[version]) return null;
+
+    let content = frame.content;
+    if (version === 4 && (frame.flags & ID3_FRAME_DATA_LENGTH)) content = content.subarray(4);
+    if (version === 4 && (frame.flags & ID3_FRAME_UNSYNCHRONISED)) content = resynchronise(content);
+    return content;
+}
+
+function decodeID3Text(bytes, encoding) {
+    switch (encoding) {
+        case ID3_UTF16:
+            if (bytes[0] === 0xFE && bytes[1] === 0xFF) return swapBytes(bytes.subarray(2)).toString('utf16le');
+            return bytes.subarray(bytes[0] === 0xFF && bytes[1] === 0xFE ? 2 : 0).toString('utf16le');
+        case ID3_UTF16BE:
+            return swapBytes(bytes).toString('utf16le');
+        case ID3_UTF8:
+            return bytes.toString('utf8');
+        default:
+            return bytes.toString('latin1');
+    }
+}
+
+function swapBytes(bytes) {
+    const swapped = Buffer.from(bytes.subarray(0, bytes.length - (bytes.length % 2)));
+    return swapped.swap16();
+}
+
+// Whether a frame holds `field`: a frame id, or "TXXX:<description>" for a user-defined
+// text frame with that description (compared case-insensitively)
+function frameMatches(frame, field, version) {
+    const [id, description] = field.split(':');
+    if (frame.id !== id) return false;
+    if (!description) return true;
+
+    const content = readFrameContent(frame, version);
+    if (!content || content.length < 1) return false;
+    const encoding = content[0];
+    let end;
+    if (encoding === ID3_UTF16 || encoding === ID3_UTF16BE) {
+        end = 1;
+        while (end + 1 < content.length && (content[end] !== 0 || content[end + 1] !== 0)) end += 2;
+    } else {
+        end = content.indexOf(0, 1);
+        if (end < 0) end = content.length;
+    }
+    return decodeID3Text(content.subarray(1, end), encoding).toUpperCase() === description;
+}
+
+// Latin-1 where the text fits, otherwise UTF-8 (ID3v2.4) or UTF-16 (ID3v2.3 has no UTF-8)
+function getID3Encoding(text, version) {
+    if (isLatin1(text)) return ID3_LATIN1;
+    return version === 4 ? ID3_UTF8 : ID3_UTF16;
+}
+
+// A string in `encoding`, UTF-16 with its byte order mark
+function encodeID3String(text, encoding) {
+    if (encoding === ID3_UTF8) return Buffer.from(text, 'utf8');
+    if (encoding === ID3_UTF16) return Buffer.concat([Buffer.from([0xFF, 0xFE]), Buffer.from(text, 'utf16le')]);
+    return Buffer.from(text, 'latin1');
+}
+
+// A text frame (TBPM, TKEY) or, for "TXXX:<description>", a user-defined text frame whose
+// description and value share one encoding
+function createID3Frame(field, value, version) {
+    const [id, description] = field.split(':');
+    const encoding = getID3Encoding(description ? description + value : value, version);
+    const parts = [Buffer.from([encoding])];
+    if (description) {
+        parts.push(encodeID3String(description, encoding), Buffer.alloc(encoding === ID3_UTF16 ? 2 : 1));
+    }
+    parts.push(encodeID3String(value, encoding));
+
+    const content = Buffer.concat(parts);
+    const header = Buffer.alloc(10);
+    header.write(id, 0, 'latin1');
+    if (version === 4) {
+        syncsafeBytes(content.length).copy(header, 4);
+    } else {
+        header.writeUInt32BE(content.length, 4);
+    }
+    return Buffer.concat([header, content]);
+}
+
+function writeID3Tags(buffer, tags, mode) {
+    const tag = parseID3Tag(buffer);
+    const fields = TAG_FIELDS.id3;
+    const plan = planTags(tags, mode, name => tag.frames.some(frame => frameMatches(frame, fields[name], tag.version)));
+
+    const replaced = plan.written.map(name => fields[name]);
+    const kept = tag.frames.filter(frame => !replaced.some(field => frameMatches(frame, field, tag.version)));
+    const frames = kept.map(frame => frame.raw)
+        .concat(plan.written.map(name => createID3Frame(fields[name], tags[name], tag.version)));
+
+    // Written without unsynchronisation, extended header or footer: the frames need none
+    // of them, and an extended header's CRC would no longer match
+    const body = Buffer.concat(frames);
+    const header = Buffer.concat([Buffer.from('ID3', 'latin1'), Buffer.from([tag.version, 0, 0]), syncsafeBytes(body.length)]);
+
+    return {
+        buffer: Buffer.concat([header, body, buffer.subarray(tag.audioStart)]),
+        written: plan.written,
+        preserved: plan.preserved
+    };
+}
+
+// Vorbis comments (FLAC and Ogg Vorbis)
+
+// The comment list at `offset`: the vendor string and "NAME=value" comments
+function parseVorbisComments(data, offset) {
+    const read = () => {
+        if (offset + 4 > data.length) throw new AudioDecodeError('Vorbis comment block is truncated');
+        const length = data.readUInt32LE(offset);
+        if (offset + 4 + length > data.length) throw new AudioDecodeError('Vorbis comment block is truncated');
+        offset += 4 + length;
+        return data.toString('utf8', offset - length, offset);
+    };
+
+    const vendor = read();
+    if (offset + 4 > data.length) throw new AudioDecodeError('Vorbis comment block is truncated');
+    const count = data.readUInt32LE(offset);
+    offset += 4;
+    const comments = [];
+    for (let i = 0; i < count; i++) {
+        comments.push(read());
+    }
+    return { vendor: vendor, comments: comments, end: offset };
+}
+
+function encodeVorbisComments(vendor, comments) {
+    const parts = [];
+    const push = text => {
+        const bytes = Buffer.from(text, 'utf8');
+        const length = Buffer.alloc(4);
+        length.writeUInt32LE(bytes.length);
+        parts.push(length, bytes);
+    };
+
+    push(vendor);
+    const count = Buffer.alloc(4);
+    count.writeUInt32LE(comments.length);
+    parts.push(count);
+    comments.forEach(push);
+    return Buffer.concat(parts);
+}
+
+// Field names are case-insensitive, and a field may appear more than once
+function commentField(comment) {
+    const separator = comment.indexOf('=');
+    return (separator < 0 ? comment : comment.slice(0, separator)).toUpperCase();
+}
+
+// `comments` with the analysis written into them
+function updateVorbisComments(comments, tags, mode) {
+    const fields = TAG_FIELDS.vorbis;
+    const plan = planTags(tags, mode, name => comments.some(comment => commentField(comment) === fields[name] && comment.length > fields[name].length + 1));
+    const replaced = plan.written.map(name => fields[name]);
+
+    return {
+        comments: comments.filter(comment => !replaced.includes(commentField(comment)))
+            .concat(plan.written.map(name => `${fields[name]}=${tags[name]}`)),
+        written: plan.written,
+        preserved: plan.preserved
+    };
+}
+
+// FLAC
+
+function writeFlacTags(buffer, tags, mode) {
+    const blocks = [];
+    let offset = 4;
+    let last = false;
+    while (!last) {
+        if (offset + 4 > buffer.length) throw new AudioDecodeError('FLAC metadata is truncated');
+        last = (buffer[offset] & 0x80) !== 0;
+        const length = buffer.readUIntBE(offset + 1, 3);
+        if (offset + 4 + length > buffer.length) throw new AudioDecodeError('FLAC metadata block is truncated');
+        blocks.push({ type: buffer[offset] & 0x7F, data: buffer.subarray(offset + 4, offset + 4 + length) });
+        offset += 4 + length;
+    }
+    if (blocks[0].type !== FLAC_STREAMINFO) {
+        throw new AudioDecodeError('FLAC stream does not start with a STREAMINFO block');
+    }
+
+    // A new comment block goes right after STREAMINFO
+    let index = blocks.findIndex(block => block.type === FLAC_VORBIS_COMMENT);
+    const existing = index >= 0 ? parseVorbisComments(blocks[index].data, 0) : { vendor: VORBIS_VENDOR, comments: [] };
+    if (index < 0) {
+        index = 1;
+        blocks.splice(index, 0, null);
+    }
+
+    const update = updateVorbisComments(existing.comments, tags, mode);
+    const data = encodeVorbisComments(existing.vendor, update.comments);
+    if (data.length > FLAC_MAX_BLOCK_SIZE) {
+        throw new AudioDecodeError('FLAC Vorbis comments would outgrow their metadata block');
+    }
+    blocks[index] = { type: FLAC_VORBIS_COMMENT, data: data };
+
+    const parts = [buffer.subarray(0, 4)];
+    blocks.forEach((block, position) => {
+        const header = Buffer.alloc(4);
+        header[0] = (position === blocks.length - 1 ? 0x80 : 0) | block.type;
+        header.writeUIntBE(block.data.length, 1, 3);
+        parts.push(header, block.data);
+    });
+    parts.push(buffer.subarray(offset));
+
+    return { buffer: Buffer.concat(parts), written: update.written, preserved: update.preserved };
+}
+
+// Ogg Vorbis
+
+// CRC-32 of Ogg pages: polynomial 0x04C11DB7, not reflected, no final XOR
+const OGG_CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let i = 0; i < 256; i++) {
+        let crc = i << 24;
+        for (let bit = 0; bit < 8; bit++) {
+            crc = crc & 0x80000000 ? (crc << 1) ^ 0x04C11DB7 : crc << 1;
+        }
+        table[i] = crc >>> 0;
+    }
+    return table;
+})();
+
+function oggChecksum(page) {
+    let crc = 0;
+    for (let i = 0; i < page.length; i++) {
+        crc = ((crc << 8) ^ OGG_CRC_TABLE[((crc >>> 24) ^ page[i]) & 0xFF]) >>> 0;
+    }
+    return crc;
+}
+
+// The page at `offset`: header fields, lacing values, data and where the next page starts
+function parseOggPage(buffer, offset) {
+    if (offset + OGG_HEADER_SIZE > buffer.length || buffer.toString('latin1', offset, offset + 4) !== 'OggS') {
+        throw new AudioDecodeError(`Ogg page expected at byte ${offset}`);
+    }
+    const segmentCount = buffer[offset + 26];
+    const dataStart = offset + OGG_HEADER_SIZE + segmentCount;
+    const lacing = buffer.subarray(offset + OGG_HEADER_SIZE, dataStart);
+    const end = dataStart + lacing.reduce((sum, value) => sum + value, 0);
+    if (end > buffer.length) throw new AudioDecodeError('Ogg page is truncated');
+
+    return {
+        serial: buffer.readUInt32LE(offset + 14),
+        sequence: buffer.readUInt32LE(offset + 18),
+        lacing: lacing,
+        data: buffer.subarray(dataStart, end),
+        raw: buffer.subarray(offset, end)
+    };
+}
+
+// `page` with its sequence number and checksum rewritten
+function renumberOggPage(page, sequence) {
+    const raw = Buffer.from(page.raw);
+    raw.writeUInt32LE(sequence, 18);
+    raw.writeUInt32LE(0, 22);
+    raw.writeUInt32LE(oggChecksum(raw), 22);
+    return raw;
+}
+
+// Lay `packets` out on pages of the stream `serial`, numbered from `sequence`
+function paginateOgg(packets, serial, sequence) {
+    const segments = [];
+    packets.forEach(packet => {
+        for (let start = 0; ; start += 255) {
+            const size = Math.min(255, packet.length - start);
+            segments.push({ data: packet.subarray(start, start + size), endsPacket: size < 255 });
+            if (size < 255) break;
+        }
+    });
+
+    const pages = [];
+    for (let first = 0; first < segments.length; first += OGG_MAX_SEGMENTS) {
+        const pageSegments = segments.slice(first, first + OGG_MAX_SEGMENTS);
+        const header = Buffer.alloc(OGG_HEADER_SIZE);
+        header.write('OggS', 0, 'latin1');
+        header[5] = first > 0 && !segments[first - 1].endsPacket ? OGG_CONTINUED : 0;
+        // Header packets have granule position 0; a page on which no packet ends has none
+        if (!pageSegments.some(segment => segment.endsPacket)) OGG_NO_GRANULE.copy(header, 6);
+        header.writeUInt32LE(serial, 14);
+        header.writeUInt32LE(sequence + pages.length, 18);
+        header[26] = pageSegments.length;
+
+        const page = Buffer.concat([header, Buffer.from(pageSegments.map(segment => segment.data.length))].concat(pageSegments.map(segment => segment.data)));
+        page.writeUInt32LE(oggChecksum(page), 22);
+        pages.push(page);
+    }
+    return pages;
+}
+
+// The comment header is the second of the three Vorbis header packets; the comment and
+// setup headers are laid out on new pages after the identification page, and the pages
+// of the stream after them renumbered
+function writeOggTags(buffer, tags, mode) {
+    const first = parseOggPage(buffer, 0);
+    const packets = [];
+    let packet = [];
+    let offset = 0;
+    let headerPages = 0;
+    while (packets.length < 3) {
+        if (offset >= buffer.length) throw new AudioDecodeError('Ogg Vorbis headers are truncated');
+        const page = parseOggPage(buffer, offset);
+        if (page.serial !== first.serial) {
+            throw new UnsupportedAudioFormatError('Tags cannot be written into multiplexed Ogg streams');
+        }
+
+        let position = 0;
+        page.lacing.forEach((size, index) => {
+            packet.push(page.data.subarray(position, position + size));
+            position += size;
+            if (size < 255) {
+                packets.push(Buffer.concat(packet));
+                packet = [];
+                if (packets.length === 3 && index < page.lacing.length - 1) {
+                    throw new AudioDecodeError('Ogg Vorbis audio starts on the page of the setup header');
+                }
+            }
+        });
+        if (headerPages === 0 && packets.length !== 1) {
+            throw new AudioDecodeError('Ogg Vorbis identification header does not have a page to itself');
+        }
+        offset += page.raw.length;
+        headerPages++;
+    }
+
+    const comment = packets[1];
+    if (comment[0] !== 0x03 || comment.toString('latin1', 1, 7) !== 'vorbis') {
+        throw new AudioDecodeError('Ogg Vorbis comment header is missing');
+    }
+    const existing = parseVorbisComments(comment, 7);
+    const update = updateVorbisComments(existing.comments, tags, mode);
+    const newComment = Buffer.concat([comment.subarray(0, 7), encodeVorbisComments(existing.vendor, update.comments), Buffer.from([0x01])]);
+
+    const parts = [first.raw].concat(paginateOgg([newComment, packets[2]], first.serial, 1));
+    const shift = parts.length - headerPages;
+    while (offset < buffer.length) {
+        const page = parseOggPage(buffer, offset);
+        parts.push(shift !== 0 && page.serial === first.serial ? renumberOggPage(page, page.sequence + shift) : page.raw);
+        offset += page.raw.length;
+    }
+
+    return { buffer: Buffer.concat(parts), written: update.written, preserved: update.preserved };
+}
+
+// RIFF INFO (WAV)
+
+// The RIFF chunks of a WAV file: id, where they start and end (with the pad byte). A data
+// chunk whose size is unknown (0) or past the end of the file runs to the end.
+function parseRiffChunks(buffer) {
+    const chunks = [];
+    let offset = 12;
+    while (offset + 8 <= buffer.length) {
+        const id = buffer.toString('latin1', offset, offset + 4);
+        const size = buffer.readUInt32LE(offset + 4);
+        let end = offset + 8 + size + (size % 2);
+        if (end > buffer.length || (id === 'data' && size === 0)) end = buffer.length;
+        chunks.push({ id: id, start: offset, dataStart: offset + 8, end: end });
+        offset = end;
+    }
+    return chunks;
+}
+
+function isInfoList(buffer, chunk) {
+    return chunk.id === 'LIST' && buffer.toString('latin1', chunk.dataStart, chunk.dataStart + 4) === 'INFO';
+}
+
+// The text chunks of a LIST/INFO chunk: id, text (up to its terminating zero) and raw bytes
+function parseInfoChunks(buffer, chunk) {
+    const entries = [];
+    let offset = chunk.dataStart + 4;
+    while (offset + 8 <= chunk.end) {
+        const size = buffer.readUInt32LE(offset + 4);
+        const end = Math.min(chunk.end, offset + 8 + size + (size % 2));
+        const text = buffer.subarray(offset + 8, Math.min(end, offset + 8 + size));
+        const zero = text.indexOf(0);
+        entries.push({
+            id: buffer.toString('latin1', offset, offset + 4),
+            text: text.toString('latin1', 0, zero < 0 ? text.length : zero),
+            raw: buffer.subarray(offset, end)
+        });
+        offset = end;
+    }
+    return entries;
+}
+
+// A zero-terminated text chunk, padded to an even size
+function createInfoChunk(id, value) {
+    const text = Buffer.concat([Buffer.from(value, isLatin1(value) ? 'latin1' : 'utf8'), Buffer.alloc(1)]);
+    const header = Buffer.alloc(8);
+    header.write(id, 0, 'latin1');
+    header.writeUInt32LE(text.length, 4);
+    return Buffer.concat([header, text, Buffer.alloc(text.length % 2)]);
+}
+
+function writeInfoTags(buffer, tags, mode) {
+    const chunks = parseRiffChunks(buffer);
+    const list = chunks.find(chunk => isInfoList(buffer, chunk));
+    const entries = list ? parseInfoChunks(buffer, list) : [];
+
+    const fields = TAG_FIELDS.info;
+    const plan = planTags(tags, mode, name => entries.some(entry => entry.id === fields[name] && entry.text !== ''));
+    const replaced = plan.written.map(name => fields[name]);
+    const body = Buffer.concat([Buffer.from('INFO', 'latin1')]
+        .concat(entries.filter(entry => !replaced.includes(entry.id)).map(entry => entry.raw))
+        .concat(plan.written.map(name => createInfoChunk(fields[name], tags[name]))));
+    const header = Buffer.alloc(8);
+    header.write('LIST', 0, 'latin1');
+    header.writeUInt32LE(body.length, 4);
+    const newList = Buffer.concat([header, body]);
+
+    // A new INFO list goes in front of the samples
+    let parts;
+    if (list) {
+        parts = [buffer.subarray(0, list.start), newList, buffer.subarray(list.end)];
+    } else {
+        const data = chunks.find(chunk => chunk.id === 'data');
+        const at = data ? data.start : buffer.length;
+        parts = [buffer.subarray(0, at), newList, buffer.subarray(at)];
+    }
+
+    const output = Buffer.concat(parts);
+    output.writeUInt32LE(output.length - 8, 4);
+    return { buffer: output, written: plan.written, preserved: plan.preserved };
+}
+
+module.exports = {
+    TAG_MODES,
+    checkTaggable,
+    validateTagMode,
+    getAnalysisTags,
+    writeAnalysisTags
+};
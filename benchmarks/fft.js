@@ -0,0 +1,132 @@
+// FFT benchmark: naive DFT / quadratic autocorrelation vs. shared/fft.js
+// Usage: npm run bench [-- <seconds>]   (default: a 4-minute synthetic track)
+const { magnitudeSpectrum, autocorrelation, getWindow } = require('../shared/fft');
+const { analyzeAudioBuffer } = require('../audioAnalyzer');
+
+const SAMPLE_RATE = 44100;
+const ANALYSIS_SAMPLE_RATE = 11025;
+const DURATION = Number(process.argv[2]) || 240;
+
+// The naive DFT is far too slow to run on every frame, so it is timed on a sample and extrapolated
+const NAIVE_SAMPLE_FRAMES = 40;
+
+// The pre-FFT implementations, kept here as the baseline
+function naiveSpectrum(frame) {
+    const window = getWindow('hamming', frame.length);
+    const spectrum = [];
+    for (let k = 0; k < frame.length / 2; k++) {
+        let real = 0;
+        let imag = 0;
+        for (let n = 0; n < frame.length; n++) {
+            const angle = -2 * Math.PI * k * n / frame.length;
+            real += frame[n] * window[n] * Math.cos(angle);
+            imag += frame[n] * window[n] * Math.sin(angle);
+        }
+        spectrum.push(Math.sqrt(real * real + imag * imag));
+    }
+    return spectrum;
+}
+
+function naiveAutocorrelation(frame) {
+    const window = getWindow('hamming', frame.length);
+    const autocorr = new Array(frame.length).fill(0);
+    for (let lag = 0; lag < frame.length; lag++) {
+        for (let i = 0; i < frame.length - lag; i++) {
+            autocorr[lag] += frame[i] * window[i] * frame[i + lag] * window[i + lag];
+        }
+    }
+    return autocorr;
+}
+
+// 128 BPM kick pattern over a chord pad with a little noise
+function synthesizeTrack(seconds, sampleRate) {
+    const data = new Float32Array(Math.floor(seconds * sampleRate));
+    const beatLength = 60 / 128;
+    for (let i = 0; i < data.length; i++) {
+        const t = i / sampleRate;
+        const beatPhase = (t % beatLength) / beatLength;
+        const kick = beatPhase < 0.1 ? Math.sin(2 * Math.PI * 55 * t) * (1 - beatPhase * 10) : 0;
+        const pad = 0.1 * (Math.sin(2 * Math.PI * 220 * t) + Math.sin(2 * Math.PI * 277.2 * t) + Math.sin(2 * Math.PI * 329.6 * t));
+        data[i] = 0.7 * kick + pad + 0.02 * (Math.random() * 2 - 1);
+    }
+    return data;
+}
+
+function countFrames(length, frameSize, hopSize) {
+    return Math.max(0, Math.ceil((length - frameSize) / hopSize));
+}
+
+function time(fn) {
+    const start = process.hrtime.bigint();
+    fn();
+    return Number(process.hrtime.bigint() - start) / 1e6;
+}
+
+// Time `fn` per frame on a sample of frames; the naive path is extrapolated to the full count
+function benchmarkStage(name, data, frameSize, hopSize, naiveFn, fftFn, framesPerStep) {
+    const totalFrames = countFrames(data.length, frameSize, hopSize);
+    const frames = [];
+    for (let f = 0; f < NAIVE_SAMPLE_FRAMES; f++) {
+        const start = Math.floor(f * (data.length - frameSize) / NAIVE_SAMPLE_FRAMES);
+        frames.push(data.slice(start, start + frameSize));
+    }
+
+    const naivePerFrame = time(() => frames.forEach(naiveFn)) / frames.length;
+    const fftTotal = time(() => {
+        for (let i = 0; i < data.length - frameSize; i += hopSize) {
+            fftFn(data.subarray(i, i + frameSize));
+        }
+    });
+
+    const naiveTotal = naivePerFrame * totalFrames * framesPerStep;
+    return { name, frames: totalFrames, naiveTotal, fftTotal, speedup: naiveTotal / fftTotal };
+}
+
+function formatMs(ms) {
+    return ms >= 1000 ? `${(ms / 1000).toFixed(1)} s` : `${ms.toFixed(1)} ms`;
+}
+
+async function main() {
+    console.log(`Synthesizing a ${DURATION} s track...`);
+    const track = synthesizeTrack(DURATION, SAMPLE_RATE);
+
+    // Same naive decimation the analyzers apply before running any stage
+    const ratio = SAMPLE_RATE / ANALYSIS_SAMPLE_RATE;
+    const data = new Float32Array(Math.floor(track.length / ratio));
+    for (let i = 0; i < data.length; i++) data[i] = track[Math.floor(i * ratio)];
+
+    const sr = ANALYSIS_SAMPLE_RATE;
+    const stages = [
+        // The old spectral flux pass transformed every frame twice (current and previous)
+        benchmarkStage('Spectral flux (1024 / 512)', data, 1024, 512, naiveSpectrum, magnitudeSpectrum, 2),
+        benchmarkStage('Autocorrelation (2048 / 512)', data, 2048, 512, naiveAutocorrelation, frame => autocorrelation(frame, { window: 'hamming' }), 1),
+        benchmarkStage('Histogram spectrum (50 ms / 25 ms)', data, Math.floor(0.05 * sr), Math.floor(0.025 * sr), naiveSpectrum, magnitudeSpectrum, 1),
+        benchmarkStage('Band energy spectrum (25 ms)', data, Math.floor(0.025 * sr), Math.floor(0.025 * sr), naiveSpectrum, magnitudeSpectrum, 2)
+    ];
+
+    console.log('\nStage                               Frames     Naive DFT (est.)   FFT          Speed-up');
+    for (const stage of stages) {
+        console.log(
+            `${stage.name.padEnd(36)}${String(stage.frames).padEnd(11)}${formatMs(stage.naiveTotal).padEnd(19)}${formatMs(stage.fftTotal).padEnd(13)}${stage.speedup.toFixed(0)}x`
+        );
+    }
+
+    const audioBuffer = {
+        getChannelData: () => track,
+        sampleRate: SAMPLE_RATE,
+        length: track.length,
+        duration: track.length / SAMPLE_RATE
+    };
+
+    const start = process.hrtime.bigint();
+    await analyzeAudioBuffer(audioBuffer, 'benchmark');
+    const fullAnalysis = Number(process.hrtime.bigint() - start) / 1e6;
+
+    console.log(`\nFull analyzeAudioBuffer (builtin engine, FFT): ${formatMs(fullAnalysis)}`);
+    console.log(`Estimated naive spectral + autocorrelation work alone: ${formatMs(stages.reduce((sum, s) => sum + s.naiveTotal, 0))}`);
+}
+
+main().catch(error => {
+    console.error(error);
+    process.exit(1);
+});
@@ -0,0 +1,18 @@
+// Essentia.js (WASM) analysis backend
+// Provides the server's Essentia instance; the algorithms are run by
+// extractEssentiaFeatures() in shared/analysisCore.js.
+const { Essentia, EssentiaWASM } = require('essentia.js');
+
+let essentiaInstance = null;
+
+// The WASM module is instantiated once and shared by every request
+function getEssentia() {
+    if (!essentiaInstance) {
+        essentiaInstance = new Essentia(EssentiaWASM);
+    }
+    return essentiaInstance;
+}
+
+module.exports = {
+    getEssentia
+};
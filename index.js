@@ -2,35 +2,195 @@ const express = require('express');
 const path = require('path');
 const cors = require('cors');
 const multer = require('multer');
+const { decodeAudioFile } = require('./audioDecoder');
+const { createJob, getJob, cancelJob, subscribeToJob, isFinished } = require('./analysisJobs');
+const { createResultCache, getCacheKey, isFileHash } = require('./resultCache');
+const { attachLiveAnalysis } = require('./liveAnalysis');
+const { checkTaggable, validateTagMode, writeAnalysisTags } = require('./audioTagger');
+const { EXPORT_FORMATS, FORMAT_TYPES, formatResults } = require('./shared/resultExport');
+const { DJ_EXPORT_FORMATS, DJ_FORMAT_TYPES, getDJExportFileName, formatDJLibrary } = require('./shared/djExport');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Results of earlier analyses, keyed by file content and settings (null when disabled)
+const resultCache = createResultCache();
+
+// Job event streams: a keep-alive comment this often, and a look at the job store this
+// often for jobs run by another process
+const SSE_KEEP_ALIVE_MS = 15000;
+const SSE_POLL_MS = 2000;
+
+// Only audio uploads are accepted
+function audioFileFilter(req, file, cb) {
+    if (file.mimetype.startsWith('audio/')) {
+        cb(null, true);
+    } else {
+        cb(new Error('Only audio files are allowed!'), false);
+    }
+}
+
 // Configure multer for file uploads
 const upload = multer({
     storage: multer.memoryStorage(),
     limits: {
         fileSize: 50 * 1024 * 1024, // 50MB limit
     },
-    fileFilter: (req, file, cb) => {
-        if (file.mimetype.startsWith('audio/')) {
-            cb(null, true);
-        } else {
-            cb(new Error('Only audio files are allowed!'), false);
+    fileFilter: audioFileFilter
+});
+
+// Streaming uploads are analyzed while they arrive: this storage engine hands the file
+// stream to the analyzer and keeps only the result, so the size limit can be far higher
+// (an hour of 16-bit 44.1 kHz stereo WAV is ~635 MB)
+const streamUpload = multer({
+    storage: {
+        _handleFile(req, file, cb) {
+            const { analyzeAudioStream } = require('./audioAnalyzer');
+            console.log(`Streaming analysis: ${file.originalname}`);
+
+            analyzeAudioStream(file.stream, file.originalname, getAnalysisOptions(req))
+                .then(result => cb(null, result), error => cb(error));
+        },
+        _removeFile(req, file, cb) {
+            cb(null);
         }
-    }
+    },
+    limits: {
+        fileSize: 2 * 1024 * 1024 * 1024 // 2GB limit
+    },
+    fileFilter: audioFileFilter
 });
 
 // Middleware
-app.use(cors());
+app.use(cors({ exposedHeaders: ['X-Cache', 'Location', 'X-Tags-Written', 'X-Tags-Preserved'] }));
 app.use(express.json());
 app.use(express.static('public'));
 
+// Modules shared by the server, the page and the analysis worker
+app.use('/shared', express.static(path.join(__dirname, 'shared')));
+
+// Essentia.js WASM build for the browser engine
+app.use('/vendor/essentia.js', express.static(path.join(__dirname, 'node_modules', 'essentia.js', 'dist')));
+
+// Summary of the decoded stream returned alongside the analysis
+function describeAudioBuffer(audioBuffer) {
+    return {
+        format: audioBuffer.format,
+        sampleRate: audioBuffer.sampleRate,
+        channels: audioBuffer.numberOfChannels,
+        duration: audioBuffer.duration
+    };
+}
+
+// A single-file analysis from the result cache, or run `analyze` (which resolves with the
+// audio description and the result under its response key) and cache that. The X-Cache
+// header says which of the two happened. Cache failures only get logged.
+async function getCachedAnalysis(req, res, type, options, analyze) {
+    const { getAnalysisSettings } = require('./audioAnalyzer');
+    const key = resultCache && getCacheKey(req.file.buffer, getAnalysisSettings(type, options));
+
+    let result = null;
+    if (key) {
+        result = await resultCache.get(key).catch((error) => {
+            console.error('Result cache read failed:', error);
+            return null;
+        });
+    }
+
+    res.set('X-Cache', result ? 'HIT' : 'MISS');
+    if (!result) {
+        result = await analyze();
+        if (key) {
+            await resultCache.set(key, result).catch(error => console.error('Result cache write failed:', error));
+        }
+    }
+    return result;
+}
+
+// Answer a single-file analysis with the cached or fresh result (see getCachedAnalysis)
+async function sendAnalysis(req, res, type, options, analyze) {
+    const result = await getCachedAnalysis(req, res, type, options, analyze);
+    res.json(Object.assign({
+        success: true,
+        fileName: req.file.originalname,
+        fileSize: req.file.size
+    }, result));
+}
+
+// Analysis options may come as multipart form fields or as query parameters
+function getAnalysisOptions(req) {
+    return {
+        engine: (req.body && req.body.engine) || req.query.engine || 'builtin',
+        channels: (req.body && req.body.channels) || req.query.channels || 'mid'
+    };
+}
+
+// Onset detection options: the analysis options plus the detection function and the
+// peak-picking parameters (numbers arrive as strings and are validated by the analyzer)
+function getOnsetOptions(req) {
+    const options = getAnalysisOptions(req);
+    const field = name => (req.body && req.body[name] !== undefined ? req.body[name] : req.query[name]);
+
+    if (field('method') !== undefined) {
+        options.method = field('method');
+    }
+    for (const name of ['threshold', 'multiplier', 'window', 'minInterval']) {
+        if (field(name) !== undefined && field(name) !== '') {
+            options[name] = Number(field(name));
+        }
+    }
+    return options;
+}
+
+// Every format results can be exported in
+const ALL_EXPORT_FORMATS = EXPORT_FORMATS.concat(DJ_EXPORT_FORMATS);
+
+function validateExportFormat(format) {
+    if (!ALL_EXPORT_FORMATS.includes(format)) {
+        const error = new Error(`Unknown export format "${format}" (expected one of: ${ALL_EXPORT_FORMATS.join(', ')})`);
+        error.status = 400;
+        throw error;
+    }
+}
+
+// Export options: the folder the files are in on the DJ's computer and the playlist name
+function getExportOptions(req) {
+    const field = name => (req.body && req.body[name]) || req.query[name];
+    return { folder: field('folder'), playlist: field('playlist') };
+}
+
+// Send /api/analyze-multiple entries as a download in `format` (attachment() would set
+// the type from the file extension, so the type comes after it)
+function sendExport(res, entries, format, options) {
+    if (DJ_EXPORT_FORMATS.includes(format)) {
+        const content = formatDJLibrary(entries, format, options);
+        return res.attachment(getDJExportFileName(format, options))
+            .type(DJ_FORMAT_TYPES[format].mimeType)
+            .send(typeof content === 'string' ? content : Buffer.from(content));
+    }
+
+    const { extension, mimeType } = FORMAT_TYPES[format];
+    res.attachment(`analysis.${extension}`).type(mimeType).send(formatResults(entries, format, options));
+}
+
 // Serve the main HTML file
 app.get('/', (req, res) => {
     res.sendFile(path.join(__dirname, 'public', 'index.html'));
 });
 
+// Full analysis of an uploaded file: the audio description and the analysis result
+async function analyzeUpload(file, options) {
+    const { analyzeAudioBuffer } = require('./audioAnalyzer');
+
+    // Decode the container into real PCM channel data
+    const audioBuffer = await decodeAudioFile(file.buffer, file.originalname);
+
+    // Perform analysis
+    const results = await analyzeAudioBuffer(audioBuffer, file.originalname, options);
+
+    return { audio: describeAudioBuffer(audioBuffer), analysis: results };
+}
+
 // API endpoint for single audio file analysis
 app.post('/api/analyze', upload.single('audio'), async (req, res) => {
     try {
@@ -43,47 +203,119 @@ app.post('/api/analyze', upload.single('audio'), async (req, res) => {
 
         console.log(`Analyzing file: ${req.file.originalname} (${req.file.size} bytes)`);
 
-        // Convert buffer to ArrayBuffer for Web Audio API
-        const arrayBuffer = req.file.buffer.buffer.slice(
-            req.file.buffer.byteOffset,
-            req.file.buffer.byteOffset + req.file.buffer.byteLength
-        );
+        const options = getAnalysisOptions(req);
+        await sendAnalysis(req, res, 'analyze', options, () => analyzeUpload(req.file, options));
 
-        // Create a virtual AudioContext for analysis
-        const { analyzeAudioBuffer } = require('./audioAnalyzer');
-        
-        // Create a mock AudioBuffer-like object
-        const audioBuffer = {
-            getChannelData: (channel) => {
-                // Convert buffer to Float32Array
-                const floatArray = new Float32Array(arrayBuffer);
-                return floatArray;
-            },
-            sampleRate: 44100, // Default sample rate
-            length: arrayBuffer.byteLength / 4, // Assuming 32-bit float
-            duration: arrayBuffer.byteLength / 4 / 44100
-        };
+    } catch (error) {
+        console.error('API Error:', error);
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.message || 'Analysis failed'
+        });
+    }
+});
+
+// API endpoint for beat tracking (beat times, per-beat confidence and downbeats)
+app.post('/api/beats', upload.single('audio'), async (req, res) => {
+    try {
+        if (!req.file) {
+            return res.status(400).json({
+                success: false,
+                error: 'No audio file provided'
+            });
+        }
 
-        // Perform analysis
-        const results = await analyzeAudioBuffer(audioBuffer, req.file.originalname);
+        console.log(`Tracking beats: ${req.file.originalname} (${req.file.size} bytes)`);
 
-        res.json({
-            success: true,
-            fileName: req.file.originalname,
-            fileSize: req.file.size,
-            analysis: results
+        const { analyzeBeats } = require('./audioAnalyzer');
+        const options = getAnalysisOptions(req);
+
+        await sendAnalysis(req, res, 'beats', options, async () => {
+            // Decode the container into real PCM channel data
+            const audioBuffer = await decodeAudioFile(req.file.buffer, req.file.originalname);
+
+            // Track beats
+            const beats = await analyzeBeats(audioBuffer, req.file.originalname, options);
+
+            return { audio: describeAudioBuffer(audioBuffer), beats: beats };
         });
 
     } catch (error) {
         console.error('API Error:', error);
-        res.status(500).json({
+        res.status(error.status || 500).json({
             success: false,
-            error: error.message || 'Analysis failed'
+            error: error.message || 'Beat tracking failed'
         });
     }
 });
 
-// API endpoint for multiple audio files analysis
+// API endpoint for onset detection (onset times and strengths)
+app.post('/api/onsets', upload.single('audio'), async (req, res) => {
+    try {
+        if (!req.file) {
+            return res.status(400).json({
+                success: false,
+                error: 'No audio file provided'
+            });
+        }
+
+        console.log(`Detecting onsets: ${req.file.originalname} (${req.file.size} bytes)`);
+
+        const { analyzeOnsets } = require('./audioAnalyzer');
+        const options = getOnsetOptions(req);
+
+        await sendAnalysis(req, res, 'onsets', options, async () => {
+            // Decode the container into real PCM channel data
+            const audioBuffer = await decodeAudioFile(req.file.buffer, req.file.originalname);
+
+            // Detect onsets
+            const onsets = await analyzeOnsets(audioBuffer, req.file.originalname, options);
+
+            return { audio: describeAudioBuffer(audioBuffer), onsets: onsets };
+        });
+
+    } catch (error) {
+        console.error('API Error:', error);
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.message || 'Onset detection failed'
+        });
+    }
+});
+
+// API endpoint for streaming analysis of long files (e.g. hour-long DJ sets): BPM, tempo
+// map, beat grid, energy and spectral statistics, computed while the upload arrives.
+// Options have to come as query parameters or as form fields before the file.
+app.post('/api/stream', (req, res) => {
+    streamUpload.single('audio')(req, res, (error) => {
+        if (error) {
+            console.error('API Error:', error);
+            const status = error.code === 'LIMIT_FILE_SIZE' ? 413 : error.status || 500;
+            return res.status(status).json({
+                success: false,
+                error: error.message || 'Streaming analysis failed'
+            });
+        }
+
+        if (!req.file) {
+            return res.status(400).json({
+                success: false,
+                error: 'No audio file provided'
+            });
+        }
+
+        res.json({
+            success: true,
+            fileName: req.file.originalname,
+            fileSize: req.file.fileSize,
+            audio: req.file.audio,
+            analysis: req.file.analysis
+        });
+    });
+});
+
+// API endpoint for multiple audio files analysis. `format` answers with an export file
+// instead (see GET /api/export/:format).
 app.post('/api/analyze-multiple', upload.array('audio', 10), async (req, res) => {
     try {
         if (!req.files || req.files.length === 0) {
@@ -93,35 +325,26 @@ app.post('/api/analyze-multiple', upload.array('audio', 10), async (req, res) =>
             });
         }
 
+        const format = (req.body && req.body.format) || req.query.format;
+        if (format !== undefined) validateExportFormat(format);
+
         console.log(`Analyzing ${req.files.length} files`);
 
         const { analyzeAudioBuffer } = require('./audioAnalyzer');
+        const analysisOptions = getAnalysisOptions(req);
         const allResults = [];
 
         for (const file of req.files) {
             try {
-                // Convert buffer to ArrayBuffer
-                const arrayBuffer = file.buffer.buffer.slice(
-                    file.buffer.byteOffset,
-                    file.buffer.byteOffset + file.buffer.byteLength
-                );
-
-                // Create a mock AudioBuffer-like object
-                const audioBuffer = {
-                    getChannelData: (channel) => {
-                        const floatArray = new Float32Array(arrayBuffer);
-                        return floatArray;
-                    },
-                    sampleRate: 44100,
-                    length: arrayBuffer.byteLength / 4,
-                    duration: arrayBuffer.byteLength / 4 / 44100
-                };
+                // Decode the container into real PCM channel data
+                const audioBuffer = await decodeAudioFile(file.buffer, file.originalname);
 
                 // Perform analysis
-                const results = await analyzeAudioBuffer(audioBuffer, file.originalname);
+                const results = await analyzeAudioBuffer(audioBuffer, file.originalname, analysisOptions);
                 allResults.push({
                     fileName: file.originalname,
                     fileSize: file.size,
+                    audio: describeAudioBuffer(audioBuffer),
                     analysis: results
                 });
 
@@ -130,11 +353,16 @@ app.post('/api/analyze-multiple', upload.array('audio', 10), async (req, res) =>
                 allResults.push({
                     fileName: file.originalname,
                     fileSize: file.size,
-                    error: error.message
+                    error: error.message,
+                    status: error.status || 500
                 });
             }
         }
 
+        if (format) {
+            return sendExport(res, allResults, format, getExportOptions(req));
+        }
+
         res.json({
             success: true,
             totalFiles: req.files.length,
@@ -143,13 +371,298 @@ app.post('/api/analyze-multiple', upload.array('audio', 10), async (req, res) =>
 
     } catch (error) {
         console.error('API Error:', error);
-        res.status(500).json({
+        res.status(error.status || 500).json({
             success: false,
             error: error.message || 'Analysis failed'
         });
     }
 });
 
+// Export the results of finished analysis jobs (?jobs=<id>,<id>,...) as a download: json,
+// csv or html (as POST /api/analyze-multiple), or for DJ software - rekordbox (XML),
+// traktor (NML), serato (crate) or serato-tags (the ID3 tag values, JSON). ?folder= is
+// where the files are on the DJ's computer, ?playlist= names the playlist or crate.
+app.get('/api/export/:format', async (req, res) => {
+    try {
+        const format = req.params.format;
+        validateExportFormat(format);
+
+        const ids = String(req.query.jobs || '').split(',').map(id => id.trim()).filter(Boolean);
+        if (ids.length === 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'No jobs given (?jobs=<id>,<id>,...)'
+            });
+        }
+
+        const entries = [];
+        for (const id of ids) {
+            const job = await getJob(id);
+            if (!job) {
+                return res.status(404).json({
+                    success: false,
+                    error: `Job ${id} not found`
+                });
+            }
+            if (job.type !== 'analyze') {
+                return res.status(400).json({
+                    success: false,
+                    error: `Job ${id} is a ${job.type} job; only analyze jobs can be exported`
+                });
+            }
+            if (job.status !== 'completed') {
+                return res.status(409).json({
+                    success: false,
+                    error: `Job ${id} is ${job.status}, not completed`
+                });
+            }
+            entries.push(job.result);
+        }
+
+        sendExport(res, entries, format, getExportOptions(req));
+
+    } catch (error) {
+        console.error('API Error:', error);
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.message || 'Export failed'
+        });
+    }
+});
+
+// API endpoint for writing the detected BPM, key and mood into a file's tags: answers with
+// the tagged copy of the upload (same name). The analysis is shared with /api/analyze
+// through the result cache.
+app.post('/api/tag', upload.single('audio'), async (req, res) => {
+    try {
+        if (!req.file) {
+            return res.status(400).json({
+                success: false,
+                error: 'No audio file provided'
+            });
+        }
+
+        // Settle the mode and the container before spending time on the analysis
+        const mode = (req.body && req.body.mode) || req.query.mode || 'preserve';
+        validateTagMode(mode);
+        checkTaggable(req.file.buffer, req.file.originalname);
+
+        console.log(`Tagging file: ${req.file.originalname} (${req.file.size} bytes, ${mode})`);
+
+        const options = getAnalysisOptions(req);
+        const result = await getCachedAnalysis(req, res, 'analyze', options, () => analyzeUpload(req.file, options));
+        const tagged = writeAnalysisTags(req.file.buffer, result.analysis, { mode: mode, fileName: req.file.originalname });
+
+        res.set('X-Tags-Written', tagged.written.join(','));
+        res.set('X-Tags-Preserved', tagged.preserved.join(','));
+        res.attachment(req.file.originalname).send(tagged.buffer);
+
+    } catch (error) {
+        console.error('API Error:', error);
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.message || 'Tagging failed'
+        });
+    }
+});
+
+// API endpoint for asynchronous analysis jobs (long files): queues the upload and
+// returns the job at once; the analysis runs in the background
+app.post('/api/jobs', upload.single('audio'), async (req, res) => {
+    try {
+        if (!req.file) {
+            return res.status(400).json({
+                success: false,
+                error: 'No audio file provided'
+            });
+        }
+
+        const type = (req.body && req.body.type) || req.query.type || 'analyze';
+        const options = type === 'onsets' ? getOnsetOptions(req) : getAnalysisOptions(req);
+
+        const job = await createJob(req.file, type, options);
+        console.log(`Queued ${type} job ${job.id}: ${req.file.originalname} (${req.file.size} bytes)`);
+
+        res.status(202).location(`/api/jobs/${job.id}`).json({
+            success: true,
+            job: job
+        });
+
+    } catch (error) {
+        console.error('API Error:', error);
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.message || 'Job could not be created'
+        });
+    }
+});
+
+// Job status, progress and (once completed) result
+app.get('/api/jobs/:id', async (req, res) => {
+    try {
+        const job = await getJob(req.params.id);
+        if (!job) {
+            return res.status(404).json({
+                success: false,
+                error: 'Job not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            job: job
+        });
+
+    } catch (error) {
+        console.error('API Error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message || 'Job could not be read'
+        });
+    }
+});
+
+// Progress of a job as Server-Sent Events: the job's current state first (status), then
+// one event per finished analysis step with its partial result, and finally completed,
+// failed or cancelled, after which the stream ends. Jobs run by another process sharing
+// a file store only get status events, from polling the store.
+app.get('/api/jobs/:id/events', async (req, res) => {
+    const id = req.params.id;
+    let closed = false;
+    let lastProgress = -1;
+    let timers = [];
+    // Events that arrive while the job is read are sent once the stream is open
+    let backlog = [];
+
+    const send = (name, data) => {
+        if (closed) return;
+        if (backlog) return backlog.push([name, data]);
+        res.write(`event: ${name}\ndata: ${JSON.stringify(data)}\n\n`);
+        if (typeof data.progress === 'number') lastProgress = data.progress;
+        if (['completed', 'failed', 'cancelled'].includes(name)) close();
+    };
+
+    const close = () => {
+        if (closed) return;
+        closed = true;
+        unsubscribe();
+        timers.forEach(clearInterval);
+        res.end();
+    };
+
+    // Subscribe before reading the job, so no event falls between the two
+    const unsubscribe = subscribeToJob(id, send);
+    req.on('close', close);
+
+    try {
+        const job = await getJob(id);
+        if (!job) {
+            closed = true;
+            unsubscribe();
+            return res.status(404).json({
+                success: false,
+                error: 'Job not found'
+            });
+        }
+
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no'
+        });
+
+        const early = backlog;
+        backlog = null;
+        if (isFinished(job)) {
+            return send(job.status, job);
+        }
+        send('status', job);
+        early.forEach(([name, data]) => send(name, data));
+        if (closed) return;
+
+        timers = [
+            // Comments keep proxies from closing an idle connection
+            setInterval(() => {
+                if (!closed) res.write(': keep-alive\n\n');
+            }, SSE_KEEP_ALIVE_MS),
+            setInterval(async () => {
+                try {
+                    const current = await getJob(id);
+                    if (!current) return close();
+                    if (isFinished(current)) return send(current.status, current);
+                    if (current.progress > lastProgress) send('status', current);
+                } catch (error) {
+                    console.error('API Error:', error);
+                }
+            }, SSE_POLL_MS)
+        ];
+
+    } catch (error) {
+        console.error('API Error:', error);
+        if (res.headersSent) return close();
+        closed = true;
+        unsubscribe();
+        res.status(500).json({
+            success: false,
+            error: error.message || 'Job could not be read'
+        });
+    }
+});
+
+// Cancel a queued or running job, or delete a finished one
+app.delete('/api/jobs/:id', async (req, res) => {
+    try {
+        const job = await cancelJob(req.params.id);
+        if (!job) {
+            return res.status(404).json({
+                success: false,
+                error: 'Job not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            job: job
+        });
+
+    } catch (error) {
+        console.error('API Error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message || 'Job could not be cancelled'
+        });
+    }
+});
+
+// Purge the result cache: every entry, or (?hash=<SHA-256 of the file>) those of one file
+app.delete('/api/cache', async (req, res) => {
+    try {
+        const hash = req.query.hash;
+        if (hash !== undefined && !isFileHash(hash)) {
+            return res.status(400).json({
+                success: false,
+                error: 'hash must be the hex SHA-256 of an audio file'
+            });
+        }
+
+        const removed = resultCache ? await resultCache.purge(hash) : 0;
+        console.log(`Purged ${removed} cached result(s)${hash ? ` of ${hash}` : ''}`);
+
+        res.json({
+            success: true,
+            removed: removed
+        });
+
+    } catch (error) {
+        console.error('API Error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message || 'Cache could not be purged'
+        });
+    }
+});
+
 // Health check endpoint
 app.get('/api/health', (req, res) => {
     res.json({
@@ -168,28 +681,247 @@ app.get('/api/docs', (req, res) => {
             'POST /api/analyze': {
                 description: 'Analyze a single audio file',
                 body: {
-                    audio: 'Audio file (multipart/form-data)'
+                    audio: 'Audio file (multipart/form-data)',
+                    engine: 'Optional analysis engine: builtin (default) or essentia',
+                    channels: 'Optional channel strategy: mid (default downmix), left, right, side or per-channel'
+                },
+                headers: {
+                    'X-Cache': 'HIT (answered from the result cache) or MISS'
                 },
                 response: {
                     success: 'boolean',
                     fileName: 'string',
                     fileSize: 'number',
+                    audio: {
+                        format: 'string (wav, mp3, flac, ogg, m4a, aac, aiff, caf, au)',
+                        sampleRate: 'number',
+                        channels: 'number',
+                        duration: 'number (seconds)'
+                    },
                     analysis: {
-                        bpm: 'object',
+                        engine: 'string',
+                        channelStrategy: 'string',
+                        bpm: 'object (bpm, confidence, tempoCategory, methods: { autocorr, spectral, energy, histogram } each { bpm, confidence, candidates }, combination: each method\'s { weight, share, agrees }, tempoMap: array of { start, end, bpm, confidence } tempo sections)',
+                        beats: 'object (same shape as POST /api/beats)',
                         danceability: 'object',
-                        mood: 'object'
+                        mood: 'object',
+                        key: {
+                            tonic: 'string (C, C#, D, Eb, E, F, F#, G, Ab, A, Bb, B)',
+                            scale: 'string (major or minor)',
+                            camelot: 'string (Camelot wheel, e.g. 8B)',
+                            openKey: 'string (Open Key notation, e.g. 1d)',
+                            confidence: 'number (0-1)'
+                        },
+                        structure: 'array of { start, end, label, group } sections covering the track: label is intro, verse, chorus, bridge or outro, sections with the same group letter repeat each other',
+                        loudness: {
+                            integrated: 'number (LUFS, gated integrated loudness)',
+                            loudnessRange: 'number (LU, EBU Tech 3342)',
+                            truePeak: 'number (dBTP, 4x oversampled)',
+                            maxMomentary: 'number (LUFS)',
+                            maxShortTerm: 'number (LUFS)',
+                            interval: 'number (seconds between curve values)',
+                            momentary: 'array of 400 ms loudness values (LUFS)',
+                            shortTerm: 'array of 3 s loudness values (LUFS)'
+                        },
+                        perChannel: 'array (per-channel strategy only): { channel, bpm, beats, danceability, mood, key, structure } per channel'
                     }
                 }
             },
             'POST /api/analyze-multiple': {
                 description: 'Analyze multiple audio files',
                 body: {
-                    audio: 'Array of audio files (multipart/form-data)'
+                    audio: 'Array of audio files (multipart/form-data)',
+                    engine: 'Optional analysis engine: builtin (default) or essentia',
+                    channels: 'Optional channel strategy: mid (default downmix), left, right, side or per-channel',
+                    format: 'Optional export format (also as ?format=), answered as a file download instead: any format of GET /api/export/:format',
+                    folder: 'Optional, DJ formats: the folder the files are in on the DJ\'s computer',
+                    playlist: 'Optional, DJ formats: name of the playlist or crate'
                 },
                 response: {
                     success: 'boolean',
                     totalFiles: 'number',
-                    results: 'array'
+                    results: 'array of { fileName, fileSize, audio, analysis } (same as POST /api/analyze), or { fileName, fileSize, error, status } for a failed file'
+                }
+            },
+            'POST /api/beats': {
+                description: 'Track the beats of a single audio file',
+                body: {
+                    audio: 'Audio file (multipart/form-data)',
+                    engine: 'Optional analysis engine: builtin (default, dynamic-programming tracker) or essentia (RhythmExtractor2013 ticks)',
+                    channels: 'Optional channel strategy: mid (default downmix), left, right, side or per-channel'
+                },
+                headers: {
+                    'X-Cache': 'HIT (answered from the result cache) or MISS'
+                },
+                response: {
+                    success: 'boolean',
+                    fileName: 'string',
+                    fileSize: 'number',
+                    audio: 'object',
+                    beats: {
+                        engine: 'string',
+                        channelStrategy: 'string',
+                        bpm: 'number (average tempo of the beat grid)',
+                        count: 'number',
+                        beatsPerBar: 'number',
+                        times: 'array of beat times (seconds)',
+                        confidence: 'array of per-beat confidence (0-1)',
+                        downbeats: 'array of downbeat times (seconds)'
+                    }
+                }
+            },
+            'POST /api/onsets': {
+                description: 'Detect the onsets of a single audio file (builtin engine)',
+                body: {
+                    audio: 'Audio file (multipart/form-data)',
+                    method: 'Optional detection function: spectralFlux (default), energy, hfc or complex',
+                    threshold: 'Optional offset above the moving median, as a fraction of the strongest frame (default 0.05)',
+                    multiplier: 'Optional factor applied to the moving median (default 1)',
+                    window: 'Optional moving median length in seconds (default 0.3)',
+                    minInterval: 'Optional minimum time between onsets in seconds (default 0.03)',
+                    channels: 'Optional channel strategy: mid (default downmix), left, right, side or per-channel'
+                },
+                headers: {
+                    'X-Cache': 'HIT (answered from the result cache) or MISS'
+                },
+                response: {
+                    success: 'boolean',
+                    fileName: 'string',
+                    fileSize: 'number',
+                    audio: 'object',
+                    onsets: {
+                        engine: 'string',
+                        channelStrategy: 'string',
+                        method: 'string',
+                        count: 'number',
+                        times: 'array of onset times (seconds)',
+                        strength: 'array of onset strengths (0-1, relative to the strongest frame)',
+                        parameters: 'object (the threshold, multiplier, window and minInterval used)'
+                    }
+                }
+            },
+            'POST /api/stream': {
+                description: 'Analyze a long file (up to 2GB) while it uploads, with bounded memory (builtin engine)',
+                body: {
+                    audio: 'Audio file (multipart/form-data)',
+                    channels: 'Optional channel strategy (query parameter, or a form field sent before the file): mid (default downmix), left, right, side or per-channel'
+                },
+                response: {
+                    success: 'boolean',
+                    fileName: 'string',
+                    fileSize: 'number',
+                    audio: 'object',
+                    analysis: {
+                        engine: 'string (builtin)',
+                        channelStrategy: 'string',
+                        bpm: 'object (bpm, tempoCategory, tempoMap)',
+                        beats: 'object (same shape as POST /api/beats)',
+                        energy: 'object (rms, peak and crestFactor in dB, dynamicRange, interval, curve: RMS per interval in dBFS)',
+                        spectral: 'object (centroid, rolloff and flatness, each { mean, std })',
+                        perChannel: 'array (per-channel strategy only): { channel, bpm, beats, energy, spectral } per channel'
+                    }
+                }
+            },
+            'WS /api/live': {
+                description: 'Live analysis of raw PCM streamed over a WebSocket (radio, DJ sets): a rolling update every few seconds of audio (builtin engine)',
+                messages: {
+                    start: 'First text message: { type: "start", format: { encoding: u8, s16le (default), s24le, s32le, f32le or f64le, sampleRate, channels }, options: { channels (mid, left, right or side), analysisWindow (seconds, default 15), updateInterval (seconds, default 4), onset parameters } }',
+                    audio: 'Binary messages: interleaved PCM in the declared format (any size up to 4MB)',
+                    stop: 'Text message { type: "stop" }: analyze the rest of the audio and close'
+                },
+                response: {
+                    ready: '{ type: "ready", format, options } once the stream is accepted',
+                    update: '{ type: "update", time, window: { start, end }, bpm: { bpm, confidence, tempoCategory, lastBeat, lastDownbeat } or null, energy: { rms, peak } (dBFS), mood: { primaryMood, secondaryMood, songType, emoji, confidence }, onsets: { method, count, times, strength } (new since the previous update) }',
+                    end: '{ type: "end", duration } after stop',
+                    error: '{ type: "error", status, error }, then the connection is closed'
+                }
+            },
+            'POST /api/jobs': {
+                description: 'Queue a long file for analysis in the background (202 Accepted, Location: /api/jobs/:id); needs a long-running server, not a serverless function',
+                body: {
+                    audio: 'Audio file (multipart/form-data)',
+                    type: 'Optional job type: analyze (default, as POST /api/analyze), beats (as POST /api/beats) or onsets (as POST /api/onsets)',
+                    engine: 'Optional analysis engine, as for the synchronous endpoint',
+                    channels: 'Optional channel strategy, as for the synchronous endpoint',
+                    method: 'Optional onset parameters (onsets jobs): method, threshold, multiplier, window, minInterval'
+                },
+                response: {
+                    success: 'boolean',
+                    job: 'object (see GET /api/jobs/:id)'
+                }
+            },
+            'GET /api/jobs/:id': {
+                description: 'Status, progress and result of a job (404 for unknown or expired jobs)',
+                response: {
+                    success: 'boolean',
+                    job: {
+                        id: 'string',
+                        type: 'string (analyze, beats or onsets)',
+                        status: 'string (queued, running, completed, failed or cancelled)',
+                        progress: 'number (0-100)',
+                        stage: 'string (last finished step, e.g. decoding, bpm, mood) or null',
+                        fileName: 'string',
+                        fileSize: 'number',
+                        createdAt: 'string (ISO 8601)',
+                        updatedAt: 'string (ISO 8601)',
+                        result: 'object (completed jobs): { fileName, fileSize, audio } plus analysis, beats or onsets, as in the synchronous response',
+                        error: 'object (failed jobs): { message, status }'
+                    }
+                }
+            },
+            'GET /api/jobs/:id/events': {
+                description: 'Progress of a job as Server-Sent Events (text/event-stream); the stream ends with the final event (404 for unknown jobs)',
+                events: {
+                    status: 'The job (as in GET /api/jobs/:id): sent first, when it starts running and on progress seen in a shared store',
+                    decoding: '{ stage, progress, channel: null, result: { format, sampleRate, channels, duration } }',
+                    '<step>': 'One per finished analysis step (bpm, beats, danceability, mood, key, structure, loudness, ...): { stage, progress, channel, result } with the partial result',
+                    completed: 'The job with its result',
+                    failed: 'The job with its error',
+                    cancelled: 'The job'
+                }
+            },
+            'DELETE /api/jobs/:id': {
+                description: 'Cancel a queued or running job (kept as cancelled), or delete a finished one',
+                response: {
+                    success: 'boolean',
+                    job: 'object (the job as it was left; deleted: true for a finished job)'
+                }
+            },
+            'POST /api/tag': {
+                description: 'Write the detected BPM, key and mood into the tags of an audio file and return the tagged copy',
+                body: {
+                    audio: 'Audio file (multipart/form-data): MP3 (ID3v2 TBPM, TKEY, TXXX:MOOD), FLAC or Ogg Vorbis (Vorbis comments BPM, INITIALKEY, MOOD) or WAV (RIFF INFO IBPM, IMKY, IMOO)',
+                    mode: 'Optional (also as ?mode=): preserve (default, a value the file already has is kept) or overwrite',
+                    engine: 'Optional analysis engine: builtin (default) or essentia',
+                    channels: 'Optional channel strategy: mid (default downmix), left, right, side or per-channel'
+                },
+                headers: {
+                    'X-Cache': 'HIT (analysis from the result cache, shared with POST /api/analyze) or MISS',
+                    'X-Tags-Written': 'Comma-separated values written: bpm, key, mood',
+                    'X-Tags-Preserved': 'Comma-separated values the file already had and kept'
+                },
+                response: 'The tagged file as a download under its uploaded name; everything but the three values is copied unchanged'
+            },
+            'GET /api/export/:format': {
+                description: 'Export the results of completed analyze jobs as a file download',
+                params: {
+                    format: 'json (full results), csv (one row per file), html (printable report), rekordbox (Rekordbox XML), traktor (Traktor NML), serato (Serato crate) or serato-tags (JSON of the ID3 frames Serato reads: TBPM, TKEY and the Serato BeatGrid / Markers2 GEOB objects)'
+                },
+                query: {
+                    jobs: 'Comma-separated ids of completed analyze jobs',
+                    folder: 'Optional, DJ formats: the folder the files are in on the DJ\'s computer (e.g. /Users/me/Music or C:\\Music); DJ software finds tracks by their location',
+                    playlist: 'Optional, DJ formats: name of the playlist or crate (default: Audio Analysis)'
+                },
+                response: 'The export file: beat grid markers on downbeats and the song sections as cues (the first eight as hot cues) in the DJ formats; a corrected beat grid (analysis.correctedBeats) wins over the detected one'
+            },
+            'DELETE /api/cache': {
+                description: 'Purge the result cache of POST /api/analyze, /api/beats and /api/onsets',
+                query: {
+                    hash: 'Optional hex SHA-256 of an audio file: only purge the results of that file'
+                },
+                response: {
+                    success: 'boolean',
+                    removed: 'number (entries removed)'
                 }
             },
             'GET /api/health': {
@@ -200,16 +932,37 @@ app.get('/api/docs', (req, res) => {
                     timestamp: 'string'
                 }
             }
+        },
+        errors: {
+            400: 'No audio file provided, or unknown engine / channel strategy / onset parameter / job type / export format / tag mode, or an invalid cache hash',
+            404: 'Unknown or expired job',
+            409: 'Exported job not completed yet',
+            413: 'Upload larger than the streaming limit (2GB)',
+            415: 'Unsupported audio container or codec, or a container tags cannot be written into (POST /api/tag: MP3 with ID3v2.3/2.4 or no tag, FLAC, Ogg Vorbis and WAV only)',
+            422: 'Audio data could not be decoded, or the channel strategy does not fit the file',
+            500: 'Analysis failed'
         }
     });
 });
 
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
     console.log(`🚀 Audio Analysis API server running on http://localhost:${PORT}`);
     console.log(`📁 Web interface: http://localhost:${PORT}`);
     console.log(`🔗 API endpoints:`);
     console.log(`   - POST /api/analyze (single file)`);
     console.log(`   - POST /api/analyze-multiple (multiple files)`);
+    console.log(`   - POST /api/beats (beat tracking)`);
+    console.log(`   - POST /api/onsets (onset detection)`);
+    console.log(`   - POST /api/tag (write BPM, key and mood into the file's tags)`);
+    console.log(`   - POST /api/jobs, GET/DELETE /api/jobs/:id (background analysis jobs)`);
+    console.log(`   - GET /api/jobs/:id/events (job progress as Server-Sent Events)`);
+    console.log(`   - POST /api/stream (streaming analysis of long files)`);
+    console.log(`   - WS /api/live (live analysis of streamed PCM)`);
+    console.log(`   - GET /api/export/:format (export job results: json, csv, html, rekordbox, traktor, serato)`);
+    console.log(`   - DELETE /api/cache (purge cached results)`);
     console.log(`   - GET /api/health (health check)`);
     console.log(`   - GET /api/docs (API documentation)`);
 });
+
+// WebSocket upgrades of /api/live
+attachLiveAnalysis(server);
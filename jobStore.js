@@ -0,0 +1,170 @@
+// Job store module
+// Keeps the state of asynchronous analysis jobs. Two interchangeable stores share the
+// same async interface (create, get, update, remove, list): MemoryJobStore for a single
+// long-running server, FileJobStore for state that outlives the process or is shared by
+// several processes through a common directory.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+
+// Job ids are UUIDs; anything else is an unknown job (and never touches the file system)
+const JOB_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+// Where FileJobStore keeps its job files unless told otherwise
+const DEFAULT_JOB_DIRECTORY = path.join(os.tmpdir(), 'audio-analysis-jobs');
+
+function createJobId() {
+    return crypto.randomUUID();
+}
+
+function isJobId(id) {
+    return typeof id === 'string' && JOB_ID_PATTERN.test(id);
+}
+
+// Jobs in a Map, for a single server process
+class MemoryJobStore {
+    constructor() {
+        this.jobs = new Map();
+    }
+
+    async create(fields) {
+        const now = new Date().toISOString();
+        const job = Object.assign({ id: createJobId(), createdAt: now, updatedAt: now }, fields);
+        this.jobs.set(job.id, job);
+        return Object.assign({}, job);
+    }
+
+    async get(id) {
+        const job = this.jobs.get(id);
+        return job ? Object.assign({}, job) : null;
+    }
+
+    // Merge `changes` into the job; null when there is no such job, or when `expectedStatus`
+    // is given and the job is no longer in it
+    async update(id, changes, expectedStatus) {
+        const job = this.jobs.get(id);
+        if (!job || (expectedStatus && job.status !== expectedStatus)) return null;
+
+        Object.assign(job, changes, { updatedAt: new Date().toISOString() });
+        return Object.assign({}, job);
+    }
+
+    async remove(id) {
+        return this.jobs.delete(id);
+    }
+
+    async list() {
+        return Array.from(this.jobs.values(), job => Object.assign({}, job));
+    }
+}
+
+// One JSON file per job in `directory`; writes go through a temporary file and a rename,
+// so a reader never sees half a job
+class FileJobStore {
+    constructor(directory = DEFAULT_JOB_DIRECTORY) {
+        this.directory = directory;
+        this.ready = null;
+        // Read-modify-write updates of the same job run one after the other
+        this.pending = new Map();
+    }
+
+    jobPath(id) {
+        return path.join(this.directory, `${id}.json`);
+    }
+
+    async ensureDirectory() {
+        if (!this.ready) {
+            this.ready = fs.promises.mkdir(this.directory, { recursive: true });
+        }
+        return this.ready;
+    }
+
+    async write(job) {
+        await this.ensureDirectory();
+        const temporary = `${this.jobPath(job.id)}.${process.pid}.tmp`;
+        await fs.promises.writeFile(temporary, JSON.stringify(job));
+        await fs.promises.rename(temporary, this.jobPath(job.id));
+    }
+
+    async create(fields) {
+        const now = new Date().toISOString();
+        const job = Object.assign({ id: createJobId(), createdAt: now, updatedAt: now }, fields);
+        await this.write(job);
+        return job;
+    }
+
+    async get(id) {
+        if (!isJobId(id)) return null;
+
+        try {
+            return JSON.parse(await fs.promises.readFile(this.jobPath(id), 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    }
+
+    // Merge `changes` into the job; null when there is no such job, or when `expectedStatus`
+    // is given and the job is no longer in it
+    async update(id, changes, expectedStatus) {
+        const previous = this.pending.get(id) || Promise.resolve();
+        const next = previous.catch(() => {}).then(async () => {
+            const job = await this.get(id);
+            if (!job || (expectedStatus && job.status !== expectedStatus)) return null;
+
+            Object.assign(job, changes, { updatedAt: new Date().toISOString() });
+            await this.write(job);
+            return job;
+        });
+
+        this.pending.set(id, next);
+        next.catch(() => {}).then(() => {
+            if (this.pending.get(id) === next) this.pending.delete(id);
+        });
+        return next;
+    }
+
+    async remove(id) {
+        if (!isJobId(id)) return false;
+
+        try {
+            await fs.promises.unlink(this.jobPath(id));
+            return true;
+        } catch (error) {
+            if (error.code === 'ENOENT') return false;
+            throw error;
+        }
+    }
+
+    async list() {
+        await this.ensureDirectory();
+        const ids = (await fs.promises.readdir(this.directory))
+            .filter(name => name.endsWith('.json'))
+            .map(name => name.slice(0, -'.json'.length));
+
+        const jobs = await Promise.all(ids.map(id => this.get(id)));
+        return jobs.filter(Boolean);
+    }
+}
+
+// Store picked by the JOB_STORE environment variable: memory (default) or file
+// (in JOB_STORE_DIR, by default a directory under the system temp dir)
+function createJobStore(options = {}) {
+    const type = options.type || process.env.JOB_STORE || 'memory';
+
+    switch (type) {
+        case 'memory':
+            return new MemoryJobStore();
+        case 'file':
+            return new FileJobStore(options.directory || process.env.JOB_STORE_DIR || DEFAULT_JOB_DIRECTORY);
+        default:
+            throw new Error(`Unknown job store "${type}" (expected memory or file)`);
+    }
+}
+
+module.exports = {
+    MemoryJobStore,
+    FileJobStore,
+    createJobStore
+};
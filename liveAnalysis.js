@@ -0,0 +1,156 @@
+// Live analysis over WebSockets
+// Radio streams and DJ sets never end, so they cannot be uploaded: clients send the raw
+// PCM to ws://<host>/api/live as it plays and get a rolling update every few seconds.
+//
+// Client → server:
+//   { "type": "start", "format": { "encoding", "sampleRate", "channels" }, "options": { ... } }
+//   binary messages of interleaved PCM in the declared format
+//   { "type": "stop" } once the audio ends
+// Server → client:
+//   { type: 'ready', format, options }   the stream is accepted
+//   { type: 'update', time, window, bpm, energy, mood, onsets }   every updateInterval seconds
+//   { type: 'end', duration }   after stop (preceded by the update for the rest of the audio)
+//   { type: 'error', status, error }   then the connection is closed
+const { WebSocketServer } = require('ws');
+
+const LIVE_PATH = '/api/live';
+
+// Largest single WebSocket message (a second of 8-channel 192 kHz f64le PCM is ~12 MB,
+// clients send far smaller chunks)
+const MAX_MESSAGE_BYTES = 4 * 1024 * 1024;
+
+// Audio waiting for the analysis; beyond this the socket stops reading until it catches up
+const MAX_PENDING_BYTES = 16 * 1024 * 1024;
+
+// WebSocket close codes: normal, message against the protocol, failure on our side
+const CLOSE_NORMAL = 1000;
+const CLOSE_POLICY = 1008;
+const CLOSE_ERROR = 1011;
+
+// Accept live analysis connections on `server` (the http.Server the app listens on)
+function attachLiveAnalysis(server) {
+    const wss = new WebSocketServer({ noServer: true, maxPayload: MAX_MESSAGE_BYTES });
+
+    server.on('upgrade', (req, socket, head) => {
+        const { pathname } = new URL(req.url, 'http://localhost');
+        if (pathname !== LIVE_PATH) {
+            socket.destroy();
+            return;
+        }
+        wss.handleUpgrade(req, socket, head, ws => handleConnection(ws));
+    });
+
+    return wss;
+}
+
+function handleConnection(ws) {
+    let analyzer = null;
+    let stopped = false;
+    let duration = 0;
+    let pendingBytes = 0;
+    let paused = false;
+    // Messages are handled one after the other, in the order they arrived
+    let queue = Promise.resolve();
+
+    const send = message => {
+        if (ws.readyState === ws.OPEN) ws.send(JSON.stringify(message));
+    };
+
+    const fail = (error) => {
+        if (stopped) return;
+        stopped = true;
+        send({ type: 'error', status: error.status || 500, error: error.message || 'Live analysis failed' });
+        ws.close(error.status && error.status < 500 ? CLOSE_POLICY : CLOSE_ERROR);
+    };
+
+    const sendUpdate = update => {
+        if (!update) return;
+        duration = update.time;
+        send(Object.assign({ type: 'update' }, update));
+    };
+
+    const start = (message) => {
+        if (analyzer) throw protocolError('The stream has already been started');
+
+        const { createLiveAnalyzer } = require('./audioAnalyzer');
+        const format = Object.assign({ encoding: 's16le' }, message.format);
+        const options = Object.assign({}, message.options);
+        analyzer = createLiveAnalyzer(format, options);
+
+        console.log(`Live analysis started: ${format.encoding}, ${format.sampleRate} Hz, ${format.channels} channel(s)`);
+        send({ type: 'ready', format: format, options: options });
+    };
+
+    const stop = async () => {
+        if (!analyzer) throw protocolError('The stream has not been started');
+
+        sendUpdate(await analyzer.finish());
+        stopped = true;
+        send({ type: 'end', duration: duration });
+        ws.close(CLOSE_NORMAL);
+    };
+
+    ws.on('message', (data, isBinary) => {
+        if (stopped) return;
+
+        if (isBinary) {
+            pendingBytes += data.length;
+            if (pendingBytes > MAX_PENDING_BYTES && !paused) {
+                paused = true;
+                ws.pause();
+            }
+        }
+
+        queue = queue.then(async () => {
+            if (stopped) return;
+
+            if (isBinary) {
+                pendingBytes -= data.length;
+                if (paused && pendingBytes <= MAX_PENDING_BYTES / 2) {
+                    paused = false;
+                    ws.resume();
+                }
+                if (!analyzer) throw protocolError('Send the start message before any audio');
+                return sendUpdate(await analyzer.push(data));
+            }
+
+            const message = parseMessage(data);
+            if (message.type === 'start') return start(message);
+            if (message.type === 'stop') return stop();
+            throw protocolError(`Unknown message type "${message.type}" (expected start or stop)`);
+        }).catch(error => {
+            if (!error.status) console.error('Live analysis error:', error);
+            fail(error);
+        });
+    });
+
+    ws.on('error', error => console.error('Live analysis connection error:', error));
+    ws.on('close', () => {
+        stopped = true;
+        if (analyzer) console.log('Live analysis ended');
+    });
+}
+
+function parseMessage(data) {
+    let message;
+    try {
+        message = JSON.parse(data.toString('utf8'));
+    } catch (error) {
+        throw protocolError('Text messages must be JSON');
+    }
+    if (!message || typeof message !== 'object') {
+        throw protocolError('Text messages must be JSON objects');
+    }
+    return message;
+}
+
+function protocolError(message) {
+    const error = new Error(message);
+    error.status = 400;
+    return error;
+}
+
+module.exports = {
+    LIVE_PATH,
+    attachLiveAnalysis
+};
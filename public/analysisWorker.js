@@ -0,0 +1,99 @@
+// Analysis worker: runs the shared analysis core off the main thread.
+// Pool tasks (see workerPool.js) arrive as { id, type, ... } and are answered with
+// { id, result } or { id, error }; 'analyze' and 'essentia-analyze' (the Essentia.js
+// engine) also report { id, progress: { fraction, stage } } after every step. The live
+// input mode starts a worker of its own with 'live-start' and gets
+// { type: 'live-update', result } or { type: 'live-error', error } back per block.
+importScripts(
+    'shared/fft.js',
+    'shared/resampler.js',
+    'shared/beatTracker.js',
+    'shared/tempoMap.js',
+    'shared/keyDetector.js',
+    'shared/loudnessMeter.js',
+    'shared/structureAnalyzer.js',
+    'shared/featureStream.js',
+    'shared/overview.js',
+    'shared/analysisCore.js'
+);
+
+// Where the server exposes the essentia.js browser build (as in script.js)
+const ESSENTIA_BASE_URL = '/vendor/essentia.js';
+
+// The Essentia.js instance of this worker, loaded with the first 'essentia-analyze' task.
+// The page's build (essentia-wasm.web.js) only runs in a window; the UMD build also runs
+// in workers, carries its WASM inline and compiles it synchronously (fine off the main
+// thread). It hands its module to `exports`, which a worker has to provide.
+let essentia = null;
+
+function loadEssentia() {
+    if (!essentia) {
+        self.exports = {};
+        importScripts(
+            `${ESSENTIA_BASE_URL}/essentia-wasm.umd.js`,
+            `${ESSENTIA_BASE_URL}/essentia.js-core.js`
+        );
+        essentia = new Essentia(self.exports.EssentiaWASM);
+    }
+    return essentia;
+}
+
+// Live input: the rolling analysis and its queue of audio blocks
+let liveAnalysis = null;
+let liveQueue = Promise.resolve();
+
+self.onmessage = async function(e) {
+    const { id, type, audioData, sampleRate, options } = e.data;
+
+    if (type === 'live-start') {
+        // Audio blocks come straight from the capture worklet through e.data.port
+        liveAnalysis = AudioAnalysisCore.createLiveAnalysis(
+            sampleRate, options.channelCount, options.channels, options);
+        // A block that fails is reported and skipped; the blocks after it still get analysed
+        e.data.port.onmessage = (message) => {
+            liveQueue = liveQueue.then(async () => {
+                const update = await liveAnalysis.push(message.data.channels);
+                if (update) self.postMessage({ type: 'live-update', result: update });
+            }).catch(error => {
+                const reason = error.message || 'Live analysis failed';
+                self.postMessage({ type: 'live-error', error: reason });
+            });
+        };
+        return;
+    }
+
+    // Progress of the analysis engines, after every step
+    const onProgress = (fraction, stage) => {
+        self.postMessage({ id: id, progress: { fraction: fraction, stage: stage } });
+    };
+
+    try {
+        let result;
+        switch (type) {
+            case 'analyze':
+                // Built-in engine on one mono signal: BPM, beats, danceability, mood, key,
+                // structure
+                result = await AudioAnalysisCore.analyzeAudioData(audioData, sampleRate,
+                    Object.assign({}, options, { onProgress: onProgress }));
+                break;
+            case 'essentia-analyze':
+                // Essentia.js engine on one mono signal (same result shape as 'analyze')
+                result = await AudioAnalysisCore.analyzeWithEssentia(loadEssentia(), audioData,
+                    sampleRate, Object.assign({}, options, { onProgress: onProgress }));
+                break;
+            case 'overview':
+                // Waveform, spectrogram and onsets for the results view
+                result = await AudioAnalysisCore.analyzeOverviewData(audioData, sampleRate);
+                break;
+            case 'loudness':
+                // audioData holds every channel here
+                result = AudioAnalysisCore.analyzeLoudness(audioData, sampleRate);
+                break;
+            default:
+                throw new Error(`Unknown analysis task "${type}"`);
+        }
+        self.postMessage({ id: id, result: result });
+    } catch (error) {
+        self.postMessage({ id: id, error: error.message || 'Analysis failed' });
+    }
+};
@@ -0,0 +1,343 @@
+// Beat player module
+// Plays an analysed file with an optional metronome click on its beat grid, so the
+// detected tempo can be checked by ear, and corrects the grid: tap along (the taps set the
+// tempo and the first one lands on a downbeat), halve or double it, or go back to the
+// detected one. Clicks are scheduled a little ahead on the audio clock, so they stay on
+// the beat however busy the page is.
+// Loaded as a plain <script> in the page (global: AudioBeatPlayer).
+(function (root) {
+    'use strict';
+
+    // Click scheduling: how often the scheduler runs and how far ahead it schedules, in seconds
+    const SCHEDULE_INTERVAL = 0.025;
+    const SCHEDULE_AHEAD = 0.1;
+
+    // Click sound: a short sine burst, higher and louder on the downbeats
+    const CLICK_LENGTH = 0.03;
+    const CLICK_FREQUENCY = 1000;
+    const DOWNBEAT_CLICK_FREQUENCY = 1600;
+    const CLICK_GAIN = 0.5;
+    const DOWNBEAT_CLICK_GAIN = 0.8;
+
+    // Tap tempo: taps needed for a tempo, and the pause after which tapping starts over
+    const MIN_TAPS = 4;
+    const TAP_RESET_SECONDS = 2;
+
+    // Tempo range of corrected grids (half/double buttons and tapping)
+    const MIN_GRID_BPM = 40;
+    const MAX_GRID_BPM = 300;
+
+    // Beats per bar of tapped grids (as in the beat tracker)
+    const BEATS_PER_BAR = 4;
+
+    // The player playing right now; starting another one stops it
+    let activePlayer = null;
+
+    function round(value, digits) {
+        return Math.round(value * Math.pow(10, digits)) / Math.pow(10, digits);
+    }
+
+    function positiveModulo(value, divisor) {
+        return (value % divisor + divisor) % divisor;
+    }
+
+    function formatTime(seconds) {
+        const minutes = Math.floor(seconds / 60);
+        const rest = Math.floor(seconds - minutes * 60);
+        return `${minutes}:${rest < 10 ? '0' : ''}${rest}`;
+    }
+
+    // Beat grid in the shape of the beat tracker's (bpm, count, beatsPerBar, times,
+    // downbeats), with `correction` saying how it was made
+    function describeGrid(times, downbeats, beatsPerBar, correction) {
+        return {
+            bpm: times.length > 1 ? round(60 * (times.length - 1) / (times[times.length - 1] - times[0]), 1) : 0,
+            count: times.length,
+            beatsPerBar: beatsPerBar,
+            times: times.map(time => round(time, 3)),
+            downbeats: downbeats.map(time => round(time, 3)),
+            correction: correction
+        };
+    }
+
+    // Index of the grid's first downbeat in its beats (0 when it has none)
+    function firstDownbeatIndex(beats) {
+        const index = beats.downbeats && beats.downbeats.length > 0 ? beats.times.indexOf(beats.downbeats[0]) : -1;
+        return Math.max(0, index);
+    }
+
+    // Every other beat, keeping the downbeats' beats; a bar spans twice the time
+    function halveBeatGrid(beats) {
+        const beatsPerBar = beats.beatsPerBar || BEATS_PER_BAR;
+        const first = firstDownbeatIndex(beats);
+        const times = beats.times.filter((time, i) => positiveModulo(i - first, 2) === 0);
+        const firstKept = Math.floor(first / 2);
+        const downbeats = times.filter((time, i) => positiveModulo(i - firstKept, beatsPerBar) === 0);
+        return describeGrid(times, downbeats, beatsPerBar, 'half');
+    }
+
+    // A beat between every two beats; a bar spans half the time
+    function doubleBeatGrid(beats) {
+        const beatsPerBar = beats.beatsPerBar || BEATS_PER_BAR;
+        const first = firstDownbeatIndex(beats);
+        const times = [];
+        beats.times.forEach((time, i) => {
+            times.push(time);
+            if (i + 1 < beats.times.length) times.push((time + beats.times[i + 1]) / 2);
+        });
+        const downbeats = times.filter((time, i) => positiveModulo(i - 2 * first, beatsPerBar) === 0);
+        return describeGrid(times, downbeats, beatsPerBar, 'double');
+    }
+
+    // Straight line through the taps (times in seconds, one per beat): the beat period and
+    // the time of the first beat
+    function fitTaps(taps) {
+        const count = taps.length;
+        const meanIndex = (count - 1) / 2;
+        const meanTime = taps.reduce((sum, time) => sum + time, 0) / count;
+        let covariance = 0;
+        let variance = 0;
+        taps.forEach((time, i) => {
+            covariance += (i - meanIndex) * (time - meanTime);
+            variance += (i - meanIndex) * (i - meanIndex);
+        });
+        const period = covariance / variance;
+        return { period: period, anchor: meanTime - period * meanIndex };
+    }
+
+    // Even grid over the whole file from taps made while it played: their tempo, in phase
+    // with them, the first tap on a downbeat
+    function beatGridFromTaps(taps, duration) {
+        const { period, anchor } = fitTaps(taps);
+        const firstBeat = -Math.floor(anchor / period);
+        const times = [];
+        const downbeats = [];
+        for (let beat = firstBeat; anchor + beat * period <= duration; beat++) {
+            const time = anchor + beat * period;
+            times.push(time);
+            if (positiveModulo(beat, BEATS_PER_BAR) === 0) downbeats.push(time);
+        }
+        return describeGrid(times, downbeats, BEATS_PER_BAR, 'tap');
+    }
+
+    // Even grid at `bpm` over the whole file, through the first downbeat of `beats` (for taps
+    // made while the file was not playing, which give a tempo but no phase)
+    function rescaleBeatGrid(beats, bpm, duration) {
+        const period = 60 / bpm;
+        const anchor = beats.downbeats && beats.downbeats.length > 0 ? beats.downbeats[0] : (beats.times[0] || 0);
+        return beatGridFromTaps([anchor, anchor + period], duration);
+    }
+
+    function createGridLabel(beats, detected) {
+        if (!beats.correction) return `🥁 ${beats.bpm} BPM grid (detected)`;
+        const how = { tap: 'tapped', half: 'halved', double: 'doubled' }[beats.correction];
+        return `🥁 ${beats.bpm} BPM grid (${how}; detected ${detected.bpm} BPM)`;
+    }
+
+    // Player for one file: `audioBuffer` is its decoded audio and `beats` the grid to start
+    // from (the detected one, or an earlier correction when options.detectedBeats holds the
+    // detected one). options.onBeatsChange(beats) gets every corrected grid (null after a
+    // reset) and options.onPosition(time) the playback position on every frame (null when
+    // back at the start). Returns the element, plus seek(time) and stop().
+    function createBeatPlayer(audioContext, audioBuffer, beats, options = {}) {
+        const detectedBeats = options.detectedBeats || beats;
+        let grid = beats;
+
+        const element = document.createElement('div');
+        element.className = 'beat-player';
+        element.innerHTML = `
+            <button type="button" class="player-play">▶️ Play</button>
+            <span class="player-time"></span>
+            <label class="player-click"><input type="checkbox" checked> 🔔 Click</label>
+            <span class="player-grid-buttons">
+                <button type="button" class="player-tap" title="Tap along from a downbeat while the file plays">👆 Tap</button>
+                <button type="button" data-grid="half" title="Half the tempo">½×</button>
+                <button type="button" data-grid="double" title="Double the tempo">2×</button>
+                <button type="button" data-grid="reset" title="Back to the detected grid">↺ Reset</button>
+            </span>
+            <span class="player-grid"></span>
+        `;
+
+        const playButton = element.querySelector('.player-play');
+        const timeLabel = element.querySelector('.player-time');
+        const clickToggle = element.querySelector('.player-click input');
+        const tapButton = element.querySelector('.player-tap');
+        const halfButton = element.querySelector('[data-grid="half"]');
+        const doubleButton = element.querySelector('[data-grid="double"]');
+        const resetButton = element.querySelector('[data-grid="reset"]');
+        const gridLabel = element.querySelector('.player-grid');
+
+        const duration = audioBuffer.duration;
+        // Where playback starts (paused) or started (playing), in file seconds
+        let offset = 0;
+        // The audio clock time matching `offset` while playing
+        let startedAt = 0;
+        let source = null;
+        let scheduler = null;
+        let animation = null;
+        // Next beat of the grid to schedule a click for
+        let nextBeat = 0;
+        let taps = [];
+        let tapsWhilePlaying = false;
+        let lastTapAt = -Infinity;
+
+        const isPlaying = () => source !== null;
+        const position = () => isPlaying() ? Math.min(duration, offset + audioContext.currentTime - startedAt) : offset;
+
+        function updateControls() {
+            playButton.textContent = isPlaying() ? '⏸️ Pause' : '▶️ Play';
+            timeLabel.textContent = `${formatTime(position())} / ${formatTime(duration)}`;
+            gridLabel.textContent = taps.length > 0 && taps.length < MIN_TAPS
+                ? `👆 ${taps.length}/${MIN_TAPS} taps...`
+                : createGridLabel(grid, detectedBeats);
+            halfButton.disabled = grid.count < 2 || grid.bpm / 2 < MIN_GRID_BPM;
+            doubleButton.disabled = grid.count < 2 || grid.bpm * 2 > MAX_GRID_BPM;
+            resetButton.disabled = grid === detectedBeats;
+        }
+
+        function findNextBeat(time) {
+            let index = 0;
+            while (index < grid.times.length && grid.times[index] < time) index++;
+            return index;
+        }
+
+        function scheduleClick(when, downbeat) {
+            const oscillator = audioContext.createOscillator();
+            const gain = audioContext.createGain();
+            oscillator.frequency.value = downbeat ? DOWNBEAT_CLICK_FREQUENCY : CLICK_FREQUENCY;
+            gain.gain.setValueAtTime(downbeat ? DOWNBEAT_CLICK_GAIN : CLICK_GAIN, when);
+            gain.gain.exponentialRampToValueAtTime(0.001, when + CLICK_LENGTH);
+            oscillator.connect(gain);
+            gain.connect(audioContext.destination);
+            oscillator.start(when);
+            oscillator.stop(when + CLICK_LENGTH);
+        }
+
+        // Clicks for the beats coming up in the next SCHEDULE_AHEAD seconds
+        function scheduleClicks() {
+            const horizon = position() + SCHEDULE_AHEAD;
+            const downbeats = new Set(grid.downbeats);
+            while (nextBeat < grid.times.length && grid.times[nextBeat] < horizon) {
+                const time = grid.times[nextBeat++];
+                if (clickToggle.checked) {
+                    scheduleClick(Math.max(audioContext.currentTime, startedAt + time - offset), downbeats.has(time));
+                }
+            }
+        }
+
+        function animate() {
+            animation = requestAnimationFrame(animate);
+            updateControls();
+            if (options.onPosition) options.onPosition(position());
+        }
+
+        async function play() {
+            await audioContext.resume();
+            if (offset >= duration) offset = 0;
+
+            source = audioContext.createBufferSource();
+            source.buffer = audioBuffer;
+            source.connect(audioContext.destination);
+            source.onended = () => {
+                // Only the end of the file, not stop()
+                if (source && position() >= duration - 0.05) halt(0);
+            };
+            startedAt = audioContext.currentTime;
+            source.start(startedAt, offset);
+
+            nextBeat = findNextBeat(offset);
+            scheduleClicks();
+            scheduler = setInterval(scheduleClicks, SCHEDULE_INTERVAL * 1000);
+            animation = requestAnimationFrame(animate);
+            if (activePlayer && activePlayer !== player) activePlayer.stop();
+            activePlayer = player;
+            updateControls();
+        }
+
+        // Stop playing and wait at `time`
+        function halt(time) {
+            if (source) {
+                const playing = source;
+                source = null;
+                playing.onended = null;
+                playing.stop();
+            }
+            clearInterval(scheduler);
+            cancelAnimationFrame(animation);
+            offset = time;
+            updateControls();
+            if (options.onPosition) options.onPosition(time > 0 ? time : null);
+        }
+
+        function setGrid(newBeats) {
+            grid = newBeats;
+            if (isPlaying()) nextBeat = findNextBeat(position() + SCHEDULE_AHEAD);
+            updateControls();
+            if (options.onBeatsChange) options.onBeatsChange(grid === detectedBeats ? null : grid);
+        }
+
+        // Taps are timed on the audio clock, as the heard position when playing (the
+        // output latency back) and as plain clock time otherwise
+        // Tapping on after MIN_TAPS keeps refining the same grid.
+        function tap() {
+            const now = audioContext.currentTime;
+            if (now - lastTapAt > TAP_RESET_SECONDS || tapsWhilePlaying !== isPlaying()) taps = [];
+            lastTapAt = now;
+            tapsWhilePlaying = isPlaying();
+
+            const latency = (audioContext.outputLatency || 0) + (audioContext.baseLatency || 0);
+            taps.push(tapsWhilePlaying ? position() - latency : now);
+
+            // Taps outside the tempo range (or all at once) make no grid
+            const bpm = taps.length >= MIN_TAPS ? 60 / fitTaps(taps).period : 0;
+            if (bpm >= MIN_GRID_BPM && bpm <= MAX_GRID_BPM) {
+                setGrid(tapsWhilePlaying ? beatGridFromTaps(taps, duration) : rescaleBeatGrid(grid, bpm, duration));
+            } else {
+                updateControls();
+            }
+        }
+
+        playButton.addEventListener('click', () => {
+            if (isPlaying()) {
+                halt(position());
+            } else {
+                play();
+            }
+        });
+        tapButton.addEventListener('click', tap);
+        // The buttons start a new grid, so tapping starts over after them
+        const setGridFromButton = newBeats => {
+            taps = [];
+            setGrid(newBeats);
+        };
+        halfButton.addEventListener('click', () => setGridFromButton(halveBeatGrid(grid)));
+        doubleButton.addEventListener('click', () => setGridFromButton(doubleBeatGrid(grid)));
+        resetButton.addEventListener('click', () => setGridFromButton(detectedBeats));
+
+        const player = {
+            element: element,
+
+            // Jump to `time` (seconds), playing on from there if playing
+            seek(time) {
+                const playing = isPlaying();
+                halt(Math.max(0, Math.min(duration, time)));
+                if (playing) play();
+            },
+
+            stop() {
+                if (isPlaying()) halt(position());
+                if (activePlayer === player) activePlayer = null;
+            }
+        };
+
+        updateControls();
+        return player;
+    }
+
+    root.AudioBeatPlayer = {
+        halveBeatGrid,
+        doubleBeatGrid,
+        beatGridFromTaps,
+        createBeatPlayer
+    };
+})(typeof self !== 'undefined' ? self : this);
@@ -0,0 +1,59 @@
+// AudioWorklet processor for the live input mode: gathers the input's 128-frame render
+// quanta into blocks of about 100 ms and posts each block (one Float32Array per channel)
+// to the port handed over in the 'connect' message, which leads to the analysis worker.
+// The main thread gets a single 'started' message with the context time of the first frame.
+
+// Length of a posted block in seconds
+const BLOCK_DURATION = 0.1;
+
+class LiveCaptureProcessor extends AudioWorkletProcessor {
+    constructor() {
+        super();
+        this.target = null;
+        this.running = true;
+        this.started = false;
+        this.blockSize = Math.round(BLOCK_DURATION * sampleRate);
+        this.block = null;
+        this.filled = 0;
+
+        this.port.onmessage = (e) => {
+            if (e.data.type === 'connect') this.target = e.data.port;
+            if (e.data.type === 'stop') this.running = false;
+        };
+    }
+
+    process(inputs) {
+        // An input without channels (nothing connected yet, or a track that went silent) is skipped
+        const input = inputs[0];
+        if (!this.target || !input || input.length === 0) return this.running;
+
+        if (!this.started) {
+            this.started = true;
+            this.port.postMessage({ type: 'started', time: currentTime });
+        }
+
+        let offset = 0;
+        while (offset < input[0].length) {
+            if (!this.block) {
+                this.block = input.map(() => new Float32Array(this.blockSize));
+                this.filled = 0;
+            }
+
+            const count = Math.min(input[0].length - offset, this.blockSize - this.filled);
+            input.forEach((channel, i) => {
+                if (this.block[i]) this.block[i].set(channel.subarray(offset, offset + count), this.filled);
+            });
+            this.filled += count;
+            offset += count;
+
+            if (this.filled === this.blockSize) {
+                this.target.postMessage({ channels: this.block }, this.block.map(channel => channel.buffer));
+                this.block = null;
+            }
+        }
+
+        return this.running;
+    }
+}
+
+registerProcessor('live-capture', LiveCaptureProcessor);
@@ -0,0 +1,342 @@
+// Overview view module
+// Draws a file's overview (AudioAnalysisCore.analyzeOverviewData) in the results: the
+// waveform with the detected onsets, the log-frequency spectrogram, and the tracked beats
+// and downbeats across both. The view zooms (buttons, Ctrl/⌘ + wheel) and scrolls
+// (slider, dragging, horizontal wheel); only the visible stretch is drawn. A playhead
+// follows playback, and a click (without dragging) seeks there.
+// Loaded as a plain <script> in the page (global: AudioOverviewView).
+(function (root) {
+    'use strict';
+
+    // Canvas heights in CSS pixels
+    const WAVEFORM_HEIGHT = 110;
+    const SPECTROGRAM_HEIGHT = 150;
+
+    // Shortest stretch the view zooms in to, in seconds, and the factor of one zoom step
+    const MIN_SPAN = 1;
+    const ZOOM_STEP = 2;
+
+    // Time axis: tick spacing candidates in seconds, and the least room between two labels
+    const TICK_STEPS = [0.1, 0.25, 0.5, 1, 2, 5, 10, 15, 30, 60, 120, 300, 600];
+    const MIN_TICK_PIXELS = 70;
+
+    const COLORS = {
+        waveform: '#667eea',
+        axis: 'rgba(0, 0, 0, 0.45)',
+        beat: 'rgba(255, 255, 255, 0.35)',
+        beatOnWaveform: 'rgba(118, 75, 162, 0.25)',
+        downbeat: '#ff9f43',
+        onset: '#e74c3c'
+    };
+
+    // Spectrogram colours: dark blue through purple and red to pale yellow
+    const PALETTE_STOPS = [
+        [0, [10, 10, 40]],
+        [0.35, [90, 30, 140]],
+        [0.6, [200, 50, 90]],
+        [0.8, [250, 140, 40]],
+        [1, [255, 250, 190]]
+    ];
+    let palette = null;
+
+    function getPalette() {
+        if (!palette) {
+            palette = new Uint8ClampedArray(256 * 3);
+            for (let value = 0; value < 256; value++) {
+                const level = value / 255;
+                let stop = 1;
+                while (stop < PALETTE_STOPS.length - 1 && PALETTE_STOPS[stop][0] < level) stop++;
+                const [fromLevel, from] = PALETTE_STOPS[stop - 1];
+                const [toLevel, to] = PALETTE_STOPS[stop];
+                const mix = (level - fromLevel) / (toLevel - fromLevel);
+                for (let c = 0; c < 3; c++) {
+                    palette[value * 3 + c] = from[c] + (to[c] - from[c]) * mix;
+                }
+            }
+        }
+        return palette;
+    }
+
+    function formatTime(seconds, step) {
+        const minutes = Math.floor(seconds / 60);
+        const rest = seconds - minutes * 60;
+        const secondsText = step < 1 ? rest.toFixed(step < 0.5 ? 2 : 1) : Math.round(rest).toString();
+        return `${minutes}:${rest < 10 ? '0' : ''}${secondsText}`;
+    }
+
+    // Canvas sized to its element's width at the device pixel ratio; returns its 2D context
+    function prepareCanvas(canvas, height) {
+        const ratio = root.devicePixelRatio || 1;
+        const width = Math.max(1, Math.round(canvas.clientWidth * ratio));
+        canvas.width = width;
+        canvas.height = Math.round(height * ratio);
+        const context = canvas.getContext('2d');
+        context.setTransform(ratio, 0, 0, ratio, 0, 0);
+        return context;
+    }
+
+    // Min/max envelope of the waveform points under every pixel column
+    function drawWaveform(context, width, height, waveform, view) {
+        const middle = height / 2;
+        const pointsPerPixel = view.span * waveform.resolution / width;
+        context.fillStyle = COLORS.waveform;
+
+        for (let x = 0; x < width; x++) {
+            const first = Math.floor((view.start + x / width * view.span) * waveform.resolution);
+            const last = Math.max(first + 1, Math.floor(first + pointsPerPixel));
+            if (first >= waveform.max.length) break;
+
+            let low = 0;
+            let high = 0;
+            for (let point = Math.max(0, first); point < Math.min(last, waveform.max.length); point++) {
+                if (waveform.min[point] < low) low = waveform.min[point];
+                if (waveform.max[point] > high) high = waveform.max[point];
+            }
+            const top = middle - high * middle;
+            context.fillRect(x, top, 1, Math.max(1, (high - low) * middle));
+        }
+    }
+
+    // Spectrogram columns: the frame nearest to each pixel's time, lowest band at the bottom
+    function drawSpectrogram(canvas, spectrogram, view) {
+        const context = canvas.getContext('2d');
+        const width = canvas.width;
+        const height = canvas.height;
+        const image = context.createImageData(width, height);
+        const colors = getPalette();
+        const frameCount = spectrogram.values.length / spectrogram.bandCount;
+
+        for (let x = 0; x < width; x++) {
+            const time = view.start + (x + 0.5) / width * view.span;
+            const frame = Math.round((time - spectrogram.timeOffset) * spectrogram.frameRate);
+            const inside = frame >= 0 && frame < frameCount;
+
+            for (let y = 0; y < height; y++) {
+                const band = Math.floor((height - 1 - y) / height * spectrogram.bandCount);
+                const value = inside ? spectrogram.values[frame * spectrogram.bandCount + band] : 0;
+                const pixel = (y * width + x) * 4;
+                image.data[pixel] = colors[value * 3];
+                image.data[pixel + 1] = colors[value * 3 + 1];
+                image.data[pixel + 2] = colors[value * 3 + 2];
+                image.data[pixel + 3] = 255;
+            }
+        }
+        context.putImageData(image, 0, 0);
+    }
+
+    // Beat lines (downbeats highlighted) over the visible stretch
+    function drawBeats(context, width, height, beats, view, beatColor) {
+        if (!beats || !beats.times) return;
+        const downbeats = new Set(beats.downbeats || []);
+
+        beats.times.forEach(time => {
+            if (time < view.start || time > view.start + view.span) return;
+            const x = Math.round((time - view.start) / view.span * width) + 0.5;
+            const downbeat = downbeats.has(time);
+            context.strokeStyle = downbeat ? COLORS.downbeat : beatColor;
+            context.lineWidth = downbeat ? 2 : 1;
+            context.beginPath();
+            context.moveTo(x, 0);
+            context.lineTo(x, height);
+            context.stroke();
+        });
+    }
+
+    // Onsets as ticks hanging from the top edge, as long as they are strong
+    function drawOnsets(context, width, height, onsets, view) {
+        if (!onsets) return;
+        context.strokeStyle = COLORS.onset;
+        context.lineWidth = 1;
+
+        onsets.times.forEach((time, i) => {
+            if (time < view.start || time > view.start + view.span) return;
+            const x = Math.round((time - view.start) / view.span * width) + 0.5;
+            context.beginPath();
+            context.moveTo(x, 0);
+            context.lineTo(x, 4 + onsets.strength[i] * height * 0.2);
+            context.stroke();
+        });
+    }
+
+    // Time labels along the bottom edge
+    function drawTimeAxis(context, width, height, view) {
+        const step = TICK_STEPS.find(candidate => candidate / view.span * width >= MIN_TICK_PIXELS) || TICK_STEPS[TICK_STEPS.length - 1];
+        context.fillStyle = COLORS.axis;
+        context.font = '10px sans-serif';
+        context.textBaseline = 'bottom';
+
+        for (let time = Math.ceil(view.start / step) * step; time <= view.start + view.span; time += step) {
+            const x = Math.round((time - view.start) / view.span * width);
+            context.fillRect(x, height - 4, 1, 4);
+            context.fillText(formatTime(time, step), x + 3, height - 1);
+        }
+    }
+
+    // The overview of one analysed file; `beats` is the beat grid to draw and
+    // options.onSeek(time) is called when the canvases are clicked. Returns the element,
+    // plus setBeats(beats) to redraw with another grid and setPlayhead(time) to move the
+    // playhead (null hides it), scrolling the view along when it leaves it.
+    function createOverviewView(overview, beats, options = {}) {
+        const element = document.createElement('div');
+        element.className = 'audio-overview';
+        element.innerHTML = `
+            <div class="overview-toolbar">
+                <button type="button" data-zoom="in" title="Zoom in">＋</button>
+                <button type="button" data-zoom="out" title="Zoom out">－</button>
+                <button type="button" data-zoom="fit" title="Show the whole file">Fit</button>
+                <span class="overview-range"></span>
+                <span class="overview-legend">
+                    <span class="legend-onset">▾ onset</span>
+                    <span class="legend-beat">│ beat</span>
+                    <span class="legend-downbeat">┃ downbeat</span>
+                </span>
+            </div>
+            <div class="overview-canvases">
+                <canvas class="overview-waveform" style="height: ${WAVEFORM_HEIGHT}px"></canvas>
+                <canvas class="overview-spectrogram" style="height: ${SPECTROGRAM_HEIGHT}px"></canvas>
+                <div class="overview-playhead" hidden></div>
+            </div>
+            <input type="range" class="overview-scroll" min="0" max="1000" value="0" aria-label="Scroll">
+        `;
+
+        const waveformCanvas = element.querySelector('.overview-waveform');
+        const spectrogramCanvas = element.querySelector('.overview-spectrogram');
+        const scroll = element.querySelector('.overview-scroll');
+        const range = element.querySelector('.overview-range');
+        const playhead = element.querySelector('.overview-playhead');
+
+        const duration = Math.max(overview.duration, MIN_SPAN);
+        const view = { start: 0, span: duration };
+        let playheadTime = null;
+        let pending = false;
+
+        const placePlayhead = () => {
+            const visible = playheadTime !== null && playheadTime >= view.start && playheadTime <= view.start + view.span;
+            playhead.hidden = !visible;
+            if (visible) playhead.style.left = `${(playheadTime - view.start) / view.span * 100}%`;
+        };
+
+        const draw = () => {
+            pending = false;
+            if (waveformCanvas.clientWidth === 0) return;
+
+            const waveformContext = prepareCanvas(waveformCanvas, WAVEFORM_HEIGHT);
+            const width = waveformCanvas.clientWidth;
+            drawBeats(waveformContext, width, WAVEFORM_HEIGHT, beats, view, COLORS.beatOnWaveform);
+            drawWaveform(waveformContext, width, WAVEFORM_HEIGHT, overview.waveform, view);
+            drawOnsets(waveformContext, width, WAVEFORM_HEIGHT, overview.onsets, view);
+            drawTimeAxis(waveformContext, width, WAVEFORM_HEIGHT, view);
+
+            // The spectrogram is drawn pixel by pixel, the beats on top in CSS pixels
+            prepareCanvas(spectrogramCanvas, SPECTROGRAM_HEIGHT);
+            drawSpectrogram(spectrogramCanvas, overview.spectrogram, view);
+            drawBeats(spectrogramCanvas.getContext('2d'), width, SPECTROGRAM_HEIGHT, beats, view, COLORS.beat);
+
+            const scrollable = duration - view.span;
+            scroll.disabled = scrollable <= 0;
+            scroll.value = scrollable > 0 ? Math.round(view.start / scrollable * 1000) : 0;
+            range.textContent = `${formatTime(view.start, view.span)} – ${formatTime(view.start + view.span, view.span)}`;
+            placePlayhead();
+        };
+
+        const redraw = () => {
+            if (!pending) {
+                pending = true;
+                requestAnimationFrame(draw);
+            }
+        };
+
+        const setView = (start, span) => {
+            view.span = Math.max(Math.min(MIN_SPAN, duration), Math.min(duration, span));
+            view.start = Math.max(0, Math.min(duration - view.span, start));
+            redraw();
+        };
+
+        // Zoom by `factor` keeping the time under `anchor` (0-1 across the view) in place
+        const zoom = (factor, anchor) => {
+            const time = view.start + anchor * view.span;
+            const span = view.span / factor;
+            setView(time - anchor * span, span);
+        };
+
+        element.querySelector('.overview-toolbar').addEventListener('click', (e) => {
+            const action = e.target.dataset && e.target.dataset.zoom;
+            if (action === 'in') zoom(ZOOM_STEP, 0.5);
+            if (action === 'out') zoom(1 / ZOOM_STEP, 0.5);
+            if (action === 'fit') setView(0, duration);
+        });
+
+        scroll.addEventListener('input', () => {
+            setView(scroll.value / 1000 * (duration - view.span), view.span);
+        });
+
+        [waveformCanvas, spectrogramCanvas].forEach(canvas => {
+            canvas.addEventListener('wheel', (e) => {
+                const bounds = canvas.getBoundingClientRect();
+                if (e.ctrlKey || e.metaKey) {
+                    e.preventDefault();
+                    zoom(Math.pow(ZOOM_STEP, -e.deltaY / 200), (e.clientX - bounds.left) / bounds.width);
+                } else if (Math.abs(e.deltaX) > Math.abs(e.deltaY) || e.shiftKey) {
+                    e.preventDefault();
+                    const delta = Math.abs(e.deltaX) > Math.abs(e.deltaY) ? e.deltaX : e.deltaY;
+                    setView(view.start + delta / bounds.width * view.span, view.span);
+                }
+            }, { passive: false });
+
+            // Drag to scroll, click to seek
+            canvas.addEventListener('pointerdown', (e) => {
+                const startX = e.clientX;
+                const startTime = view.start;
+                const bounds = canvas.getBoundingClientRect();
+                let dragged = false;
+                canvas.setPointerCapture(e.pointerId);
+
+                const move = (event) => {
+                    if (Math.abs(event.clientX - startX) > 3) dragged = true;
+                    if (dragged) setView(startTime - (event.clientX - startX) / bounds.width * view.span, view.span);
+                };
+                const end = (event) => {
+                    canvas.removeEventListener('pointermove', move);
+                    canvas.removeEventListener('pointerup', end);
+                    canvas.removeEventListener('pointercancel', end);
+                    if (!dragged && event.type === 'pointerup' && options.onSeek) {
+                        options.onSeek(Math.min(overview.duration, view.start + (event.clientX - bounds.left) / bounds.width * view.span));
+                    }
+                };
+                canvas.addEventListener('pointermove', move);
+                canvas.addEventListener('pointerup', end);
+                canvas.addEventListener('pointercancel', end);
+            });
+        });
+
+        // Drawn once the element is laid out, and again whenever its width changes
+        if (typeof ResizeObserver !== 'undefined') {
+            new ResizeObserver(redraw).observe(waveformCanvas);
+        } else {
+            root.addEventListener('resize', redraw);
+            requestAnimationFrame(draw);
+        }
+
+        return {
+            element: element,
+
+            setBeats(newBeats) {
+                beats = newBeats;
+                redraw();
+            },
+
+            setPlayhead(time) {
+                playheadTime = time;
+                if (time !== null && (time < view.start || time > view.start + view.span)) {
+                    // Page along with playback
+                    setView(time, view.span);
+                }
+                placePlayhead();
+            }
+        };
+    }
+
+    root.AudioOverviewView = {
+        createOverviewView
+    };
+})(typeof self !== 'undefined' ? self : this);
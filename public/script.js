@@ -1,270 +1,80 @@
-// Web Worker for heavy computations
-let analysisWorker = null;
+// Web Workers for heavy computations: a pool shared by every file analysis
+let analysisPool = null;
 
-// Initialize Web Worker
-function initAnalysisWorker() {
+// Script the analysis workers run
+const ANALYSIS_WORKER_URL = 'analysisWorker.js';
+
+// Initialize the worker pool (one worker per core, minus one for the page)
+function initAnalysisPool() {
+    if (typeof Worker === 'undefined') {
+        console.warn('Web Workers not available, analysis runs on the main thread');
+        return false;
+    }
+    analysisPool = AudioWorkerPool.createWorkerPool(ANALYSIS_WORKER_URL);
+    console.log(`Worker pool initialized with ${analysisPool.size} worker(s)`);
+    return true;
+}
+
+// A dedicated analysis worker outside the pool (null if workers are unavailable), for
+// the live input mode, which keeps its worker busy for as long as it runs
+function createAnalysisWorker() {
     if (typeof Worker !== 'undefined') {
         try {
-            analysisWorker = new Worker(URL.createObjectURL(new Blob([`
-                // Web Worker for audio analysis
-                self.onmessage = function(e) {
-                    const { type, audioData, sampleRate } = e.data;
-                    
-                    switch(type) {
-                        case 'bpm':
-                            const bpmResult = analyzeBPMWorker(audioData, sampleRate);
-                            self.postMessage({ type: 'bpm', result: bpmResult });
-                            break;
-                        case 'danceability':
-                            const danceResult = analyzeDanceabilityWorker(audioData, sampleRate);
-                            self.postMessage({ type: 'danceability', result: danceResult });
-                            break;
-                        case 'mood':
-                            const moodResult = analyzeMoodWorker(audioData, sampleRate);
-                            self.postMessage({ type: 'mood', result: moodResult });
-                            break;
-                    }
-                };
-                
-                function analyzeBPMWorker(audioData, sampleRate) {
-                    // Enhanced BPM analysis for worker (Essentia.js style)
-                    const frameSize = 2048;
-                    const hopSize = 512;
-                    const frames = [];
-                    
-                    // Extract frames with overlap
-                    for (let i = 0; i < audioData.length - frameSize; i += hopSize) {
-                        const frame = audioData.slice(i, i + frameSize);
-                        frames.push(frame);
-                    }
-                    
-                    // Calculate autocorrelation for each frame
-                    const autocorrelations = frames.map(frame => calculateAutocorrelationWorker(frame));
-                    
-                    // Find peaks in autocorrelation
-                    const peakIntervals = [];
-                    for (const autocorr of autocorrelations) {
-                        const peaks = findPeaksAutocorrWorker(autocorr);
-                        for (let i = 1; i < peaks.length; i++) {
-                            const interval = peaks[i] - peaks[i - 1];
-                            if (interval > 0) {
-                                peakIntervals.push(interval);
-                            }
-                        }
-                    }
-                    
-                    // Convert intervals to BPM
-                    const bpms = peakIntervals.map(interval => {
-                        const timeInSeconds = interval * hopSize / sampleRate;
-                        return 60 / timeInSeconds;
-                    });
-                    
-                    // Find most common BPM
-                    const bpmHistogram = {};
-                    bpms.forEach(bpm => {
-                        const roundedBpm = Math.round(bpm);
-                        if (roundedBpm >= 60 && roundedBpm <= 200) {
-                            bpmHistogram[roundedBpm] = (bpmHistogram[roundedBpm] || 0) + 1;
-                        }
-                    });
-                    
-                    let detectedBpm = 120;
-                    let maxCount = 0;
-                    for (const [bpm, count] of Object.entries(bpmHistogram)) {
-                        if (count > maxCount) {
-                            maxCount = count;
-                            detectedBpm = parseInt(bpm);
-                        }
-                    }
-                    
-                    return {
-                        bpm: detectedBpm,
-                        confidence: Math.min(1, maxCount / bpms.length)
-                    };
-                }
-                
-                function calculateAutocorrelationWorker(frame) {
-                    const length = frame.length;
-                    const autocorr = new Array(length).fill(0);
-                    
-                    for (let lag = 0; lag < length; lag++) {
-                        for (let i = 0; i < length - lag; i++) {
-                            autocorr[lag] += frame[i] * frame[i + lag];
-                        }
-                    }
-                    
-                    return autocorr;
-                }
-                
-                function findPeaksAutocorrWorker(autocorr) {
-                    const peaks = [];
-                    const threshold = Math.max(...autocorr) * 0.3;
-                    
-                    for (let i = 1; i < autocorr.length - 1; i++) {
-                        if (autocorr[i] > threshold && autocorr[i] > autocorr[i - 1] && autocorr[i] > autocorr[i + 1]) {
-                            peaks.push(i);
-                        }
-                    }
-                    
-                    return peaks;
-                }
-                
-                function findPeaksWorker(data) {
-                    const peaks = [];
-                    const threshold = Math.max(...data) * 0.3;
-                    for (let i = 1; i < data.length - 1; i++) {
-                        if (data[i] > threshold && data[i] > data[i - 1] && data[i] > data[i + 1]) {
-                            peaks.push(i);
-                        }
-                    }
-                    return peaks;
-                }
-                
-                function analyzeDanceabilityWorker(audioData, sampleRate) {
-                    const rhythmStrength = calculateRhythmStrengthWorker(audioData, sampleRate);
-                    const beatConsistency = calculateBeatConsistencyWorker(audioData);
-                    const energyDistribution = calculateEnergyDistributionWorker(audioData);
-                    
-                    const danceabilityScore = (rhythmStrength + beatConsistency + energyDistribution) / 3;
-                    
-                    return {
-                        score: Math.min(100, Math.max(0, danceabilityScore * 100)),
-                        rhythmStrength: rhythmStrength,
-                        beatConsistency: beatConsistency,
-                        energyDistribution: energyDistribution
-                    };
-                }
-                
-                function calculateRhythmStrengthWorker(audioData, sampleRate) {
-                    const frameSize = Math.floor(0.025 * sampleRate);
-                    const energies = [];
-                    
-                    for (let i = 0; i < audioData.length - frameSize; i += frameSize) {
-                        const frame = audioData.slice(i, i + frameSize);
-                        const energy = Math.sqrt(frame.reduce((sum, sample) => sum + sample * sample, 0) / frameSize);
-                        energies.push(energy);
-                    }
-                    
-                    const mean = energies.reduce((sum, e) => sum + e, 0) / energies.length;
-                    const variance = energies.reduce((sum, e) => sum + Math.pow(e - mean, 2), 0) / energies.length;
-                    
-                    return Math.min(1, variance / (mean * mean));
-                }
-                
-                function calculateBeatConsistencyWorker(audioData) {
-                    let zeroCrossings = 0;
-                    const step = Math.max(1, Math.floor(audioData.length / 2000));
-                    
-                    for (let i = step; i < audioData.length; i += step) {
-                        if ((audioData[i] >= 0 && audioData[i - step] < 0) || 
-                            (audioData[i] < 0 && audioData[i - step] >= 0)) {
-                            zeroCrossings++;
-                        }
-                    }
-                    
-                    const zeroCrossingRate = zeroCrossings / (audioData.length / step);
-                    return Math.min(1, zeroCrossingRate * 500);
-                }
-                
-                function calculateEnergyDistributionWorker(audioData) {
-                    const frameSize = Math.floor(0.025 * 44100);
-                    const energies = [];
-                    
-                    for (let i = 0; i < audioData.length - frameSize; i += frameSize) {
-                        const frame = audioData.slice(i, i + frameSize);
-                        const energy = frame.reduce((sum, sample) => sum + sample * sample, 0) / frameSize;
-                        energies.push(energy);
-                    }
-                    
-                    const mean = energies.reduce((sum, e) => sum + e, 0) / energies.length;
-                    const variance = energies.reduce((sum, e) => sum + Math.pow(e - mean, 2), 0) / energies.length;
-                    
-                    return Math.max(0, 1 - variance / (mean * mean));
-                }
-                
-                function analyzeMoodWorker(audioData, sampleRate) {
-                    const spectralCentroid = calculateSpectralCentroidWorker(audioData, sampleRate);
-                    const zeroCrossingRate = calculateZeroCrossingRateWorker(audioData);
-                    const energyDistribution = calculateEnergyDistributionWorker(audioData);
-                    
-                    let primaryMood = 'Neutral';
-                    let emoji = '🎵';
-                    
-                    if (spectralCentroid > 1500 && energyDistribution > 0.6) {
-                        primaryMood = '😀 Happy';
-                        emoji = '😀';
-                    } else if (spectralCentroid < 800 && energyDistribution < 0.4) {
-                        primaryMood = '😢 Sad';
-                        emoji = '😢';
-                    } else if (zeroCrossingRate < 0.05 && energyDistribution < 0.5) {
-                        primaryMood = '😌 Relaxed';
-                        emoji = '😌';
-                    }
-                    
-                    return {
-                        primaryMood: primaryMood,
-                        emoji: emoji,
-                        confidence: 0.8
-                    };
-                }
-                
-                function calculateSpectralCentroidWorker(audioData, sampleRate) {
-                    const frameSize = 256;
-                    let totalCentroid = 0;
-                    let frameCount = 0;
-                    
-                    for (let i = 0; i < audioData.length - frameSize; i += frameSize * 2) {
-                        const frame = audioData.slice(i, i + frameSize);
-                        
-                        let weightedSum = 0;
-                        let sum = 0;
-                        
-                        for (let j = 0; j < frameSize / 2; j += 2) {
-                            const frequency = (j * sampleRate) / frameSize;
-                            const magnitude = Math.abs(frame[j]);
-                            
-                            weightedSum += frequency * magnitude;
-                            sum += magnitude;
-                        }
-                        
-                        if (sum > 0) {
-                            totalCentroid += weightedSum / sum;
-                            frameCount++;
-                        }
-                    }
-                    
-                    return frameCount > 0 ? totalCentroid / frameCount : 0;
-                }
-                
-                function calculateZeroCrossingRateWorker(audioData) {
-                    let zeroCrossings = 0;
-                    const step = Math.max(1, Math.floor(audioData.length / 2000));
-                    
-                    for (let i = step; i < audioData.length; i += step) {
-                        if ((audioData[i] >= 0 && audioData[i - step] < 0) || 
-                            (audioData[i] < 0 && audioData[i - step] >= 0)) {
-                            zeroCrossings++;
-                        }
-                    }
-                    
-                    return zeroCrossings / (audioData.length / step);
-                }
-            `], { type: 'application/javascript' })));
-            
-            console.log('Web Worker initialized successfully');
-            return true;
+            return new Worker(ANALYSIS_WORKER_URL);
         } catch (error) {
             console.warn('Web Worker not available, falling back to main thread:', error);
-            return false;
+            return null;
         }
     }
-    return false;
+    return null;
 }
 
 // Global variables
 let audioFiles = [];
 let audioContext;
 let isProcessing = false;
+// Cancels the running file analysis, null when none runs
+let analysisAbort = null;
+// The file and decoded audio of every analysis result (player, export)
+const resultSources = new WeakMap();
+// Results and players on display
+let displayedResults = [];
+let resultPlayers = [];
+let essentia = null;
+
+// The running live input (stream, worklet, worker, tempo), null when stopped
+let liveSession = null;
+
+// Where the server exposes the essentia.js browser build
+const ESSENTIA_BASE_URL = '/vendor/essentia.js';
+
+// Load the Essentia.js WASM build on first use
+async function initEssentia() {
+    if (essentia) return true;
+    
+    try {
+        console.log('Loading Essentia.js...');
+        await loadScript(`${ESSENTIA_BASE_URL}/essentia-wasm.web.js`);
+        await loadScript(`${ESSENTIA_BASE_URL}/essentia.js-core.js`);
+        const wasmModule = await EssentiaWASM();
+        essentia = new Essentia(wasmModule);
+        console.log('Essentia.js initialized successfully:', essentia.version);
+        return true;
+    } catch (error) {
+        console.error('Failed to initialize Essentia.js:', error);
+        return false;
+    }
+}
+
+function loadScript(src) {
+    return new Promise((resolve, reject) => {
+        const script = document.createElement('script');
+        script.src = src;
+        script.onload = resolve;
+        script.onerror = () => reject(new Error(`Failed to load ${src}`));
+        document.head.appendChild(script);
+    });
+}
 
 // Initialize audio context
 async function initAudioContext() {
@@ -284,12 +94,21 @@ async function initAudioContext() {
 const uploadArea = document.getElementById('uploadArea');
 const audioFileInput = document.getElementById('audioFile');
 const analyzeBtn = document.getElementById('analyzeBtn');
+const cancelBtn = document.getElementById('cancelBtn');
 const resultsSection = document.getElementById('resultsSection');
 const loading = document.getElementById('loading');
 const fileList = document.getElementById('fileList');
 const fileItems = document.getElementById('fileItems');
 const resultsContainer = document.getElementById('resultsContainer');
 const progressText = document.getElementById('progressText');
+const engineSelect = document.getElementById('engineSelect');
+const channelSelect = document.getElementById('channelSelect');
+const inputSelect = document.getElementById('inputSelect');
+const liveBtn = document.getElementById('liveBtn');
+const liveResults = document.getElementById('liveResults');
+const exportBar = document.getElementById('exportBar');
+const djExportBar = document.getElementById('djExportBar');
+const djMusicFolder = document.getElementById('djMusicFolder');
 
 // Initialize when page loads
 document.addEventListener('DOMContentLoaded', async () => {
@@ -299,8 +118,8 @@ document.addEventListener('DOMContentLoaded', async () => {
     const success = await initAudioContext();
     if (!success) return;
     
-    // Initialize Web Worker
-    initAnalysisWorker();
+    // Initialize the worker pool
+    initAnalysisPool();
     
     // Set up event listeners
     setupEventListeners();
@@ -322,6 +141,26 @@ function setupEventListeners() {
     
     // Analyze button
     analyzeBtn.addEventListener('click', analyzeAllAudio);
+    cancelBtn.addEventListener('click', cancelAnalysis);
+    
+    // Export buttons
+    exportBar.addEventListener('click', (e) => {
+        const button = e.target.closest('[data-export]');
+        if (button) exportResults(button.dataset.export);
+    });
+    djExportBar.addEventListener('click', (e) => {
+        const button = e.target.closest('[data-export]');
+        if (button) exportDJLibrary(button.dataset.export);
+    });
+    
+    // Live input
+    if (navigator.mediaDevices && navigator.mediaDevices.getUserMedia && audioContext.audioWorklet) {
+        liveBtn.addEventListener('click', () => liveSession ? stopLiveInput() : startLiveInput());
+        updateInputList();
+    } else {
+        liveBtn.disabled = true;
+        liveBtn.textContent = 'Live input needs a secure (https or localhost) page in a browser with AudioWorklet';
+    }
 }
 
 function handleFileSelect(event) {
@@ -438,45 +277,47 @@ async function analyzeAllAudio() {
     
     isProcessing = true;
     analyzeBtn.disabled = true;
+    analysisAbort = new AbortController();
+    cancelBtn.disabled = false;
+    
+    const engine = engineSelect.value;
+    const channelStrategy = channelSelect.value;
+    // The list may change while the analysis runs
+    const files = audioFiles.slice();
     
     try {
         // Show loading
         loading.style.display = 'block';
         resultsSection.style.display = 'none';
         
-        const allResults = [];
-        
-        // Process each file with progress updates
-        for (let i = 0; i < audioFiles.length; i++) {
-            const file = audioFiles[i];
-            
-            // Update progress
-            progressText.textContent = `Processing ${i + 1}/${audioFiles.length}: ${file.name}`;
-            
-            // Allow UI to update
-            await new Promise(resolve => setTimeout(resolve, 10));
-            
-            try {
-                // Read and decode audio file
-                const arrayBuffer = await file.arrayBuffer();
-                const audioBuffer = await audioContext.decodeAudioData(arrayBuffer);
-                
-                console.log(`Analyzing: ${file.name}`);
-                
-                // Perform optimized analysis
-                const results = await performOptimizedAnalysis(audioBuffer, file.name, i);
-                allResults.push(results);
-                
-            } catch (error) {
-                console.error(`Error analyzing ${file.name}:`, error);
-                allResults.push({
-                    fileName: file.name,
-                    error: true,
-                    message: 'Failed to analyze this file'
-                });
+        // Without workers the WASM engine runs in the page: make sure it is ready before
+        // decoding anything (pool workers load their own)
+        if (engine === 'essentia' && !analysisPool) {
+            progressText.textContent = 'Loading Essentia.js engine...';
+            const success = await initEssentia();
+            if (!success) {
+                alert('Failed to load Essentia.js. Please use the built-in engine or refresh the page.');
+                loading.style.display = 'none';
+                return;
             }
         }
         
+        // As many files at once as the pool has workers (one at a time on the main thread)
+        const progress = createAnalysisProgress(files.length);
+        const concurrency = analysisPool ? analysisPool.size : 1;
+        const allResults = new Array(files.length);
+        const signal = analysisAbort.signal;
+        let nextFile = 0;
+        
+        const analyzeNextFiles = async () => {
+            while (nextFile < files.length) {
+                const index = nextFile++;
+                allResults[index] = await analyzeFile(files[index], index, engine, channelStrategy, progress, signal);
+                progress.done(files[index].name);
+            }
+        };
+        await Promise.all(Array.from({ length: Math.min(concurrency, files.length) }, analyzeNextFiles));
+        
         // Display all results
         displayAdvancedResults(allResults);
         
@@ -491,1227 +332,320 @@ async function analyzeAllAudio() {
     } finally {
         isProcessing = false;
         analyzeBtn.disabled = false;
+        cancelBtn.disabled = true;
+        analysisAbort = null;
     }
 }
 
-async function performOptimizedAnalysis(audioBuffer, fileName, fileIndex) {
-    const results = { fileName, error: false };
-    
-    try {
-        // Get audio data and downsample for faster processing
-        const audioData = audioBuffer.getChannelData(0);
-        const sampleRate = audioBuffer.sampleRate;
-        
-        // Downsample audio for faster processing (maintains accuracy)
-        const downsampledData = downsampleAudio(audioData, sampleRate, 11025); // Even lower sample rate for speed
-        const downsampledSampleRate = 11025;
-        
-        // Update progress
-        progressText.textContent = `Analyzing BPM for ${fileName}...`;
-        await new Promise(resolve => setTimeout(resolve, 5));
-        
-        // 1. Fast BPM Detection (using Web Worker if available)
-        const bpmAnalysis = await analyzeBPMFast(downsampledData, downsampledSampleRate);
-        results.bpm = bpmAnalysis;
-        
-        // Update progress
-        progressText.textContent = `Analyzing danceability for ${fileName}...`;
-        await new Promise(resolve => setTimeout(resolve, 5));
-        
-        // 2. Optimized Danceability Analysis (using Web Worker if available)
-        const danceabilityAnalysis = await analyzeDanceabilityFast(downsampledData, downsampledSampleRate);
-        results.danceability = danceabilityAnalysis;
-        
-        // Update progress
-        progressText.textContent = `Analyzing mood for ${fileName}...`;
-        await new Promise(resolve => setTimeout(resolve, 5));
-        
-        // 3. Fast Mood Detection (using Web Worker if available)
-        const moodAnalysis = await analyzeMoodFast(downsampledData, downsampledSampleRate);
-        results.mood = moodAnalysis;
-        
-        console.log('Optimized analysis complete for:', fileName);
-        return results;
-        
-    } catch (error) {
-        console.error('Error in audio analysis:', error);
-        results.error = true;
-        results.message = error.message;
-        return results;
-    }
-}
-
-// Advanced BPM Detection with Machine Learning-inspired algorithms
-async function analyzeBPMFast(audioData, sampleRate) {
-    // Use Web Worker if available for heavy computation
-    if (analysisWorker) {
-        return new Promise((resolve) => {
-            analysisWorker.onmessage = function(e) {
-                if (e.data.type === 'bpm') {
-                    const result = e.data.result;
-                    // Add display methods
-                    const autocorrBPM = { bpm: result.bpm, confidence: result.confidence };
-                    const onsetBPM = { bpm: result.bpm + Math.floor(Math.random() * 4) - 2, confidence: result.confidence * 0.9 };
-                    const spectralBPM = { bpm: result.bpm + Math.floor(Math.random() * 4) - 2, confidence: result.confidence * 0.85 };
-                    
-                    resolve({
-                        bpm: result.bpm,
-                        confidence: result.confidence,
-                        tempoCategory: getTempoCategory(result.bpm),
-                        methods: {
-                            autocorr: autocorrBPM,
-                            onset: onsetBPM,
-                            spectral: spectralBPM
-                        }
-                    });
-                }
-            };
-            
-            analysisWorker.postMessage({
-                type: 'bpm',
-                audioData: audioData,
-                sampleRate: sampleRate
-            });
-        });
-    }
-    
-    // Advanced main thread computation with ML-inspired algorithms
-    const results = await analyzeBPMAdvanced(audioData, sampleRate);
-    return results;
+// Stop the running analysis; finished files keep their results
+function cancelAnalysis() {
+    if (!analysisAbort) return;
+    analysisAbort.abort();
+    cancelBtn.disabled = true;
+    progressText.textContent = 'Cancelling...';
 }
 
-// Advanced BPM detection with multiple sophisticated methods
-async function analyzeBPMAdvanced(audioData, sampleRate) {
-    // Method 1: Advanced autocorrelation with peak refinement
-    const autocorrResult = await detectBPMAdvancedAutocorr(audioData, sampleRate);
+// Progress text for files analyzed side by side: one entry per file in progress
+function createAnalysisProgress(total) {
+    const running = new Map();
+    let finished = 0;
     
-    // Method 2: Spectral flux with adaptive thresholding
-    const spectralResult = await detectBPMAdvancedSpectral(audioData, sampleRate);
-    
-    // Method 3: Energy-based with median filtering
-    const energyResult = await detectBPMAdvancedEnergy(audioData, sampleRate);
-    
-    // Method 4: Tempo histogram analysis
-    const histogramResult = await detectBPMHistogram(audioData, sampleRate);
-    
-    // Combine results using advanced weighting
-    const combinedBPM = combineBPMResultsAdvanced(autocorrResult, spectralResult, energyResult, histogramResult);
-    
-    return {
-        bpm: combinedBPM.bpm,
-        confidence: combinedBPM.confidence,
-        tempoCategory: getTempoCategory(combinedBPM.bpm),
-        methods: {
-            autocorr: autocorrResult,
-            onset: energyResult,
-            spectral: spectralResult,
-            histogram: histogramResult
-        }
-    };
-}
-
-// Advanced autocorrelation with peak refinement
-async function detectBPMAdvancedAutocorr(audioData, sampleRate) {
-    const frameSize = 2048;
-    const hopSize = 512;
-    const frames = [];
-    
-    // Extract frames with overlap
-    for (let i = 0; i < audioData.length - frameSize; i += hopSize) {
-        const frame = audioData.slice(i, i + frameSize);
-        frames.push(frame);
-    }
-    
-    // Calculate autocorrelation for each frame
-    const autocorrelations = frames.map(frame => calculateAdvancedAutocorrelation(frame));
-    
-    // Find peaks with advanced peak detection
-    const peakIntervals = [];
-    for (const autocorr of autocorrelations) {
-        const peaks = findPeaksAdvanced(autocorr);
-        for (let i = 1; i < peaks.length; i++) {
-            const interval = peaks[i] - peaks[i - 1];
-            if (interval > 0 && interval < sampleRate / 2) { // Filter valid intervals
-                peakIntervals.push(interval);
-            }
-        }
-    }
-    
-    // Convert intervals to BPM with filtering
-    const bpms = peakIntervals.map(interval => {
-        const timeInSeconds = interval * hopSize / sampleRate;
-        return 60 / timeInSeconds;
-    }).filter(bpm => bpm >= 60 && bpm <= 200);
-    
-    // Use histogram with peak detection
-    const bpmHistogram = {};
-    bpms.forEach(bpm => {
-        const roundedBpm = Math.round(bpm);
-        bpmHistogram[roundedBpm] = (bpmHistogram[roundedBpm] || 0) + 1;
-    });
-    
-    // Find the most common BPM with confidence
-    let detectedBpm = 120;
-    let maxCount = 0;
-    for (const [bpm, count] of Object.entries(bpmHistogram)) {
-        if (count > maxCount) {
-            maxCount = count;
-            detectedBpm = parseInt(bpm);
-        }
-    }
-    
-    return {
-        bpm: detectedBpm,
-        confidence: Math.min(1, maxCount / bpms.length)
-    };
-}
-
-// Advanced spectral flux detection
-async function detectBPMAdvancedSpectral(audioData, sampleRate) {
-    const frameSize = 1024;
-    const hopSize = 512;
-    const spectralFlux = [];
-    
-    for (let i = 0; i < audioData.length - frameSize; i += hopSize) {
-        const frame = audioData.slice(i, i + frameSize);
-        const spectrum = calculateAdvancedSpectrum(frame);
-        
-        if (i > 0) {
-            const prevFrame = audioData.slice(i - hopSize, i - hopSize + frameSize);
-            const prevSpectrum = calculateAdvancedSpectrum(prevFrame);
-            const flux = calculateAdvancedSpectralFlux(spectrum, prevSpectrum);
-            spectralFlux.push(flux);
-        }
-    }
-    
-    // Apply adaptive peak detection
-    const peaks = findPeaksAdvanced(spectralFlux);
-    
-    // Calculate BPM from peak intervals with filtering
-    const intervals = [];
-    for (let i = 1; i < peaks.length; i++) {
-        intervals.push(peaks[i] - peaks[i - 1]);
-    }
-    
-    const bpms = intervals.map(interval => {
-        const timeInSeconds = interval * hopSize / sampleRate;
-        return 60 / timeInSeconds;
-    }).filter(bpm => bpm >= 60 && bpm <= 200);
-    
-    const avgBpm = bpms.length > 0 ? 
-        bpms.reduce((sum, bpm) => sum + bpm, 0) / bpms.length : 120;
-    
-    return {
-        bpm: Math.round(avgBpm),
-        confidence: bpms.length / intervals.length
+    const render = () => {
+        const entries = Array.from(running, ([fileName, stage]) => `${fileName}: ${stage}`);
+        progressText.textContent = `${finished}/${total} done` + (entries.length > 0 ? ` • ${entries.join(' • ')}` : '');
     };
-}
-
-// Advanced energy-based detection
-async function detectBPMAdvancedEnergy(audioData, sampleRate) {
-    const frameSize = Math.floor(0.025 * sampleRate);
-    const hopSize = Math.floor(0.010 * sampleRate);
-    const onsets = [];
-    
-    for (let i = 0; i < audioData.length - frameSize; i += hopSize) {
-        const frame = audioData.slice(i, i + frameSize);
-        const energy = frame.reduce((sum, val) => sum + val * val, 0);
-        onsets.push(energy);
-    }
-    
-    // Apply median filtering to smooth the signal
-    const smoothedOnsets = applyMedianFilter(onsets, 5);
-    
-    // Apply advanced peak detection
-    const peaks = findPeaksAdvanced(smoothedOnsets);
-    
-    // Calculate inter-onset intervals
-    const intervals = [];
-    for (let i = 1; i < peaks.length; i++) {
-        intervals.push(peaks[i] - peaks[i - 1]);
-    }
-    
-    // Convert to BPM with filtering
-    const bpms = intervals.map(interval => {
-        const timeInSeconds = interval * hopSize / sampleRate;
-        return 60 / timeInSeconds;
-    }).filter(bpm => bpm >= 60 && bpm <= 200);
-    
-    // Use median for robust estimation
-    const sortedBpms = bpms.sort((a, b) => a - b);
-    const medianBpm = sortedBpms[Math.floor(sortedBpms.length / 2)] || 120;
+    render();
     
     return {
-        bpm: Math.round(medianBpm),
-        confidence: sortedBpms.length / intervals.length
-    };
-}
-
-// Tempo histogram analysis
-async function detectBPMHistogram(audioData, sampleRate) {
-    const frameSize = Math.floor(0.050 * sampleRate);
-    const hopSize = Math.floor(0.025 * sampleRate);
-    const tempos = [];
-    
-    for (let i = 0; i < audioData.length - frameSize; i += hopSize) {
-        const frame = audioData.slice(i, i + frameSize);
-        const spectrum = calculateAdvancedSpectrum(frame);
-        
-        // Focus on rhythm-relevant frequencies (50-200 Hz)
-        const rhythmBand = spectrum.slice(0, Math.floor(spectrum.length * 0.1));
-        const rhythmEnergy = rhythmBand.reduce((sum, val) => sum + val, 0) / rhythmBand.length;
-        tempos.push(rhythmEnergy);
-    }
-    
-    // Find peaks in tempo signal
-    const peaks = findPeaksAdvanced(tempos);
-    
-    // Calculate tempo intervals
-    const intervals = [];
-    for (let i = 1; i < peaks.length; i++) {
-        intervals.push(peaks[i] - peaks[i - 1]);
-    }
-    
-    // Convert to BPM
-    const bpms = intervals.map(interval => {
-        const timeInSeconds = interval * hopSize / sampleRate;
-        return 60 / timeInSeconds;
-    }).filter(bpm => bpm >= 60 && bpm <= 200);
-    
-    // Use histogram analysis
-    const bpmHistogram = {};
-    bpms.forEach(bpm => {
-        const roundedBpm = Math.round(bpm);
-        bpmHistogram[roundedBpm] = (bpmHistogram[roundedBpm] || 0) + 1;
-    });
-    
-    let detectedBpm = 120;
-    let maxCount = 0;
-    for (const [bpm, count] of Object.entries(bpmHistogram)) {
-        if (count > maxCount) {
-            maxCount = count;
-            detectedBpm = parseInt(bpm);
+        update(fileName, stage) {
+            running.set(fileName, stage);
+            render();
+        },
+        done(fileName) {
+            running.delete(fileName);
+            finished++;
+            render();
         }
-    }
-    
-    return {
-        bpm: detectedBpm,
-        confidence: maxCount / bpms.length
     };
 }
 
-// Advanced helper functions
-function calculateAdvancedAutocorrelation(frame) {
-    const length = frame.length;
-    const autocorr = new Array(length).fill(0);
-    
-    // Apply windowing for better accuracy
-    const windowedFrame = applyHammingWindow(frame);
-    
-    for (let lag = 0; lag < length; lag++) {
-        for (let i = 0; i < length - lag; i++) {
-            autocorr[lag] += windowedFrame[i] * windowedFrame[i + lag];
-        }
-    }
-    
-    return autocorr;
-}
-
-function calculateAdvancedSpectrum(frame) {
-    // Apply windowing
-    const windowedFrame = applyHammingWindow(frame);
-    
-    // Simple FFT-like spectrum calculation
-    const spectrum = [];
-    const length = windowedFrame.length;
-    
-    for (let k = 0; k < length / 2; k++) {
-        let real = 0;
-        let imag = 0;
+// Decode and analyze one file; failures (and cancellation) end up in its result
+async function analyzeFile(file, fileIndex, engine, channelStrategy, progress, signal) {
+    try {
+        if (signal.aborted) throw new DOMException('The analysis was cancelled', 'AbortError');
         
-        for (let n = 0; n < length; n++) {
-            const angle = -2 * Math.PI * k * n / length;
-            real += windowedFrame[n] * Math.cos(angle);
-            imag += windowedFrame[n] * Math.sin(angle);
-        }
+        progress.update(file.name, 'decoding');
+        const arrayBuffer = await file.arrayBuffer();
+        const audioBuffer = await audioContext.decodeAudioData(arrayBuffer);
         
-        spectrum.push(Math.sqrt(real * real + imag * imag));
-    }
-    
-    return spectrum;
-}
-
-function calculateAdvancedSpectralFlux(spectrum1, spectrum2) {
-    let flux = 0;
-    for (let i = 0; i < spectrum1.length; i++) {
-        const diff = spectrum1[i] - spectrum2[i];
-        flux += diff > 0 ? diff : 0;
-    }
-    return flux;
-}
-
-function findPeaksAdvanced(data) {
-    const peaks = [];
-    const mean = data.reduce((sum, val) => sum + val, 0) / data.length;
-    const std = Math.sqrt(data.reduce((sum, val) => sum + Math.pow(val - mean, 2), 0) / data.length);
-    
-    // Adaptive threshold based on signal characteristics
-    const threshold = mean + std * 1.2;
-    
-    for (let i = 1; i < data.length - 1; i++) {
-        if (data[i] > threshold && data[i] > data[i - 1] && data[i] > data[i + 1]) {
-            // Additional check for peak prominence
-            const leftMin = Math.min(...data.slice(Math.max(0, i - 5), i));
-            const rightMin = Math.min(...data.slice(i + 1, Math.min(data.length, i + 6)));
-            const prominence = data[i] - Math.max(leftMin, rightMin);
-            
-            if (prominence > std * 0.5) {
-                peaks.push(i);
-            }
-        }
-    }
-    
-    return peaks;
-}
-
-function applyHammingWindow(frame) {
-    const windowed = [];
-    for (let i = 0; i < frame.length; i++) {
-        const windowValue = 0.54 - 0.46 * Math.cos(2 * Math.PI * i / (frame.length - 1));
-        windowed.push(frame[i] * windowValue);
-    }
-    return windowed;
-}
-
-function applyMedianFilter(data, windowSize) {
-    const filtered = [];
-    const halfWindow = Math.floor(windowSize / 2);
-    
-    for (let i = 0; i < data.length; i++) {
-        const start = Math.max(0, i - halfWindow);
-        const end = Math.min(data.length, i + halfWindow + 1);
-        const window = data.slice(start, end);
-        window.sort((a, b) => a - b);
-        filtered.push(window[Math.floor(window.length / 2)]);
-    }
-    
-    return filtered;
-}
-
-function combineBPMResultsAdvanced(autocorr, spectral, energy, histogram) {
-    // Advanced weighting based on confidence and method reliability
-    const weights = {
-        autocorr: 0.4,    // Most reliable
-        spectral: 0.3,    // Good for complex music
-        energy: 0.2,      // Good for simple rhythms
-        histogram: 0.1    // Additional validation
-    };
-    
-    const totalWeight = weights.autocorr + weights.spectral + weights.energy + weights.histogram;
-    
-    const weightedBpm = (
-        autocorr.bpm * weights.autocorr * autocorr.confidence +
-        spectral.bpm * weights.spectral * spectral.confidence +
-        energy.bpm * weights.energy * energy.confidence +
-        histogram.bpm * weights.histogram * histogram.confidence
-    ) / totalWeight;
-    
-    const avgConfidence = (
-        autocorr.confidence * weights.autocorr +
-        spectral.confidence * weights.spectral +
-        energy.confidence * weights.energy +
-        histogram.confidence * weights.histogram
-    ) / totalWeight;
-    
-    return {
-        bpm: Math.round(weightedBpm),
-        confidence: avgConfidence
-    };
-}
-
-// Fast onset detection
-function detectOnsetsFast(audioData, sampleRate) {
-    const frameSize = Math.floor(0.050 * sampleRate); // 50ms frames for speed
-    const hopSize = Math.floor(0.025 * sampleRate); // 25ms hop for speed
-    const onsets = [];
-    
-    for (let i = 0; i < audioData.length - frameSize; i += hopSize) {
-        const frame = audioData.slice(i, i + frameSize);
-        const energy = frame.reduce((sum, sample) => sum + sample * sample, 0) / frameSize;
-        onsets.push(energy);
-    }
-    
-    return onsets;
-}
-
-// Fast peak detection
-function findPeaksFast(data) {
-    const peaks = [];
-    const threshold = Math.max(...data) * 0.3; // Lower threshold for more peaks
-    
-    for (let i = 1; i < data.length - 1; i++) {
-        if (data[i] > threshold && data[i] > data[i - 1] && data[i] > data[i + 1]) {
-            peaks.push(i);
-        }
-    }
-    
-    return peaks;
-}
-
-// Advanced Danceability Analysis with ML-inspired algorithms
-async function analyzeDanceabilityFast(audioData, sampleRate) {
-    // Use Web Worker if available for heavy computation
-    if (analysisWorker) {
-        return new Promise((resolve) => {
-            analysisWorker.onmessage = function(e) {
-                if (e.data.type === 'danceability') {
-                    const result = e.data.result;
-                    // Add missing properties for display
-                    const danceabilityType = determineDanceabilityType(result.score / 100, result.rhythmStrength, result.beatConsistency);
-                    
-                    resolve({
-                        score: result.score,
-                        rhythmStrength: result.rhythmStrength,
-                        beatConsistency: result.beatConsistency,
-                        energyDistribution: result.energyDistribution,
-                        tempoStability: 0.7, // Default value
-                        syncopation: 0.5, // Default value
-                        grooveFactor: 0.6, // Default value
-                        category: getDanceabilityCategory(result.score / 100),
-                        type: danceabilityType,
-                        confidence: calculateDanceabilityConfidence(result.rhythmStrength, result.beatConsistency, result.energyDistribution, 0.7)
-                    });
-                }
-            };
-            
-            analysisWorker.postMessage({
-                type: 'danceability',
-                audioData: audioData,
-                sampleRate: sampleRate
-            });
+        console.log(`Analyzing: ${file.name}`);
+        const results = await performOptimizedAnalysis(audioBuffer, file.name, fileIndex, engine, channelStrategy, {
+            signal: signal,
+            onStage: stage => progress.update(file.name, stage)
         });
-    }
-    
-    // Advanced main thread computation with ML-inspired algorithms
-    const results = await analyzeDanceabilityAdvanced(audioData, sampleRate);
-    return results;
-}
-
-// Advanced danceability analysis with multiple sophisticated metrics
-async function analyzeDanceabilityAdvanced(audioData, sampleRate) {
-    // 1. Advanced rhythm strength with frequency domain analysis
-    const rhythmStrength = await calculateRhythmStrengthAdvanced(audioData, sampleRate);
-    
-    // 2. Beat consistency with multiple metrics
-    const beatConsistency = await calculateBeatConsistencyAdvanced(audioData, sampleRate);
-    
-    // 3. Energy distribution with frequency bands
-    const energyDistribution = await calculateEnergyDistributionAdvanced(audioData, sampleRate);
-    
-    // 4. Tempo stability with variance analysis
-    const tempoStability = await calculateTempoStabilityAdvanced(audioData, sampleRate);
-    
-    // 5. Syncopation detection with advanced algorithms
-    const syncopation = await calculateSyncopationAdvanced(audioData, sampleRate);
-    
-    // 6. Groove factor with rhythmic pattern analysis
-    const grooveFactor = await calculateGrooveFactorAdvanced(audioData, sampleRate);
-    
-    // Advanced weighted combination for final score
-    const danceabilityScore = (
-        rhythmStrength * 0.25 +
-        beatConsistency * 0.25 +
-        energyDistribution * 0.20 +
-        tempoStability * 0.15 +
-        syncopation * 0.10 +
-        grooveFactor * 0.05
-    );
-    
-    // Determine detailed danceability type
-    const danceabilityType = determineDanceabilityType(danceabilityScore, rhythmStrength, beatConsistency);
-    
-    return {
-        score: Math.min(100, Math.max(0, danceabilityScore * 100)),
-        rhythmStrength: rhythmStrength,
-        beatConsistency: beatConsistency,
-        energyDistribution: energyDistribution,
-        tempoStability: tempoStability,
-        syncopation: syncopation,
-        grooveFactor: grooveFactor,
-        category: getDanceabilityCategory(danceabilityScore),
-        type: danceabilityType,
-        confidence: calculateDanceabilityConfidence(rhythmStrength, beatConsistency, energyDistribution, tempoStability)
-    };
-}
-
-// Advanced rhythm strength calculation
-async function calculateRhythmStrengthAdvanced(audioData, sampleRate) {
-    const frameSize = Math.floor(0.025 * sampleRate);
-    const energies = [];
-    
-    for (let i = 0; i < audioData.length - frameSize; i += frameSize) {
-        const frame = audioData.slice(i, i + frameSize);
-        const energy = Math.sqrt(frame.reduce((sum, sample) => sum + sample * sample, 0) / frameSize);
-        energies.push(energy);
-    }
-    
-    // Calculate variance efficiently
-    const mean = energies.reduce((sum, e) => sum + e, 0) / energies.length;
-    const variance = energies.reduce((sum, e) => sum + Math.pow(e - mean, 2), 0) / energies.length;
-    
-    // Add frequency domain rhythm analysis
-    const rhythmFrequency = await analyzeRhythmFrequencyAdvanced(audioData, sampleRate);
-    
-    const normalizedVariance = variance / (mean * mean);
-    return Math.min(1, (normalizedVariance + rhythmFrequency) / 2);
-}
-
-// Advanced beat consistency calculation
-async function calculateBeatConsistencyAdvanced(audioData, sampleRate) {
-    // Multiple consistency metrics
-    const zeroCrossingRate = calculateZeroCrossingRateAdvanced(audioData);
-    const spectralCentroid = await calculateSpectralCentroidAdvanced(audioData, sampleRate);
-    const spectralRolloff = await calculateSpectralRolloffAdvanced(audioData, sampleRate);
-    
-    // Combine metrics with advanced weighting
-    const consistency = (
-        (1 - zeroCrossingRate) * 0.4 +
-        (spectralCentroid / 5000) * 0.3 +
-        (spectralRolloff / 8000) * 0.3
-    );
-    
-    return Math.min(1, Math.max(0, consistency));
-}
-
-// Advanced energy distribution calculation
-async function calculateEnergyDistributionAdvanced(audioData, sampleRate) {
-    const frameSize = Math.floor(0.025 * sampleRate);
-    const lowBand = [];
-    const midBand = [];
-    const highBand = [];
-    
-    for (let i = 0; i < audioData.length - frameSize; i += frameSize) {
-        const frame = audioData.slice(i, i + frameSize);
-        const spectrum = calculateAdvancedSpectrum(frame);
-        
-        // Divide spectrum into bands
-        const lowFreq = spectrum.slice(0, Math.floor(spectrum.length / 3));
-        const midFreq = spectrum.slice(Math.floor(spectrum.length / 3), Math.floor(2 * spectrum.length / 3));
-        const highFreq = spectrum.slice(Math.floor(2 * spectrum.length / 3));
-        
-        lowBand.push(lowFreq.reduce((sum, val) => sum + val, 0) / lowFreq.length);
-        midBand.push(midFreq.reduce((sum, val) => sum + val, 0) / midFreq.length);
-        highBand.push(highFreq.reduce((sum, val) => sum + val, 0) / highFreq.length);
-    }
-    
-    // Calculate energy balance
-    const totalEnergy = lowBand.reduce((sum, e) => sum + e, 0) + 
-                       midBand.reduce((sum, e) => sum + e, 0) + 
-                       highBand.reduce((sum, e) => sum + e, 0);
-    
-    const balance = 1 - Math.abs(lowBand.reduce((sum, e) => sum + e, 0) - highBand.reduce((sum, e) => sum + e, 0)) / totalEnergy;
-    
-    return Math.max(0, Math.min(1, balance));
-}
-
-// Advanced tempo stability calculation
-async function calculateTempoStabilityAdvanced(audioData, sampleRate) {
-    const frameSize = Math.floor(0.1 * sampleRate); // 100ms frames
-    const tempos = [];
-    
-    for (let i = 0; i < audioData.length - frameSize; i += frameSize) {
-        const frame = audioData.slice(i, i + frameSize);
-        const tempo = await estimateTempoFromFrameAdvanced(frame, sampleRate);
-        tempos.push(tempo);
-    }
-    
-    // Calculate tempo variance
-    const meanTempo = tempos.reduce((sum, t) => sum + t, 0) / tempos.length;
-    const variance = tempos.reduce((sum, t) => sum + Math.pow(t - meanTempo, 2), 0) / tempos.length;
-    
-    // Convert to stability score (lower variance = higher stability)
-    return Math.max(0, 1 - variance / (meanTempo * meanTempo));
-}
-
-// Advanced syncopation detection
-async function calculateSyncopationAdvanced(audioData, sampleRate) {
-    const frameSize = Math.floor(0.025 * sampleRate);
-    let syncopationScore = 0;
-    let frameCount = 0;
-    
-    for (let i = frameSize; i < audioData.length - frameSize; i += frameSize) {
-        const currentFrame = audioData.slice(i, i + frameSize);
-        const prevFrame = audioData.slice(i - frameSize, i);
-        
-        const currentEnergy = currentFrame.reduce((sum, sample) => sum + sample * sample, 0) / frameSize;
-        const prevEnergy = prevFrame.reduce((sum, sample) => sum + sample * sample, 0) / frameSize;
+        resultSources.set(results, { file: file, audioBuffer: audioBuffer });
+        return results;
         
-        // Detect unexpected accents (syncopation)
-        if (currentEnergy > prevEnergy * 1.5) {
-            syncopationScore += 0.1;
+    } catch (error) {
+        if (error.name === 'AbortError') {
+            return { fileName: file.name, error: true, message: 'Analysis cancelled' };
         }
-        
-        frameCount++;
-    }
-    
-    return Math.min(1, syncopationScore / frameCount);
-}
-
-// Advanced groove factor calculation
-async function calculateGrooveFactorAdvanced(audioData, sampleRate) {
-    const frameSize = Math.floor(0.025 * sampleRate);
-    const grooveScores = [];
-    
-    for (let i = 0; i < audioData.length - frameSize; i += frameSize) {
-        const frame = audioData.slice(i, i + frameSize);
-        
-        // Calculate groove based on rhythmic patterns
-        const rhythmPattern = await analyzeRhythmPatternAdvanced(frame);
-        grooveScores.push(rhythmPattern);
-    }
-    
-    return grooveScores.reduce((sum, score) => sum + score, 0) / grooveScores.length;
-}
-
-// Advanced helper functions for danceability
-async function analyzeRhythmFrequencyAdvanced(audioData, sampleRate) {
-    const frameSize = Math.floor(0.025 * sampleRate);
-    const rhythmScores = [];
-    
-    for (let i = 0; i < audioData.length - frameSize; i += frameSize) {
-        const frame = audioData.slice(i, i + frameSize);
-        const spectrum = calculateAdvancedSpectrum(frame);
-        
-        // Focus on rhythm-relevant frequencies (50-200 Hz)
-        const rhythmBand = spectrum.slice(0, Math.floor(spectrum.length * 0.1));
-        const rhythmEnergy = rhythmBand.reduce((sum, val) => sum + val, 0) / rhythmBand.length;
-        
-        rhythmScores.push(rhythmEnergy);
+        console.error(`Error analyzing ${file.name}:`, error);
+        return {
+            fileName: file.name,
+            error: true,
+            message: 'Failed to analyze this file'
+        };
     }
-    
-    return rhythmScores.reduce((sum, score) => sum + score, 0) / rhythmScores.length;
 }
 
-function calculateZeroCrossingRateAdvanced(audioData) {
-    let zeroCrossings = 0;
-    const step = Math.max(1, Math.floor(audioData.length / 5000)); // Sample every nth sample
+async function performOptimizedAnalysis(audioBuffer, fileName, fileIndex, engine = 'builtin', channelStrategy = 'mid', control = {}) {
+    const results = { fileName, engine, error: false };
+    const onStage = control.onStage || (() => {});
     
-    for (let i = step; i < audioData.length; i += step) {
-        if ((audioData[i] >= 0 && audioData[i - step] < 0) || 
-            (audioData[i] < 0 && audioData[i - step] >= 0)) {
-            zeroCrossings++;
+    try {
+        // Get the data of every channel; the channel strategy decides what gets analyzed
+        const channels = [];
+        for (let i = 0; i < audioBuffer.numberOfChannels; i++) {
+            channels.push(audioBuffer.getChannelData(i));
         }
-    }
-    
-    return zeroCrossings / (audioData.length / step);
-}
-
-async function calculateSpectralCentroidAdvanced(audioData, sampleRate) {
-    const frameSize = 1024;
-    let totalCentroid = 0;
-    let frameCount = 0;
-    
-    for (let i = 0; i < audioData.length - frameSize; i += frameSize) {
-        const frame = audioData.slice(i, i + frameSize);
+        const sampleRate = audioBuffer.sampleRate;
         
-        let weightedSum = 0;
-        let sum = 0;
+        // Signals are moved into the workers, so never hand over the AudioBuffer's own data
+        const ownCopy = audioData => channels.includes(audioData) ? audioData.slice() : audioData;
         
-        for (let j = 0; j < frameSize / 2; j++) {
-            const frequency = (j * sampleRate) / frameSize;
-            const magnitude = Math.abs(frame[j]);
-            
-            weightedSum += frequency * magnitude;
-            sum += magnitude;
-        }
+        // The overview (waveform, spectrogram, onsets) of the analyzed mix is computed next to the analysis
+        const mix = AudioAnalysisCore.mixChannels(channels, channelStrategy === 'per-channel' ? 'mid' : channelStrategy);
+        const [analysis, overview] = await Promise.all([
+            AudioAnalysisCore.analyzeChannels(channels, channelStrategy, (audioData) => engine === 'essentia'
+                ? analyzeWithEssentia(ownCopy(audioData), sampleRate, onStage, control.signal)
+                : analyzeBuiltin(ownCopy(audioData), sampleRate, onStage, control.signal)),
+            computeOverview(ownCopy(mix), sampleRate, control.signal)
+        ]);
+        Object.assign(results, analysis);
+        results.overview = overview;
         
-        if (sum > 0) {
-            totalCentroid += weightedSum / sum;
-            frameCount++;
-        }
-    }
-    
-    return frameCount > 0 ? totalCentroid / frameCount : 0;
-}
-
-async function calculateSpectralRolloffAdvanced(audioData, sampleRate) {
-    const frameSize = 1024;
-    let totalRolloff = 0;
-    let frameCount = 0;
-    
-    for (let i = 0; i < audioData.length - frameSize; i += frameSize) {
-        const frame = audioData.slice(i, i + frameSize);
+        // Loudness is measured on every channel at the source rate, whatever the channel strategy
+        onStage('measuring loudness');
+        results.loudness = await measureLoudness(channels, sampleRate, control.signal);
         
-        const magnitudes = [];
-        for (let j = 0; j < frameSize / 2; j++) {
-            magnitudes.push(Math.abs(frame[j]));
-        }
-        
-        magnitudes.sort((a, b) => a - b);
-        const rolloffIndex = Math.floor(magnitudes.length * 0.85);
-        const rolloff = (rolloffIndex * sampleRate) / frameSize;
+        console.log('Optimized analysis complete for:', fileName);
+        return results;
         
-        totalRolloff += rolloff;
-        frameCount++;
-    }
-    
-    return frameCount > 0 ? totalRolloff / frameCount : 0;
-}
-
-async function estimateTempoFromFrameAdvanced(frame, sampleRate) {
-    // Advanced tempo estimation from frame energy
-    const energy = frame.reduce((sum, sample) => sum + sample * sample, 0) / frame.length;
-    return energy * 100; // Convert to tempo-like value
-}
-
-async function analyzeRhythmPatternAdvanced(frame) {
-    // Analyze rhythmic patterns in a frame
-    const energy = frame.reduce((sum, sample) => sum + sample * sample, 0) / frame.length;
-    return Math.min(1, energy * 10);
-}
-
-// Fast rhythm strength calculation
-function calculateRhythmStrengthFast(audioData, sampleRate) {
-    const frameSize = Math.floor(0.025 * sampleRate);
-    const energies = [];
-    
-    for (let i = 0; i < audioData.length - frameSize; i += frameSize) {
-        const frame = audioData.slice(i, i + frameSize);
-        const energy = Math.sqrt(frame.reduce((sum, sample) => sum + sample * sample, 0) / frameSize);
-        energies.push(energy);
-    }
-    
-    // Calculate variance efficiently
-    const mean = energies.reduce((sum, e) => sum + e, 0) / energies.length;
-    const variance = energies.reduce((sum, e) => sum + Math.pow(e - mean, 2), 0) / energies.length;
-    
-    return Math.min(1, variance / (mean * mean));
-}
-
-// Fast beat consistency calculation
-function calculateBeatConsistencyFast(audioData) {
-    let zeroCrossings = 0;
-    const step = Math.max(1, Math.floor(audioData.length / 10000)); // Sample every nth sample
-    
-    for (let i = step; i < audioData.length; i += step) {
-        if ((audioData[i] >= 0 && audioData[i - step] < 0) || 
-            (audioData[i] < 0 && audioData[i - step] >= 0)) {
-            zeroCrossings++;
-        }
-    }
-    
-    const zeroCrossingRate = zeroCrossings / (audioData.length / step);
-    return Math.min(1, zeroCrossingRate * 500); // Adjusted multiplier
-}
-
-// Fast energy distribution calculation
-function calculateEnergyDistributionFast(audioData) {
-    const frameSize = Math.floor(0.025 * 44100);
-    const energies = [];
-    
-    for (let i = 0; i < audioData.length - frameSize; i += frameSize) {
-        const frame = audioData.slice(i, i + frameSize);
-        const energy = frame.reduce((sum, sample) => sum + sample * sample, 0) / frameSize;
-        energies.push(energy);
-    }
-    
-    const mean = energies.reduce((sum, e) => sum + e, 0) / energies.length;
-    const variance = energies.reduce((sum, e) => sum + Math.pow(e - mean, 2), 0) / energies.length;
-    
-    return Math.max(0, 1 - variance / (mean * mean));
-}
-
-// Fast tempo stability calculation
-function calculateTempoStabilityFast(audioData, sampleRate) {
-    const frameSize = Math.floor(0.1 * sampleRate); // 100ms frames
-    const tempos = [];
-    
-    for (let i = 0; i < audioData.length - frameSize; i += frameSize) {
-        const frame = audioData.slice(i, i + frameSize);
-        const energy = frame.reduce((sum, sample) => sum + sample * sample, 0) / frameSize;
-        tempos.push(energy);
+    } catch (error) {
+        if (error.name === 'AbortError') throw error;
+        console.error('Error in audio analysis:', error);
+        results.error = true;
+        results.message = error.message;
+        return results;
     }
-    
-    // Calculate tempo variance
-    const meanTempo = tempos.reduce((sum, t) => sum + t, 0) / tempos.length;
-    const variance = tempos.reduce((sum, t) => sum + Math.pow(t - meanTempo, 2), 0) / tempos.length;
-    
-    // Convert to stability score (lower variance = higher stability)
-    return Math.max(0, 1 - variance / (meanTempo * meanTempo));
 }
 
-// Fast syncopation detection
-function calculateSyncopationFast(audioData) {
-    const frameSize = Math.floor(0.025 * 44100);
-    let syncopationScore = 0;
-    let frameCount = 0;
-    
-    for (let i = frameSize; i < audioData.length - frameSize; i += frameSize) {
-        const currentFrame = audioData.slice(i, i + frameSize);
-        const prevFrame = audioData.slice(i - frameSize, i);
-        
-        const currentEnergy = currentFrame.reduce((sum, sample) => sum + sample * sample, 0) / frameSize;
-        const prevEnergy = prevFrame.reduce((sum, sample) => sum + sample * sample, 0) / frameSize;
-        
-        // Detect unexpected accents (syncopation)
-        if (currentEnergy > prevEnergy * 1.5) {
-            syncopationScore += 0.1;
-        }
-        
-        frameCount++;
-    }
-    
-    return Math.min(1, syncopationScore / frameCount);
+// Progress text for each step of the analysis, once it is finished
+const STAGE_LABELS = {
+    features: 'Essentia features extracted',
+    bpm: 'BPM found',
+    beats: 'beats tracked',
+    danceability: 'danceability rated',
+    mood: 'mood detected',
+    key: 'key detected',
+    structure: 'structure found'
+};
+
+// Between two steps on the main thread: report the step, let the page update and stop if cancelled
+async function mainThreadStep(stage, onStage, signal) {
+    onStage(STAGE_LABELS[stage] || stage);
+    await new Promise(resolve => setTimeout(resolve, 5));
+    if (signal && signal.aborted) throw new DOMException('The analysis was cancelled', 'AbortError');
 }
 
-// Fast groove factor calculation
-function calculateGrooveFactorFast(audioData, sampleRate) {
-    const frameSize = Math.floor(0.025 * sampleRate);
-    const grooveScores = [];
+// Essentia.js engine on one mono signal, in a pool worker if available (audioData is
+// transferred to it; the worker loads its own WASM module), otherwise in the page
+async function analyzeWithEssentia(audioData, sampleRate, onStage, signal) {
+    onStage('running Essentia extractors');
     
-    for (let i = 0; i < audioData.length - frameSize; i += frameSize) {
-        const frame = audioData.slice(i, i + frameSize);
-        
-        // Calculate groove based on rhythmic patterns
-        const rhythmPattern = analyzeRhythmPatternFast(frame);
-        grooveScores.push(rhythmPattern);
-    }
-    
-    return grooveScores.reduce((sum, score) => sum + score, 0) / grooveScores.length;
-}
-
-// Fast rhythm pattern analysis
-function analyzeRhythmPatternFast(frame) {
-    // Analyze rhythmic patterns in a frame
-    const energy = frame.reduce((sum, sample) => sum + sample * sample, 0) / frame.length;
-    return Math.min(1, energy * 10);
-}
-
-// Fast mood detection
-async function analyzeMoodFast(audioData, sampleRate) {
-    // Use Web Worker if available for heavy computation
-    if (analysisWorker) {
-        return new Promise((resolve) => {
-            analysisWorker.onmessage = function(e) {
-                if (e.data.type === 'mood') {
-                    const result = e.data.result;
-                    // Add detailed analysis for display
-                    const detailedAnalysis = [
-                        { type: "🕺 Danceability", score: "Medium", description: "Moderate dance potential" },
-                        { type: "😀 Happy", score: result.primaryMood.includes('Happy') ? "High" : "Low", description: "Mood analysis" },
-                        { type: "😢 Sad", score: result.primaryMood.includes('Sad') ? "High" : "Low", description: "Mood analysis" },
-                        { type: "😌 Relaxed", score: result.primaryMood.includes('Relaxed') ? "High" : "Low", description: "Mood analysis" },
-                        { type: "✊ Aggressiveness", score: "Medium", description: "Moderate aggression" },
-                        { type: "👁 Engagement", score: "Medium", description: "Moderately engaging" },
-                        { type: "🧠 Approachability", score: "Medium", description: "Moderately approachable" }
-                    ];
-                    
-                    resolve({
-                        primaryMood: result.primaryMood,
-                        secondaryMood: 'Balanced',
-                        songType: 'Mixed',
-                        emoji: result.emoji,
-                        confidence: result.confidence,
-                        moodExplanation: 'Analysis completed using optimized algorithms',
-                        detailedAnalysis: detailedAnalysis
-                    });
-                }
-            };
-            
-            analysisWorker.postMessage({
-                type: 'mood',
-                audioData: audioData,
-                sampleRate: sampleRate
-            });
+    if (analysisPool) {
+        return analysisPool.run('essentia-analyze', { audioData: audioData, sampleRate: sampleRate }, {
+            transfer: [audioData.buffer],
+            signal: signal,
+            onProgress: progress => onStage(STAGE_LABELS[progress.stage] || progress.stage)
         });
     }
     
-    // Fallback to main thread computation
-    const spectralCentroid = calculateSpectralCentroidFast(audioData, sampleRate);
-    const zeroCrossingRate = calculateZeroCrossingRateFast(audioData);
-    const energyDistribution = calculateEnergyDistributionFast(audioData);
-    const spectralRolloff = calculateSpectralRolloffFast(audioData, sampleRate);
-    const tempoInfluence = calculateTempoInfluenceFast(audioData, sampleRate);
-    
-    const mood = determineDetailedMood(spectralCentroid, zeroCrossingRate, energyDistribution, spectralRolloff, tempoInfluence);
-    
-    return {
-        primaryMood: mood.primary,
-        secondaryMood: mood.secondary,
-        songType: mood.songType,
-        emoji: mood.emoji,
-        confidence: mood.confidence,
-        moodExplanation: mood.explanation,
-        detailedAnalysis: mood.detailedAnalysis
-    };
-}
-
-// Fast spectral centroid calculation
-function calculateSpectralCentroidFast(audioData, sampleRate) {
-    const frameSize = 256; // Even smaller frame size for speed
-    let totalCentroid = 0;
-    let frameCount = 0;
-    
-    for (let i = 0; i < audioData.length - frameSize; i += frameSize * 2) { // Skip every other frame
-        const frame = audioData.slice(i, i + frameSize);
-        
-        let weightedSum = 0;
-        let sum = 0;
-        
-        for (let j = 0; j < frameSize / 2; j += 2) { // Skip every other frequency bin
-            const frequency = (j * sampleRate) / frameSize;
-            const magnitude = Math.abs(frame[j]);
-            
-            weightedSum += frequency * magnitude;
-            sum += magnitude;
-        }
-        
-        if (sum > 0) {
-            totalCentroid += weightedSum / sum;
-            frameCount++;
-        }
-    }
-    
-    return frameCount > 0 ? totalCentroid / frameCount : 0;
-}
-
-// Fast zero crossing rate calculation
-function calculateZeroCrossingRateFast(audioData) {
-    let zeroCrossings = 0;
-    const step = Math.max(1, Math.floor(audioData.length / 2000)); // Sample more frequently for accuracy
+    await new Promise(resolve => setTimeout(resolve, 5));
     
-    for (let i = step; i < audioData.length; i += step) {
-        if ((audioData[i] >= 0 && audioData[i - step] < 0) || 
-            (audioData[i] < 0 && audioData[i - step] >= 0)) {
-            zeroCrossings++;
-        }
-    }
-    
-    return zeroCrossings / (audioData.length / step);
+    return AudioAnalysisCore.analyzeWithEssentia(essentia, audioData, sampleRate, {
+        onProgress: (fraction, stage) => mainThreadStep(stage, onStage, signal)
+    });
 }
 
-// Calculate tempo influence for danceability
-function calculateTempoInfluenceFast(audioData, sampleRate) {
-    const frameSize = Math.floor(0.1 * sampleRate); // 100ms frames
-    const tempos = [];
+// Built-in engine on one mono signal: BPM, beats, danceability, mood, key and structure,
+// in a pool worker if available (audioData is transferred to it)
+async function analyzeBuiltin(audioData, sampleRate, onStage, signal) {
+    onStage('analyzing');
     
-    for (let i = 0; i < audioData.length - frameSize; i += frameSize) {
-        const frame = audioData.slice(i, i + frameSize);
-        const energy = frame.reduce((sum, sample) => sum + sample * sample, 0) / frameSize;
-        tempos.push(energy);
+    if (analysisPool) {
+        return analysisPool.run('analyze', { audioData: audioData, sampleRate: sampleRate }, {
+            transfer: [audioData.buffer],
+            signal: signal,
+            onProgress: progress => onStage(STAGE_LABELS[progress.stage] || progress.stage)
+        });
     }
     
-    // Calculate tempo stability
-    const mean = tempos.reduce((sum, t) => sum + t, 0) / tempos.length;
-    const variance = tempos.reduce((sum, t) => sum + Math.pow(t - mean, 2), 0) / tempos.length;
-    
-    return Math.max(0, 1 - variance / (mean * mean));
+    return AudioAnalysisCore.analyzeAudioData(audioData, sampleRate, {
+        onProgress: (fraction, stage) => mainThreadStep(stage, onStage, signal)
+    });
 }
 
-// Fast spectral rolloff calculation
-function calculateSpectralRolloffFast(audioData, sampleRate) {
-    const frameSize = 512;
-    let totalRolloff = 0;
-    let frameCount = 0;
-    
-    for (let i = 0; i < audioData.length - frameSize; i += frameSize) {
-        const frame = audioData.slice(i, i + frameSize);
-        
-        // Simple magnitude calculation
-        const magnitudes = [];
-        for (let j = 0; j < frameSize / 2; j++) {
-            magnitudes.push(Math.abs(frame[j]));
-        }
-        
-        // Calculate rolloff (85th percentile)
-        magnitudes.sort((a, b) => a - b);
-        const rolloffIndex = Math.floor(magnitudes.length * 0.85);
-        const rolloff = (rolloffIndex * sampleRate) / frameSize;
-        
-        totalRolloff += rolloff;
-        frameCount++;
+// Waveform, spectrogram and onsets of one mono signal for the results view (in a pool
+// worker if available, audioData is transferred to it)
+async function computeOverview(audioData, sampleRate, signal) {
+    if (analysisPool) {
+        return analysisPool.run('overview', { audioData: audioData, sampleRate: sampleRate }, {
+            transfer: [audioData.buffer],
+            signal: signal
+        });
     }
     
-    return frameCount > 0 ? totalRolloff / frameCount : 0;
+    return AudioAnalysisCore.analyzeOverviewData(audioData, sampleRate);
 }
 
-// Determine detailed danceability type
-function determineDanceabilityType(score, rhythmStrength, beatConsistency) {
-    const types = [];
-    
-    if (score > 0.8) {
-        types.push({ type: "🕺 Very Danceable", emoji: "🕺", description: "High energy, strong rhythm" });
-    } else if (score > 0.6) {
-        types.push({ type: "💃 Danceable", emoji: "💃", description: "Good rhythm and energy" });
-    } else if (score > 0.4) {
-        types.push({ type: "🕴️ Moderately Danceable", emoji: "🕴️", description: "Some dance elements" });
-    } else if (score > 0.2) {
-        types.push({ type: "🚶 Slightly Danceable", emoji: "🚶", description: "Limited dance potential" });
-    } else {
-        types.push({ type: "🧍 Not Danceable", emoji: "🧍", description: "Low dance energy" });
-    }
-    
-    // Add rhythm characteristics
-    if (rhythmStrength > 0.7) {
-        types.push({ type: "🥁 Strong Rhythm", emoji: "🥁", description: "Clear rhythmic patterns" });
-    }
-    
-    if (beatConsistency > 0.7) {
-        types.push({ type: "⏰ Consistent Beat", emoji: "⏰", description: "Steady tempo" });
+// EBU R128 loudness of all channels (shared loudness meter, in a pool worker if available)
+async function measureLoudness(channels, sampleRate, signal) {
+    if (analysisPool) {
+        return analysisPool.run('loudness', { audioData: channels, sampleRate: sampleRate }, { signal: signal });
     }
     
-    return types;
+    return AudioAnalysisCore.analyzeLoudness(channels, sampleRate);
 }
 
-// Enhanced mood determination with detailed analysis
-function determineDetailedMood(spectralCentroid, zeroCrossingRate, energyDistribution, spectralRolloff, tempoInfluence) {
-    let moods = [];
-    let songTypes = [];
-    let emojis = [];
-    let confidence = 0;
-    let explanation = [];
-    let detailedAnalysis = [];
-    
-    // 🕺 Danceability Analysis
-    const danceabilityScore = (energyDistribution + tempoInfluence) / 2;
-    if (danceabilityScore > 0.7) {
-        detailedAnalysis.push({ type: "🕺 Danceability", score: "High", description: "Strong dance potential" });
-    } else if (danceabilityScore > 0.4) {
-        detailedAnalysis.push({ type: "🕺 Danceability", score: "Medium", description: "Moderate dance potential" });
-    } else {
-        detailedAnalysis.push({ type: "🕺 Danceability", score: "Low", description: "Limited dance potential" });
-    }
-    
-    // 😀 Happy Analysis
-    if (spectralCentroid > 1500 && energyDistribution > 0.6) {
-        moods.push('😀 Happy');
-        songTypes.push('Upbeat');
-        emojis.push('😀');
-        confidence += 0.25;
-        explanation.push('High brightness and energy create positive mood');
-        detailedAnalysis.push({ type: "😀 Happy", score: "High", description: "Bright, energetic characteristics" });
-    } else if (spectralCentroid > 1200) {
-        detailedAnalysis.push({ type: "😀 Happy", score: "Medium", description: "Moderately bright sound" });
-    } else {
-        detailedAnalysis.push({ type: "😀 Happy", score: "Low", description: "Darker, less bright sound" });
-    }
-    
-    // 😢 Sad Analysis
-    if (spectralCentroid < 800 && energyDistribution < 0.4) {
-        moods.push('😢 Sad');
-        songTypes.push('Melancholic');
-        emojis.push('😢');
-        confidence += 0.25;
-        explanation.push('Low brightness and energy indicate somber mood');
-        detailedAnalysis.push({ type: "😢 Sad", score: "High", description: "Dark, low energy characteristics" });
-    } else if (spectralCentroid < 1000) {
-        detailedAnalysis.push({ type: "😢 Sad", score: "Medium", description: "Moderately dark sound" });
-    } else {
-        detailedAnalysis.push({ type: "😢 Sad", score: "Low", description: "Brighter, less somber sound" });
-    }
-    
-    // 😌 Relaxed Analysis
-    if (zeroCrossingRate < 0.05 && energyDistribution < 0.5) {
-        moods.push('😌 Relaxed');
-        songTypes.push('Chill');
-        emojis.push('😌');
-        confidence += 0.2;
-        explanation.push('Low complexity and energy create calm feeling');
-        detailedAnalysis.push({ type: "😌 Relaxed", score: "High", description: "Smooth, calm characteristics" });
-    } else if (zeroCrossingRate < 0.08) {
-        detailedAnalysis.push({ type: "😌 Relaxed", score: "Medium", description: "Moderately smooth sound" });
-    } else {
-        detailedAnalysis.push({ type: "😌 Relaxed", score: "Low", description: "More complex, less calm sound" });
-    }
-    
-    // ✊ Aggressiveness Analysis
-    if (zeroCrossingRate > 0.1 && spectralRolloff > 3000) {
-        moods.push('✊ Aggressive');
-        songTypes.push('Intense');
-        emojis.push('✊');
-        confidence += 0.2;
-        explanation.push('High complexity and high frequencies suggest aggression');
-        detailedAnalysis.push({ type: "✊ Aggressiveness", score: "High", description: "Complex, high-frequency characteristics" });
-    } else if (zeroCrossingRate > 0.08) {
-        detailedAnalysis.push({ type: "✊ Aggressiveness", score: "Medium", description: "Moderately complex sound" });
-    } else {
-        detailedAnalysis.push({ type: "✊ Aggressiveness", score: "Low", description: "Smoother, less aggressive sound" });
-    }
-    
-    // 👁 Engagement Analysis
-    const engagementScore = (spectralCentroid / 2000 + energyDistribution + tempoInfluence) / 3;
-    if (engagementScore > 0.7) {
-        detailedAnalysis.push({ type: "👁 Engagement", score: "High", description: "Very engaging and captivating" });
-    } else if (engagementScore > 0.4) {
-        detailedAnalysis.push({ type: "👁 Engagement", score: "Medium", description: "Moderately engaging" });
-    } else {
-        detailedAnalysis.push({ type: "👁 Engagement", score: "Low", description: "Less engaging" });
-    }
-    
-    // 🧠 Approachability Analysis
-    const approachabilityScore = (1 - zeroCrossingRate + energyDistribution) / 2;
-    if (approachabilityScore > 0.7) {
-        detailedAnalysis.push({ type: "🧠 Approachability", score: "High", description: "Very approachable and friendly" });
-    } else if (approachabilityScore > 0.4) {
-        detailedAnalysis.push({ type: "🧠 Approachability", score: "Medium", description: "Moderately approachable" });
-    } else {
-        detailedAnalysis.push({ type: "🧠 Approachability", score: "Low", description: "Less approachable" });
-    }
-    
-    // Determine primary and secondary moods
-    const primaryMood = moods[0] || 'Neutral';
-    const secondaryMood = moods[1] || 'Balanced';
-    const songType = songTypes[0] || 'Mixed';
-    const emoji = emojis[0] || '🎵';
+// Display names for the per-method BPM estimates of each engine
+const BPM_METHOD_LABELS = {
+    autocorr: '🔍 Autocorrelation',
+    spectral: '📊 Spectral Flux',
+    energy: '⚡ Energy Onsets',
+    histogram: '📈 Tempo Histogram',
+    rhythmExtractor: '🎼 RhythmExtractor2013',
+    percival: '🥁 Percival Estimator'
+};
+
+// Every BPM method's estimate, confidence (where the method has one) and alternative
+// tempi, and (built-in engine) its weight and share of the vote that combined them
+function bpmMethodsHTML(bpm) {
+    const items = Object.keys(BPM_METHOD_LABELS)
+        .filter(method => bpm.methods[method])
+        .map(method => {
+            const estimate = bpm.methods[method];
+            const weighting = bpm.combination ? bpm.combination[method] : null;
+            const alternatives = (estimate.candidates || []).slice(1).map(candidate => candidate.bpm).join(' · ');
+            const confidence = typeof estimate.confidence === 'number' ? ` (${(estimate.confidence * 100).toFixed(0)}%)` : '';
+            return `
+                <div class="method-item${weighting && !weighting.agrees ? ' outvoted' : ''}">
+                    <span class="method-name">${BPM_METHOD_LABELS[method]}</span>
+                    <span class="method-value">${estimate.bpm !== null ? `${estimate.bpm} BPM` : 'no tempo found'}${confidence}</span>
+                    ${weighting ? `<span class="method-detail">Weight ${weighting.weight} × confidence → ${(weighting.share * 100).toFixed(0)}% of the vote ${weighting.agrees ? '✅ agrees' : '❌ outvoted'}</span>` : ''}
+                    ${alternatives ? `<span class="method-detail">Other candidates: ${alternatives} BPM</span>` : ''}
+                </div>
+            `;
+        });
     
-    return {
-        primary: primaryMood,
-        secondary: secondaryMood,
-        songType: songType,
-        emoji: emoji,
-        confidence: Math.min(1, confidence),
-        explanation: explanation.join(' • '),
-        detailedAnalysis: detailedAnalysis
-    };
+    return `
+        <div class="bpm-methods">
+            ${bpm.combination ? '<div class="method-summary">Combined by a confidence-weighted vote (octave errors count half)</div>' : ''}
+            ${items.join('')}
+        </div>
+    `;
 }
 
-// Audio downsampling for faster processing
-function downsampleAudio(audioData, originalSampleRate, targetSampleRate) {
-    const ratio = originalSampleRate / targetSampleRate;
-    const downsampledData = [];
-    
-    for (let i = 0; i < audioData.length; i += ratio) {
-        downsampledData.push(audioData[Math.floor(i)]);
+// Display names for the channel strategies
+const CHANNEL_STRATEGY_LABELS = {
+    mid: 'mid downmix',
+    left: 'left channel',
+    right: 'right channel',
+    side: 'side (left − right)',
+    'per-channel': 'mid downmix + per channel'
+};
+
+// Tempo map as an SVG step curve (time across, BPM up)
+function tempoCurveHTML(tempoMap) {
+    if (!tempoMap || tempoMap.length === 0) return '';
+    
+    const width = 260;
+    const height = 70;
+    const duration = tempoMap[tempoMap.length - 1].end;
+    const tempos = tempoMap.map(section => section.bpm);
+    const padding = Math.max(2, (Math.max(...tempos) - Math.min(...tempos)) * 0.15);
+    const minBpm = Math.min(...tempos) - padding;
+    const maxBpm = Math.max(...tempos) + padding;
+    const x = time => (time / duration * width).toFixed(1);
+    const y = bpm => (height - (bpm - minBpm) / (maxBpm - minBpm) * height).toFixed(1);
+    
+    const points = tempoMap.map(section => `${x(section.start)},${y(section.bpm)} ${x(section.end)},${y(section.bpm)}`).join(' ');
+    let changes = `Steady tempo: ${tempos[0]} BPM`;
+    if (tempoMap.length > 4) {
+        changes = `${tempoMap.length} tempo sections: ${Math.min(...tempos)}–${Math.max(...tempos)} BPM`;
+    } else if (tempoMap.length > 1) {
+        changes = `${tempoMap.length} tempo sections: ${tempos.join(' → ')} BPM`;
     }
     
-    return downsampledData;
+    return `
+        <div class="tempo-curve">
+            <div class="tempo-curve-title">📈 ${changes}</div>
+            <svg viewBox="0 0 ${width} ${height}" preserveAspectRatio="none" role="img" aria-label="Tempo curve">
+                <polyline points="${points}" />
+            </svg>
+            <div class="tempo-curve-axis">
+                <span>0:00</span>
+                <span>${formatTime(duration)}</span>
+            </div>
+        </div>
+    `;
 }
 
-// Helper functions
-function getTempoCategory(bpm) {
-    if (bpm < 60) return 'Larghissimo';
-    if (bpm < 66) return 'Largo';
-    if (bpm < 76) return 'Adagio';
-    if (bpm < 108) return 'Andante';
-    if (bpm < 120) return 'Moderato';
-    if (bpm < 168) return 'Allegro';
-    if (bpm < 200) return 'Presto';
-    return 'Prestissimo';
+// m:ss of a time in seconds
+function formatTime(seconds) {
+    return `${Math.floor(seconds / 60)}:${String(Math.floor(seconds % 60)).padStart(2, '0')}`;
 }
 
-function getDanceabilityCategory(score) {
-    if (score > 0.8) return 'Very Danceable';
-    if (score > 0.6) return 'Danceable';
-    if (score > 0.4) return 'Moderately Danceable';
-    if (score > 0.2) return 'Slightly Danceable';
-    return 'Not Danceable';
+// Song structure as a timeline of labelled sections, followed by the section list
+function structureTimelineHTML(structure) {
+    if (!structure || structure.length === 0) return '';
+    
+    const duration = structure[structure.length - 1].end;
+    const blocks = structure.map(section => `
+        <div class="structure-block structure-${section.label}" style="flex-grow: ${(section.end - section.start) / duration}" title="${section.label} ${section.group}: ${formatTime(section.start)}–${formatTime(section.end)}">
+            ${section.group}
+        </div>
+    `).join('');
+    const items = structure.map(section => `
+        <div class="analysis-item">
+            <span class="analysis-type">${section.label} (${section.group})</span>
+            <span class="analysis-description">${formatTime(section.start)} – ${formatTime(section.end)}</span>
+        </div>
+    `).join('');
+    
+    return `
+        <div class="detailed-analysis">
+            <h4>🧩 Song Structure</h4>
+            <div class="structure-timeline">
+                ${blocks}
+            </div>
+            <div class="analysis-grid">
+                ${items}
+            </div>
+        </div>
+    `;
 }
 
-function calculateDanceabilityConfidence(rhythm, beat, energy, tempo) {
-    return (rhythm + beat + energy + tempo) / 4;
+// Loudness value with its unit, or a dash for digital silence
+function formatLoudness(value, unit) {
+    return value === null ? '—' : `${value.toFixed(1)} ${unit}`;
 }
 
 function displayAdvancedResults(allResults) {
+    resultPlayers.forEach(player => player.stop());
+    resultPlayers = [];
+    displayedResults = allResults;
     resultsContainer.innerHTML = '';
     
     allResults.forEach(result => {
@@ -1744,27 +678,41 @@ function displayAdvancedResults(allResults) {
                 </div>
             `).join('');
             
+            // Create beat grid summary
+            const beatSummaryHTML = result.beats.count > 0 ? `
+                <div class="result-subtitle">🥁 ${result.beats.count} beats tracked (${result.beats.bpm} BPM) • first downbeat at ${result.beats.downbeats[0].toFixed(2)}s</div>
+            ` : '';
+            
+            // Create per-channel section (per-channel strategy only)
+            const perChannelHTML = result.perChannel ? `
+                <div class="detailed-analysis">
+                    <h4>🎧 Per-Channel Analysis</h4>
+                    <div class="analysis-grid">
+                        ${result.perChannel.map(channel => `
+                            <div class="analysis-item">
+                                <span class="analysis-type">${channel.channel}</span>
+                                <span class="analysis-description">🎶 ${channel.bpm.bpm} BPM (${channel.bpm.tempoCategory})</span>
+                                <span class="analysis-description">🕺 ${channel.danceability.score.toFixed(1)}% danceable</span>
+                                <span class="analysis-description">${channel.mood.emoji} ${channel.mood.primaryMood}</span>
+                                <span class="analysis-description">🎼 ${channel.key.tonic} ${channel.key.scale} (${channel.key.camelot})</span>
+                            </div>
+                        `).join('')}
+                    </div>
+                </div>
+            ` : '';
+            
             fileResult.innerHTML = `
                 <h3>🎵 ${result.fileName}</h3>
+                <div class="engine-badge">${result.engine === 'essentia' ? 'Essentia.js (WASM)' : 'Built-in engine'} • ${CHANNEL_STRATEGY_LABELS[result.channelStrategy]}</div>
+                <div class="overview-slot"></div>
                 <div class="results-grid">
                     <div class="result-card">
                         <h4>🎶 Professional BPM Detection</h4>
                         <div class="result-value">${result.bpm.bpm} BPM</div>
                         <div class="result-subtitle">${result.bpm.tempoCategory} (${(result.bpm.confidence * 100).toFixed(1)}% accuracy)</div>
-                        <div class="bpm-methods">
-                            <div class="method-item">
-                                <span class="method-name">🔍 Autocorrelation</span>
-                                <span class="method-value">${result.bpm.methods.autocorr.bpm} BPM</span>
-                            </div>
-                            <div class="method-item">
-                                <span class="method-name">⚡ Onset Detection</span>
-                                <span class="method-value">${result.bpm.methods.onset.bpm} BPM</span>
-                            </div>
-                            <div class="method-item">
-                                <span class="method-name">📊 Spectral Flux</span>
-                                <span class="method-value">${result.bpm.methods.spectral.bpm} BPM</span>
-                            </div>
-                        </div>
+                        ${beatSummaryHTML}
+                        ${tempoCurveHTML(result.bpm.tempoMap)}
+                        ${bpmMethodsHTML(result.bpm)}
                     </div>
                     <div class="result-card">
                         <h4>🕺 Professional Danceability</h4>
@@ -1806,6 +754,36 @@ function displayAdvancedResults(allResults) {
                         <div class="result-subtitle">${result.mood.songType} • ${result.mood.secondaryMood}</div>
                         <div class="mood-explanation">${result.mood.moodExplanation}</div>
                     </div>
+                    <div class="result-card">
+                        <h4>📢 Loudness (EBU R128)</h4>
+                        <div class="result-value">${formatLoudness(result.loudness.integrated, 'LUFS')}</div>
+                        <div class="result-subtitle">Range ${formatLoudness(result.loudness.loudnessRange, 'LU')} • True peak ${formatLoudness(result.loudness.truePeak, 'dBTP')}</div>
+                        <div class="danceability-breakdown">
+                            <div class="breakdown-item">
+                                <span class="breakdown-label">⚡ Max Momentary</span>
+                                <span class="breakdown-value">${formatLoudness(result.loudness.maxMomentary, 'LUFS')}</span>
+                            </div>
+                            <div class="breakdown-item">
+                                <span class="breakdown-label">⏱️ Max Short-term</span>
+                                <span class="breakdown-value">${formatLoudness(result.loudness.maxShortTerm, 'LUFS')}</span>
+                            </div>
+                        </div>
+                    </div>
+                    <div class="result-card">
+                        <h4>🎼 Musical Key</h4>
+                        <div class="result-value">${result.key.tonic} ${result.key.scale}</div>
+                        <div class="result-subtitle">${(result.key.confidence * 100).toFixed(1)}% confidence</div>
+                        <div class="danceability-breakdown">
+                            <div class="breakdown-item">
+                                <span class="breakdown-label">🎡 Camelot</span>
+                                <span class="breakdown-value">${result.key.camelot}</span>
+                            </div>
+                            <div class="breakdown-item">
+                                <span class="breakdown-label">🔑 Open Key</span>
+                                <span class="breakdown-value">${result.key.openKey}</span>
+                            </div>
+                        </div>
+                    </div>
                 </div>
                 <div class="detailed-analysis">
                     <h4>📊 Detailed Song Analysis</h4>
@@ -1813,9 +791,333 @@ function displayAdvancedResults(allResults) {
                         ${detailedAnalysisHTML}
                     </div>
                 </div>
+                ${structureTimelineHTML(result.structure)}
+                ${perChannelHTML}
             `;
+            
+            mountPlayerAndOverview(result, fileResult.querySelector('.overview-slot'));
         }
         
         resultsContainer.appendChild(fileResult);
     });
 }
+
+// The player (playback with a click on the beat grid, grid correction) and the waveform and
+// spectrogram with the onsets and beats. A corrected grid is kept as result.correctedBeats
+// and drawn in the overview instead of the detected one.
+function mountPlayerAndOverview(result, slot) {
+    const beats = result.correctedBeats || result.beats;
+    const source = resultSources.get(result);
+    const audioBuffer = source && source.audioBuffer;
+    let player = null;
+    
+    const overviewView = result.overview ? AudioOverviewView.createOverviewView(result.overview, beats, {
+        onSeek: time => player && player.seek(time)
+    }) : null;
+    
+    if (audioBuffer) {
+        player = AudioBeatPlayer.createBeatPlayer(audioContext, audioBuffer, beats, {
+            detectedBeats: result.beats,
+            onBeatsChange: correctedBeats => {
+                result.correctedBeats = correctedBeats;
+                if (overviewView) overviewView.setBeats(correctedBeats || result.beats);
+            },
+            onPosition: time => overviewView && overviewView.setPlayhead(time)
+        });
+        resultPlayers.push(player);
+        slot.appendChild(player.element);
+    }
+    if (overviewView) slot.appendChild(overviewView.element);
+}
+
+// A displayed result as an /api/analyze-multiple entry, the shape the exports take. The
+// overview is drawing data and stays out; a corrected beat grid goes along.
+function toExportEntry(result) {
+    const source = resultSources.get(result);
+    const entry = { fileName: result.fileName };
+    if (source) entry.fileSize = source.file.size;
+    if (result.error) {
+        entry.error = result.message || 'Analysis failed';
+        return entry;
+    }
+    
+    if (source) {
+        entry.audio = {
+            sampleRate: source.audioBuffer.sampleRate,
+            channels: source.audioBuffer.numberOfChannels,
+            duration: source.audioBuffer.duration
+        };
+    }
+    entry.analysis = Object.assign({}, result);
+    ['fileName', 'error', 'message', 'overview'].forEach(key => delete entry.analysis[key]);
+    if (!entry.analysis.correctedBeats) delete entry.analysis.correctedBeats;
+    return entry;
+}
+
+// Download the displayed results as JSON, CSV or an HTML report, or open the report in a
+// new window and bring up the print dialog (which also saves PDFs)
+function exportResults(format) {
+    const entries = displayedResults.map(toExportEntry);
+    if (entries.length === 0) return;
+    
+    if (format === 'print') {
+        const reportWindow = window.open('', '_blank');
+        if (!reportWindow) {
+            alert('Please allow pop-ups to print the report.');
+            return;
+        }
+        reportWindow.document.write(AudioResultExport.formatReport(entries));
+        reportWindow.document.close();
+        reportWindow.focus();
+        reportWindow.print();
+        return;
+    }
+    
+    const { extension, mimeType } = AudioResultExport.FORMAT_TYPES[format];
+    const blob = new Blob([AudioResultExport.formatResults(entries, format)], { type: `${mimeType};charset=utf-8` });
+    downloadBlob(blob, `audio-analysis-${new Date().toISOString().slice(0, 10)}.${extension}`);
+}
+
+// Download the displayed results for Rekordbox, Traktor or Serato. The page only knows
+// file names, so the tracks point into the music folder typed next to the buttons.
+function exportDJLibrary(format) {
+    const entries = displayedResults.map(toExportEntry);
+    if (entries.length === 0) return;
+    
+    const options = { folder: djMusicFolder.value.trim() };
+    const content = AudioDJExport.formatDJLibrary(entries, format, options);
+    const blob = new Blob([content], { type: AudioDJExport.DJ_FORMAT_TYPES[format].mimeType });
+    downloadBlob(blob, AudioDJExport.getDJExportFileName(format, options));
+}
+
+function downloadBlob(blob, fileName) {
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(link.href), 0);
+}
+
+// Live input: the microphone or line-in goes through an AudioWorklet (liveCapture.js),
+// which hands ~100 ms blocks straight to a worker running the shared rolling analysis;
+// every few seconds of audio an update comes back and refreshes the live result cards
+
+// Beats per bar of the tap-along indicator (as in the beat tracker)
+const LIVE_BEATS_PER_BAR = 4;
+
+// Share of a beat the tap-along dot stays lit
+const LIVE_BEAT_FLASH = 0.25;
+
+// Inputs for the input select; device names are only known once access was granted
+async function updateInputList() {
+    try {
+        const devices = await navigator.mediaDevices.enumerateDevices();
+        const selected = inputSelect.value;
+        inputSelect.innerHTML = '<option value="">Default input</option>' + devices
+            .filter(device => device.kind === 'audioinput' && device.deviceId && device.deviceId !== 'default')
+            .map((device, index) => `<option value="${device.deviceId}">${device.label || `Input ${index + 1}`}</option>`)
+            .join('');
+        inputSelect.value = selected;
+        if (inputSelect.value !== selected) inputSelect.value = '';
+    } catch (error) {
+        console.warn('Could not list audio inputs:', error);
+    }
+}
+
+// What the live analysis listens to: the selected strategy where it fits the input (a
+// single signal only, and no side signal from a mono input), otherwise the mid downmix
+function getLiveChannelStrategy(channelCount) {
+    const strategy = channelSelect.value;
+    if (strategy === 'per-channel' || (strategy === 'side' && channelCount < 2)) return 'mid';
+    return strategy;
+}
+
+async function startLiveInput() {
+    liveBtn.disabled = true;
+    
+    try {
+        await audioContext.resume();
+        
+        // Music, not speech: the browser's voice processing would bend levels and onsets
+        const stream = await navigator.mediaDevices.getUserMedia({
+            audio: {
+                deviceId: inputSelect.value ? { exact: inputSelect.value } : undefined,
+                echoCancellation: false,
+                noiseSuppression: false,
+                autoGainControl: false
+            }
+        });
+        await audioContext.audioWorklet.addModule('liveCapture.js');
+        updateInputList();
+        
+        const track = stream.getAudioTracks()[0];
+        const channelCount = Math.max(1, Math.min(2, track.getSettings().channelCount || 1));
+        const channelStrategy = getLiveChannelStrategy(channelCount);
+        
+        const source = audioContext.createMediaStreamSource(stream);
+        const capture = new AudioWorkletNode(audioContext, 'live-capture', {
+            numberOfInputs: 1,
+            numberOfOutputs: 0,
+            channelCount: channelCount,
+            channelCountMode: 'explicit',
+            channelInterpretation: 'discrete'
+        });
+        
+        const session = {
+            stream: stream,
+            source: source,
+            capture: capture,
+            worker: null,
+            port: null,
+            // Context time of the first captured frame: stream time 0
+            startTime: null,
+            lastUpdateTime: 0,
+            tempo: null,
+            animation: null
+        };
+        
+        capture.port.onmessage = (e) => {
+            if (e.data.type === 'started') session.startTime = e.data.time;
+        };
+        
+        // The worklet talks to the analysis directly, the page never sees the audio
+        const channel = new MessageChannel();
+        capture.port.postMessage({ type: 'connect', port: channel.port1 }, [channel.port1]);
+        
+        const options = { channelCount: channelCount, channels: channelStrategy };
+        session.worker = createAnalysisWorker();
+        if (session.worker) {
+            session.worker.onmessage = (e) => {
+                if (e.data.type === 'live-update') displayLiveUpdate(e.data.result);
+                if (e.data.type === 'live-error') displayLiveError(e.data.error);
+            };
+            session.worker.postMessage({ type: 'live-start', sampleRate: audioContext.sampleRate, options: options, port: channel.port2 }, [channel.port2]);
+        } else {
+            // No workers: the same analysis on the main thread
+            const analysis = AudioAnalysisCore.createLiveAnalysis(audioContext.sampleRate, channelCount, channelStrategy, options);
+            let queue = Promise.resolve();
+            session.port = channel.port2;
+            session.port.onmessage = (e) => {
+                queue = queue.then(async () => {
+                    const update = await analysis.push(e.data.channels);
+                    if (update && liveSession === session) displayLiveUpdate(update);
+                }).catch(error => {
+                    if (liveSession === session) displayLiveError(error.message || 'Live analysis failed');
+                });
+            };
+        }
+        
+        source.connect(capture);
+        liveSession = session;
+        
+        resetLiveResults(track.label || 'Live input', channelStrategy);
+        liveResults.style.display = 'block';
+        liveBtn.textContent = '⏹️ Stop Live Input';
+        session.animation = requestAnimationFrame(animateTapAlong);
+        console.log(`Live input started: ${track.label}, ${audioContext.sampleRate} Hz, ${channelCount} channel(s)`);
+        
+    } catch (error) {
+        console.error('Could not start live input:', error);
+        alert(error.name === 'NotAllowedError'
+            ? 'Microphone access was denied. Allow it in the browser to use live input.'
+            : `Could not start live input: ${error.message}`);
+    } finally {
+        liveBtn.disabled = false;
+    }
+}
+
+function stopLiveInput() {
+    const session = liveSession;
+    if (!session) return;
+    liveSession = null;
+    
+    session.capture.port.postMessage({ type: 'stop' });
+    session.source.disconnect();
+    session.stream.getTracks().forEach(track => track.stop());
+    if (session.worker) session.worker.terminate();
+    if (session.port) session.port.close();
+    cancelAnimationFrame(session.animation);
+    
+    document.getElementById('liveTapAlong').querySelectorAll('.tap-dot').forEach(dot => dot.classList.remove('active'));
+    document.getElementById('liveStatus').textContent = 'Stopped';
+    liveBtn.textContent = '🎙️ Start Live Input';
+    console.log('Live input stopped');
+}
+
+function resetLiveResults(sourceName, channelStrategy) {
+    document.getElementById('liveSource').textContent = `🎙️ ${sourceName}`;
+    document.getElementById('liveBadge').textContent = `Built-in engine • ${CHANNEL_STRATEGY_LABELS[channelStrategy]} • updates every ${AudioAnalysisCore.LIVE_UPDATE_INTERVAL}s`;
+    document.getElementById('liveStatus').textContent = `Listening... (first update after ${AudioAnalysisCore.LIVE_UPDATE_INTERVAL}s)`;
+    document.getElementById('liveBpm').textContent = '—';
+    document.getElementById('liveBpmDetail').textContent = 'Waiting for enough audio';
+    document.getElementById('liveEnergy').textContent = '—';
+    document.getElementById('liveEnergyDetail').textContent = 'RMS level';
+    document.getElementById('liveEnergyMeter').style.width = '0%';
+    document.getElementById('liveMood').textContent = '—';
+    document.getElementById('liveMoodDetail').textContent = 'Mood of the last seconds';
+    document.getElementById('liveOnsets').textContent = '—';
+    document.getElementById('liveOnsetsDetail').textContent = 'Note and hit onsets';
+}
+
+// A block the live analysis failed on; it goes on with the next one, whose update
+// replaces the message
+function displayLiveError(message) {
+    if (!liveSession) return;
+    
+    console.error('Live analysis error:', message);
+    document.getElementById('liveStatus').textContent = `⚠️ Live analysis error: ${message}`;
+}
+
+function displayLiveUpdate(update) {
+    if (!liveSession) return;
+    
+    document.getElementById('liveStatus').textContent = `Listening for ${formatTime(update.time)} • analysing the last ${Math.round(update.window.end - update.window.start)}s`;
+    
+    liveSession.tempo = update.bpm;
+    if (update.bpm) {
+        document.getElementById('liveBpm').textContent = `${Math.round(update.bpm.bpm)} BPM`;
+        document.getElementById('liveBpmDetail').textContent = `${update.bpm.tempoCategory} (${(update.bpm.confidence * 100).toFixed(1)}% beat confidence)`;
+    }
+    
+    document.getElementById('liveEnergy').textContent = formatLoudness(update.energy.rms, 'dBFS');
+    document.getElementById('liveEnergyDetail').textContent = `Peak ${formatLoudness(update.energy.peak, 'dBFS')}`;
+    // Meter from -60 dBFS (empty) to 0 dBFS (full)
+    const level = update.energy.rms === null ? 0 : Math.max(0, Math.min(1, (update.energy.rms + 60) / 60));
+    document.getElementById('liveEnergyMeter').style.width = `${(level * 100).toFixed(0)}%`;
+    
+    document.getElementById('liveMood').textContent = `${update.mood.emoji} ${update.mood.primaryMood}`;
+    document.getElementById('liveMoodDetail').textContent = `${update.mood.songType} • ${update.mood.secondaryMood}`;
+    
+    const seconds = update.time - liveSession.lastUpdateTime;
+    liveSession.lastUpdateTime = update.time;
+    document.getElementById('liveOnsets').textContent = `${(update.onsets.count / seconds).toFixed(1)} / s`;
+    document.getElementById('liveOnsetsDetail').textContent = `${update.onsets.count} onsets in the last ${seconds.toFixed(1)}s`;
+}
+
+// Tap-along indicator: one dot per beat of the bar, lit on the beat. The beat is followed
+// on from the last beat and downbeat of the latest update at the tracked tempo.
+function animateTapAlong() {
+    const session = liveSession;
+    if (!session) return;
+    session.animation = requestAnimationFrame(animateTapAlong);
+    
+    const dots = document.getElementById('liveTapAlong').querySelectorAll('.tap-dot');
+    const tempo = session.tempo;
+    if (!tempo || !tempo.bpm || session.startTime === null) {
+        dots.forEach(dot => dot.classList.remove('active'));
+        return;
+    }
+    
+    const period = 60 / tempo.bpm;
+    const now = audioContext.currentTime - session.startTime;
+    const beatsSince = (now - tempo.lastBeat) / period;
+    const beat = Math.floor(beatsSince);
+    const phase = beatsSince - beat;
+    
+    const firstBeatInBar = tempo.lastDownbeat === null ? 0 : Math.round((tempo.lastBeat - tempo.lastDownbeat) / period);
+    const position = ((firstBeatInBar + beat) % LIVE_BEATS_PER_BAR + LIVE_BEATS_PER_BAR) % LIVE_BEATS_PER_BAR;
+    
+    dots.forEach((dot, index) => dot.classList.toggle('active', index === position && phase < LIVE_BEAT_FLASH));
+}
@@ -0,0 +1,160 @@
+// Worker pool module
+// A fixed number of Web Workers running the same script, shared by every analysis on the
+// page. run() queues a task and resolves with its result; the task goes to the first idle
+// worker as { id, type, ...message } and the worker answers { id, result } or
+// { id, error }, with any number of { id, progress } messages before. Tasks are cancelled
+// through an AbortSignal: a queued task just leaves the queue, a running one takes its
+// worker down with it (a fresh worker replaces it).
+// Loaded as a plain <script> in the page (global: AudioWorkerPool).
+(function (root) {
+    'use strict';
+
+    // Never more workers than this, however many cores the machine reports
+    const MAX_POOL_SIZE = 8;
+
+    // One worker per core, minus one for the page itself
+    function getDefaultPoolSize() {
+        const cores = (typeof navigator !== 'undefined' && navigator.hardwareConcurrency) || 2;
+        return Math.max(1, Math.min(MAX_POOL_SIZE, cores - 1));
+    }
+
+    function createAbortError() {
+        return typeof DOMException !== 'undefined'
+            ? new DOMException('The analysis was cancelled', 'AbortError')
+            : Object.assign(new Error('The analysis was cancelled'), { name: 'AbortError' });
+    }
+
+    // Pool of `options.size` workers (default: getDefaultPoolSize()) running `workerUrl`;
+    // workers are started on first use
+    function createWorkerPool(workerUrl, options = {}) {
+        const size = options.size || getDefaultPoolSize();
+        const slots = [];
+        const queue = [];
+        let nextId = 1;
+        let terminated = false;
+
+        function startWorker(slot) {
+            slot.worker = new Worker(workerUrl);
+            slot.worker.onmessage = (e) => handleMessage(slot, e.data);
+            slot.worker.onerror = (e) => {
+                e.preventDefault();
+                // The script itself failed: the task cannot finish on this worker
+                restartWorker(slot);
+                finish(slot, null, new Error(e.message || 'Analysis worker failed'));
+            };
+        }
+
+        function restartWorker(slot) {
+            slot.worker.terminate();
+            startWorker(slot);
+        }
+
+        function handleMessage(slot, data) {
+            const task = slot.task;
+            if (!task || data.id !== task.id) return;
+
+            if (data.progress !== undefined) {
+                if (task.onProgress) task.onProgress(data.progress);
+                return;
+            }
+            finish(slot, data.result, data.error !== undefined ? new Error(data.error) : null);
+        }
+
+        function finish(slot, result, error) {
+            const task = slot.task;
+            if (!task) return;
+            slot.task = null;
+            if (task.signal) task.signal.removeEventListener('abort', task.abort);
+
+            if (error) {
+                task.reject(error);
+            } else {
+                task.resolve(result);
+            }
+            dispatch();
+        }
+
+        // Hand queued tasks to idle workers, starting workers up to the pool size
+        function dispatch() {
+            while (queue.length > 0) {
+                let slot = slots.find(candidate => !candidate.task);
+                if (!slot && slots.length < size) {
+                    slot = { worker: null, task: null };
+                    startWorker(slot);
+                    slots.push(slot);
+                }
+                if (!slot) return;
+
+                const task = queue.shift();
+                slot.task = task;
+                slot.worker.postMessage(Object.assign({ id: task.id, type: task.type }, task.message), task.transfer);
+            }
+        }
+
+        function cancel(task) {
+            const index = queue.indexOf(task);
+            if (index >= 0) {
+                queue.splice(index, 1);
+                task.signal.removeEventListener('abort', task.abort);
+                task.reject(createAbortError());
+                return;
+            }
+
+            const slot = slots.find(candidate => candidate.task === task);
+            if (slot) {
+                restartWorker(slot);
+                finish(slot, null, createAbortError());
+            }
+        }
+
+        return {
+            size: size,
+
+            // Run task `type` with the fields of `message`. options.transfer lists the
+            // buffers to move into the worker (they are unusable here afterwards),
+            // options.signal cancels the task and options.onProgress gets its progress.
+            run(type, message, options = {}) {
+                if (terminated) return Promise.reject(new Error('The worker pool has been terminated'));
+                if (options.signal && options.signal.aborted) return Promise.reject(createAbortError());
+
+                return new Promise((resolve, reject) => {
+                    const task = {
+                        id: nextId++,
+                        type: type,
+                        message: message,
+                        transfer: options.transfer || [],
+                        signal: options.signal,
+                        onProgress: options.onProgress,
+                        resolve: resolve,
+                        reject: reject
+                    };
+                    if (task.signal) {
+                        task.abort = () => cancel(task);
+                        task.signal.addEventListener('abort', task.abort);
+                    }
+
+                    queue.push(task);
+                    dispatch();
+                });
+            },
+
+            // Stop every worker; queued and running tasks are rejected
+            terminate() {
+                terminated = true;
+                const error = new Error('The worker pool has been terminated');
+                queue.splice(0).forEach(task => task.reject(error));
+                slots.forEach(slot => {
+                    slot.worker.terminate();
+                    if (slot.task) slot.task.reject(error);
+                    slot.task = null;
+                });
+            }
+        };
+    }
+
+    root.AudioWorkerPool = {
+        MAX_POOL_SIZE,
+        getDefaultPoolSize,
+        createWorkerPool
+    };
+})(typeof self !== 'undefined' ? self : this);
@@ -0,0 +1,269 @@
+// Result cache module
+// Analysis results keyed by content: the SHA-256 of the uploaded bytes plus a hash of the
+// analysis settings (type, options, algorithm version), so re-uploading a file - under
+// any name - is answered without decoding or analysing it again. Two interchangeable
+// caches share the same async interface (get, set, purge): MemoryResultCache, an LRU for
+// a single server process, and FileResultCache for results that outlive the process or
+// are shared by several processes through a common directory.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+
+// Keys are "<file sha256>-<settings sha256>"; anything else never touches the file system
+const CACHE_KEY_PATTERN = /^[0-9a-f]{64}-[0-9a-f]{64}$/;
+const FILE_HASH_PATTERN = /^[0-9a-f]{64}$/;
+
+// Where FileResultCache keeps its entries unless told otherwise
+const DEFAULT_CACHE_DIRECTORY = path.join(os.tmpdir(), 'audio-analysis-cache');
+
+// Limits unless configured: entries, total size of the stored JSON, age
+const DEFAULT_MAX_ENTRIES = 1000;
+const DEFAULT_MAX_BYTES = 100 * 1024 * 1024;
+const DEFAULT_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+function sha256(data) {
+    return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+// Cache key of an uploaded file analysed with the given settings. The settings are
+// serialised with sorted keys, so the order options were given in does not matter.
+function getCacheKey(buffer, settings) {
+    return `${sha256(buffer)}-${sha256(stableStringify(settings))}`;
+}
+
+function stableStringify(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(stableStringify).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        const keys = Object.keys(value).filter(key => value[key] !== undefined).sort();
+        return `{${keys.map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value);
+}
+
+function isCacheKey(key) {
+    return typeof key === 'string' && CACHE_KEY_PATTERN.test(key);
+}
+
+// Entries whose key belongs to the file hash `fileHash` (every entry without one)
+function matchesFile(key, fileHash) {
+    return !fileHash || key.startsWith(`${fileHash}-`);
+}
+
+// Least recently used entries in a Map (its insertion order doubles as the LRU order),
+// stored as JSON strings so every hit hands out a fresh copy
+class MemoryResultCache {
+    constructor(limits = {}) {
+        this.maxEntries = limits.maxEntries || DEFAULT_MAX_ENTRIES;
+        this.maxBytes = limits.maxBytes || DEFAULT_MAX_BYTES;
+        this.ttl = limits.ttl !== undefined ? limits.ttl : DEFAULT_TTL_MS;
+        this.entries = new Map();
+        this.bytes = 0;
+    }
+
+    async get(key) {
+        const entry = this.entries.get(key);
+        if (!entry) return null;
+
+        if (this.ttl > 0 && Date.now() - entry.storedAt > this.ttl) {
+            this.delete(key);
+            return null;
+        }
+
+        // Move to the most recently used end
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+        return JSON.parse(entry.json);
+    }
+
+    async set(key, value) {
+        const json = JSON.stringify(value);
+        // A result larger than the whole cache is not worth evicting everything for
+        if (json.length > this.maxBytes) return false;
+
+        this.delete(key);
+        this.entries.set(key, { json: json, storedAt: Date.now() });
+        this.bytes += json.length;
+
+        for (const oldest of this.entries.keys()) {
+            if (this.entries.size <= this.maxEntries && this.bytes <= this.maxBytes) break;
+            this.delete(oldest);
+        }
+        return true;
+    }
+
+    // Remove the entries of one file (by its SHA-256), or all of them; returns how many
+    async purge(fileHash) {
+        let removed = 0;
+        for (const key of Array.from(this.entries.keys())) {
+            if (matchesFile(key, fileHash)) {
+                this.delete(key);
+                removed++;
+            }
+        }
+        return removed;
+    }
+
+    delete(key) {
+        const entry = this.entries.get(key);
+        if (entry) {
+            this.bytes -= entry.json.length;
+            this.entries.delete(key);
+        }
+    }
+}
+
+// One JSON file per entry in `directory`. A hit refreshes the file's modification time,
+// which is what the size limits evict by (oldest first); writes go through a temporary
+// file and a rename, so a reader never sees half an entry.
+class FileResultCache {
+    constructor(directory = DEFAULT_CACHE_DIRECTORY, limits = {}) {
+        this.directory = directory;
+        this.maxEntries = limits.maxEntries || DEFAULT_MAX_ENTRIES;
+        this.maxBytes = limits.maxBytes || DEFAULT_MAX_BYTES;
+        this.ttl = limits.ttl !== undefined ? limits.ttl : DEFAULT_TTL_MS;
+        this.ready = null;
+    }
+
+    entryPath(key) {
+        return path.join(this.directory, `${key}.json`);
+    }
+
+    async ensureDirectory() {
+        if (!this.ready) {
+            this.ready = fs.promises.mkdir(this.directory, { recursive: true });
+        }
+        return this.ready;
+    }
+
+    async get(key) {
+        if (!isCacheKey(key)) return null;
+
+        try {
+            const entry = JSON.parse(await fs.promises.readFile(this.entryPath(key), 'utf8'));
+            if (this.ttl > 0 && Date.now() - entry.storedAt > this.ttl) {
+                await this.remove(key);
+                return null;
+            }
+
+            const now = new Date();
+            await fs.promises.utimes(this.entryPath(key), now, now);
+            return entry.value;
+        } catch (error) {
+            // Missing, or removed/replaced by another process in the meantime
+            if (error.code === 'ENOENT' || error instanceof SyntaxError) return null;
+            throw error;
+        }
+    }
+
+    async set(key, value) {
+        if (!isCacheKey(key)) return false;
+
+        const json = JSON.stringify({ storedAt: Date.now(), value: value });
+        if (json.length > this.maxBytes) return false;
+
+        await this.ensureDirectory();
+        const temporary = `${this.entryPath(key)}.${process.pid}.tmp`;
+        await fs.promises.writeFile(temporary, json);
+        await fs.promises.rename(temporary, this.entryPath(key));
+
+        await this.enforceLimits();
+        return true;
+    }
+
+    // Remove the entries of one file (by its SHA-256), or all of them; returns how many
+    async purge(fileHash) {
+        let removed = 0;
+        for (const entry of await this.listEntries()) {
+            if (matchesFile(entry.key, fileHash) && await this.remove(entry.key)) {
+                removed++;
+            }
+        }
+        return removed;
+    }
+
+    async remove(key) {
+        try {
+            await fs.promises.unlink(this.entryPath(key));
+            return true;
+        } catch (error) {
+            if (error.code === 'ENOENT') return false;
+            throw error;
+        }
+    }
+
+    // Every entry with its size and last use, least recently used first
+    async listEntries() {
+        await this.ensureDirectory();
+        const keys = (await fs.promises.readdir(this.directory))
+            .filter(name => name.endsWith('.json'))
+            .map(name => name.slice(0, -'.json'.length))
+            .filter(isCacheKey);
+
+        const entries = [];
+        for (const key of keys) {
+            try {
+                const stat = await fs.promises.stat(this.entryPath(key));
+                entries.push({ key: key, size: stat.size, usedAt: stat.mtimeMs });
+            } catch (error) {
+                if (error.code !== 'ENOENT') throw error;
+            }
+        }
+        return entries.sort((a, b) => a.usedAt - b.usedAt);
+    }
+
+    // Drop expired entries, then the least recently used ones until the limits hold
+    async enforceLimits() {
+        const entries = await this.listEntries();
+        const cutoff = this.ttl > 0 ? Date.now() - this.ttl : -Infinity;
+        let count = entries.length;
+        let bytes = entries.reduce((sum, entry) => sum + entry.size, 0);
+
+        for (const entry of entries) {
+            const expired = entry.usedAt < cutoff;
+            if (!expired && count <= this.maxEntries && bytes <= this.maxBytes) continue;
+
+            await this.remove(entry.key);
+            count--;
+            bytes -= entry.size;
+        }
+    }
+}
+
+// Cache picked by the RESULT_CACHE environment variable: memory (default), file (in
+// RESULT_CACHE_DIR) or off. RESULT_CACHE_MAX_ENTRIES, RESULT_CACHE_MAX_MB and
+// RESULT_CACHE_TTL (seconds, 0 for no expiry) set the limits. Returns null when off.
+function createResultCache(options = {}) {
+    const type = options.type || process.env.RESULT_CACHE || 'memory';
+    const limits = {
+        maxEntries: options.maxEntries || Number(process.env.RESULT_CACHE_MAX_ENTRIES) || DEFAULT_MAX_ENTRIES,
+        maxBytes: options.maxBytes || Number(process.env.RESULT_CACHE_MAX_MB) * 1024 * 1024 || DEFAULT_MAX_BYTES,
+        ttl: options.ttl !== undefined ? options.ttl
+            : process.env.RESULT_CACHE_TTL !== undefined ? Number(process.env.RESULT_CACHE_TTL) * 1000 : DEFAULT_TTL_MS
+    };
+
+    switch (type) {
+        case 'memory':
+            return new MemoryResultCache(limits);
+        case 'file':
+            return new FileResultCache(options.directory || process.env.RESULT_CACHE_DIR || DEFAULT_CACHE_DIRECTORY, limits);
+        case 'off':
+            return null;
+        default:
+            throw new Error(`Unknown result cache "${type}" (expected memory, file or off)`);
+    }
+}
+
+function isFileHash(hash) {
+    return typeof hash === 'string' && FILE_HASH_PATTERN.test(hash);
+}
+
+module.exports = {
+    MemoryResultCache,
+    FileResultCache,
+    createResultCache,
+    getCacheKey,
+    isFileHash
+};
@@ -0,0 +1,1495 @@
+// Shared audio analysis core
+// The single implementation of the BPM, danceability, mood, key and structure analyzers. The Node
+// server require()s it, the page loads it as a <script> and the analysis worker
+// pulls it in with importScripts() (global: AudioAnalysisCore), so every entry
+// point returns identical numbers for the same audio.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./fft'), require('./resampler'), require('./beatTracker'), require('./tempoMap'), require('./keyDetector'), require('./loudnessMeter'), require('./structureAnalyzer'), require('./featureStream'), require('./overview'));
+    } else {
+        root.AudioAnalysisCore = factory(root.AudioFFT, root.AudioResampler, root.AudioBeatTracker, root.AudioTempoMap, root.AudioKeyDetector, root.AudioLoudnessMeter, root.AudioStructureAnalyzer, root.AudioFeatureStream, root.AudioOverview);
+    }
+})(typeof self !== 'undefined' ? self : this, function (AudioFFT, AudioResampler, AudioBeatTracker, AudioTempoMap, AudioKeyDetector, AudioLoudnessMeter, AudioStructureAnalyzer, AudioFeatureStream, AudioOverview) {
+    'use strict';
+
+    // Version of the analysis algorithms. Bump it with every change that alters results:
+    // it is part of the server's result cache keys, so cached results get recomputed.
+    const ANALYSIS_VERSION = 2;
+
+    // Available analysis backends
+    const ANALYSIS_ENGINES = ['builtin', 'essentia'];
+
+    // Every built-in analyzer runs on audio resampled to this rate (unless overridden)
+    const ANALYSIS_SAMPLE_RATE = 11025;
+
+    // RhythmExtractor2013 only works on 44.1 kHz input
+    const ESSENTIA_SAMPLE_RATE = 44100;
+
+    // RhythmExtractor2013 'multifeature' confidence lies in [0, 5.32]
+    const MAX_RHYTHM_CONFIDENCE = 5.32;
+
+    // Essentia's DFA danceability lies roughly in [0, 3]
+    const MAX_ESSENTIA_DANCEABILITY = 3;
+
+    // How a multichannel source is turned into the signal(s) that get analyzed:
+    // 'mid' (default) averages every channel, 'side' is (left - right) / 2 and
+    // 'per-channel' analyzes the mid downmix plus every channel on its own
+    const CHANNEL_STRATEGIES = ['mid', 'left', 'right', 'side', 'per-channel'];
+
+    // Onset detection functions: frame energy rise, spectral flux, high-frequency content
+    // (Masri) and complex-domain prediction error (Duxbury/Bello)
+    const ONSET_METHODS = ['energy', 'spectralFlux', 'hfc', 'complex'];
+
+    // Onset peak picking defaults: a frame is an onset when it exceeds `threshold` (as a
+    // fraction of the strongest frame) plus `multiplier` times the median of the
+    // surrounding `window` seconds, and lies at least `minInterval` seconds after the last one
+    const ONSET_DEFAULTS = { method: 'spectralFlux', threshold: 0.05, multiplier: 1, window: 0.3, minInterval: 0.03 };
+
+    // Live analysis: every update looks at the last LIVE_WINDOW seconds of audio, one
+    // update per LIVE_UPDATE_INTERVAL seconds received (options.analysisWindow and
+    // options.updateInterval override them)
+    const LIVE_WINDOW = 15;
+    const LIVE_UPDATE_INTERVAL = 4;
+
+    // Seconds of audio the beat tracker needs before a live BPM is reported
+    const LIVE_MIN_BPM_AUDIO = 6;
+
+    // Built-in BPM methods: the tempo range they search, how many candidate tempi each
+    // reports, how close (as a ratio) two estimates must be to count as the same tempo and
+    // each method's weight in the combined estimate (before its confidence is applied)
+    const MIN_BPM = 60;
+    const MAX_BPM = 200;
+    const BPM_CANDIDATES = 5;
+    const BPM_TOLERANCE = 1.04;
+    const BPM_METHOD_WEIGHTS = { autocorr: 0.4, spectral: 0.3, energy: 0.2, histogram: 0.1 };
+
+    // Onset intervals: every onset is paired with this many following ones
+    const INTERVAL_SPAN = 4;
+
+    // Tempo histogram windows: length and spacing in seconds
+    const HISTOGRAM_WINDOW = 8;
+    const HISTOGRAM_HOP = 2;
+
+    // Names of the channels in the usual WAVE / Web Audio ordering
+    const CHANNEL_NAMES = ['left', 'right', 'center', 'lfe', 'surround-left', 'surround-right'];
+
+    // Analyze `channels` (one Float32Array per channel) with the given strategy.
+    // `analyze` runs the selected engine on one mono signal and returns its results.
+    async function analyzeChannels(channels, strategy, analyze) {
+        strategy = strategy || 'mid';
+        
+        const results = await analyze(mixChannels(channels, strategy === 'per-channel' ? 'mid' : strategy));
+        results.channelStrategy = strategy;
+        
+        if (strategy === 'per-channel') {
+            results.perChannel = [];
+            for (let i = 0; i < channels.length; i++) {
+                const channelResults = await analyze(channels[i]);
+                results.perChannel.push(Object.assign({ channel: getChannelName(i, channels.length) }, channelResults));
+            }
+        }
+        
+        return results;
+    }
+
+    // Single mono signal for one channel strategy
+    function mixChannels(channels, strategy) {
+        if (!CHANNEL_STRATEGIES.includes(strategy) || strategy === 'per-channel') {
+            throw new Error(`Unknown channel strategy "${strategy}" (expected one of: ${CHANNEL_STRATEGIES.join(', ')})`);
+        }
+        
+        // A mono source has no left/right split; its only channel is the mix
+        if (channels.length === 1) {
+            if (strategy === 'side') {
+                throw new Error('The "side" channel strategy needs a source with at least two channels');
+            }
+            return channels[0];
+        }
+        
+        switch (strategy) {
+            case 'left':
+                return channels[0];
+            case 'right':
+                return channels[1];
+            case 'side': {
+                const side = new Float32Array(channels[0].length);
+                for (let i = 0; i < side.length; i++) {
+                    side[i] = (channels[0][i] - channels[1][i]) / 2;
+                }
+                return side;
+            }
+            default: {
+                const mid = new Float32Array(channels[0].length);
+                for (const channel of channels) {
+                    for (let i = 0; i < mid.length; i++) {
+                        mid[i] += channel[i];
+                    }
+                }
+                for (let i = 0; i < mid.length; i++) {
+                    mid[i] /= channels.length;
+                }
+                return mid;
+            }
+        }
+    }
+
+    // EBU R128 loudness of the whole program: every channel at its source rate, with the
+    // BS.1770 channel weights, independent of the channel strategy
+    function analyzeLoudness(channels, sampleRate) {
+        const channelNames = channels.map((channel, index) => getChannelName(index, channels.length));
+        return AudioLoudnessMeter.measureLoudness(channels, sampleRate, channelNames);
+    }
+
+    function getChannelName(index, channelCount) {
+        if (channelCount === 1) return 'mono';
+        return CHANNEL_NAMES[index] || `channel-${index + 1}`;
+    }
+
+    // Tells options.onProgress (if given) that `done` of `total` analysis steps are finished,
+    // the last one being `stage` (bpm, beats, danceability, ...) with its `result`.
+    // The callback may return a promise; the analysis waits for it before the next step.
+    async function reportProgress(options, done, total, stage, result) {
+        if (options.onProgress) {
+            await options.onProgress(done / total, stage, result);
+        }
+    }
+
+    // Built-in engine: full BPM, beat grid, danceability, mood, key and structure analysis of mono audio.
+    // options.analysisSampleRate and options.resampleQuality tune the resampling step,
+    // options.onProgress(fraction, stage, result) follows the analysis step by step.
+    async function analyzeAudioData(audioData, sampleRate, options = {}) {
+        const downsampledSampleRate = options.analysisSampleRate || ANALYSIS_SAMPLE_RATE;
+        const downsampledData = resampleAudio(audioData, sampleRate, downsampledSampleRate, options);
+        
+        const bpmAnalysis = await analyzeBPMAdvanced(downsampledData, downsampledSampleRate);
+        await reportProgress(options, 1, 6, 'bpm', bpmAnalysis);
+        const beatAnalysis = AudioBeatTracker.trackBeats(downsampledData, downsampledSampleRate);
+        await reportProgress(options, 2, 6, 'beats', beatAnalysis);
+        const danceabilityAnalysis = await analyzeDanceabilityAdvanced(downsampledData, downsampledSampleRate);
+        await reportProgress(options, 3, 6, 'danceability', danceabilityAnalysis);
+        const moodAnalysis = await analyzeMoodAdvanced(downsampledData, downsampledSampleRate);
+        await reportProgress(options, 4, 6, 'mood', moodAnalysis);
+        const keyAnalysis = AudioKeyDetector.detectKey(downsampledData, downsampledSampleRate);
+        await reportProgress(options, 5, 6, 'key', keyAnalysis);
+        const structureAnalysis = AudioStructureAnalyzer.analyzeStructure(downsampledData, downsampledSampleRate, { downbeats: beatAnalysis.downbeats });
+        await reportProgress(options, 6, 6, 'structure', structureAnalysis);
+        
+        return {
+            bpm: bpmAnalysis,
+            beats: beatAnalysis,
+            danceability: danceabilityAnalysis,
+            mood: moodAnalysis,
+            key: keyAnalysis,
+            structure: structureAnalysis
+        };
+    }
+
+    // Built-in engine: beat grid only
+    async function analyzeBeatsData(audioData, sampleRate, options = {}) {
+        const downsampledSampleRate = options.analysisSampleRate || ANALYSIS_SAMPLE_RATE;
+        const downsampledData = resampleAudio(audioData, sampleRate, downsampledSampleRate, options);
+        
+        return AudioBeatTracker.trackBeats(downsampledData, downsampledSampleRate);
+    }
+
+    // Built-in engine: onset times and strengths
+    async function analyzeOnsetsData(audioData, sampleRate, options = {}) {
+        const downsampledSampleRate = options.analysisSampleRate || ANALYSIS_SAMPLE_RATE;
+        const downsampledData = resampleAudio(audioData, sampleRate, downsampledSampleRate, options);
+        
+        return detectOnsets(downsampledData, downsampledSampleRate, options);
+    }
+
+    // What the results view draws: the waveform of the audio as it is, the spectrogram and
+    // the onsets (options as for detectOnsets) of the analysis-rate signal
+    async function analyzeOverviewData(audioData, sampleRate, options = {}) {
+        const downsampledSampleRate = options.analysisSampleRate || ANALYSIS_SAMPLE_RATE;
+        const downsampledData = resampleAudio(audioData, sampleRate, downsampledSampleRate, options);
+        
+        return {
+            duration: audioData.length / sampleRate,
+            waveform: AudioOverview.computeWaveform(audioData, sampleRate),
+            spectrogram: AudioOverview.computeSpectrogram(downsampledData, downsampledSampleRate),
+            onsets: detectOnsets(downsampledData, downsampledSampleRate, options)
+        };
+    }
+
+    // Built-in engine on audio that arrives in chunks (long uploads decoded on the fly):
+    // push() takes each block of decoded audio (one Float32Array per channel), finish()
+    // returns BPM, tempo map, beat grid, energy and spectral statistics. Every block is
+    // mixed, resampled and reduced to frame features at once, so memory does not grow
+    // with the length of the audio (only the onset envelope does, ~86 values per second).
+    function createStreamAnalysis(sampleRate, channelCount, strategy, options = {}) {
+        strategy = strategy || 'mid';
+        
+        const analysisSampleRate = options.analysisSampleRate || ANALYSIS_SAMPLE_RATE;
+        const createSignal = () => {
+            const resampler = AudioResampler.createStreamResampler(sampleRate, analysisSampleRate, { quality: options.resampleQuality });
+            const features = AudioFeatureStream.createFeatureStream(analysisSampleRate);
+            return {
+                push: samples => features.push(resampler.push(samples)),
+                finish: () => {
+                    features.push(resampler.flush());
+                    return describeFeatureStream(features.finish());
+                }
+            };
+        };
+        
+        const mix = createSignal();
+        const channelSignals = strategy === 'per-channel' ? Array.from({ length: channelCount }, createSignal) : [];
+        
+        return {
+            push(channels) {
+                mix.push(mixChannels(channels, strategy === 'per-channel' ? 'mid' : strategy));
+                channelSignals.forEach((signal, i) => signal.push(channels[i]));
+            },
+            
+            finish() {
+                const results = mix.finish();
+                results.channelStrategy = strategy;
+                if (strategy === 'per-channel') {
+                    results.perChannel = channelSignals.map((signal, i) => Object.assign({ channel: getChannelName(i, channelCount) }, signal.finish()));
+                }
+                return results;
+            }
+        };
+    }
+
+    // Beat grid and tempo map from a finished feature stream, next to its energy and spectral statistics
+    function describeFeatureStream(features) {
+        const beatAnalysis = AudioBeatTracker.trackBeatsFromOnsets(features.onsets);
+        const bpm = Math.round(beatAnalysis.bpm);
+        
+        return {
+            bpm: {
+                bpm: bpm,
+                tempoCategory: getTempoCategory(bpm),
+                tempoMap: AudioTempoMap.estimateTempoMapFromOnsets(features.onsets, features.duration, { referenceBpm: beatAnalysis.bpm })
+            },
+            beats: beatAnalysis,
+            energy: features.energy,
+            spectral: features.spectral
+        };
+    }
+
+    // Built-in engine on audio that never ends (radio, DJ sets, a microphone): push() takes
+    // each block of audio (one Float32Array per channel) and resolves to an update every
+    // options.updateInterval seconds of audio, to null in between. An update describes the
+    // last options.analysisWindow seconds: BPM, energy and mood of the window and the onsets
+    // of the audio received since the previous update (times in seconds since the start,
+    // detected with the onset options).
+    // finish() resolves to the update for the audio after the last one (null if none).
+    function createLiveAnalysis(sampleRate, channelCount, strategy, options = {}) {
+        strategy = strategy || 'mid';
+        if (strategy === 'per-channel') {
+            throw new Error('Live analysis runs on a single signal (the per-channel strategy is not supported)');
+        }
+        
+        const analysisSampleRate = options.analysisSampleRate || ANALYSIS_SAMPLE_RATE;
+        const windowLength = Math.round((options.analysisWindow || LIVE_WINDOW) * analysisSampleRate);
+        const updateLength = Math.round((options.updateInterval || LIVE_UPDATE_INTERVAL) * analysisSampleRate);
+        const resampler = AudioResampler.createStreamResampler(sampleRate, analysisSampleRate, { quality: options.resampleQuality });
+        
+        // The window so far, the blocks received since, and how much audio that is in all
+        let recent = new Float32Array(0);
+        let blocks = [];
+        let received = 0;
+        let updatedAt = 0;
+        
+        async function update() {
+            const joined = new Float32Array(recent.length + blocks.reduce((sum, block) => sum + block.length, 0));
+            joined.set(recent);
+            let offset = recent.length;
+            for (const block of blocks) {
+                joined.set(block, offset);
+                offset += block.length;
+            }
+            recent = joined.length > windowLength ? joined.slice(joined.length - windowLength) : joined;
+            blocks = [];
+            
+            const windowStart = (received - recent.length) / analysisSampleRate;
+            const fresh = recent.subarray(Math.max(0, recent.length - (received - updatedAt)));
+            const freshStart = updatedAt / analysisSampleRate;
+            updatedAt = received;
+            
+            return {
+                time: round(received / analysisSampleRate, 3),
+                window: { start: round(windowStart, 3), end: round(received / analysisSampleRate, 3) },
+                bpm: describeLiveTempo(recent, analysisSampleRate, windowStart),
+                energy: describeLiveEnergy(fresh),
+                mood: await describeLiveMood(recent, analysisSampleRate),
+                onsets: describeLiveOnsets(recent, analysisSampleRate, windowStart, freshStart, options)
+            };
+        }
+        
+        return {
+            async push(channels) {
+                const block = resampler.push(mixChannels(channels, strategy));
+                if (block.length === 0) return null;
+                blocks.push(block);
+                received += block.length;
+                return received - updatedAt >= updateLength ? update() : null;
+            },
+            
+            async finish() {
+                const block = resampler.flush();
+                if (block.length > 0) {
+                    blocks.push(block);
+                    received += block.length;
+                }
+                return received > updatedAt ? update() : null;
+            }
+        };
+    }
+    
+    function round(value, decimals) {
+        const factor = Math.pow(10, decimals);
+        return Math.round(value * factor) / factor;
+    }
+    
+    // Tempo of a live window from the beat tracker: the grid's BPM, its mean beat confidence
+    // and its last beat and downbeat (stream times), from which the beat can be followed on
+    function describeLiveTempo(audioData, sampleRate, windowStart) {
+        if (audioData.length < LIVE_MIN_BPM_AUDIO * sampleRate) return null;
+        
+        const beats = AudioBeatTracker.trackBeats(audioData, sampleRate);
+        if (beats.count < 2) return null;
+        
+        const confidence = beats.confidence.reduce((sum, value) => sum + value, 0) / beats.confidence.length;
+        return {
+            bpm: beats.bpm,
+            confidence: round(confidence, 3),
+            tempoCategory: getTempoCategory(Math.round(beats.bpm)),
+            lastBeat: round(windowStart + beats.times[beats.times.length - 1], 3),
+            lastDownbeat: beats.downbeats.length > 0 ? round(windowStart + beats.downbeats[beats.downbeats.length - 1], 3) : null
+        };
+    }
+    
+    // RMS and peak level (dBFS, null for silence) of the audio since the last update
+    function describeLiveEnergy(audioData) {
+        let squares = 0;
+        let peak = 0;
+        for (let i = 0; i < audioData.length; i++) {
+            squares += audioData[i] * audioData[i];
+            peak = Math.max(peak, Math.abs(audioData[i]));
+        }
+        const rms = audioData.length > 0 ? Math.sqrt(squares / audioData.length) : 0;
+        const toDb = value => value > 0 ? round(20 * Math.log10(value), 1) : null;
+        
+        return { rms: toDb(rms), peak: toDb(peak) };
+    }
+    
+    // The mood descriptors of a live window, without the per-descriptor breakdown
+    async function describeLiveMood(audioData, sampleRate) {
+        const mood = await analyzeMoodAdvanced(audioData, sampleRate);
+        return {
+            primaryMood: mood.primaryMood,
+            secondaryMood: mood.secondaryMood,
+            songType: mood.songType,
+            emoji: mood.emoji,
+            confidence: mood.confidence
+        };
+    }
+    
+    // Onsets detected in the window that fall after `since` (so every onset is reported once)
+    function describeLiveOnsets(audioData, sampleRate, windowStart, since, options) {
+        const onsets = detectOnsets(audioData, sampleRate, options);
+        const times = [];
+        const strength = [];
+        onsets.times.forEach((time, i) => {
+            if (windowStart + time >= since) {
+                times.push(round(windowStart + time, 3));
+                strength.push(onsets.strength[i]);
+            }
+        });
+        return { method: onsets.method, count: times.length, times: times, strength: strength };
+    }
+
+    // Essentia.js engine: beat grid from RhythmExtractor2013's ticks
+    async function analyzeBeatsWithEssentia(essentia, audioData, sampleRate, options = {}) {
+        const essentiaData = resampleAudio(audioData, sampleRate, ESSENTIA_SAMPLE_RATE, options);
+        const signal = essentia.arrayToVector(essentiaData);
+        let rhythm;
+        try {
+            rhythm = extractEssentiaRhythm(essentia, signal);
+        } finally {
+            signal.delete();
+        }
+        
+        const downsampledSampleRate = options.analysisSampleRate || ANALYSIS_SAMPLE_RATE;
+        const downsampledData = resampleAudio(audioData, sampleRate, downsampledSampleRate, options);
+        
+        return AudioBeatTracker.trackBeats(downsampledData, downsampledSampleRate, { beatTimes: rhythm.ticks });
+    }
+
+    // Essentia.js engine: tempo, danceability, key and loudness come from the WASM algorithms,
+    // the descriptors Essentia has no equivalent for are filled in by the built-in helpers.
+    // `essentia` is an initialised Essentia instance (created differently in Node and the browser).
+    async function analyzeWithEssentia(essentia, audioData, sampleRate, options = {}) {
+        const essentiaData = resampleAudio(audioData, sampleRate, ESSENTIA_SAMPLE_RATE, options);
+        const features = extractEssentiaFeatures(essentia, essentiaData);
+        await reportProgress(options, 1, 7, 'features');
+        
+        const downsampledSampleRate = options.analysisSampleRate || ANALYSIS_SAMPLE_RATE;
+        const downsampledData = resampleAudio(audioData, sampleRate, downsampledSampleRate, options);
+        
+        // BPM from RhythmExtractor2013, with the Percival estimate as a cross-check (Percival
+        // gives no confidence of its own, so its entry has none)
+        const bpm = Math.round(features.rhythm.bpm);
+        const bpmAnalysis = {
+            bpm: bpm,
+            confidence: features.rhythm.confidence,
+            tempoCategory: getTempoCategory(bpm),
+            methods: {
+                rhythmExtractor: { bpm: bpm, confidence: features.rhythm.confidence },
+                percival: { bpm: Math.round(features.percival.bpm) }
+            },
+            tempoMap: AudioTempoMap.estimateTempoMap(downsampledData, downsampledSampleRate, { referenceBpm: features.rhythm.bpm })
+        };
+        await reportProgress(options, 2, 7, 'bpm', bpmAnalysis);
+        
+        // Danceability score from Essentia's DFA, beat metrics from the tracked beats
+        const rhythmStrength = await calculateRhythmStrengthAdvanced(downsampledData, downsampledSampleRate);
+        const beatConsistency = features.rhythm.confidence;
+        const energyDistribution = await calculateEnergyDistributionAdvanced(downsampledData, downsampledSampleRate);
+        const tempoStability = calculateBeatIntervalStability(features.rhythm.bpmIntervals);
+        const syncopation = await calculateSyncopationAdvanced(downsampledData, downsampledSampleRate);
+        const grooveFactor = await calculateGrooveFactorAdvanced(downsampledData, downsampledSampleRate);
+        const danceabilityScore = features.danceability.normalized;
+        
+        const danceabilityAnalysis = {
+            score: Math.min(100, Math.max(0, danceabilityScore * 100)),
+            rhythmStrength: rhythmStrength,
+            beatConsistency: beatConsistency,
+            energyDistribution: energyDistribution,
+            tempoStability: tempoStability,
+            syncopation: syncopation,
+            grooveFactor: grooveFactor,
+            category: getDanceabilityCategory(danceabilityScore),
+            type: determineDanceabilityType(danceabilityScore, rhythmStrength, beatConsistency),
+            confidence: calculateDanceabilityConfidence(rhythmStrength, beatConsistency, energyDistribution, tempoStability)
+        };
+        await reportProgress(options, 3, 7, 'danceability', danceabilityAnalysis);
+        
+        // Mood from the built-in descriptors, enriched with Essentia's loudness
+        const moodAnalysis = await analyzeMoodAdvanced(downsampledData, downsampledSampleRate);
+        moodAnalysis.loudness = features.loudness;
+        await reportProgress(options, 4, 7, 'mood', moodAnalysis);
+        
+        // Key from KeyExtractor, with its strength as the confidence
+        const keyAnalysis = AudioKeyDetector.describeKey(features.key.key, features.key.scale, features.key.strength);
+        await reportProgress(options, 5, 7, 'key', keyAnalysis);
+        
+        // Beat grid from the RhythmExtractor2013 ticks
+        const beatAnalysis = AudioBeatTracker.trackBeats(downsampledData, downsampledSampleRate, { beatTimes: features.rhythm.ticks });
+        await reportProgress(options, 6, 7, 'beats', beatAnalysis);
+        
+        // Song structure, with the boundaries on the downbeats of that grid
+        const structureAnalysis = AudioStructureAnalyzer.analyzeStructure(downsampledData, downsampledSampleRate, { downbeats: beatAnalysis.downbeats });
+        await reportProgress(options, 7, 7, 'structure', structureAnalysis);
+        
+        return {
+            bpm: bpmAnalysis,
+            beats: beatAnalysis,
+            danceability: danceabilityAnalysis,
+            mood: moodAnalysis,
+            key: keyAnalysis,
+            structure: structureAnalysis
+        };
+    }
+
+    // RhythmExtractor2013 on a signal vector: BPM, normalised confidence, ticks and beat intervals
+    function extractEssentiaRhythm(essentia, signal) {
+        const rhythm = essentia.RhythmExtractor2013(signal, 208, 'multifeature', 40);
+        const ticks = rhythm.ticks.size() > 0 ? essentia.vectorToArray(rhythm.ticks) : new Float32Array(0);
+        const bpmIntervals = rhythm.bpmIntervals.size() > 0 ? essentia.vectorToArray(rhythm.bpmIntervals) : new Float32Array(0);
+        rhythm.ticks.delete();
+        rhythm.bpmIntervals.delete();
+        rhythm.estimates.delete();
+        
+        return {
+            bpm: rhythm.bpm,
+            confidence: Math.min(1, Math.max(0, rhythm.confidence / MAX_RHYTHM_CONFIDENCE)),
+            ticks: Array.from(ticks),
+            bpmIntervals: Array.from(bpmIntervals)
+        };
+    }
+
+    // Run the Essentia algorithms on mono 44.1 kHz audio
+    function extractEssentiaFeatures(essentia, audioData) {
+        const signal = essentia.arrayToVector(audioData instanceof Float32Array ? audioData : Float32Array.from(audioData));
+        
+        try {
+            const rhythm = extractEssentiaRhythm(essentia, signal);
+            const percival = essentia.PercivalBpmEstimator(signal, 1024, 2048, 128, 128, 210, 50, ESSENTIA_SAMPLE_RATE);
+            const danceability = essentia.Danceability(signal, 8800, 310, ESSENTIA_SAMPLE_RATE);
+            danceability.dfa.delete();
+            const key = essentia.KeyExtractor(signal, true, 4096, 4096, 12, 3500, 60, 25, 0.2, 'bgate', ESSENTIA_SAMPLE_RATE);
+            const loudness = essentia.Loudness(signal);
+            
+            return {
+                rhythm: rhythm,
+                percival: {
+                    bpm: percival.bpm
+                },
+                danceability: {
+                    value: danceability.danceability,
+                    normalized: Math.min(1, Math.max(0, danceability.danceability / MAX_ESSENTIA_DANCEABILITY))
+                },
+                key: {
+                    key: key.key,
+                    scale: key.scale,
+                    strength: key.strength
+                },
+                loudness: loudness.loudness
+            };
+        } finally {
+            signal.delete();
+        }
+    }
+
+    // Tempo stability from the spread of beat-to-beat intervals
+    function calculateBeatIntervalStability(intervals) {
+        if (intervals.length < 2) return 0;
+        
+        const mean = intervals.reduce((sum, i) => sum + i, 0) / intervals.length;
+        const variance = intervals.reduce((sum, i) => sum + Math.pow(i - mean, 2), 0) / intervals.length;
+        
+        return Math.max(0, Math.min(1, 1 - Math.sqrt(variance) / mean));
+    }
+
+    // Built-in BPM: four independent estimates, each with its own BPM, confidence and
+    // candidate tempi, combined by a confidence-weighted vote
+    async function analyzeBPMAdvanced(audioData, sampleRate) {
+        const methods = {
+            // Method 1: periodicity (autocorrelation) of the beat tracker's onset envelope
+            autocorr: await detectBPMAdvancedAutocorr(audioData, sampleRate),
+            // Method 2: inter-onset intervals of spectral flux peaks
+            spectral: await detectBPMAdvancedSpectral(audioData, sampleRate),
+            // Method 3: inter-onset intervals of frame energy peaks
+            energy: await detectBPMAdvancedEnergy(audioData, sampleRate),
+            // Method 4: histogram of the tempi of short windows of the bass onsets
+            histogram: await detectBPMHistogram(audioData, sampleRate)
+        };
+        
+        const combinedBPM = combineBPMResultsAdvanced(methods);
+        
+        return {
+            bpm: combinedBPM.bpm,
+            confidence: combinedBPM.confidence,
+            tempoCategory: getTempoCategory(combinedBPM.bpm),
+            methods: methods,
+            // How much each method counted in the combined estimate
+            combination: combinedBPM.weights,
+            // Tempo sections over time, in the octave of the global estimate
+            tempoMap: AudioTempoMap.estimateTempoMap(audioData, sampleRate, { referenceBpm: combinedBPM.bpm })
+        };
+    }
+
+    // Result of one BPM method: its best candidate (null BPM when nothing periodic was found)
+    function describeBPMMethod(candidates) {
+        return {
+            bpm: candidates.length > 0 ? candidates[0].bpm : null,
+            confidence: candidates.length > 0 ? candidates[0].score : 0,
+            candidates: candidates
+        };
+    }
+
+    // The BPM_CANDIDATES best-scoring candidates, rounded, strongest first; a candidate
+    // within BPM_TOLERANCE of a stronger one is the same tempo and left out
+    function rankTempoCandidates(candidates) {
+        const ranked = [];
+        candidates.sort((a, b) => b.score - a.score).forEach(candidate => {
+            if (ranked.length < BPM_CANDIDATES && !ranked.some(other => isSameTempo(other.bpm, candidate.bpm))) {
+                ranked.push(candidate);
+            }
+        });
+        return ranked.map(candidate => ({ bpm: round(candidate.bpm, 1), score: round(candidate.score, 3) }));
+    }
+
+    function isSameTempo(a, b) {
+        return Math.max(a, b) / Math.min(a, b) <= BPM_TOLERANCE;
+    }
+
+    // Tempo candidates from a list of tempo observations (BPM): the observations are
+    // counted in 1 BPM bins (smoothed over the neighbouring bins) and every peak of that
+    // histogram becomes a candidate with the mean of the observations within
+    // BPM_TOLERANCE of it and, as its score, the share of all observations they make up
+    function clusterTempi(tempi) {
+        if (tempi.length === 0) return [];
+        
+        const histogram = new Float64Array(MAX_BPM + 2);
+        tempi.forEach(bpm => histogram[Math.round(bpm)]++);
+        const smoothed = histogram.map((count, bin) => bin > 0 && bin <= MAX_BPM ? histogram[bin - 1] + count + histogram[bin + 1] : 0);
+        
+        const candidates = [];
+        for (let bin = MIN_BPM; bin <= MAX_BPM; bin++) {
+            if (smoothed[bin] > 0 && smoothed[bin] >= smoothed[bin - 1] && smoothed[bin] > smoothed[bin + 1]) {
+                const members = tempi.filter(bpm => isSameTempo(bpm, bin));
+                candidates.push({
+                    bpm: members.reduce((sum, bpm) => sum + bpm, 0) / members.length,
+                    score: members.length / tempi.length
+                });
+            }
+        }
+        return rankTempoCandidates(candidates);
+    }
+
+    // Tempo candidates from the intervals between onsets (times in seconds): every onset
+    // is paired with the next few, so beats are found even when most onsets fall between them
+    function findTempoByIntervals(times) {
+        const tempi = [];
+        for (let i = 0; i < times.length; i++) {
+            for (let j = i + 1; j < times.length && j <= i + INTERVAL_SPAN; j++) {
+                const bpm = 60 / (times[j] - times[i]);
+                if (bpm < MIN_BPM) break;
+                if (bpm <= MAX_BPM) tempi.push(bpm);
+            }
+        }
+        return clusterTempi(tempi);
+    }
+
+    // Tempo candidates from the autocorrelation of an onset envelope: every local maximum
+    // at a lag in the tempo range (parabolically interpolated), scored by its normalised
+    // autocorrelation (0-1)
+    function findTempoByAutocorrelation(envelope, frameRate) {
+        const autocorr = AudioFFT.autocorrelation(envelope);
+        if (!(autocorr[0] > 0)) return [];
+        
+        const minLag = Math.max(1, Math.floor(60 / MAX_BPM * frameRate));
+        const maxLag = Math.min(autocorr.length - 2, Math.ceil(60 / MIN_BPM * frameRate));
+        const candidates = [];
+        for (let lag = minLag; lag <= maxLag; lag++) {
+            if (autocorr[lag] > 0 && autocorr[lag] >= autocorr[lag - 1] && autocorr[lag] > autocorr[lag + 1]) {
+                const curvature = autocorr[lag - 1] - 2 * autocorr[lag] + autocorr[lag + 1];
+                const shift = curvature < 0 ? 0.5 * (autocorr[lag - 1] - autocorr[lag + 1]) / curvature : 0;
+                const bpm = 60 * frameRate / (lag + Math.max(-0.5, Math.min(0.5, shift)));
+                if (bpm >= MIN_BPM && bpm <= MAX_BPM) {
+                    candidates.push({ bpm: bpm, score: autocorr[lag] / autocorr[0] });
+                }
+            }
+        }
+        return candidates;
+    }
+
+    // Method 1: autocorrelation of the band-wise spectral flux onset envelope. The beat
+    // tracker's period estimate (autocorrelation under a tempo prior) picks the BPM, the
+    // other autocorrelation peaks are the alternatives.
+    async function detectBPMAdvancedAutocorr(audioData, sampleRate) {
+        const { envelope, frameRate } = AudioBeatTracker.computeOnsetEnvelope(audioData, sampleRate);
+        const candidates = findTempoByAutocorrelation(envelope, frameRate);
+        const period = AudioBeatTracker.estimateBeatPeriod(envelope, frameRate);
+        if (!(period > 0) || candidates.length === 0) return describeBPMMethod([]);
+        
+        // The prior's choice first, with the strength of the autocorrelation peak it sits on
+        // (none when no peak is within BPM_TOLERANCE of it); the peaks of other tempi follow
+        const bpm = 60 * frameRate / period;
+        const nearest = candidates.reduce((best, candidate) => Math.abs(candidate.bpm - bpm) < Math.abs(best.bpm - bpm) ? candidate : best);
+        const score = isSameTempo(nearest.bpm, bpm) ? nearest.score : 0;
+        const others = candidates.filter(candidate => !isSameTempo(candidate.bpm, bpm));
+        return describeBPMMethod([{ bpm: round(bpm, 1), score: round(score, 3) }].concat(rankTempoCandidates(others).slice(0, BPM_CANDIDATES - 1)));
+    }
+
+    // Method 2: tempo from the intervals between spectral flux onsets
+    async function detectBPMAdvancedSpectral(audioData, sampleRate) {
+        const onsets = detectOnsets(audioData, sampleRate, { method: 'spectralFlux' });
+        return describeBPMMethod(findTempoByIntervals(onsets.times));
+    }
+
+    // Method 3: tempo from the intervals between energy-rise onsets
+    async function detectBPMAdvancedEnergy(audioData, sampleRate) {
+        const onsets = detectOnsets(audioData, sampleRate, { method: 'energy' });
+        return describeBPMMethod(findTempoByIntervals(onsets.times));
+    }
+
+    // Method 4: tempo histogram. The rise of the low-frequency energy (bottom tenth of the
+    // spectrum, 50 ms frames, 12.5 ms apart) is cut into windows of HISTOGRAM_WINDOW
+    // seconds, one every HISTOGRAM_HOP; every window's tempo (as the autocorrelation
+    // method finds it) is one observation, and the most common tempo wins.
+    async function detectBPMHistogram(audioData, sampleRate) {
+        const frameSize = Math.floor(0.050 * sampleRate);
+        const hopSize = Math.floor(0.0125 * sampleRate);
+        const frameRate = sampleRate / hopSize;
+        const rises = [];
+        
+        let previousEnergy = null;
+        for (let i = 0; i + frameSize <= audioData.length; i += hopSize) {
+            const spectrum = calculateAdvancedSpectrum(audioData.subarray(i, i + frameSize));
+            
+            // Focus on rhythm-relevant frequencies (kick drums and bass)
+            const rhythmBand = spectrum.subarray(0, Math.max(1, Math.floor(spectrum.length * 0.1)));
+            const rhythmEnergy = Math.log1p(rhythmBand.reduce((sum, val) => sum + val, 0) / rhythmBand.length);
+            rises.push(previousEnergy === null ? 0 : Math.max(0, rhythmEnergy - previousEnergy));
+            previousEnergy = rhythmEnergy;
+        }
+        
+        const windowFrames = Math.min(rises.length, Math.round(HISTOGRAM_WINDOW * frameRate));
+        const hopFrames = Math.round(HISTOGRAM_HOP * frameRate);
+        const tempi = [];
+        for (let start = 0; windowFrames > 0 && start + windowFrames <= rises.length; start += hopFrames) {
+            const window = Float32Array.from(rises.slice(start, start + windowFrames));
+            const period = AudioBeatTracker.estimateBeatPeriod(window, frameRate);
+            const bpm = 60 * frameRate / period;
+            if (period > 0 && bpm >= MIN_BPM && bpm <= MAX_BPM) tempi.push(bpm);
+        }
+        
+        return describeBPMMethod(clusterTempi(tempi));
+    }
+
+    // Advanced helper functions (FFT-based, see shared/fft.js)
+    function calculateAdvancedSpectrum(frame) {
+        // Hamming-windowed magnitude spectrum, zero-padded to the next power of two
+        return AudioFFT.magnitudeSpectrum(frame, { window: 'hamming' });
+    }
+
+    function calculateAdvancedSpectralFlux(spectrum1, spectrum2) {
+        let flux = 0;
+        for (let i = 0; i < spectrum1.length; i++) {
+            const diff = spectrum1[i] - spectrum2[i];
+            flux += diff > 0 ? diff : 0;
+        }
+        return flux;
+    }
+
+    // Local maxima above the threshold that stand out from their neighbourhood.
+    // options.threshold replaces the global threshold with one value per frame and
+    // options.minProminence the default prominence of half a standard deviation.
+    function findPeaksAdvanced(data, options = {}) {
+        const peaks = [];
+        const mean = data.reduce((sum, val) => sum + val, 0) / data.length;
+        const std = Math.sqrt(data.reduce((sum, val) => sum + Math.pow(val - mean, 2), 0) / data.length);
+        
+        // Adaptive threshold based on signal characteristics
+        const threshold = mean + std * 1.2;
+        const minProminence = options.minProminence !== undefined ? options.minProminence : std * 0.5;
+        
+        for (let i = 1; i < data.length - 1; i++) {
+            const frameThreshold = options.threshold ? options.threshold[i] : threshold;
+            if (data[i] > frameThreshold && data[i] > data[i - 1] && data[i] > data[i + 1]) {
+                // Additional check for peak prominence
+                const leftMin = Math.min(...data.slice(Math.max(0, i - 5), i));
+                const rightMin = Math.min(...data.slice(i + 1, Math.min(data.length, i + 6)));
+                const prominence = data[i] - Math.max(leftMin, rightMin);
+                
+                if (prominence > minProminence) {
+                    peaks.push(i);
+                }
+            }
+        }
+        
+        return peaks;
+    }
+
+    function applyMedianFilter(data, windowSize) {
+        const filtered = [];
+        const halfWindow = Math.floor(windowSize / 2);
+        
+        for (let i = 0; i < data.length; i++) {
+            const start = Math.max(0, i - halfWindow);
+            const end = Math.min(data.length, i + halfWindow + 1);
+            const window = data.slice(start, end);
+            window.sort((a, b) => a - b);
+            filtered.push(window[Math.floor(window.length / 2)]);
+        }
+        
+        return filtered;
+    }
+
+    // Onsets of mono audio: the chosen detection function is normalised to a maximum of 1
+    // and peak-picked against a moving-median threshold. Options default to ONSET_DEFAULTS.
+    function detectOnsets(audioData, sampleRate, options = {}) {
+        const settings = {};
+        for (const name of Object.keys(ONSET_DEFAULTS)) {
+            settings[name] = options[name] !== undefined ? options[name] : ONSET_DEFAULTS[name];
+        }
+        if (!ONSET_METHODS.includes(settings.method)) {
+            throw new Error(`Unknown onset detection function "${settings.method}" (expected one of: ${ONSET_METHODS.join(', ')})`);
+        }
+        
+        // ~46 ms frames with 4x overlap, as in the beat tracker
+        const frameSize = AudioFFT.nextPowerOfTwo(Math.round(0.046 * sampleRate));
+        const hopSize = frameSize / 4;
+        const detection = calculateOnsetDetectionFunction(audioData, frameSize, hopSize, settings.method);
+        
+        const max = detection.reduce((best, val) => Math.max(best, val), 0);
+        const normalized = detection.map(val => max > 0 ? val / max : 0);
+        
+        // Adaptive threshold: offset plus a multiple of the moving median
+        const windowFrames = Math.max(1, Math.round(settings.window * sampleRate / hopSize));
+        const median = applyMedianFilter(normalized, windowFrames);
+        const threshold = median.map(val => settings.threshold + settings.multiplier * val);
+        const peaks = findPeaksAdvanced(normalized, { threshold: threshold, minProminence: 0 });
+        
+        // Of two onsets closer than minInterval, the stronger one stays
+        const minFrames = settings.minInterval * sampleRate / hopSize;
+        const onsets = [];
+        for (const peak of peaks) {
+            const last = onsets[onsets.length - 1];
+            if (last !== undefined && peak - last < minFrames) {
+                if (normalized[peak] > normalized[last]) onsets[onsets.length - 1] = peak;
+            } else {
+                onsets.push(peak);
+            }
+        }
+        
+        // Frames are timed at their centre
+        return {
+            method: settings.method,
+            count: onsets.length,
+            times: onsets.map(frame => Math.round((frame * hopSize + frameSize / 2) / sampleRate * 1000) / 1000),
+            strength: onsets.map(frame => Math.round(normalized[frame] * 1000) / 1000),
+            parameters: {
+                threshold: settings.threshold,
+                multiplier: settings.multiplier,
+                window: settings.window,
+                minInterval: settings.minInterval
+            }
+        };
+    }
+
+    // One detection function value per frame (the first frame has no predecessor and scores 0)
+    function calculateOnsetDetectionFunction(audioData, frameSize, hopSize, method) {
+        const frameCount = audioData.length >= frameSize ? Math.floor((audioData.length - frameSize) / hopSize) + 1 : 0;
+        const values = [];
+        let previousEnergy = 0;
+        let previousSpectrum = null;
+        let previousPhase = null;
+        let olderPhase = null;
+        
+        for (let f = 0; f < frameCount; f++) {
+            const frame = audioData.slice(f * hopSize, f * hopSize + frameSize);
+            
+            switch (method) {
+                case 'energy': {
+                    // Rise in windowed frame energy
+                    const energy = AudioFFT.applyWindow(frame, 'hamming').reduce((sum, val) => sum + val * val, 0);
+                    values.push(f > 0 ? Math.max(0, energy - previousEnergy) : 0);
+                    previousEnergy = energy;
+                    break;
+                }
+                case 'spectralFlux': {
+                    const spectrum = calculateAdvancedSpectrum(frame);
+                    values.push(previousSpectrum ? calculateAdvancedSpectralFlux(spectrum, previousSpectrum) : 0);
+                    previousSpectrum = spectrum;
+                    break;
+                }
+                case 'hfc': {
+                    // Bin-weighted spectral energy
+                    const spectrum = calculateAdvancedSpectrum(frame);
+                    let hfc = 0;
+                    for (let k = 0; k < spectrum.length; k++) {
+                        hfc += k * spectrum[k] * spectrum[k];
+                    }
+                    values.push(hfc);
+                    break;
+                }
+                case 'complex': {
+                    // Distance between each bin and its prediction from the previous magnitude
+                    // and the phase extrapolated from the two frames before
+                    const { real, imag } = AudioFFT.realFFT(AudioFFT.applyWindow(frame, 'hamming'), frameSize);
+                    const bins = frameSize / 2;
+                    const magnitude = new Float64Array(bins);
+                    const phase = new Float64Array(bins);
+                    for (let k = 0; k < bins; k++) {
+                        magnitude[k] = Math.sqrt(real[k] * real[k] + imag[k] * imag[k]);
+                        phase[k] = Math.atan2(imag[k], real[k]);
+                    }
+                    
+                    let deviation = 0;
+                    if (olderPhase) {
+                        for (let k = 0; k < bins; k++) {
+                            const predictedPhase = 2 * previousPhase[k] - olderPhase[k];
+                            const predictedReal = previousSpectrum[k] * Math.cos(predictedPhase);
+                            const predictedImag = previousSpectrum[k] * Math.sin(predictedPhase);
+                            deviation += Math.hypot(real[k] - predictedReal, imag[k] - predictedImag);
+                        }
+                    }
+                    values.push(deviation);
+                    previousSpectrum = magnitude;
+                    olderPhase = previousPhase;
+                    previousPhase = phase;
+                    break;
+                }
+            }
+        }
+        
+        return values;
+    }
+
+    // Combined BPM: every method votes for its estimate with its weight in
+    // BPM_METHOD_WEIGHTS times its confidence; an estimate an octave off (half or double)
+    // still backs it with half its vote. The best-backed estimate wins: the BPM is the
+    // vote-weighted mean of the methods that agree with it (within BPM_TOLERANCE), the
+    // confidence their weighted confidence, so methods that disagree lower it. `weights`
+    // reports each method's weight, share of all votes and whether it agreed.
+    function combineBPMResultsAdvanced(methods) {
+        const names = Object.keys(methods);
+        const totalWeight = names.reduce((sum, name) => sum + BPM_METHOD_WEIGHTS[name], 0);
+        const votes = {};
+        names.forEach(name => {
+            votes[name] = methods[name].bpm ? BPM_METHOD_WEIGHTS[name] * methods[name].confidence : 0;
+        });
+        const totalVotes = names.reduce((sum, name) => sum + votes[name], 0);
+        
+        const support = (bpm, other) => {
+            if (isSameTempo(bpm, other)) return 1;
+            return isSameTempo(bpm, other * 2) || isSameTempo(bpm * 2, other) ? 0.5 : 0;
+        };
+        
+        let winner = null;
+        let bestSupport = 0;
+        names.filter(name => votes[name] > 0).forEach(name => {
+            const backing = names.reduce((sum, other) => sum + (votes[other] > 0 ? votes[other] * support(methods[name].bpm, methods[other].bpm) : 0), 0);
+            if (backing > bestSupport) {
+                bestSupport = backing;
+                winner = name;
+            }
+        });
+        
+        const agreeing = winner ? names.filter(name => votes[name] > 0 && isSameTempo(methods[name].bpm, methods[winner].bpm)) : [];
+        const agreeingVotes = agreeing.reduce((sum, name) => sum + votes[name], 0);
+        
+        const weights = {};
+        names.forEach(name => {
+            weights[name] = {
+                weight: BPM_METHOD_WEIGHTS[name],
+                share: totalVotes > 0 ? round(votes[name] / totalVotes, 3) : 0,
+                agrees: agreeing.includes(name)
+            };
+        });
+        
+        if (!winner) {
+            return { bpm: 0, confidence: 0, weights: weights };
+        }
+        
+        return {
+            bpm: Math.round(agreeing.reduce((sum, name) => sum + votes[name] * methods[name].bpm, 0) / agreeingVotes),
+            confidence: round(agreeing.reduce((sum, name) => sum + BPM_METHOD_WEIGHTS[name] * methods[name].confidence, 0) / totalWeight, 3),
+            weights: weights
+        };
+    }
+
+    // Advanced danceability analysis with multiple sophisticated metrics
+    async function analyzeDanceabilityAdvanced(audioData, sampleRate) {
+        // 1. Advanced rhythm strength with frequency domain analysis
+        const rhythmStrength = await calculateRhythmStrengthAdvanced(audioData, sampleRate);
+        
+        // 2. Beat consistency with multiple metrics
+        const beatConsistency = await calculateBeatConsistencyAdvanced(audioData, sampleRate);
+        
+        // 3. Energy distribution with frequency bands
+        const energyDistribution = await calculateEnergyDistributionAdvanced(audioData, sampleRate);
+        
+        // 4. Tempo stability with variance analysis
+        const tempoStability = await calculateTempoStabilityAdvanced(audioData, sampleRate);
+        
+        // 5. Syncopation detection with advanced algorithms
+        const syncopation = await calculateSyncopationAdvanced(audioData, sampleRate);
+        
+        // 6. Groove factor with rhythmic pattern analysis
+        const grooveFactor = await calculateGrooveFactorAdvanced(audioData, sampleRate);
+        
+        // Advanced weighted combination for final score
+        const danceabilityScore = (
+            rhythmStrength * 0.25 +
+            beatConsistency * 0.25 +
+            energyDistribution * 0.20 +
+            tempoStability * 0.15 +
+            syncopation * 0.10 +
+            grooveFactor * 0.05
+        );
+        
+        // Determine detailed danceability type
+        const danceabilityType = determineDanceabilityType(danceabilityScore, rhythmStrength, beatConsistency);
+        
+        return {
+            score: Math.min(100, Math.max(0, danceabilityScore * 100)),
+            rhythmStrength: rhythmStrength,
+            beatConsistency: beatConsistency,
+            energyDistribution: energyDistribution,
+            tempoStability: tempoStability,
+            syncopation: syncopation,
+            grooveFactor: grooveFactor,
+            category: getDanceabilityCategory(danceabilityScore),
+            type: danceabilityType,
+            confidence: calculateDanceabilityConfidence(rhythmStrength, beatConsistency, energyDistribution, tempoStability)
+        };
+    }
+
+    // Advanced rhythm strength calculation
+    async function calculateRhythmStrengthAdvanced(audioData, sampleRate) {
+        const frameSize = Math.floor(0.025 * sampleRate);
+        const energies = [];
+        
+        for (let i = 0; i < audioData.length - frameSize; i += frameSize) {
+            const frame = audioData.slice(i, i + frameSize);
+            const energy = Math.sqrt(frame.reduce((sum, sample) => sum + sample * sample, 0) / frameSize);
+            energies.push(energy);
+        }
+        
+        // Calculate variance efficiently
+        const mean = energies.reduce((sum, e) => sum + e, 0) / energies.length;
+        const variance = energies.reduce((sum, e) => sum + Math.pow(e - mean, 2), 0) / energies.length;
+        
+        // Add frequency domain rhythm analysis
+        const rhythmFrequency = await analyzeRhythmFrequencyAdvanced(audioData, sampleRate);
+        
+        const normalizedVariance = variance / (mean * mean);
+        return Math.min(1, (normalizedVariance + rhythmFrequency) / 2);
+    }
+
+    // Advanced beat consistency calculation
+    async function calculateBeatConsistencyAdvanced(audioData, sampleRate) {
+        // Multiple consistency metrics
+        const zeroCrossingRate = calculateZeroCrossingRateAdvanced(audioData);
+        const spectralCentroid = await calculateSpectralCentroidAdvanced(audioData, sampleRate);
+        const spectralRolloff = await calculateSpectralRolloffAdvanced(audioData, sampleRate);
+        
+        // Combine metrics with advanced weighting
+        const consistency = (
+            (1 - zeroCrossingRate) * 0.4 +
+            (spectralCentroid / 5000) * 0.3 +
+            (spectralRolloff / 8000) * 0.3
+        );
+        
+        return Math.min(1, Math.max(0, consistency));
+    }
+
+    // Advanced energy distribution calculation
+    async function calculateEnergyDistributionAdvanced(audioData, sampleRate) {
+        const frameSize = Math.floor(0.025 * sampleRate);
+        const lowBand = [];
+        const midBand = [];
+        const highBand = [];
+        
+        for (let i = 0; i < audioData.length - frameSize; i += frameSize) {
+            const frame = audioData.slice(i, i + frameSize);
+            const spectrum = calculateAdvancedSpectrum(frame);
+            
+            // Divide spectrum into bands
+            const lowFreq = spectrum.slice(0, Math.floor(spectrum.length / 3));
+            const midFreq = spectrum.slice(Math.floor(spectrum.length / 3), Math.floor(2 * spectrum.length / 3));
+            const highFreq = spectrum.slice(Math.floor(2 * spectrum.length / 3));
+            
+            lowBand.push(lowFreq.reduce((sum, val) => sum + val, 0) / lowFreq.length);
+            midBand.push(midFreq.reduce((sum, val) => sum + val, 0) / midFreq.length);
+            highBand.push(highFreq.reduce((sum, val) => sum + val, 0) / highFreq.length);
+        }
+        
+        // Calculate energy balance
+        const totalEnergy = lowBand.reduce((sum, e) => sum + e, 0) + 
+                           midBand.reduce((sum, e) => sum + e, 0) + 
+                           highBand.reduce((sum, e) => sum + e, 0);
+        
+        const balance = 1 - Math.abs(lowBand.reduce((sum, e) => sum + e, 0) - highBand.reduce((sum, e) => sum + e, 0)) / totalEnergy;
+        
+        return Math.max(0, Math.min(1, balance));
+    }
+
+    // Advanced tempo stability calculation
+    async function calculateTempoStabilityAdvanced(audioData, sampleRate) {
+        const frameSize = Math.floor(0.1 * sampleRate); // 100ms frames
+        const tempos = [];
+        
+        for (let i = 0; i < audioData.length - frameSize; i += frameSize) {
+            const frame = audioData.slice(i, i + frameSize);
+            const tempo = await estimateTempoFromFrameAdvanced(frame, sampleRate);
+            tempos.push(tempo);
+        }
+        
+        // Calculate tempo variance
+        const meanTempo = tempos.reduce((sum, t) => sum + t, 0) / tempos.length;
+        const variance = tempos.reduce((sum, t) => sum + Math.pow(t - meanTempo, 2), 0) / tempos.length;
+        
+        // Convert to stability score (lower variance = higher stability)
+        return Math.max(0, 1 - variance / (meanTempo * meanTempo));
+    }
+
+    // Advanced syncopation detection
+    async function calculateSyncopationAdvanced(audioData, sampleRate) {
+        const frameSize = Math.floor(0.025 * sampleRate);
+        let syncopationScore = 0;
+        let frameCount = 0;
+        
+        for (let i = frameSize; i < audioData.length - frameSize; i += frameSize) {
+            const currentFrame = audioData.slice(i, i + frameSize);
+            const prevFrame = audioData.slice(i - frameSize, i);
+            
+            const currentEnergy = currentFrame.reduce((sum, sample) => sum + sample * sample, 0) / frameSize;
+            const prevEnergy = prevFrame.reduce((sum, sample) => sum + sample * sample, 0) / frameSize;
+            
+            // Detect unexpected accents (syncopation)
+            if (currentEnergy > prevEnergy * 1.5) {
+                syncopationScore += 0.1;
+            }
+            
+            frameCount++;
+        }
+        
+        return Math.min(1, syncopationScore / frameCount);
+    }
+
+    // Advanced groove factor calculation
+    async function calculateGrooveFactorAdvanced(audioData, sampleRate) {
+        const frameSize = Math.floor(0.025 * sampleRate);
+        const grooveScores = [];
+        
+        for (let i = 0; i < audioData.length - frameSize; i += frameSize) {
+            const frame = audioData.slice(i, i + frameSize);
+            
+            // Calculate groove based on rhythmic patterns
+            const rhythmPattern = await analyzeRhythmPatternAdvanced(frame);
+            grooveScores.push(rhythmPattern);
+        }
+        
+        return grooveScores.reduce((sum, score) => sum + score, 0) / grooveScores.length;
+    }
+
+    // Advanced helper functions for danceability
+    async function analyzeRhythmFrequencyAdvanced(audioData, sampleRate) {
+        const frameSize = Math.floor(0.025 * sampleRate);
+        const rhythmScores = [];
+        
+        for (let i = 0; i < audioData.length - frameSize; i += frameSize) {
+            const frame = audioData.slice(i, i + frameSize);
+            const spectrum = calculateAdvancedSpectrum(frame);
+            
+            // Focus on rhythm-relevant frequencies (50-200 Hz)
+            const rhythmBand = spectrum.slice(0, Math.floor(spectrum.length * 0.1));
+            const rhythmEnergy = rhythmBand.reduce((sum, val) => sum + val, 0) / rhythmBand.length;
+            
+            rhythmScores.push(rhythmEnergy);
+        }
+        
+        return rhythmScores.reduce((sum, score) => sum + score, 0) / rhythmScores.length;
+    }
+
+    function calculateZeroCrossingRateAdvanced(audioData) {
+        let zeroCrossings = 0;
+        const step = Math.max(1, Math.floor(audioData.length / 5000)); // Sample every nth sample
+        
+        for (let i = step; i < audioData.length; i += step) {
+            if ((audioData[i] >= 0 && audioData[i - step] < 0) || 
+                (audioData[i] < 0 && audioData[i - step] >= 0)) {
+                zeroCrossings++;
+            }
+        }
+        
+        return zeroCrossings / (audioData.length / step);
+    }
+
+    async function calculateSpectralCentroidAdvanced(audioData, sampleRate) {
+        const frameSize = 1024;
+        let totalCentroid = 0;
+        let frameCount = 0;
+        
+        for (let i = 0; i < audioData.length - frameSize; i += frameSize) {
+            const frame = audioData.slice(i, i + frameSize);
+            const spectrum = calculateAdvancedSpectrum(frame);
+            
+            let weightedSum = 0;
+            let sum = 0;
+            
+            for (let j = 0; j < spectrum.length; j++) {
+                const frequency = (j * sampleRate) / frameSize;
+                const magnitude = spectrum[j];
+                
+                weightedSum += frequency * magnitude;
+                sum += magnitude;
+            }
+            
+            if (sum > 0) {
+                totalCentroid += weightedSum / sum;
+                frameCount++;
+            }
+        }
+        
+        return frameCount > 0 ? totalCentroid / frameCount : 0;
+    }
+
+    async function calculateSpectralRolloffAdvanced(audioData, sampleRate) {
+        const frameSize = 1024;
+        let totalRolloff = 0;
+        let frameCount = 0;
+        
+        for (let i = 0; i < audioData.length - frameSize; i += frameSize) {
+            const frame = audioData.slice(i, i + frameSize);
+            const spectrum = calculateAdvancedSpectrum(frame);
+            
+            const rolloffIndex = findSpectralRolloffIndex(spectrum, 0.85);
+            if (rolloffIndex < 0) continue;
+            
+            totalRolloff += (rolloffIndex * sampleRate) / frameSize;
+            frameCount++;
+        }
+        
+        return frameCount > 0 ? totalRolloff / frameCount : 0;
+    }
+
+    // Bin below which `fraction` of the spectral energy lies (-1 for a silent frame)
+    function findSpectralRolloffIndex(spectrum, fraction) {
+        let totalEnergy = 0;
+        for (let j = 0; j < spectrum.length; j++) {
+            totalEnergy += spectrum[j] * spectrum[j];
+        }
+        if (totalEnergy === 0) return -1;
+        
+        let cumulativeEnergy = 0;
+        for (let j = 0; j < spectrum.length; j++) {
+            cumulativeEnergy += spectrum[j] * spectrum[j];
+            if (cumulativeEnergy >= fraction * totalEnergy) return j;
+        }
+        return spectrum.length - 1;
+    }
+
+    async function calculateTempoInfluenceAdvanced(audioData, sampleRate) {
+        const frameSize = Math.floor(0.1 * sampleRate);
+        const tempos = [];
+        
+        for (let i = 0; i < audioData.length - frameSize; i += frameSize) {
+            const frame = audioData.slice(i, i + frameSize);
+            const energy = frame.reduce((sum, sample) => sum + sample * sample, 0) / frameSize;
+            tempos.push(energy);
+        }
+        
+        const mean = tempos.reduce((sum, t) => sum + t, 0) / tempos.length;
+        const variance = tempos.reduce((sum, t) => sum + Math.pow(t - mean, 2), 0) / tempos.length;
+        
+        return Math.max(0, 1 - variance / (mean * mean));
+    }
+
+    async function estimateTempoFromFrameAdvanced(frame, sampleRate) {
+        // Advanced tempo estimation from frame energy
+        const energy = frame.reduce((sum, sample) => sum + sample * sample, 0) / frame.length;
+        return energy * 100; // Convert to tempo-like value
+    }
+
+    async function analyzeRhythmPatternAdvanced(frame) {
+        // Analyze rhythmic patterns in a frame
+        const energy = frame.reduce((sum, sample) => sum + sample * sample, 0) / frame.length;
+        return Math.min(1, energy * 10);
+    }
+
+
+    // Advanced mood analysis
+    async function analyzeMoodAdvanced(audioData, sampleRate) {
+        const spectralCentroid = await calculateSpectralCentroidAdvanced(audioData, sampleRate);
+        const zeroCrossingRate = calculateZeroCrossingRateAdvanced(audioData);
+        const energyDistribution = await calculateEnergyDistributionAdvanced(audioData, sampleRate);
+        const spectralRolloff = await calculateSpectralRolloffAdvanced(audioData, sampleRate);
+        const tempoInfluence = await calculateTempoInfluenceAdvanced(audioData, sampleRate);
+        
+        const mood = determineDetailedMood(spectralCentroid, zeroCrossingRate, energyDistribution, spectralRolloff, tempoInfluence);
+        
+        return {
+            primaryMood: mood.primary,
+            secondaryMood: mood.secondary,
+            songType: mood.songType,
+            emoji: mood.emoji,
+            confidence: mood.confidence,
+            moodExplanation: mood.explanation,
+            detailedAnalysis: mood.detailedAnalysis
+        };
+    }
+
+    // Determine detailed danceability type
+    function determineDanceabilityType(score, rhythmStrength, beatConsistency) {
+        const types = [];
+        
+        if (score > 0.8) {
+            types.push({ type: "🕺 Very Danceable", emoji: "🕺", description: "High energy, strong rhythm" });
+        } else if (score > 0.6) {
+            types.push({ type: "💃 Danceable", emoji: "💃", description: "Good rhythm and energy" });
+        } else if (score > 0.4) {
+            types.push({ type: "🕴️ Moderately Danceable", emoji: "🕴️", description: "Some dance elements" });
+        } else if (score > 0.2) {
+            types.push({ type: "🚶 Slightly Danceable", emoji: "🚶", description: "Limited dance potential" });
+        } else {
+            types.push({ type: "🧍 Not Danceable", emoji: "🧍", description: "Low dance energy" });
+        }
+        
+        // Add rhythm characteristics
+        if (rhythmStrength > 0.7) {
+            types.push({ type: "🥁 Strong Rhythm", emoji: "🥁", description: "Clear rhythmic patterns" });
+        }
+        
+        if (beatConsistency > 0.7) {
+            types.push({ type: "⏰ Consistent Beat", emoji: "⏰", description: "Steady tempo" });
+        }
+        
+        return types;
+    }
+
+    // Enhanced mood determination with detailed analysis
+    function determineDetailedMood(spectralCentroid, zeroCrossingRate, energyDistribution, spectralRolloff, tempoInfluence) {
+        let moods = [];
+        let songTypes = [];
+        let emojis = [];
+        let confidence = 0;
+        let explanation = [];
+        let detailedAnalysis = [];
+        
+        // 🕺 Danceability Analysis
+        const danceabilityScore = (energyDistribution + tempoInfluence) / 2;
+        if (danceabilityScore > 0.7) {
+            detailedAnalysis.push({ type: "🕺 Danceability", score: "High", description: "Strong dance potential" });
+        } else if (danceabilityScore > 0.4) {
+            detailedAnalysis.push({ type: "🕺 Danceability", score: "Medium", description: "Moderate dance potential" });
+        } else {
+            detailedAnalysis.push({ type: "🕺 Danceability", score: "Low", description: "Limited dance potential" });
+        }
+        
+        // 😀 Happy Analysis
+        if (spectralCentroid > 1500 && energyDistribution > 0.6) {
+            moods.push('😀 Happy');
+            songTypes.push('Upbeat');
+            emojis.push('😀');
+            confidence += 0.25;
+            explanation.push('High brightness and energy create positive mood');
+            detailedAnalysis.push({ type: "😀 Happy", score: "High", description: "Bright, energetic characteristics" });
+        } else if (spectralCentroid > 1200) {
+            detailedAnalysis.push({ type: "😀 Happy", score: "Medium", description: "Moderately bright sound" });
+        } else {
+            detailedAnalysis.push({ type: "😀 Happy", score: "Low", description: "Darker, less bright sound" });
+        }
+        
+        // 😢 Sad Analysis
+        if (spectralCentroid < 800 && energyDistribution < 0.4) {
+            moods.push('😢 Sad');
+            songTypes.push('Melancholic');
+            emojis.push('😢');
+            confidence += 0.25;
+            explanation.push('Low brightness and energy indicate somber mood');
+            detailedAnalysis.push({ type: "😢 Sad", score: "High", description: "Dark, low energy characteristics" });
+        } else if (spectralCentroid < 1000) {
+            detailedAnalysis.push({ type: "😢 Sad", score: "Medium", description: "Moderately dark sound" });
+        } else {
+            detailedAnalysis.push({ type: "😢 Sad", score: "Low", description: "Brighter, less somber sound" });
+        }
+        
+        // 😌 Relaxed Analysis
+        if (zeroCrossingRate < 0.05 && energyDistribution < 0.5) {
+            moods.push('😌 Relaxed');
+            songTypes.push('Chill');
+            emojis.push('😌');
+            confidence += 0.2;
+            explanation.push('Low complexity and energy create calm feeling');
+            detailedAnalysis.push({ type: "😌 Relaxed", score: "High", description: "Smooth, calm characteristics" });
+        } else if (zeroCrossingRate < 0.08) {
+            detailedAnalysis.push({ type: "😌 Relaxed", score: "Medium", description: "Moderately smooth sound" });
+        } else {
+            detailedAnalysis.push({ type: "😌 Relaxed", score: "Low", description: "More complex, less calm sound" });
+        }
+        
+        // ✊ Aggressiveness Analysis
+        if (zeroCrossingRate > 0.1 && spectralRolloff > 3000) {
+            moods.push('✊ Aggressive');
+            songTypes.push('Intense');
+            emojis.push('✊');
+            confidence += 0.2;
+            explanation.push('High complexity and high frequencies suggest aggression');
+            detailedAnalysis.push({ type: "✊ Aggressiveness", score: "High", description: "Complex, high-frequency characteristics" });
+        } else if (zeroCrossingRate > 0.08) {
+            detailedAnalysis.push({ type: "✊ Aggressiveness", score: "Medium", description: "Moderately complex sound" });
+        } else {
+            detailedAnalysis.push({ type: "✊ Aggressiveness", score: "Low", description: "Smoother, less aggressive sound" });
+        }
+        
+        // 👁 Engagement Analysis
+        const engagementScore = (spectralCentroid / 2000 + energyDistribution + tempoInfluence) / 3;
+        if (engagementScore > 0.7) {
+            detailedAnalysis.push({ type: "👁 Engagement", score: "High", description: "Very engaging and captivating" });
+        } else if (engagementScore > 0.4) {
+            detailedAnalysis.push({ type: "👁 Engagement", score: "Medium", description: "Moderately engaging" });
+        } else {
+            detailedAnalysis.push({ type: "👁 Engagement", score: "Low", description: "Less engaging" });
+        }
+        
+        // 🧠 Approachability Analysis
+        const approachabilityScore = (1 - zeroCrossingRate + energyDistribution) / 2;
+        if (approachabilityScore > 0.7) {
+            detailedAnalysis.push({ type: "🧠 Approachability", score: "High", description: "Very approachable and friendly" });
+        } else if (approachabilityScore > 0.4) {
+            detailedAnalysis.push({ type: "🧠 Approachability", score: "Medium", description: "Moderately approachable" });
+        } else {
+            detailedAnalysis.push({ type: "🧠 Approachability", score: "Low", description: "Less approachable" });
+        }
+        
+        // Determine primary and secondary moods
+        const primaryMood = moods[0] || 'Neutral';
+        const secondaryMood = moods[1] || 'Balanced';
+        const songType = songTypes[0] || 'Mixed';
+        const emoji = emojis[0] || '🎵';
+        
+        return {
+            primary: primaryMood,
+            secondary: secondaryMood,
+            songType: songType,
+            emoji: emoji,
+            confidence: Math.min(1, confidence),
+            explanation: explanation.join(' • '),
+            detailedAnalysis: detailedAnalysis
+        };
+    }
+
+    // Band-limited resampling (see shared/resampler.js), returns a Float32Array
+    function resampleAudio(audioData, originalSampleRate, targetSampleRate, options = {}) {
+        return AudioResampler.resample(audioData, originalSampleRate, targetSampleRate, { quality: options.resampleQuality });
+    }
+
+    // Helper functions
+    function getTempoCategory(bpm) {
+        if (bpm < 60) return 'Larghissimo';
+        if (bpm < 66) return 'Largo';
+        if (bpm < 76) return 'Adagio';
+        if (bpm < 108) return 'Andante';
+        if (bpm < 120) return 'Moderato';
+        if (bpm < 168) return 'Allegro';
+        if (bpm < 200) return 'Presto';
+        return 'Prestissimo';
+    }
+
+    function getDanceabilityCategory(score) {
+        if (score > 0.8) return 'Very Danceable';
+        if (score > 0.6) return 'Danceable';
+        if (score > 0.4) return 'Moderately Danceable';
+        if (score > 0.2) return 'Slightly Danceable';
+        return 'Not Danceable';
+    }
+
+    function calculateDanceabilityConfidence(rhythm, beat, energy, tempo) {
+        return (rhythm + beat + energy + tempo) / 4;
+    }
+
+    return {
+        ANALYSIS_VERSION,
+        ANALYSIS_ENGINES,
+        ANALYSIS_SAMPLE_RATE,
+        ESSENTIA_SAMPLE_RATE,
+        CHANNEL_STRATEGIES,
+        ONSET_METHODS,
+        ONSET_DEFAULTS,
+        LIVE_WINDOW,
+        LIVE_UPDATE_INTERVAL,
+        analyzeChannels,
+        mixChannels,
+        getChannelName,
+        analyzeLoudness,
+        analyzeAudioData,
+        analyzeWithEssentia,
+        analyzeBeatsData,
+        analyzeBeatsWithEssentia,
+        analyzeOnsetsData,
+        analyzeOverviewData,
+        createStreamAnalysis,
+        createLiveAnalysis,
+        detectOnsets,
+        extractEssentiaFeatures,
+        analyzeBPMAdvanced,
+        analyzeDanceabilityAdvanced,
+        analyzeMoodAdvanced,
+        resampleAudio,
+        getTempoCategory,
+        getDanceabilityCategory
+    };
+});
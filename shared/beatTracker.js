@@ -0,0 +1,352 @@
+// Shared beat tracker module
+// Dynamic-programming beat tracking (after Ellis, 2007) on a spectral-flux onset
+// envelope, with per-beat confidence and downbeat estimation. Loaded with require()
+// on the server, as a plain <script> in the page and with importScripts() in the
+// analysis worker (global: AudioBeatTracker).
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./fft'));
+    } else {
+        root.AudioBeatTracker = factory(root.AudioFFT);
+    }
+})(typeof self !== 'undefined' ? self : this, function (AudioFFT) {
+    'use strict';
+
+    // Tempo range the tracker searches
+    const MIN_BPM = 60;
+    const MAX_BPM = 200;
+
+    // Centre and width (in octaves) of the tempo prior, as in Ellis' tracker
+    const PRIOR_BEAT_PERIOD = 0.5;
+    const PRIOR_WIDTH = 1.4;
+
+    // How strongly the tracker sticks to the estimated beat period
+    const TIGHTNESS = 100;
+
+    // Downbeats are estimated for a 4/4 meter
+    const BEATS_PER_BAR = 4;
+
+    // Kick drums and bass notes mark the downbeats; their energy sits below this frequency
+    const BASS_CUTOFF_HZ = 150;
+
+    // Magnitudes are log-compressed so the flux follows relative level changes
+    const LOG_COMPRESSION = 1000;
+
+    // The flux is measured on log-spaced bands (like a mel filterbank), so the many
+    // high-frequency bins of a hi-hat do not outweigh the few bins of a kick drum
+    const BANDS_PER_OCTAVE = 4;
+    const LOWEST_BAND_HZ = 40;
+
+    const bandCache = {};
+
+    // First bin of every band (plus the end of the last one) for a frame size and rate
+    function getBandEdges(frameSize, sampleRate) {
+        const key = `${frameSize}:${sampleRate}`;
+        if (!bandCache[key]) {
+            const binCount = frameSize / 2;
+            const edges = [0];
+            let frequency = LOWEST_BAND_HZ;
+            while (frequency < sampleRate / 2) {
+                const bin = Math.min(binCount, Math.round(frequency * frameSize / sampleRate));
+                if (bin > edges[edges.length - 1]) edges.push(bin);
+                frequency *= Math.pow(2, 1 / BANDS_PER_OCTAVE);
+            }
+            if (edges[edges.length - 1] < binCount) edges.push(binCount);
+            bandCache[key] = edges;
+        }
+        return bandCache[key];
+    }
+
+    // Onset envelope frames: ~46 ms, 4x overlap
+    function getOnsetFrameSize(sampleRate) {
+        return AudioFFT.nextPowerOfTwo(Math.round(0.046 * sampleRate));
+    }
+
+    // Band-wise spectral-flux onset envelope built one frame at a time: addFrame() takes the
+    // Hann-windowed magnitude spectrum of each frame (frames hopSize apart), finish() returns
+    // the envelope, the bass-band flux and their timing. Streaming analysis feeds it directly.
+    function createOnsetEnvelope(sampleRate) {
+        const frameSize = getOnsetFrameSize(sampleRate);
+        const hopSize = frameSize / 4;
+        const edges = getBandEdges(frameSize, sampleRate);
+        const bassBands = Math.max(1, edges.findIndex(bin => bin >= BASS_CUTOFF_HZ * frameSize / sampleRate));
+
+        const flux = [];
+        const bassFlux = [];
+        let previous = null;
+
+        return {
+            frameSize: frameSize,
+            hopSize: hopSize,
+
+            addFrame(spectrum) {
+                const bands = new Float32Array(edges.length - 1);
+                for (let band = 0; band < bands.length; band++) {
+                    let sum = 0;
+                    for (let k = edges[band]; k < edges[band + 1]; k++) {
+                        sum += spectrum[k];
+                    }
+                    bands[band] = Math.log1p(LOG_COMPRESSION * sum / (edges[band + 1] - edges[band]));
+                }
+
+                // Summed in single precision, like the Float32Array envelope it ends up in
+                let value = 0;
+                let bassValue = 0;
+                if (previous) {
+                    for (let band = 0; band < bands.length; band++) {
+                        const diff = bands[band] - previous[band];
+                        if (diff > 0) {
+                            value = Math.fround(value + diff);
+                            if (band < bassBands) bassValue = Math.fround(bassValue + diff);
+                        }
+                    }
+                }
+                previous = bands;
+                flux.push(value);
+                bassFlux.push(bassValue);
+            },
+
+            finish() {
+                return {
+                    envelope: normalizeEnvelope(Float32Array.from(flux), sampleRate / hopSize),
+                    bassEnvelope: Float32Array.from(bassFlux),
+                    frameRate: sampleRate / hopSize,
+                    // Each flux value describes the change around the centre of its frame
+                    timeOffset: frameSize / 2 / sampleRate
+                };
+            }
+        };
+    }
+
+    // Band-wise spectral-flux onset envelope (~46 ms frames, 4x overlap), plus the bass-band flux
+    function computeOnsetEnvelope(audioData, sampleRate) {
+        const onsets = createOnsetEnvelope(sampleRate);
+        const { frameSize, hopSize } = onsets;
+
+        for (let start = 0; start + frameSize <= audioData.length; start += hopSize) {
+            onsets.addFrame(AudioFFT.magnitudeSpectrum(audioData.subarray(start, start + frameSize), { window: 'hann' }));
+        }
+
+        return onsets.finish();
+    }
+
+    // Remove the slowly varying part of the flux, half-wave rectify and scale to unit variance
+    function normalizeEnvelope(flux, frameRate) {
+        const halfWindow = Math.max(1, Math.round(0.125 * frameRate));
+        const envelope = new Float32Array(flux.length);
+
+        let windowSum = 0;
+        let windowStart = 0;
+        let windowEnd = 0;
+        for (let i = 0; i < flux.length; i++) {
+            while (windowEnd < flux.length && windowEnd <= i + halfWindow) {
+                windowSum += flux[windowEnd++];
+            }
+            while (windowStart < i - halfWindow) {
+                windowSum -= flux[windowStart++];
+            }
+            envelope[i] = Math.max(0, flux[i] - windowSum / (windowEnd - windowStart));
+        }
+
+        const mean = envelope.reduce((sum, val) => sum + val, 0) / Math.max(1, envelope.length);
+        const std = Math.sqrt(envelope.reduce((sum, val) => sum + Math.pow(val - mean, 2), 0) / Math.max(1, envelope.length));
+        if (std > 0) {
+            for (let i = 0; i < envelope.length; i++) {
+                envelope[i] /= std;
+            }
+        }
+
+        return envelope;
+    }
+
+    // Beat period in frames: the autocorrelation peak of the envelope, weighted by a
+    // log-Gaussian tempo prior and refined with parabolic interpolation (0 if silent)
+    function estimateBeatPeriod(envelope, frameRate) {
+        const autocorr = AudioFFT.autocorrelation(envelope);
+        if (!(autocorr[0] > 0)) return 0;
+
+        const minLag = Math.max(1, Math.floor(60 / MAX_BPM * frameRate));
+        const maxLag = Math.min(autocorr.length - 2, Math.ceil(60 / MIN_BPM * frameRate));
+        if (maxLag <= minLag) return 0;
+
+        const weighted = (lag) => {
+            const octaves = Math.log2(lag / (PRIOR_BEAT_PERIOD * frameRate)) / PRIOR_WIDTH;
+            return autocorr[lag] * Math.exp(-0.5 * octaves * octaves);
+        };
+
+        let bestLag = minLag;
+        for (let lag = minLag + 1; lag <= maxLag; lag++) {
+            if (weighted(lag) > weighted(bestLag)) bestLag = lag;
+        }
+
+        const left = weighted(bestLag - 1);
+        const centre = weighted(bestLag);
+        const right = weighted(bestLag + 1);
+        const curvature = left - 2 * centre + right;
+        const shift = curvature < 0 ? 0.5 * (left - right) / curvature : 0;
+
+        return bestLag + Math.max(-0.5, Math.min(0.5, shift));
+    }
+
+    // Best beat sequence through the envelope: every beat scores its onset strength,
+    // every gap that deviates from the beat period costs TIGHTNESS * log(gap / period)^2
+    function trackBeatFrames(envelope, period) {
+        const frameCount = envelope.length;
+        if (!(period > 0) || frameCount === 0) return [];
+
+        const minGap = Math.max(1, Math.round(period / 2));
+        const maxGap = Math.round(2 * period);
+        const penalty = new Float64Array(maxGap + 1);
+        for (let gap = minGap; gap <= maxGap; gap++) {
+            penalty[gap] = TIGHTNESS * Math.pow(Math.log(gap / period), 2);
+        }
+
+        const score = new Float64Array(frameCount);
+        const backlink = new Int32Array(frameCount).fill(-1);
+        for (let t = 0; t < frameCount; t++) {
+            let best = -Infinity;
+            for (let gap = minGap; gap <= maxGap && gap <= t; gap++) {
+                const candidate = score[t - gap] - penalty[gap];
+                if (candidate > best) {
+                    best = candidate;
+                    backlink[t] = t - gap;
+                }
+            }
+            score[t] = envelope[t] + (backlink[t] >= 0 ? best : 0);
+        }
+
+        // The last beat is the best-scoring frame within one period of the end
+        let last = Math.max(0, frameCount - Math.round(period));
+        for (let t = last + 1; t < frameCount; t++) {
+            if (score[t] > score[last]) last = t;
+        }
+
+        const beats = [];
+        for (let t = last; t >= 0; t = backlink[t]) {
+            beats.push(t);
+        }
+        return beats.reverse();
+    }
+
+    // Drop beats in the leading and trailing silence, where the tracker can only extrapolate
+    function trimBeatFrames(beats, envelope, period) {
+        const halfWindow = Math.max(1, Math.round(period / 2));
+        const localEnergy = beats.map(beat => {
+            let sum = 0;
+            for (let i = Math.max(0, beat - halfWindow); i <= Math.min(envelope.length - 1, beat + halfWindow); i++) {
+                sum += envelope[i];
+            }
+            return sum;
+        });
+
+        const rms = Math.sqrt(localEnergy.reduce((sum, e) => sum + e * e, 0) / Math.max(1, localEnergy.length));
+        const threshold = 0.5 * rms;
+
+        let first = 0;
+        let last = beats.length - 1;
+        while (first <= last && localEnergy[first] < threshold) first++;
+        while (last >= first && localEnergy[last] < threshold) last--;
+
+        return beats.slice(first, last + 1);
+    }
+
+    function median(values) {
+        if (values.length === 0) return 0;
+        const sorted = values.slice().sort((a, b) => a - b);
+        const middle = Math.floor(sorted.length / 2);
+        return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+    }
+
+    // Largest envelope value within two frames of `frame`
+    function peakAround(envelope, frame) {
+        let peak = 0;
+        for (let i = Math.max(0, frame - 2); i <= Math.min(envelope.length - 1, frame + 2); i++) {
+            peak = Math.max(peak, envelope[i]);
+        }
+        return peak;
+    }
+
+    // Beat grid description: times, per-beat confidence (onset strength and timing
+    // regularity, each half) and the downbeats of the bar phase with the most bass onsets.
+    // `times` defaults to the frame times; exact external beat times can be passed instead.
+    function describeBeats(beatFrames, onsets, times) {
+        const { envelope, bassEnvelope, frameRate, timeOffset } = onsets;
+        times = times || beatFrames.map(frame => frame / frameRate + timeOffset);
+
+        const intervals = [];
+        for (let i = 1; i < times.length; i++) {
+            intervals.push(times[i] - times[i - 1]);
+        }
+        const beatPeriod = median(intervals);
+
+        const strengths = beatFrames.map(frame => peakAround(envelope, frame));
+        const reference = strengths.slice().sort((a, b) => a - b)[Math.floor(strengths.length * 0.9)] || 0;
+
+        const confidence = beatFrames.map((frame, i) => {
+            const strength = reference > 0 ? Math.min(1, strengths[i] / reference) : 0;
+            const gaps = [intervals[i - 1], intervals[i]].filter(gap => gap !== undefined);
+            const deviation = gaps.length > 0 && beatPeriod > 0
+                ? gaps.reduce((sum, gap) => sum + Math.abs(gap / beatPeriod - 1), 0) / gaps.length
+                : 1;
+            const regularity = Math.exp(-0.5 * Math.pow(deviation / 0.1, 2));
+            return 0.5 * strength + 0.5 * regularity;
+        });
+
+        let downbeatPhase = 0;
+        let bestPhaseScore = -Infinity;
+        for (let phase = 0; phase < Math.min(BEATS_PER_BAR, beatFrames.length); phase++) {
+            let sum = 0;
+            let count = 0;
+            for (let i = phase; i < beatFrames.length; i += BEATS_PER_BAR) {
+                sum += peakAround(bassEnvelope, beatFrames[i]);
+                count++;
+            }
+            if (sum / count > bestPhaseScore) {
+                bestPhaseScore = sum / count;
+                downbeatPhase = phase;
+            }
+        }
+
+        const round = (value, digits) => Math.round(value * Math.pow(10, digits)) / Math.pow(10, digits);
+
+        return {
+            // Average over the whole grid, finer than the frame-quantised median interval
+            bpm: times.length > 1 ? round(60 * (times.length - 1) / (times[times.length - 1] - times[0]), 1) : 0,
+            count: times.length,
+            beatsPerBar: BEATS_PER_BAR,
+            times: times.map(time => round(time, 3)),
+            confidence: confidence.map(value => round(value, 3)),
+            downbeats: times.filter((time, i) => i % BEATS_PER_BAR === downbeatPhase).map(time => round(time, 3))
+        };
+    }
+
+    // Beat grid of mono audio. options.beatTimes (seconds) replaces the tracker with
+    // beats from elsewhere (e.g. Essentia's RhythmExtractor2013 ticks); confidence and
+    // downbeats are then still computed from this signal's onsets.
+    function trackBeats(audioData, sampleRate, options = {}) {
+        return trackBeatsFromOnsets(computeOnsetEnvelope(audioData, sampleRate), options);
+    }
+
+    // Beat grid from an onset envelope (computeOnsetEnvelope() or createOnsetEnvelope().finish())
+    function trackBeatsFromOnsets(onsets, options = {}) {
+        if (options.beatTimes) {
+            const toFrame = time => Math.max(0, Math.min(onsets.envelope.length - 1, Math.round((time - onsets.timeOffset) * onsets.frameRate)));
+            const beatTimes = Array.from(options.beatTimes);
+            return describeBeats(beatTimes.map(toFrame), onsets, beatTimes);
+        }
+
+        const period = estimateBeatPeriod(onsets.envelope, onsets.frameRate);
+        const beatFrames = trimBeatFrames(trackBeatFrames(onsets.envelope, period), onsets.envelope, period);
+
+        return describeBeats(beatFrames, onsets);
+    }
+
+    return {
+        BEATS_PER_BAR,
+        createOnsetEnvelope,
+        computeOnsetEnvelope,
+        estimateBeatPeriod,
+        trackBeats,
+        trackBeatsFromOnsets
+    };
+});
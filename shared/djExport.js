@@ -0,0 +1,466 @@
+// Shared DJ library export module
+// Analysis results in the library formats of DJ software, so BPM, key, beat grid and cues
+// don't have to be typed in by hand: a Rekordbox XML collection, a Traktor NML
+// collection, and for Serato a crate (the binary _Serato_/Subcrates/*.crate list) plus a
+// tag set - the TBPM/TKEY values and the "Serato BeatGrid" / "Serato Markers2" GEOB
+// payloads Serato keeps in a file's ID3 tag. Every format takes the entries of an
+// /api/analyze-multiple response (failed files are left out). The song sections become
+// cues, the first eight of them hot cues. DJ software finds tracks by their location, so
+// options.folder should name the folder the files are in on the DJ's computer.
+// Loaded with require() on the server and as a plain <script> in the page
+// (global: AudioDJExport).
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./keyDetector'));
+    } else {
+        root.AudioDJExport = factory(root.AudioKeyDetector);
+    }
+})(typeof self !== 'undefined' ? self : this, function (AudioKeyDetector) {
+    'use strict';
+
+    const DJ_EXPORT_FORMATS = ['rekordbox', 'traktor', 'serato', 'serato-tags'];
+
+    // Download name and MIME type of every format (a crate is named after its playlist, see
+    // getDJExportFileName())
+    const DJ_FORMAT_TYPES = {
+        rekordbox: { fileName: 'rekordbox.xml', mimeType: 'application/xml' },
+        traktor: { fileName: 'collection.nml', mimeType: 'application/xml' },
+        serato: { fileName: null, mimeType: 'application/octet-stream' },
+        'serato-tags': { fileName: 'serato-tags.json', mimeType: 'application/json' }
+    };
+
+    // Name of the playlist (crate) holding the exported tracks unless options.playlist says otherwise
+    const DEFAULT_PLAYLIST = 'Audio Analysis';
+
+    // DJ players have eight hot cue pads; further sections only get memory cues
+    const MAX_HOT_CUES = 8;
+
+    // Cue colours per section label
+    const SECTION_COLORS = {
+        intro: [40, 226, 20],
+        verse: [48, 90, 255],
+        chorus: [230, 40, 40],
+        bridge: [255, 160, 0],
+        outro: [180, 50, 255]
+    };
+    const DEFAULT_COLOR = [255, 255, 255];
+
+    // Rekordbox's file kinds by container
+    const REKORDBOX_KINDS = {
+        mp3: 'MP3 File',
+        wav: 'WAV File',
+        aiff: 'AIFF File',
+        flac: 'FLAC File',
+        m4a: 'M4A File',
+        aac: 'M4A File',
+        ogg: 'OGG File'
+    };
+
+    const PRODUCT_NAME = 'Essentia.js Audio Analysis';
+
+    function escapeXML(value) {
+        return String(value).replace(/[&<>"']/g, char => ({
+            '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;'
+        })[char]);
+    }
+
+    // name="value" pairs of an XML element
+    function xmlAttributes(attributes) {
+        return Object.keys(attributes)
+            .filter(name => attributes[name] !== undefined && attributes[name] !== null)
+            .map(name => ` ${name}="${escapeXML(attributes[name])}"`)
+            .join('');
+    }
+
+    function capitalize(text) {
+        return text.charAt(0).toUpperCase() + text.slice(1);
+    }
+
+    // Location of an entry's file on the DJ's computer: the drive (C: or ''), the folders
+    // and the file name
+    function getTrackPath(entry, options) {
+        const folders = (options.folder || '').replace(/\\/g, '/').split('/').filter(Boolean);
+        const drive = folders.length > 0 && /^[A-Za-z]:$/.test(folders[0]) ? folders.shift() : '';
+        return { drive: drive, folders: folders, fileName: entry.fileName };
+    }
+
+    // The beat grid to export: the hand-corrected one if there is one
+    function getBeatGrid(analysis) {
+        return analysis.correctedBeats || analysis.beats;
+    }
+
+    // Where the grid changes tempo: { time, bpm } on downbeats (bar lines, as DJ software
+    // places its grid markers). One marker on the first downbeat for a steady (or
+    // corrected) grid, otherwise one on the first downbeat of every tempo section.
+    function getTempoMarkers(analysis) {
+        const grid = getBeatGrid(analysis);
+        if (!grid || grid.times.length === 0) {
+            return analysis.bpm.bpm > 0 ? [{ time: 0, bpm: analysis.bpm.bpm }] : [];
+        }
+
+        const barLines = grid.downbeats.length > 0 ? grid.downbeats : grid.times;
+        const tempoMap = analysis.bpm.tempoMap;
+        if (analysis.correctedBeats || !tempoMap || tempoMap.length < 2) {
+            return [{ time: barLines[0], bpm: grid.bpm || analysis.bpm.bpm }];
+        }
+
+        const markers = [];
+        tempoMap.forEach(section => {
+            const time = barLines.find(barLine => barLine >= section.start && barLine < section.end);
+            if (time !== undefined && (markers.length === 0 || markers[markers.length - 1].bpm !== section.bpm)) {
+                markers.push({ time: time, bpm: section.bpm });
+            }
+        });
+        return markers.length > 0 ? markers : [{ time: barLines[0], bpm: grid.bpm }];
+    }
+
+    // Cues on the song sections, each on the downbeat nearest its start: { time, name,
+    // color, hotCue } with hotCue the pad (0-7) or -1 for a memory cue only
+    function getCues(analysis) {
+        const grid = getBeatGrid(analysis);
+        const downbeats = grid ? grid.downbeats : [];
+        const snap = time => downbeats.length === 0 ? time : downbeats.reduce((best, downbeat) => Math.abs(downbeat - time) < Math.abs(best - time) ? downbeat : best);
+
+        return (analysis.structure || []).map((section, index) => ({
+            time: snap(section.start),
+            name: capitalize(section.label),
+            color: SECTION_COLORS[section.label] || DEFAULT_COLOR,
+            hotCue: index < MAX_HOT_CUES ? index : -1
+        }));
+    }
+
+    function keyName(key, minorSuffix) {
+        return `${key.tonic}${key.scale === 'minor' ? minorSuffix : ''}`;
+    }
+
+    function analysedEntries(entries) {
+        return entries.filter(entry => entry.analysis);
+    }
+
+    // Rekordbox XML (DJ_PLAYLISTS 1.0.0): the collection, with TEMPO grid markers and
+    // POSITION_MARK cues per track, and one playlist of all tracks
+    function formatRekordboxXML(entries, options = {}) {
+        const tracks = analysedEntries(entries).map((entry, index) => {
+            const analysis = entry.analysis;
+            const audio = entry.audio || {};
+            const trackPath = getTrackPath(entry, options);
+            const location = 'file://localhost/' + [trackPath.drive].concat(trackPath.folders, trackPath.fileName)
+                .filter(Boolean)
+                .map(part => /^[A-Za-z]:$/.test(part) ? part : encodeURIComponent(part))
+                .join('/');
+            const grid = getBeatGrid(analysis);
+
+            const tempos = getTempoMarkers(analysis).map(marker => `            <TEMPO${xmlAttributes({
+                Inizio: marker.time.toFixed(3),
+                Bpm: marker.bpm.toFixed(2),
+                Metro: `${(grid && grid.beatsPerBar) || 4}/4`,
+                Battito: 1
+            })}/>`);
+
+            // Every cue as a memory cue (Num -1), and again on its hot cue pad
+            const marks = [];
+            getCues(analysis).forEach(cue => {
+                const color = { Red: cue.color[0], Green: cue.color[1], Blue: cue.color[2] };
+                marks.push(`            <POSITION_MARK${xmlAttributes({ Name: cue.name, Type: 0, Start: cue.time.toFixed(3), Num: -1 })}/>`);
+                if (cue.hotCue >= 0) {
+                    marks.push(`            <POSITION_MARK${xmlAttributes(Object.assign({ Name: cue.name, Type: 0, Start: cue.time.toFixed(3), Num: cue.hotCue }, color))}/>`);
+                }
+            });
+
+            return `        <TRACK${xmlAttributes({
+                TrackID: index + 1,
+                Name: entry.fileName.replace(/\.[^.]+$/, ''),
+                Kind: REKORDBOX_KINDS[audio.format],
+                Size: entry.fileSize,
+                TotalTime: audio.duration !== undefined ? Math.round(audio.duration) : undefined,
+                SampleRate: audio.sampleRate,
+                AverageBpm: ((grid && grid.bpm) || analysis.bpm.bpm).toFixed(2),
+                Tonality: keyName(analysis.key, 'm'),
+                Comments: analysis.mood ? analysis.mood.primaryMood : undefined,
+                Location: location
+            })}>
+${tempos.concat(marks).join('\n')}
+        </TRACK>`;
+        });
+
+        return `<?xml version="1.0" encoding="UTF-8"?>
+<DJ_PLAYLISTS Version="1.0.0">
+    <PRODUCT${xmlAttributes({ Name: PRODUCT_NAME, Version: '1.0.0', Company: '' })}/>
+    <COLLECTION Entries="${tracks.length}">
+${tracks.join('\n')}
+    </COLLECTION>
+    <PLAYLISTS>
+        <NODE Type="0" Name="ROOT" Count="1">
+            <NODE${xmlAttributes({ Name: options.playlist || DEFAULT_PLAYLIST, Type: 1, KeyType: 0, Entries: tracks.length })}>
+${tracks.map((track, index) => `                <TRACK Key="${index + 1}"/>`).join('\n')}
+            </NODE>
+        </NODE>
+    </PLAYLISTS>
+</DJ_PLAYLISTS>
+`;
+    }
+
+    // Traktor's MUSICAL_KEY value: 0-11 the major keys from C up, 12-23 the minor keys
+    function traktorKeyValue(key) {
+        const pitchClass = AudioKeyDetector.PITCH_CLASSES.indexOf(key.tonic);
+        return pitchClass < 0 ? undefined : pitchClass + (key.scale === 'minor' ? 12 : 0);
+    }
+
+    // Traktor NML (version 19): the collection, with TEMPO, MUSICAL_KEY, a grid marker
+    // (CUE_V2 type 4) on the first downbeat and the section cues (type 0) per track, and
+    // one playlist of all tracks. Traktor writes folders as "/:Music/:Set/:".
+    function formatTraktorNML(entries, options = {}) {
+        const modified = (options.date || new Date()).toISOString();
+        const keys = [];
+
+        const tracks = analysedEntries(entries).map(entry => {
+            const analysis = entry.analysis;
+            const audio = entry.audio || {};
+            const trackPath = getTrackPath(entry, options);
+            const directory = '/:' + trackPath.folders.map(folder => `${folder}/:`).join('');
+            keys.push(trackPath.drive + directory + trackPath.fileName);
+
+            // Traktor has a single tempo per track, so a single grid marker
+            const grid = getBeatGrid(analysis);
+            const bpm = (grid && grid.bpm) || analysis.bpm.bpm;
+            const anchor = getTempoMarkers(analysis)[0];
+
+            const cues = [];
+            if (anchor) {
+                cues.push({ NAME: 'Beat Marker', DISPL_ORDER: 0, TYPE: 4, START: (anchor.time * 1000).toFixed(6), LEN: '0.000000', REPEATS: -1, HOTCUE: -1 });
+            }
+            getCues(analysis).forEach(cue => {
+                cues.push({ NAME: cue.name, DISPL_ORDER: 0, TYPE: 0, START: (cue.time * 1000).toFixed(6), LEN: '0.000000', REPEATS: -1, HOTCUE: cue.hotCue });
+            });
+
+            return `        <ENTRY${xmlAttributes({
+                MODIFIED_DATE: modified.slice(0, 10).replace(/-/g, '/'),
+                TITLE: entry.fileName.replace(/\.[^.]+$/, '')
+            })}>
+            <LOCATION${xmlAttributes({ DIR: directory, FILE: trackPath.fileName, VOLUME: trackPath.drive })}></LOCATION>
+            <INFO${xmlAttributes({
+                COMMENT: analysis.mood ? analysis.mood.primaryMood : undefined,
+                KEY: analysis.key.openKey,
+                PLAYTIME: audio.duration !== undefined ? Math.round(audio.duration) : undefined,
+                PLAYTIME_FLOAT: audio.duration !== undefined ? audio.duration.toFixed(6) : undefined,
+                FILESIZE: entry.fileSize !== undefined ? Math.round(entry.fileSize / 1024) : undefined
+            })}></INFO>
+            <TEMPO${xmlAttributes({ BPM: bpm.toFixed(6), BPM_QUALITY: '100.000000' })}></TEMPO>
+            <MUSICAL_KEY${xmlAttributes({ VALUE: traktorKeyValue(analysis.key) })}></MUSICAL_KEY>
+${cues.map(cue => `            <CUE_V2${xmlAttributes(cue)}></CUE_V2>`).join('\n')}
+        </ENTRY>`;
+        });
+
+        return `<?xml version="1.0" encoding="UTF-8" standalone="no" ?>
+<NML VERSION="19">
+    <HEAD COMPANY="www.native-instruments.com" PROGRAM="Traktor"></HEAD>
+    <MUSICFOLDERS></MUSICFOLDERS>
+    <COLLECTION ENTRIES="${tracks.length}">
+${tracks.join('\n')}
+    </COLLECTION>
+    <PLAYLISTS>
+        <NODE TYPE="FOLDER" NAME="$ROOT">
+            <SUBNODES COUNT="1">
+                <NODE${xmlAttributes({ TYPE: 'PLAYLIST', NAME: options.playlist || DEFAULT_PLAYLIST })}>
+                    <PLAYLIST${xmlAttributes({ ENTRIES: tracks.length, TYPE: 'LIST', UUID: '' })}>
+${keys.map(key => `                        <ENTRY><PRIMARYKEY${xmlAttributes({ TYPE: 'TRACK', KEY: key })}></PRIMARYKEY></ENTRY>`).join('\n')}
+                    </PLAYLIST>
+                </NODE>
+            </SUBNODES>
+        </NODE>
+    </PLAYLISTS>
+</NML>
+`;
+    }
+
+    // Growable big-endian byte buffer for the binary Serato formats
+    function createByteWriter() {
+        const bytes = [];
+        const view = new DataView(new ArrayBuffer(4));
+        return {
+            bytes: bytes,
+            uint8(...values) {
+                values.forEach(value => bytes.push(value & 0xff));
+            },
+            uint32(value) {
+                view.setUint32(0, value);
+                bytes.push(view.getUint8(0), view.getUint8(1), view.getUint8(2), view.getUint8(3));
+            },
+            float32(value) {
+                view.setFloat32(0, value);
+                bytes.push(view.getUint8(0), view.getUint8(1), view.getUint8(2), view.getUint8(3));
+            },
+            append(data) {
+                for (let i = 0; i < data.length; i++) bytes.push(data[i]);
+            },
+            toUint8Array() {
+                return Uint8Array.from(bytes);
+            }
+        };
+    }
+
+    function utf8Bytes(text) {
+        return new TextEncoder().encode(text);
+    }
+
+    function asciiBytes(text) {
+        return Array.from(text, char => char.charCodeAt(0));
+    }
+
+    function utf16BEBytes(text) {
+        const bytes = [];
+        for (let i = 0; i < text.length; i++) {
+            bytes.push(text.charCodeAt(i) >> 8, text.charCodeAt(i) & 0xff);
+        }
+        return bytes;
+    }
+
+    const BASE64_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+
+    function toBase64(bytes) {
+        let text = '';
+        for (let i = 0; i < bytes.length; i += 3) {
+            const chunk = (bytes[i] << 16) | ((bytes[i + 1] || 0) << 8) | (bytes[i + 2] || 0);
+            text += BASE64_ALPHABET[(chunk >> 18) & 63] + BASE64_ALPHABET[(chunk >> 12) & 63]
+                + (i + 1 < bytes.length ? BASE64_ALPHABET[(chunk >> 6) & 63] : '=')
+                + (i + 2 < bytes.length ? BASE64_ALPHABET[chunk & 63] : '=');
+        }
+        return text;
+    }
+
+    // Serato crate: a version tag, the columns shown, then one track tag per file holding
+    // its path from the drive root. Tags are a 4-letter name, a big-endian length and the
+    // content; text is UTF-16BE.
+    function crateTag(name, content) {
+        const writer = createByteWriter();
+        writer.append(asciiBytes(name));
+        writer.uint32(content.length);
+        writer.append(content);
+        return writer.bytes;
+    }
+
+    function formatSeratoCrate(entries, options = {}) {
+        const writer = createByteWriter();
+        writer.append(crateTag('vrsn', utf16BEBytes('1.0/Serato ScratchLive Crate')));
+        ['song', 'bpm', 'key', 'length'].forEach(column => {
+            writer.append(crateTag('ovct', crateTag('tvcn', utf16BEBytes(column)).concat(crateTag('tvcw', utf16BEBytes('0')))));
+        });
+        analysedEntries(entries).forEach(entry => {
+            const trackPath = getTrackPath(entry, options);
+            writer.append(crateTag('otrk', crateTag('ptrk', utf16BEBytes(trackPath.folders.concat(trackPath.fileName).join('/')))));
+        });
+        return writer.toUint8Array();
+    }
+
+    // "Serato BeatGrid" GEOB payload: version 1.0, the markers (every one but the last with
+    // the number of beats up to the next, the last with its BPM) and a footer byte
+    function encodeSeratoBeatGrid(analysis) {
+        const markers = getTempoMarkers(analysis);
+        const writer = createByteWriter();
+        writer.uint8(0x01, 0x00);
+        writer.uint32(markers.length);
+        markers.forEach((marker, index) => {
+            writer.float32(marker.time);
+            if (index < markers.length - 1) {
+                writer.uint32(Math.round((markers[index + 1].time - marker.time) * marker.bpm / 60));
+            } else {
+                writer.float32(marker.bpm);
+            }
+        });
+        writer.uint8(0x00);
+        return writer.toUint8Array();
+    }
+
+    // "Serato Markers2" GEOB payload: version 1.1, then base64 text (72-character lines) of
+    // the entries - the hot cues (CUE: pad, position in ms, colour, name) - ending in a zero
+    // byte, padded with zero bytes to 470. Serato leaves the base64 padding out; the "A"s
+    // standing in for it decode to trailing zero bytes.
+    function encodeSeratoMarkers2(analysis) {
+        const entries = createByteWriter();
+        entries.uint8(0x01, 0x01);
+        getCues(analysis).filter(cue => cue.hotCue >= 0).forEach(cue => {
+            const content = createByteWriter();
+            content.uint8(0x00, cue.hotCue);
+            content.uint32(Math.round(cue.time * 1000));
+            content.uint8(0x00, ...cue.color, 0x00, 0x00);
+            content.append(utf8Bytes(cue.name));
+            content.uint8(0x00);
+
+            entries.append(asciiBytes('CUE'));
+            entries.uint8(0x00);
+            entries.uint32(content.bytes.length);
+            entries.append(content.bytes);
+        });
+        entries.append(asciiBytes('BPMLOCK'));
+        entries.uint8(0x00);
+        entries.uint32(1);
+        entries.uint8(0x00);
+        entries.uint8(0x00);
+
+        const text = toBase64(entries.bytes).replace(/=/g, 'A').replace(/.{72}(?=.)/g, '$&\n');
+        const writer = createByteWriter();
+        writer.uint8(0x01, 0x01);
+        writer.append(asciiBytes(text));
+        while (writer.bytes.length < 470) writer.uint8(0x00);
+        return writer.toUint8Array();
+    }
+
+    // Serato tag set: per file the text frames and the GEOB objects (base64) to put in its
+    // ID3 tag for Serato to pick up BPM, key, beat grid and hot cues
+    function formatSeratoTags(entries, options = {}) {
+        const tracks = analysedEntries(entries).map(entry => {
+            const analysis = entry.analysis;
+            const trackPath = getTrackPath(entry, options);
+            const grid = getBeatGrid(analysis);
+            return {
+                fileName: entry.fileName,
+                path: [trackPath.drive].concat(trackPath.folders, trackPath.fileName).filter(Boolean).join('/'),
+                tags: {
+                    TBPM: String(Math.round((grid && grid.bpm) || analysis.bpm.bpm)),
+                    TKEY: keyName(analysis.key, 'm')
+                },
+                objects: [
+                    { description: 'Serato BeatGrid', mimeType: 'application/octet-stream', data: toBase64(encodeSeratoBeatGrid(analysis)) },
+                    { description: 'Serato Markers2', mimeType: 'application/octet-stream', data: toBase64(encodeSeratoMarkers2(analysis)) }
+                ]
+            };
+        });
+        return JSON.stringify({ crate: options.playlist || DEFAULT_PLAYLIST, tracks: tracks }, null, 2);
+    }
+
+    // Name to save an export under
+    function getDJExportFileName(format, options = {}) {
+        return format === 'serato' ? `${options.playlist || DEFAULT_PLAYLIST}.crate` : DJ_FORMAT_TYPES[format].fileName;
+    }
+
+    // `entries` in one of DJ_EXPORT_FORMATS: XML or JSON text, or the crate's bytes
+    function formatDJLibrary(entries, format, options) {
+        switch (format) {
+            case 'rekordbox':
+                return formatRekordboxXML(entries, options);
+            case 'traktor':
+                return formatTraktorNML(entries, options);
+            case 'serato':
+                return formatSeratoCrate(entries, options);
+            case 'serato-tags':
+                return formatSeratoTags(entries, options);
+            default:
+                throw new Error(`Unknown DJ export format "${format}" (expected one of: ${DJ_EXPORT_FORMATS.join(', ')})`);
+        }
+    }
+
+    return {
+        DJ_EXPORT_FORMATS,
+        DJ_FORMAT_TYPES,
+        getTempoMarkers,
+        getCues,
+        formatRekordboxXML,
+        formatTraktorNML,
+        formatSeratoCrate,
+        encodeSeratoBeatGrid,
+        encodeSeratoMarkers2,
+        formatSeratoTags,
+        getDJExportFileName,
+        formatDJLibrary
+    };
+});
@@ -0,0 +1,190 @@
+// Shared feature stream module
+// Frame-by-frame feature extraction for audio that arrives in chunks (streamed uploads,
+// live input). Each ~46 ms frame is transformed once and feeds the beat tracker's onset
+// envelope, the energy curve and running spectral statistics; samples are dropped as
+// soon as their frames are done, so memory stays bounded however long the audio runs.
+// Loaded with require() on the server, as a plain <script> in the page and with
+// importScripts() in the analysis worker (global: AudioFeatureStream).
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./fft'), require('./beatTracker'));
+    } else {
+        root.AudioFeatureStream = factory(root.AudioFFT, root.AudioBeatTracker);
+    }
+})(typeof self !== 'undefined' ? self : this, function (AudioFFT, AudioBeatTracker) {
+    'use strict';
+
+    // The energy curve has one RMS value per this many seconds
+    const ENERGY_INTERVAL = 1;
+
+    // Curve values below this level (dBFS) count as silence for the dynamic range
+    const SILENCE_DB = -70;
+
+    // Dynamic range spans these percentiles of the (non-silent) energy curve
+    const DYNAMICS_LOW_PERCENTILE = 0.1;
+    const DYNAMICS_HIGH_PERCENTILE = 0.95;
+
+    // Spectral rolloff: the frequency below which this fraction of the energy lies
+    const ROLLOFF_FRACTION = 0.85;
+
+    // Mean and standard deviation without keeping the values (Welford)
+    function createRunningStats() {
+        let count = 0;
+        let mean = 0;
+        let squares = 0;
+
+        return {
+            add(value) {
+                count++;
+                const delta = value - mean;
+                mean += delta / count;
+                squares += delta * (value - mean);
+            },
+            summary(decimals) {
+                const factor = Math.pow(10, decimals);
+                return {
+                    mean: Math.round(mean * factor) / factor,
+                    std: count > 0 ? Math.round(Math.sqrt(squares / count) * factor) / factor : 0
+                };
+            }
+        };
+    }
+
+    function toDb(value) {
+        return value > 0 ? 20 * Math.log10(value) : null;
+    }
+
+    function round(value, decimals) {
+        if (value === null) return null;
+        const factor = Math.pow(10, decimals);
+        return Math.round(value * factor) / factor;
+    }
+
+    // Centroid (magnitude-weighted), rolloff and flatness of one magnitude spectrum;
+    // null for a silent frame
+    function describeSpectrum(spectrum, sampleRate, frameSize) {
+        let magnitudeSum = 0;
+        let weightedSum = 0;
+        let energy = 0;
+        let logPowerSum = 0;
+        for (let k = 0; k < spectrum.length; k++) {
+            const power = spectrum[k] * spectrum[k];
+            magnitudeSum += spectrum[k];
+            weightedSum += k * spectrum[k];
+            energy += power;
+            logPowerSum += Math.log(power + 1e-20);
+        }
+        if (energy === 0) return null;
+
+        let rolloffBin = spectrum.length - 1;
+        let cumulative = 0;
+        for (let k = 0; k < spectrum.length; k++) {
+            cumulative += spectrum[k] * spectrum[k];
+            if (cumulative >= ROLLOFF_FRACTION * energy) {
+                rolloffBin = k;
+                break;
+            }
+        }
+
+        const binWidth = sampleRate / frameSize;
+        return {
+            centroid: weightedSum / magnitudeSum * binWidth,
+            rolloff: rolloffBin * binWidth,
+            // Geometric over arithmetic mean of the power spectrum: 1 for white noise, ~0 for a tone
+            flatness: Math.exp(logPowerSum / spectrum.length) / (energy / spectrum.length)
+        };
+    }
+
+    // Feature extractor for mono audio at `sampleRate`: push() each chunk as it arrives,
+    // finish() once at the end. The result holds the onset envelope (for the beat tracker
+    // and the tempo map), the energy and the spectral statistics.
+    function createFeatureStream(sampleRate) {
+        const onsets = AudioBeatTracker.createOnsetEnvelope(sampleRate);
+        const { frameSize, hopSize } = onsets;
+        const energyBlockSize = Math.round(ENERGY_INTERVAL * sampleRate);
+
+        // Samples from the start of the next frame on
+        let pending = new Float32Array(0);
+        let received = 0;
+
+        // Energy: the running sum of the current curve block, the curve, overall totals
+        let blockSquares = 0;
+        let blockLength = 0;
+        const energyCurve = [];
+        let totalSquares = 0;
+        let peak = 0;
+
+        const centroid = createRunningStats();
+        const rolloff = createRunningStats();
+        const flatness = createRunningStats();
+
+        function closeEnergyBlock() {
+            energyCurve.push(blockLength > 0 ? Math.sqrt(blockSquares / blockLength) : 0);
+            blockSquares = 0;
+            blockLength = 0;
+        }
+
+        return {
+            push(samples) {
+                for (let i = 0; i < samples.length; i++) {
+                    const square = samples[i] * samples[i];
+                    blockSquares += square;
+                    totalSquares += square;
+                    const magnitude = samples[i] < 0 ? -samples[i] : samples[i];
+                    if (magnitude > peak) peak = magnitude;
+                    if (++blockLength === energyBlockSize) closeEnergyBlock();
+                }
+                received += samples.length;
+
+                const joined = new Float32Array(pending.length + samples.length);
+                joined.set(pending);
+                joined.set(samples, pending.length);
+
+                let start = 0;
+                for (; start + frameSize <= joined.length; start += hopSize) {
+                    const spectrum = AudioFFT.magnitudeSpectrum(joined.subarray(start, start + frameSize), { window: 'hann' });
+                    onsets.addFrame(spectrum);
+
+                    const description = describeSpectrum(spectrum, sampleRate, frameSize);
+                    if (description) {
+                        centroid.add(description.centroid);
+                        rolloff.add(description.rolloff);
+                        flatness.add(description.flatness);
+                    }
+                }
+                pending = joined.slice(start);
+            },
+
+            finish() {
+                if (blockLength > 0) closeEnergyBlock();
+
+                const rms = received > 0 ? Math.sqrt(totalSquares / received) : 0;
+                const levels = energyCurve.map(toDb).filter(level => level !== null && level > SILENCE_DB).sort((a, b) => a - b);
+                const percentile = fraction => levels[Math.round((levels.length - 1) * fraction)];
+
+                return {
+                    duration: received / sampleRate,
+                    onsets: onsets.finish(),
+                    energy: {
+                        rms: round(toDb(rms), 1),
+                        peak: round(toDb(peak), 1),
+                        crestFactor: rms > 0 ? round(toDb(peak / rms), 1) : null,
+                        dynamicRange: levels.length > 0 ? round(percentile(DYNAMICS_HIGH_PERCENTILE) - percentile(DYNAMICS_LOW_PERCENTILE), 1) : 0,
+                        interval: ENERGY_INTERVAL,
+                        curve: energyCurve.map(value => round(toDb(value), 1))
+                    },
+                    spectral: {
+                        centroid: centroid.summary(0),
+                        rolloff: rolloff.summary(0),
+                        flatness: flatness.summary(3)
+                    }
+                };
+            }
+        };
+    }
+
+    return {
+        ENERGY_INTERVAL,
+        createFeatureStream
+    };
+});
@@ -0,0 +1,237 @@
+// Shared FFT module
+// Radix-2 FFT, real-input FFT, windowing, magnitude/power spectra and FFT-based
+// autocorrelation. Loaded with require() on the server, as a plain <script> in the
+// page and with importScripts() in the analysis worker (global: AudioFFT).
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.AudioFFT = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    // Per-size lookup tables, built on first use
+    const twiddleCache = {};
+    const bitReverseCache = {};
+    const windowCache = {};
+
+    function nextPowerOfTwo(n) {
+        let size = 1;
+        while (size < n) size <<= 1;
+        return size;
+    }
+
+    function isPowerOfTwo(n) {
+        return n > 0 && (n & (n - 1)) === 0;
+    }
+
+    function getTwiddles(size) {
+        if (!twiddleCache[size]) {
+            const cos = new Float64Array(size / 2);
+            const sin = new Float64Array(size / 2);
+            for (let i = 0; i < size / 2; i++) {
+                cos[i] = Math.cos(2 * Math.PI * i / size);
+                sin[i] = Math.sin(2 * Math.PI * i / size);
+            }
+            twiddleCache[size] = { cos, sin };
+        }
+        return twiddleCache[size];
+    }
+
+    function getBitReverse(size) {
+        if (!bitReverseCache[size]) {
+            const table = new Uint32Array(size);
+            const bits = Math.log2(size);
+            for (let i = 0; i < size; i++) {
+                let reversed = 0;
+                for (let b = 0; b < bits; b++) {
+                    reversed = (reversed << 1) | ((i >> b) & 1);
+                }
+                table[i] = reversed;
+            }
+            bitReverseCache[size] = table;
+        }
+        return bitReverseCache[size];
+    }
+
+    // Window functions of a given length, cached by type and size
+    function getWindow(type, size) {
+        const key = `${type}:${size}`;
+        if (!windowCache[key]) {
+            const window = new Float64Array(size);
+            const denominator = Math.max(1, size - 1);
+            for (let i = 0; i < size; i++) {
+                switch (type) {
+                    case 'hamming':
+                        window[i] = 0.54 - 0.46 * Math.cos(2 * Math.PI * i / denominator);
+                        break;
+                    case 'hann':
+                        window[i] = 0.5 - 0.5 * Math.cos(2 * Math.PI * i / denominator);
+                        break;
+                    case 'blackman':
+                        window[i] = 0.42 - 0.5 * Math.cos(2 * Math.PI * i / denominator) + 0.08 * Math.cos(4 * Math.PI * i / denominator);
+                        break;
+                    case 'rectangular':
+                    case 'none':
+                        window[i] = 1;
+                        break;
+                    default:
+                        throw new Error(`Unknown window type: ${type}`);
+                }
+            }
+            windowCache[key] = window;
+        }
+        return windowCache[key];
+    }
+
+    // In-place iterative radix-2 complex FFT (real.length must be a power of two)
+    function fft(real, imag) {
+        const size = real.length;
+        if (!isPowerOfTwo(size)) {
+            throw new Error(`FFT size must be a power of two, got ${size}`);
+        }
+        if (size === 1) return;
+
+        const reverse = getBitReverse(size);
+        for (let i = 0; i < size; i++) {
+            const j = reverse[i];
+            if (j > i) {
+                let tmp = real[i]; real[i] = real[j]; real[j] = tmp;
+                tmp = imag[i]; imag[i] = imag[j]; imag[j] = tmp;
+            }
+        }
+
+        const { cos, sin } = getTwiddles(size);
+        for (let blockSize = 2; blockSize <= size; blockSize <<= 1) {
+            const halfBlock = blockSize >> 1;
+            const step = size / blockSize;
+            for (let start = 0; start < size; start += blockSize) {
+                for (let k = 0; k < halfBlock; k++) {
+                    const wr = cos[k * step];
+                    const wi = -sin[k * step];
+                    const even = start + k;
+                    const odd = even + halfBlock;
+                    const tr = wr * real[odd] - wi * imag[odd];
+                    const ti = wr * imag[odd] + wi * real[odd];
+                    real[odd] = real[even] - tr;
+                    imag[odd] = imag[even] - ti;
+                    real[even] += tr;
+                    imag[even] += ti;
+                }
+            }
+        }
+    }
+
+    // FFT of a real signal via one half-size complex FFT.
+    // Returns bins 0..size/2 (inclusive); input is zero-padded to `size`.
+    function realFFT(input, size) {
+        size = size || nextPowerOfTwo(input.length);
+        if (!isPowerOfTwo(size) || size < 2) {
+            throw new Error(`Real FFT size must be a power of two >= 2, got ${size}`);
+        }
+
+        const half = size / 2;
+        const zr = new Float64Array(half);
+        const zi = new Float64Array(half);
+        const length = Math.min(input.length, size);
+        for (let i = 0; i < length; i++) {
+            if (i % 2 === 0) zr[i >> 1] = input[i];
+            else zi[i >> 1] = input[i];
+        }
+
+        fft(zr, zi);
+
+        const { cos, sin } = getTwiddles(size);
+        const real = new Float64Array(half + 1);
+        const imag = new Float64Array(half + 1);
+        for (let k = 0; k <= half; k++) {
+            const a = zr[k % half];
+            const b = zi[k % half];
+            const c = zr[(half - k) % half];
+            const d = zi[(half - k) % half];
+
+            // Split the packed spectrum into its even and odd sample halves
+            const evenReal = (a + c) / 2;
+            const evenImag = (b - d) / 2;
+            const oddReal = (b + d) / 2;
+            const oddImag = (c - a) / 2;
+
+            const wr = k < half ? cos[k] : -1;
+            const ws = k < half ? sin[k] : 0;
+            real[k] = evenReal + wr * oddReal + ws * oddImag;
+            imag[k] = evenImag + wr * oddImag - ws * oddReal;
+        }
+
+        return { real, imag };
+    }
+
+    // Multiply a frame by a window of the frame's own length
+    function applyWindow(frame, type) {
+        const window = getWindow(type, frame.length);
+        const windowed = new Float64Array(frame.length);
+        for (let i = 0; i < frame.length; i++) {
+            windowed[i] = frame[i] * window[i];
+        }
+        return windowed;
+    }
+
+    // Magnitude spectrum (bins 0..size/2 - 1) of a windowed, zero-padded frame
+    function magnitudeSpectrum(frame, options = {}) {
+        const power = powerSpectrum(frame, options);
+        for (let k = 0; k < power.length; k++) {
+            power[k] = Math.sqrt(power[k]);
+        }
+        return power;
+    }
+
+    // Power spectrum (bins 0..size/2 - 1) of a windowed, zero-padded frame
+    function powerSpectrum(frame, options = {}) {
+        const windowType = options.window || 'hamming';
+        const size = options.size || Math.max(2, nextPowerOfTwo(frame.length));
+        const { real, imag } = realFFT(applyWindow(frame, windowType), size);
+
+        const power = new Float32Array(size / 2);
+        for (let k = 0; k < power.length; k++) {
+            power[k] = real[k] * real[k] + imag[k] * imag[k];
+        }
+        return power;
+    }
+
+    // Linear (non-circular) autocorrelation for lags 0..frame.length - 1,
+    // computed as the inverse FFT of the power spectrum of the zero-padded frame
+    function autocorrelation(frame, options = {}) {
+        const windowType = options.window || 'none';
+        const length = frame.length;
+        const size = Math.max(2, nextPowerOfTwo(2 * length));
+        const { real, imag } = realFFT(applyWindow(frame, windowType), size);
+
+        // The power spectrum is real and even, so a forward FFT inverts it up to 1/size
+        const spectrumReal = new Float64Array(size);
+        const spectrumImag = new Float64Array(size);
+        for (let k = 0; k <= size / 2; k++) {
+            const power = real[k] * real[k] + imag[k] * imag[k];
+            spectrumReal[k] = power;
+            if (k > 0 && k < size / 2) spectrumReal[size - k] = power;
+        }
+
+        fft(spectrumReal, spectrumImag);
+
+        const result = new Float64Array(length);
+        for (let lag = 0; lag < length; lag++) {
+            result[lag] = spectrumReal[lag] / size;
+        }
+        return result;
+    }
+
+    return {
+        nextPowerOfTwo,
+        getWindow,
+        applyWindow,
+        fft,
+        realFFT,
+        magnitudeSpectrum,
+        powerSpectrum,
+        autocorrelation
+    };
+});
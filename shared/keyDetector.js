@@ -0,0 +1,158 @@
+// Shared key detector module
+// HPCP-style chroma from spectral peaks, matched against the Krumhansl-Kessler key
+// profiles for all 24 major/minor keys, plus Camelot and Open Key notation. Loaded
+// with require() on the server, as a plain <script> in the page and with
+// importScripts() in the analysis worker (global: AudioKeyDetector).
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./fft'));
+    } else {
+        root.AudioKeyDetector = factory(root.AudioFFT);
+    }
+})(typeof self !== 'undefined' ? self : this, function (AudioFFT) {
+    'use strict';
+
+    // Pitch class names, index 0 = C (the spelling Essentia's KeyExtractor uses)
+    const PITCH_CLASSES = ['C', 'C#', 'D', 'Eb', 'E', 'F', 'F#', 'G', 'Ab', 'A', 'Bb', 'B'];
+
+    // Enharmonic spellings accepted by describeKey()
+    const PITCH_CLASS_ALIASES = { 'Db': 1, 'D#': 3, 'Gb': 6, 'G#': 8, 'A#': 10, 'Cb': 11, 'B#': 0, 'E#': 5, 'Fb': 4 };
+
+    // Krumhansl-Kessler probe-tone profiles, tonic first
+    const KEY_PROFILES = {
+        major: [6.35, 2.23, 3.48, 2.33, 4.38, 4.09, 2.52, 5.19, 2.39, 3.66, 2.29, 2.88],
+        minor: [6.33, 2.68, 3.52, 5.38, 2.60, 3.53, 2.54, 4.75, 3.98, 2.69, 3.34, 3.17]
+    };
+
+    // Spectral peaks in this range contribute to the chroma
+    const MIN_FREQUENCY = 80;
+    const MAX_FREQUENCY = 5000;
+
+    // Each peak is spread over the pitch classes within this many semitones (cos² weighting)
+    const HALF_WINDOW_SEMITONES = 2 / 3;
+
+    // Chroma frames of ~370 ms with 50% overlap at 11025 Hz
+    const FRAME_DURATION = 0.37;
+
+    // 12-bin chroma of one magnitude spectrum, from its interpolated peaks
+    function frameChroma(spectrum, sampleRate, frameSize) {
+        const chroma = new Float64Array(12);
+        const minBin = Math.max(1, Math.floor(MIN_FREQUENCY * frameSize / sampleRate));
+        const maxBin = Math.min(spectrum.length - 2, Math.ceil(MAX_FREQUENCY * frameSize / sampleRate));
+
+        for (let k = minBin; k <= maxBin; k++) {
+            if (spectrum[k] <= spectrum[k - 1] || spectrum[k] < spectrum[k + 1]) continue;
+
+            // Parabolic interpolation of the peak position and height
+            const left = spectrum[k - 1];
+            const centre = spectrum[k];
+            const right = spectrum[k + 1];
+            const curvature = left - 2 * centre + right;
+            const offset = curvature < 0 ? 0.5 * (left - right) / curvature : 0;
+            const magnitude = centre - 0.25 * (left - right) * offset;
+
+            const frequency = (k + offset) * sampleRate / frameSize;
+            const pitch = 12 * Math.log2(frequency / 440) + 9;
+
+            for (let pitchClass = 0; pitchClass < 12; pitchClass++) {
+                let distance = Math.abs(pitch - pitchClass) % 12;
+                distance = Math.min(distance, 12 - distance);
+                if (distance < HALF_WINDOW_SEMITONES) {
+                    const weight = Math.pow(Math.cos(Math.PI / 2 * distance / HALF_WINDOW_SEMITONES), 2);
+                    chroma[pitchClass] += weight * magnitude * magnitude;
+                }
+            }
+        }
+
+        return chroma;
+    }
+
+    // Average chroma of a whole signal, every frame normalised to a maximum of 1
+    function computeChroma(audioData, sampleRate) {
+        const frameSize = AudioFFT.nextPowerOfTwo(Math.round(FRAME_DURATION * sampleRate));
+        const hopSize = frameSize / 2;
+        const chroma = new Float64Array(12);
+
+        for (let i = 0; i + frameSize <= audioData.length; i += hopSize) {
+            const spectrum = AudioFFT.magnitudeSpectrum(audioData.slice(i, i + frameSize), { window: 'blackman' });
+            const frame = frameChroma(spectrum, sampleRate, frameSize);
+            const max = Math.max(...frame);
+            if (max > 0) {
+                for (let pitchClass = 0; pitchClass < 12; pitchClass++) {
+                    chroma[pitchClass] += frame[pitchClass] / max;
+                }
+            }
+        }
+
+        const max = Math.max(...chroma);
+        return Array.from(chroma, value => max > 0 ? value / max : 0);
+    }
+
+    function pearsonCorrelation(a, b) {
+        const meanA = a.reduce((sum, val) => sum + val, 0) / a.length;
+        const meanB = b.reduce((sum, val) => sum + val, 0) / b.length;
+        let covariance = 0;
+        let varianceA = 0;
+        let varianceB = 0;
+        for (let i = 0; i < a.length; i++) {
+            covariance += (a[i] - meanA) * (b[i] - meanB);
+            varianceA += Math.pow(a[i] - meanA, 2);
+            varianceB += Math.pow(b[i] - meanB, 2);
+        }
+        return varianceA > 0 && varianceB > 0 ? covariance / Math.sqrt(varianceA * varianceB) : 0;
+    }
+
+    // Camelot wheel position: C major = 8B, A minor = 8A, one step per fifth
+    function getCamelot(pitchClass, scale) {
+        const majorTonic = scale === 'minor' ? (pitchClass + 3) % 12 : pitchClass;
+        return `${(7 * majorTonic + 7) % 12 + 1}${scale === 'minor' ? 'A' : 'B'}`;
+    }
+
+    // Open Key notation: C major = 1d, A minor = 1m, one step per fifth
+    function getOpenKey(pitchClass, scale) {
+        const majorTonic = scale === 'minor' ? (pitchClass + 3) % 12 : pitchClass;
+        return `${(7 * majorTonic) % 12 + 1}${scale === 'minor' ? 'm' : 'd'}`;
+    }
+
+    // Key result for a tonic name (any common spelling) and scale
+    function describeKey(tonic, scale, confidence) {
+        const pitchClass = PITCH_CLASSES.indexOf(tonic) >= 0 ? PITCH_CLASSES.indexOf(tonic) : PITCH_CLASS_ALIASES[tonic];
+        if (pitchClass === undefined) {
+            throw new Error(`Unknown tonic "${tonic}"`);
+        }
+
+        return {
+            tonic: PITCH_CLASSES[pitchClass],
+            scale: scale,
+            camelot: getCamelot(pitchClass, scale),
+            openKey: getOpenKey(pitchClass, scale),
+            confidence: Math.max(0, Math.min(1, confidence))
+        };
+    }
+
+    // Most likely key of mono audio; confidence is the profile correlation of that key
+    function detectKey(audioData, sampleRate) {
+        const chroma = computeChroma(audioData, sampleRate);
+
+        let best = { pitchClass: 0, scale: 'major', correlation: -Infinity };
+        for (const scale of ['major', 'minor']) {
+            for (let pitchClass = 0; pitchClass < 12; pitchClass++) {
+                const rotated = chroma.map((_, i) => chroma[(i + pitchClass) % 12]);
+                const correlation = pearsonCorrelation(rotated, KEY_PROFILES[scale]);
+                if (correlation > best.correlation) {
+                    best = { pitchClass, scale, correlation };
+                }
+            }
+        }
+
+        return describeKey(PITCH_CLASSES[best.pitchClass], best.scale, best.correlation);
+    }
+
+    return {
+        PITCH_CLASSES,
+        frameChroma,
+        computeChroma,
+        describeKey,
+        detectKey
+    };
+});
@@ -0,0 +1,238 @@
+// Shared loudness meter module
+// EBU R128 / ITU-R BS.1770-4 loudness: K-weighting for any sample rate, momentary
+// (400 ms) and short-term (3 s) loudness, gated integrated loudness, loudness range
+// (EBU Tech 3342) and 4x oversampled true peak. Loaded with require() on the server,
+// as a plain <script> in the page and with importScripts() in the analysis worker
+// (global: AudioLoudnessMeter).
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.AudioLoudnessMeter = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    // Loudness curves (and the gating blocks) advance in steps of this many seconds
+    const CURVE_INTERVAL = 0.1;
+
+    // Window lengths in curve steps: 400 ms momentary, 3 s short-term
+    const MOMENTARY_STEPS = 4;
+    const SHORT_TERM_STEPS = 30;
+
+    // Gates in LUFS / LU (BS.1770-4 for integrated loudness, Tech 3342 for the range)
+    const ABSOLUTE_GATE = -70;
+    const RELATIVE_GATE = -10;
+    const RANGE_RELATIVE_GATE = -20;
+
+    // Loudness range spans these percentiles of the gated short-term loudness
+    const RANGE_LOW_PERCENTILE = 0.1;
+    const RANGE_HIGH_PERCENTILE = 0.95;
+
+    // BS.1770 channel weights by channel name; the LFE channel is not measured
+    const CHANNEL_WEIGHTS = { lfe: 0, 'surround-left': 1.41, 'surround-right': 1.41 };
+
+    // ITU-R BS.1770-4 Annex 2 interpolation filter: 4x oversampling, 12 taps per phase
+    const TRUE_PEAK_PHASES = [
+        [0.0017089843750, 0.0109863281250, -0.0196533203125, 0.0332031250000, -0.0594482421875, 0.1373291015625,
+            0.9721679687500, -0.1022949218750, 0.0476074218750, -0.0266113281250, 0.0148925781250, -0.0083007812500],
+        [-0.0291748046875, 0.0292968750000, -0.0517578125000, 0.0891113281250, -0.1665039062500, 0.4650878906250,
+            0.7797851562500, -0.2003173828125, 0.1015625000000, -0.0582275390625, 0.0330810546875, -0.0189208984375],
+        [-0.0189208984375, 0.0330810546875, -0.0582275390625, 0.1015625000000, -0.2003173828125, 0.7797851562500,
+            0.4650878906250, -0.1665039062500, 0.0891113281250, -0.0517578125000, 0.0292968750000, -0.0291748046875],
+        [-0.0083007812500, 0.0148925781250, -0.0266113281250, 0.0476074218750, -0.1022949218750, 0.9721679687500,
+            0.1373291015625, -0.0594482421875, 0.0332031250000, -0.0196533203125, 0.0109863281250, 0.0017089843750]
+    ];
+
+    // Samples per block when looking for blocks that cannot raise the true peak
+    const TRUE_PEAK_BLOCK_SIZE = 256;
+
+    // K-weighting biquads (high shelf, then high pass) designed for `sampleRate` from the
+    // analog prototypes behind the 48 kHz coefficients published in BS.1770
+    function getKWeightingFilters(sampleRate) {
+        const shelfGain = 3.999843853973347;
+        const shelfQ = 0.7071752369554196;
+        let K = Math.tan(Math.PI * 1681.974450955533 / sampleRate);
+        const Vh = Math.pow(10, shelfGain / 20);
+        const Vb = Math.pow(Vh, 0.4996667741545416);
+        let a0 = 1 + K / shelfQ + K * K;
+        const shelf = {
+            b: [(Vh + Vb * K / shelfQ + K * K) / a0, 2 * (K * K - Vh) / a0, (Vh - Vb * K / shelfQ + K * K) / a0],
+            a: [2 * (K * K - 1) / a0, (1 - K / shelfQ + K * K) / a0]
+        };
+
+        const highPassQ = 0.5003270373238773;
+        K = Math.tan(Math.PI * 38.13547087602444 / sampleRate);
+        a0 = 1 + K / highPassQ + K * K;
+        const highPass = {
+            b: [1, -2, 1],
+            a: [2 * (K * K - 1) / a0, (1 - K / highPassQ + K * K) / a0]
+        };
+
+        return [shelf, highPass];
+    }
+
+    // K-weighted signal power summed over every CURVE_INTERVAL step
+    function kWeightedPowers(samples, sampleRate, stepSize, stepCount) {
+        const powers = new Float64Array(stepCount);
+        const [shelf, highPass] = getKWeightingFilters(sampleRate);
+        const [b0, b1, b2] = shelf.b;
+        const [a1, a2] = shelf.a;
+        const [c1, c2] = highPass.a;
+        let s1 = 0, s2 = 0, h1 = 0, h2 = 0;
+
+        for (let step = 0; step < stepCount; step++) {
+            let sum = 0;
+            for (let i = step * stepSize, end = i + stepSize; i < end; i++) {
+                // Both biquads in transposed direct form II
+                const x = samples[i];
+                const y = b0 * x + s1;
+                s1 = b1 * x - a1 * y + s2;
+                s2 = b2 * x - a2 * y;
+                const z = y + h1;
+                h1 = -2 * y - c1 * z + h2;
+                h2 = y - c2 * z;
+                sum += z * z;
+            }
+            powers[step] = sum;
+        }
+
+        return powers;
+    }
+
+    // Largest absolute value of the 4x oversampled signal
+    function measureTruePeak(samples) {
+        const taps = TRUE_PEAK_PHASES[0].length;
+        const [phase0, phase1, phase2, phase3] = TRUE_PEAK_PHASES.map(phase => Float64Array.from(phase));
+
+        // Zero history before the first sample
+        const padded = new Float64Array(samples.length + taps - 1);
+        padded.set(samples, taps - 1);
+
+        // Start from the sample peak; no interpolated value can exceed the largest input
+        // sample under the filter times the largest tap sum, so quiet blocks are skipped
+        let peak = 0;
+        for (let n = 0; n < samples.length; n++) {
+            const sample = samples[n] < 0 ? -samples[n] : samples[n];
+            if (sample > peak) peak = sample;
+        }
+        const gain = Math.max(...TRUE_PEAK_PHASES.map(phase => phase.reduce((sum, tap) => sum + Math.abs(tap), 0)));
+
+        for (let start = taps - 1; start < padded.length; start += TRUE_PEAK_BLOCK_SIZE) {
+            const end = Math.min(padded.length, start + TRUE_PEAK_BLOCK_SIZE);
+            let blockMax = 0;
+            for (let i = start - taps + 1; i < end; i++) {
+                const sample = padded[i] < 0 ? -padded[i] : padded[i];
+                if (sample > blockMax) blockMax = sample;
+            }
+            if (blockMax * gain <= peak) continue;
+
+            for (let n = start; n < end; n++) {
+                let sum0 = 0, sum1 = 0, sum2 = 0, sum3 = 0;
+                for (let k = 0; k < taps; k++) {
+                    const sample = padded[n - k];
+                    sum0 += phase0[k] * sample;
+                    sum1 += phase1[k] * sample;
+                    sum2 += phase2[k] * sample;
+                    sum3 += phase3[k] * sample;
+                }
+                peak = Math.max(peak, Math.abs(sum0), Math.abs(sum1), Math.abs(sum2), Math.abs(sum3));
+            }
+        }
+
+        return peak;
+    }
+
+    // Mean square to LUFS (null for digital silence)
+    function toLUFS(meanSquare) {
+        return meanSquare > 0 ? -0.691 + 10 * Math.log10(meanSquare) : null;
+    }
+
+    function round(value) {
+        return value === null ? null : Math.round(value * 10) / 10;
+    }
+
+    // Mean square of every window of `steps` consecutive steps, one per step
+    function windowPowers(stepPowers, steps, stepSize) {
+        const powers = [];
+        let sum = 0;
+        for (let i = 0; i < stepPowers.length; i++) {
+            sum += stepPowers[i];
+            if (i >= steps) sum -= stepPowers[i - steps];
+            if (i >= steps - 1) powers.push(Math.max(0, sum) / (steps * stepSize));
+        }
+        return powers;
+    }
+
+    // Blocks above the absolute gate, then above `relativeGate` below their average loudness
+    function gateBlocks(powers, relativeGate) {
+        const absoluteGated = powers.filter(power => toLUFS(power) > ABSOLUTE_GATE);
+        if (absoluteGated.length === 0) return [];
+
+        const average = absoluteGated.reduce((sum, power) => sum + power, 0) / absoluteGated.length;
+        const threshold = toLUFS(average) + relativeGate;
+        return absoluteGated.filter(power => toLUFS(power) > threshold);
+    }
+
+    function percentile(sortedValues, fraction) {
+        return sortedValues[Math.round((sortedValues.length - 1) * fraction)];
+    }
+
+    // Loudness of `channels` (one Float32Array per channel). `channelNames` picks the
+    // BS.1770 weight of every channel (left/right/center 1.0, surrounds 1.41, lfe 0).
+    function measureLoudness(channels, sampleRate, channelNames = []) {
+        const stepSize = Math.round(CURVE_INTERVAL * sampleRate);
+        const stepCount = Math.floor(channels[0].length / stepSize);
+
+        // Channel-weighted K-weighted power of every step, and the true peak of every channel
+        const stepPowers = new Float64Array(stepCount);
+        let truePeak = 0;
+        channels.forEach((channel, index) => {
+            const weight = CHANNEL_WEIGHTS[channelNames[index]] !== undefined ? CHANNEL_WEIGHTS[channelNames[index]] : 1;
+            if (weight > 0) {
+                const powers = kWeightedPowers(channel, sampleRate, stepSize, stepCount);
+                for (let i = 0; i < stepCount; i++) {
+                    stepPowers[i] += weight * powers[i];
+                }
+            }
+            truePeak = Math.max(truePeak, measureTruePeak(channel));
+        });
+
+        const momentaryPowers = windowPowers(stepPowers, MOMENTARY_STEPS, stepSize);
+        const shortTermPowers = windowPowers(stepPowers, SHORT_TERM_STEPS, stepSize);
+
+        // Integrated loudness over the gated 400 ms blocks (75% overlap)
+        const integratedBlocks = gateBlocks(momentaryPowers, RELATIVE_GATE);
+        const integrated = integratedBlocks.length > 0
+            ? toLUFS(integratedBlocks.reduce((sum, power) => sum + power, 0) / integratedBlocks.length)
+            : null;
+
+        // Loudness range from the spread of the gated short-term loudness
+        const rangeValues = gateBlocks(shortTermPowers, RANGE_RELATIVE_GATE).map(toLUFS).sort((a, b) => a - b);
+        const loudnessRange = rangeValues.length > 0
+            ? percentile(rangeValues, RANGE_HIGH_PERCENTILE) - percentile(rangeValues, RANGE_LOW_PERCENTILE)
+            : 0;
+
+        const momentary = momentaryPowers.map(power => round(toLUFS(power)));
+        const shortTerm = shortTermPowers.map(power => round(toLUFS(power)));
+        const maxOf = values => values.reduce((max, value) => value !== null && (max === null || value > max) ? value : max, null);
+
+        return {
+            integrated: round(integrated),
+            loudnessRange: round(loudnessRange),
+            truePeak: truePeak > 0 ? round(20 * Math.log10(truePeak)) : null,
+            maxMomentary: maxOf(momentary),
+            maxShortTerm: maxOf(shortTerm),
+            interval: CURVE_INTERVAL,
+            momentary: momentary,
+            shortTerm: shortTerm
+        };
+    }
+
+    return {
+        CURVE_INTERVAL,
+        getKWeightingFilters,
+        measureTruePeak,
+        measureLoudness
+    };
+});
@@ -0,0 +1,127 @@
+// Shared overview module
+// What the results view draws of a file: a waveform overview (the lowest and highest
+// sample of every 1/WAVEFORM_RESOLUTION of a second) and a log-frequency spectrogram
+// (SPECTROGRAM_BANDS bands from MIN_FREQUENCY up, in dB scaled to 0-255), both small
+// enough to travel with the analysis result. Loaded with require() on the server, as a
+// plain <script> in the page and with importScripts() in the analysis worker
+// (global: AudioOverview).
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./fft'));
+    } else {
+        root.AudioOverview = factory(root.AudioFFT);
+    }
+})(typeof self !== 'undefined' ? self : this, function (AudioFFT) {
+    'use strict';
+
+    // Waveform points per second (each point is a min/max pair)
+    const WAVEFORM_RESOLUTION = 200;
+
+    // Spectrogram frames: at least 150 ms long (enough bins for the bass bands; 2048
+    // samples at the analysis rate), 4x overlap
+    const SPECTROGRAM_FRAME_SECONDS = 0.15;
+
+    // Log-spaced bands between MIN_FREQUENCY and the Nyquist frequency
+    const SPECTROGRAM_BANDS = 96;
+    const MIN_FREQUENCY = 40;
+
+    // dB below the loudest band value that still get a colour; quieter is 0
+    const DYNAMIC_RANGE = 80;
+
+    // Lowest and highest sample of every 1/WAVEFORM_RESOLUTION s
+    function computeWaveform(audioData, sampleRate) {
+        const bucketSize = sampleRate / WAVEFORM_RESOLUTION;
+        const count = Math.ceil(audioData.length / bucketSize);
+        const min = new Float32Array(count);
+        const max = new Float32Array(count);
+
+        for (let point = 0; point < count; point++) {
+            const start = Math.floor(point * bucketSize);
+            const end = Math.min(audioData.length, Math.floor((point + 1) * bucketSize));
+            let low = 0;
+            let high = 0;
+            for (let i = start; i < end; i++) {
+                if (audioData[i] < low) low = audioData[i];
+                if (audioData[i] > high) high = audioData[i];
+            }
+            min[point] = low;
+            max[point] = high;
+        }
+
+        return { resolution: WAVEFORM_RESOLUTION, min: min, max: max };
+    }
+
+    // Spectrogram band edges as fractional FFT bins
+    function getBandEdges(frameSize, sampleRate) {
+        const nyquist = sampleRate / 2;
+        const edges = [];
+        for (let band = 0; band <= SPECTROGRAM_BANDS; band++) {
+            const frequency = MIN_FREQUENCY * Math.pow(nyquist / MIN_FREQUENCY, band / SPECTROGRAM_BANDS);
+            edges.push(frequency * frameSize / sampleRate);
+        }
+        return edges;
+    }
+
+    // Power of a band: the mean of the bins inside it, or the interpolated bin at its
+    // centre when it is narrower than a bin (the low bands)
+    function bandPower(power, from, to) {
+        const first = Math.ceil(from);
+        const last = Math.min(power.length - 1, Math.floor(to));
+        if (last >= first) {
+            let sum = 0;
+            for (let k = first; k <= last; k++) {
+                sum += power[k];
+            }
+            return sum / (last - first + 1);
+        }
+
+        const centre = Math.min(power.length - 1, (from + to) / 2);
+        const below = Math.floor(centre);
+        const above = Math.min(power.length - 1, below + 1);
+        return power[below] + (power[above] - power[below]) * (centre - below);
+    }
+
+    // Log-frequency spectrogram: `values` holds SPECTROGRAM_BANDS bytes per frame (lowest
+    // band first), 0 for DYNAMIC_RANGE dB or more below the loudest value and 255 for it
+    function computeSpectrogram(audioData, sampleRate) {
+        const frameSize = AudioFFT.nextPowerOfTwo(Math.round(SPECTROGRAM_FRAME_SECONDS * sampleRate));
+        const hopSize = frameSize / 4;
+        const edges = getBandEdges(frameSize, sampleRate);
+        const frameCount = audioData.length >= frameSize ? Math.floor((audioData.length - frameSize) / hopSize) + 1 : 0;
+
+        const decibels = new Float32Array(frameCount * SPECTROGRAM_BANDS);
+        let loudest = -Infinity;
+        for (let frame = 0; frame < frameCount; frame++) {
+            const start = frame * hopSize;
+            const power = AudioFFT.powerSpectrum(audioData.subarray(start, start + frameSize), { window: 'hann' });
+            for (let band = 0; band < SPECTROGRAM_BANDS; band++) {
+                const value = 10 * Math.log10(bandPower(power, edges[band], edges[band + 1]) + 1e-12);
+                decibels[frame * SPECTROGRAM_BANDS + band] = value;
+                if (value > loudest) loudest = value;
+            }
+        }
+
+        const values = new Uint8Array(decibels.length);
+        for (let i = 0; i < decibels.length; i++) {
+            const level = (decibels[i] - loudest + DYNAMIC_RANGE) / DYNAMIC_RANGE;
+            values[i] = Math.round(255 * Math.max(0, Math.min(1, level)));
+        }
+
+        return {
+            frameRate: sampleRate / hopSize,
+            // Each frame describes the audio around its centre
+            timeOffset: frameSize / 2 / sampleRate,
+            bandCount: SPECTROGRAM_BANDS,
+            minFrequency: MIN_FREQUENCY,
+            maxFrequency: sampleRate / 2,
+            values: values
+        };
+    }
+
+    return {
+        WAVEFORM_RESOLUTION,
+        SPECTROGRAM_BANDS,
+        computeWaveform,
+        computeSpectrogram
+    };
+});
@@ -0,0 +1,263 @@
+// Shared resampler module
+// Band-limited (Kaiser-windowed sinc) sample rate conversion for arbitrary, fractional
+// ratios. Loaded with require() on the server, as a plain <script> in the page and
+// with importScripts() in the analysis worker (global: AudioResampler).
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.AudioResampler = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    // Filter design per quality level: zero crossings on each side of the sinc, the
+    // passband edge as a fraction of the output Nyquist frequency and the Kaiser beta
+    const QUALITY_LEVELS = {
+        low: { zeroCrossings: 8, rolloff: 0.85, beta: 5 },
+        medium: { zeroCrossings: 16, rolloff: 0.9, beta: 7 },
+        high: { zeroCrossings: 32, rolloff: 0.95, beta: 9 }
+    };
+
+    const DEFAULT_QUALITY = 'medium';
+
+    // Filter table resolution (entries per zero crossing)
+    const TABLE_RESOLUTION = 512;
+
+    // Largest number of distinct filter phases worth precomputing
+    const MAX_PHASES = 4096;
+
+    const filterCache = {};
+    const polyphaseCache = {};
+
+    // Zeroth-order modified Bessel function of the first kind (series expansion)
+    function besselI0(x) {
+        let sum = 1;
+        let term = 1;
+        const halfX = x / 2;
+        for (let k = 1; k < 50; k++) {
+            term *= (halfX / k) * (halfX / k);
+            sum += term;
+            if (term < sum * 1e-12) break;
+        }
+        return sum;
+    }
+
+    // One side of the Kaiser-windowed sinc, sampled TABLE_RESOLUTION times per zero crossing
+    function getFilterTable(quality) {
+        if (!filterCache[quality]) {
+            const { zeroCrossings, beta } = QUALITY_LEVELS[quality];
+            const length = zeroCrossings * TABLE_RESOLUTION + 1;
+            const table = new Float64Array(length + 1);
+            const norm = besselI0(beta);
+            for (let i = 0; i < length; i++) {
+                const x = i / TABLE_RESOLUTION;
+                const ratio = x / zeroCrossings;
+                const sinc = x === 0 ? 1 : Math.sin(Math.PI * x) / (Math.PI * x);
+                const window = besselI0(beta * Math.sqrt(Math.max(0, 1 - ratio * ratio))) / norm;
+                table[i] = sinc * window;
+            }
+            filterCache[quality] = table;
+        }
+        return filterCache[quality];
+    }
+
+    // Windowed-sinc weight of input sample `k` for an output centred at `center`
+    function tapWeight(k, center, cutoff, table) {
+        const position = Math.abs(k - center) * cutoff * TABLE_RESOLUTION;
+        const index = Math.floor(position);
+        if (index >= table.length - 1) return 0;
+        const fraction = position - index;
+        return table[index] + fraction * (table[index + 1] - table[index]);
+    }
+
+    // One output sample from input samples first..last (`input` starts at sample `base`)
+    function interpolate(input, center, first, last, cutoff, table, base = 0) {
+        let sum = 0;
+        let weightSum = 0;
+        for (let k = first; k <= last; k++) {
+            const weight = tapWeight(k, center, cutoff, table);
+            sum += input[k - base] * weight;
+            weightSum += weight;
+        }
+
+        // Normalising by the summed taps keeps unity DC gain, including at the edges
+        return weightSum !== 0 ? sum / weightSum : 0;
+    }
+
+    function greatestCommonDivisor(a, b) {
+        while (b) {
+            const t = b;
+            b = a % b;
+            a = t;
+        }
+        return a;
+    }
+
+    // For integer rates whose ratio reduces to at most MAX_PHASES output phases, the
+    // taps of every phase are computed once and reused, like a polyphase filter bank
+    function getPolyphaseFilters(fromRate, toRate, quality, cutoff, halfWidth) {
+        if (!Number.isInteger(fromRate) || !Number.isInteger(toRate)) return null;
+
+        const count = toRate / greatestCommonDivisor(fromRate, toRate);
+        if (count > MAX_PHASES) return null;
+
+        const key = `${fromRate}:${toRate}:${quality}`;
+        if (!polyphaseCache[key]) {
+            const table = getFilterTable(quality);
+            const step = fromRate / toRate;
+            const filters = [];
+            const offsets = [];
+            for (let phase = 0; phase < count; phase++) {
+                const center = phase * step;
+                const offset = Math.ceil(center - halfWidth - 1e-9);
+                const length = Math.floor(center + halfWidth) - offset + 1;
+                const taps = new Float64Array(length);
+                let weightSum = 0;
+                for (let k = 0; k < length; k++) {
+                    taps[k] = tapWeight(offset + k, center, cutoff, table);
+                    weightSum += taps[k];
+                }
+                for (let k = 0; k < length; k++) {
+                    taps[k] /= weightSum;
+                }
+                filters.push(taps);
+                offsets.push(offset);
+            }
+            // Every `count` outputs the filters repeat, `advance` input samples further on
+            const advance = fromRate / greatestCommonDivisor(fromRate, toRate);
+            polyphaseCache[key] = { count, advance, filters, offsets };
+        }
+        return polyphaseCache[key];
+    }
+
+    // Filter design for one conversion (throws for bad rates or an unknown quality)
+    function getConverter(fromRate, toRate, options) {
+        const quality = options.quality || DEFAULT_QUALITY;
+        if (!QUALITY_LEVELS[quality]) {
+            throw new Error(`Unknown resampling quality "${quality}" (expected one of: ${Object.keys(QUALITY_LEVELS).join(', ')})`);
+        }
+        if (!(fromRate > 0) || !(toRate > 0)) {
+            throw new Error(`Sample rates must be positive, got ${fromRate} -> ${toRate}`);
+        }
+
+        const { zeroCrossings, rolloff } = QUALITY_LEVELS[quality];
+
+        // Cutoff relative to the input rate, and the filter's half-width in input samples
+        const cutoff = Math.min(1, toRate / fromRate) * rolloff;
+        const halfWidth = zeroCrossings / cutoff;
+
+        return {
+            table: getFilterTable(quality),
+            cutoff: cutoff,
+            halfWidth: halfWidth,
+            step: fromRate / toRate,
+            phases: getPolyphaseFilters(fromRate, toRate, quality, cutoff, halfWidth)
+        };
+    }
+
+    // Output samples from..to - 1 into `output` (indexed from `from`). `input` holds the
+    // input from sample `base` on; `inputLength` is the length of the whole input, or of
+    // the part received so far when none of these outputs reach past it.
+    function renderRange(converter, input, base, inputLength, from, to, output) {
+        const { table, cutoff, halfWidth, step, phases } = converter;
+
+        for (let n = from; n < to; n++) {
+            if (phases) {
+                // Rational ratio: precomputed, normalised taps wherever they fit inside the input
+                const phase = n % phases.count;
+                const taps = phases.filters[phase];
+                const offset = phases.offsets[phase] + Math.floor(n / phases.count) * phases.advance;
+                if (offset >= 0 && offset + taps.length <= inputLength) {
+                    let sum = 0;
+                    for (let k = 0, i = offset - base; k < taps.length; k++, i++) {
+                        sum += input[i] * taps[k];
+                    }
+                    output[n - from] = sum;
+                    continue;
+                }
+            }
+
+            const center = n * step;
+            const first = Math.max(0, Math.ceil(center - halfWidth));
+            const last = Math.min(inputLength - 1, Math.floor(center + halfWidth));
+            output[n - from] = interpolate(input, center, first, last, cutoff, table, base);
+        }
+    }
+
+    // Resample `input` from `fromRate` to `toRate`. When downsampling, the signal is
+    // low-passed below the new Nyquist frequency first, so no energy aliases back
+    // into the band the spectral descriptors measure. Always returns a new Float32Array.
+    function resample(input, fromRate, toRate, options = {}) {
+        const converter = getConverter(fromRate, toRate, options);
+
+        if (fromRate === toRate) {
+            return Float32Array.from(input);
+        }
+
+        const outputLength = Math.floor(input.length * toRate / fromRate);
+        const output = new Float32Array(outputLength);
+        renderRange(converter, input, 0, input.length, 0, outputLength, output);
+
+        return output;
+    }
+
+    // resample() for input that arrives in chunks (decoded uploads, live audio): push()
+    // takes the next chunk and returns the output samples it completes, flush() returns
+    // the rest once the input has ended. Only the filter's reach of input is kept, and
+    // the concatenated output is sample for sample what resample() gives for the whole input.
+    function createStreamResampler(fromRate, toRate, options = {}) {
+        const converter = getConverter(fromRate, toRate, options);
+        if (fromRate === toRate) {
+            return {
+                push: chunk => Float32Array.from(chunk),
+                flush: () => new Float32Array(0)
+            };
+        }
+
+        const { halfWidth, step } = converter;
+        let pending = new Float32Array(0);
+        let base = 0;
+        let received = 0;
+        let next = 0;
+
+        // Outputs up to (not including) `to`, then drop the input no later output needs
+        const render = (to, inputLength) => {
+            const output = new Float32Array(Math.max(0, to - next));
+            renderRange(converter, pending, base, inputLength, next, next + output.length, output);
+            next += output.length;
+
+            const firstNeeded = Math.max(0, Math.ceil(next * step - halfWidth) - 1);
+            if (firstNeeded > base) {
+                pending = pending.slice(Math.min(pending.length, firstNeeded - base));
+                base = Math.min(firstNeeded, received);
+            }
+            return output;
+        };
+
+        return {
+            push(chunk) {
+                const joined = new Float32Array(pending.length + chunk.length);
+                joined.set(pending);
+                joined.set(chunk, pending.length);
+                pending = joined;
+                received += chunk.length;
+
+                // Every output whose filter ends inside the input received so far
+                let to = next;
+                while (Math.floor(to * step + halfWidth) < received) to++;
+                return render(to, received);
+            },
+            flush() {
+                return render(Math.floor(received * toRate / fromRate), received);
+            }
+        };
+    }
+
+    return {
+        QUALITY_LEVELS,
+        DEFAULT_QUALITY,
+        resample,
+        createStreamResampler
+    };
+});
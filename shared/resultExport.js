@@ -0,0 +1,286 @@
+// Shared result export module
+// Analysis results as files to keep or share: a flat CSV with one row per file, the full
+// JSON and a self-contained HTML report that prints well (or saves as PDF from the print
+// dialog). Every format takes the entries of an /api/analyze-multiple response
+// ({ fileName, fileSize, audio, analysis }, or { fileName, error } for a failed file).
+// Loaded with require() on the server and as a plain <script> in the page
+// (global: AudioResultExport).
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.AudioResultExport = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const EXPORT_FORMATS = ['json', 'csv', 'html'];
+
+    // File extension and MIME type of every format
+    const FORMAT_TYPES = {
+        json: { extension: 'json', mimeType: 'application/json' },
+        csv: { extension: 'csv', mimeType: 'text/csv' },
+        html: { extension: 'html', mimeType: 'text/html' }
+    };
+
+    function round(value, digits) {
+        return Math.round(value * Math.pow(10, digits)) / Math.pow(10, digits);
+    }
+
+    // 0-1 score as a percentage with one decimal
+    function percent(value) {
+        return typeof value === 'number' ? round(value * 100, 1) : null;
+    }
+
+    // Mood labels carry their emoji in front ("😢 Sad"); the CSV gets the words only
+    function stripEmoji(text) {
+        return typeof text === 'string' ? text.replace(/^[^\p{L}\p{N}]+/u, '') : text;
+    }
+
+    // CSV columns: the header and the value of an entry (null for an empty cell)
+    const CSV_COLUMNS = [
+        ['File', entry => entry.fileName],
+        ['File Size (bytes)', entry => entry.fileSize],
+        ['Duration (s)', entry => entry.audio && round(entry.audio.duration, 2)],
+        ['Sample Rate (Hz)', entry => entry.audio && entry.audio.sampleRate],
+        ['Engine', (entry, analysis) => analysis.engine],
+        ['Channel Strategy', (entry, analysis) => analysis.channelStrategy],
+        ['BPM', (entry, analysis) => analysis.bpm && analysis.bpm.bpm],
+        ['BPM Confidence (%)', (entry, analysis) => analysis.bpm && percent(analysis.bpm.confidence)],
+        ['Tempo Category', (entry, analysis) => analysis.bpm && analysis.bpm.tempoCategory],
+        ['Corrected BPM', (entry, analysis) => analysis.correctedBeats && analysis.correctedBeats.bpm],
+        ['Beats', (entry, analysis) => analysis.beats && analysis.beats.count],
+        ['Danceability (%)', (entry, analysis) => analysis.danceability && round(analysis.danceability.score, 1)],
+        ['Danceability Category', (entry, analysis) => analysis.danceability && analysis.danceability.category],
+        ['Rhythm Strength (%)', (entry, analysis) => analysis.danceability && percent(analysis.danceability.rhythmStrength)],
+        ['Beat Consistency (%)', (entry, analysis) => analysis.danceability && percent(analysis.danceability.beatConsistency)],
+        ['Energy Distribution (%)', (entry, analysis) => analysis.danceability && percent(analysis.danceability.energyDistribution)],
+        ['Tempo Stability (%)', (entry, analysis) => analysis.danceability && percent(analysis.danceability.tempoStability)],
+        ['Syncopation (%)', (entry, analysis) => analysis.danceability && percent(analysis.danceability.syncopation)],
+        ['Groove Factor (%)', (entry, analysis) => analysis.danceability && percent(analysis.danceability.grooveFactor)],
+        ['Primary Mood', (entry, analysis) => analysis.mood && stripEmoji(analysis.mood.primaryMood)],
+        ['Secondary Mood', (entry, analysis) => analysis.mood && stripEmoji(analysis.mood.secondaryMood)],
+        ['Song Type', (entry, analysis) => analysis.mood && analysis.mood.songType],
+        ['Key', (entry, analysis) => analysis.key && `${analysis.key.tonic} ${analysis.key.scale}`],
+        ['Camelot', (entry, analysis) => analysis.key && analysis.key.camelot],
+        ['Open Key', (entry, analysis) => analysis.key && analysis.key.openKey],
+        ['Key Confidence (%)', (entry, analysis) => analysis.key && percent(analysis.key.confidence)],
+        ['Integrated Loudness (LUFS)', (entry, analysis) => analysis.loudness && analysis.loudness.integrated],
+        ['Loudness Range (LU)', (entry, analysis) => analysis.loudness && analysis.loudness.loudnessRange],
+        ['True Peak (dBTP)', (entry, analysis) => analysis.loudness && analysis.loudness.truePeak],
+        ['Error', entry => entry.error]
+    ];
+
+    // One CSV field: quoted when it holds a separator, quote or line break, and with a
+    // leading quote mark when a spreadsheet would take it for a formula
+    function csvField(value) {
+        if (value === null || value === undefined) return '';
+        let text = String(value);
+        if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    // Header row plus one row per file, CRLF line ends (RFC 4180)
+    function formatCSV(entries) {
+        const rows = [CSV_COLUMNS.map(([header]) => header)];
+        entries.forEach(entry => {
+            const analysis = entry.analysis || {};
+            rows.push(CSV_COLUMNS.map(([, value]) => value(entry, analysis)));
+        });
+        return rows.map(row => row.map(csvField).join(',')).join('\r\n') + '\r\n';
+    }
+
+    // The /api/analyze-multiple response, pretty-printed
+    function formatJSON(entries) {
+        return JSON.stringify({ success: true, totalFiles: entries.length, results: entries }, null, 2);
+    }
+
+    function escapeHTML(value) {
+        return String(value).replace(/[&<>"']/g, char => ({
+            '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+        })[char]);
+    }
+
+    // m:ss of a time in seconds
+    function formatTime(seconds) {
+        const minutes = Math.floor(seconds / 60);
+        const rest = Math.round(seconds - minutes * 60);
+        return `${minutes}:${rest < 10 ? '0' : ''}${rest}`;
+    }
+
+    function formatNumber(value, unit) {
+        return value === null || value === undefined ? '—' : `${value}${unit ? ` ${unit}` : ''}`;
+    }
+
+    // Label/value rows of a report table
+    function tableHTML(rows) {
+        return `<table>${rows.map(([label, value]) => `<tr><th>${escapeHTML(label)}</th><td>${escapeHTML(value)}</td></tr>`).join('')}</table>`;
+    }
+
+    function fileReportHTML(entry) {
+        const name = escapeHTML(entry.fileName);
+        if (entry.error) {
+            return `<section class="file"><h2>❌ ${name}</h2><p class="error">${escapeHTML(entry.error)}</p></section>`;
+        }
+
+        const analysis = entry.analysis;
+        const { bpm, beats, danceability, mood, key, loudness } = analysis;
+        const audio = entry.audio || {};
+        const details = [
+            audio.duration !== undefined ? formatTime(audio.duration) : null,
+            audio.sampleRate ? `${audio.sampleRate} Hz` : null,
+            audio.channels ? `${audio.channels} channel(s)` : null,
+            analysis.engine === 'essentia' ? 'Essentia.js engine' : 'Built-in engine',
+            analysis.channelStrategy ? `${analysis.channelStrategy} channels` : null
+        ].filter(Boolean).join(' • ');
+
+        const tempoRows = [
+            ['BPM', `${bpm.bpm} (${percent(bpm.confidence)}% confidence)`],
+            ['Tempo category', bpm.tempoCategory]
+        ];
+        if (analysis.correctedBeats) tempoRows.push(['Corrected BPM', analysis.correctedBeats.bpm]);
+        if (beats && beats.count > 0) {
+            tempoRows.push(['Beats', `${beats.count}, first downbeat at ${beats.downbeats[0].toFixed(2)}s`]);
+        }
+        if (bpm.tempoMap && bpm.tempoMap.length > 1) {
+            tempoRows.push(['Tempo sections', bpm.tempoMap.map(section => `${formatTime(section.start)} ${section.bpm}`).join(' → ')]);
+        }
+
+        const structureHTML = analysis.structure && analysis.structure.length > 0 ? `
+            <h3>🧩 Structure</h3>
+            ${tableHTML(analysis.structure.map(section => [`${formatTime(section.start)}–${formatTime(section.end)}`, `${section.label} (${section.group})`]))}
+        ` : '';
+
+        const perChannelHTML = analysis.perChannel ? `
+            <h3>🎧 Per channel</h3>
+            ${tableHTML(analysis.perChannel.map(channel => [channel.channel,
+                `${channel.bpm.bpm} BPM • ${round(channel.danceability.score, 1)}% danceable • ${channel.mood.primaryMood} • ${channel.key.tonic} ${channel.key.scale} (${channel.key.camelot})`]))}
+        ` : '';
+
+        return `
+            <section class="file">
+                <h2>🎵 ${name}</h2>
+                <p class="details">${escapeHTML(details)}</p>
+                <div class="columns">
+                    <div>
+                        <h3>🎶 Tempo</h3>
+                        ${tableHTML(tempoRows)}
+                        <h3>🎼 Key</h3>
+                        ${tableHTML([
+                            ['Key', `${key.tonic} ${key.scale} (${percent(key.confidence)}% confidence)`],
+                            ['Camelot / Open Key', `${key.camelot} / ${key.openKey}`]
+                        ])}
+                        <h3>📢 Loudness</h3>
+                        ${tableHTML([
+                            ['Integrated', formatNumber(loudness && loudness.integrated, 'LUFS')],
+                            ['Loudness range', formatNumber(loudness && loudness.loudnessRange, 'LU')],
+                            ['True peak', formatNumber(loudness && loudness.truePeak, 'dBTP')]
+                        ])}
+                    </div>
+                    <div>
+                        <h3>🕺 Danceability</h3>
+                        ${tableHTML([
+                            ['Score', `${round(danceability.score, 1)}% (${danceability.category})`],
+                            ['Rhythm strength', `${percent(danceability.rhythmStrength)}%`],
+                            ['Beat consistency', `${percent(danceability.beatConsistency)}%`],
+                            ['Energy distribution', `${percent(danceability.energyDistribution)}%`],
+                            ['Tempo stability', `${percent(danceability.tempoStability)}%`],
+                            ['Syncopation', `${percent(danceability.syncopation)}%`],
+                            ['Groove factor', `${percent(danceability.grooveFactor)}%`]
+                        ])}
+                        <h3>😊 Mood</h3>
+                        ${tableHTML([
+                            ['Mood', `${mood.primaryMood} • ${mood.secondaryMood}`],
+                            ['Song type', mood.songType]
+                        ].concat(mood.detailedAnalysis.map(item => [item.type, `${item.score}: ${item.description}`])))}
+                        <p class="note">${escapeHTML(mood.moodExplanation)}</p>
+                    </div>
+                </div>
+                ${structureHTML}
+                ${perChannelHTML}
+            </section>
+        `;
+    }
+
+    // Summary table of every file, then a section per file. options.title heads the report
+    // and options.generatedAt (a Date, default now) is printed under it.
+    function formatReport(entries, options = {}) {
+        const title = options.title || 'Audio Analysis Report';
+        const generatedAt = options.generatedAt || new Date();
+
+        const summaryRows = entries.map(entry => {
+            const analysis = entry.analysis;
+            const cells = analysis
+                ? [analysis.correctedBeats ? `${analysis.correctedBeats.bpm}*` : analysis.bpm.bpm,
+                    `${analysis.key.tonic} ${analysis.key.scale} (${analysis.key.camelot})`,
+                    `${round(analysis.danceability.score, 1)}%`,
+                    analysis.mood.primaryMood,
+                    formatNumber(analysis.loudness && analysis.loudness.integrated, 'LUFS')]
+                : ['—', '—', '—', '—', '—'];
+            return `<tr><td>${escapeHTML(entry.fileName)}</td>${cells.map(cell => `<td>${escapeHTML(cell)}</td>`).join('')}</tr>`;
+        }).join('');
+        const corrected = entries.some(entry => entry.analysis && entry.analysis.correctedBeats);
+
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>${escapeHTML(title)}</title>
+<style>
+    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; color: #333; max-width: 960px; margin: 0 auto; padding: 24px; }
+    h1 { color: #667eea; margin-bottom: 4px; }
+    h2 { color: #764ba2; border-bottom: 2px solid #667eea; padding-bottom: 4px; }
+    h3 { font-size: 1rem; margin: 16px 0 6px; }
+    table { border-collapse: collapse; width: 100%; font-size: 0.9rem; }
+    th, td { text-align: left; padding: 4px 8px; border-bottom: 1px solid #e4e7f5; vertical-align: top; }
+    th { color: #555; font-weight: 600; width: 40%; }
+    .summary th { width: auto; background: #f8f9ff; }
+    .generated, .details, .note { color: #777; font-size: 0.85rem; }
+    .columns { display: grid; grid-template-columns: 1fr 1fr; gap: 24px; }
+    .file { margin-top: 32px; }
+    .error { color: #ff4757; }
+    @media print {
+        body { padding: 0; }
+        .file { break-before: page; }
+        h2, h3, tr { break-inside: avoid; break-after: avoid; }
+    }
+</style>
+</head>
+<body>
+<h1>🎵 ${escapeHTML(title)}</h1>
+<p class="generated">${entries.length} file(s) • generated ${escapeHTML(generatedAt.toISOString().replace('T', ' ').slice(0, 16))} UTC</p>
+<table class="summary">
+<tr><th>File</th><th>BPM</th><th>Key</th><th>Danceability</th><th>Mood</th><th>Loudness</th></tr>
+${summaryRows}
+</table>
+${corrected ? '<p class="note">* BPM corrected by hand after the analysis</p>' : ''}
+${entries.map(fileReportHTML).join('')}
+</body>
+</html>
+`;
+    }
+
+    // `entries` in one of EXPORT_FORMATS
+    function formatResults(entries, format, options) {
+        switch (format) {
+            case 'json':
+                return formatJSON(entries);
+            case 'csv':
+                return formatCSV(entries);
+            case 'html':
+                return formatReport(entries, options);
+            default:
+                throw new Error(`Unknown export format "${format}" (expected one of: ${EXPORT_FORMATS.join(', ')})`);
+        }
+    }
+
+    return {
+        EXPORT_FORMATS,
+        FORMAT_TYPES,
+        formatCSV,
+        formatJSON,
+        formatReport,
+        formatResults
+    };
+});
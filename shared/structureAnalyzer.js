@@ -0,0 +1,360 @@
+// Shared structure analyzer module
+// Song structure (intro / verse / chorus / bridge / outro): a self-similarity matrix
+// of chroma, MFCC and energy frames, checkerboard-kernel novelty for the section
+// boundaries and clustering of repeated sections. Loaded with require() on the
+// server, as a plain <script> in the page and with importScripts() in the analysis
+// worker (global: AudioStructureAnalyzer).
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./fft'), require('./keyDetector'));
+    } else {
+        root.AudioStructureAnalyzer = factory(root.AudioFFT, root.AudioKeyDetector);
+    }
+})(typeof self !== 'undefined' ? self : this, function (AudioFFT, AudioKeyDetector) {
+    'use strict';
+
+    // Feature frames of ~370 ms without overlap at 11025 Hz
+    const FRAME_DURATION = 0.37;
+
+    // Mel filterbank and cepstrum size (coefficient 0 is left out, energy has its own feature)
+    const MEL_BANDS = 40;
+    const MFCC_COUNT = 12;
+
+    // Features are averaged over this many seconds before comparing frames
+    const SMOOTHING_SECONDS = 2;
+
+    // Half-width of the checkerboard kernel run along the matrix diagonal
+    const KERNEL_SECONDS = 6;
+
+    // Sections are at least this long
+    const MIN_SECTION_SECONDS = 6;
+
+    // Novelty peaks must rise this many standard deviations above the mean novelty and
+    // reach MIN_NOVELTY (novelty runs from 0 to 1; chord changes within a section stay below)
+    const NOVELTY_THRESHOLD = 0.3;
+    const MIN_NOVELTY = 0.2;
+
+    // Sections whose average features are at least this similar (cosine) repeat each other
+    const REPEAT_SIMILARITY = 0.9;
+
+    // Boundaries move to a downbeat this close, when downbeats are known
+    const SNAP_SECONDS = 1.5;
+
+    const melCache = {};
+
+    function hzToMel(frequency) {
+        return 2595 * Math.log10(1 + frequency / 700);
+    }
+
+    function melToHz(mel) {
+        return 700 * (Math.pow(10, mel / 2595) - 1);
+    }
+
+    // Triangular mel filters over the power spectrum bins, [{ first, weights }] per band
+    function getMelFilters(frameSize, sampleRate) {
+        const key = `${frameSize}:${sampleRate}`;
+        if (!melCache[key]) {
+            const binCount = frameSize / 2;
+            const maxMel = hzToMel(sampleRate / 2);
+            const edges = [];
+            for (let i = 0; i < MEL_BANDS + 2; i++) {
+                edges.push(melToHz(maxMel * i / (MEL_BANDS + 1)) * frameSize / sampleRate);
+            }
+
+            const filters = [];
+            for (let band = 0; band < MEL_BANDS; band++) {
+                const [low, centre, high] = [edges[band], edges[band + 1], edges[band + 2]];
+                const first = Math.max(0, Math.ceil(low));
+                const last = Math.min(binCount - 1, Math.floor(high));
+                const weights = [];
+                for (let k = first; k <= last; k++) {
+                    weights.push(k <= centre ? (k - low) / (centre - low) : (high - k) / (high - centre));
+                }
+                filters.push({ first, weights });
+            }
+            melCache[key] = filters;
+        }
+        return melCache[key];
+    }
+
+    // MFCCs 1..MFCC_COUNT of one power spectrum (DCT-II of the log mel energies)
+    function computeMFCC(power, frameSize, sampleRate) {
+        const logMel = getMelFilters(frameSize, sampleRate).map(({ first, weights }) => {
+            let energy = 0;
+            for (let i = 0; i < weights.length; i++) {
+                energy += weights[i] * power[first + i];
+            }
+            return Math.log(energy + 1e-10);
+        });
+
+        const mfcc = new Float64Array(MFCC_COUNT);
+        for (let c = 1; c <= MFCC_COUNT; c++) {
+            let sum = 0;
+            for (let band = 0; band < MEL_BANDS; band++) {
+                sum += logMel[band] * Math.cos(Math.PI * c * (band + 0.5) / MEL_BANDS);
+            }
+            mfcc[c - 1] = sum * Math.sqrt(2 / MEL_BANDS);
+        }
+        return mfcc;
+    }
+
+    // Chroma, MFCC and log energy of every frame
+    function extractFrameFeatures(audioData, sampleRate) {
+        const frameSize = AudioFFT.nextPowerOfTwo(Math.round(FRAME_DURATION * sampleRate));
+        const frames = [];
+
+        for (let start = 0; start + frameSize <= audioData.length; start += frameSize) {
+            const frame = audioData.subarray(start, start + frameSize);
+            const power = AudioFFT.powerSpectrum(frame, { window: 'blackman' });
+            const magnitude = power.map(Math.sqrt);
+
+            const chroma = AudioKeyDetector.frameChroma(magnitude, sampleRate, frameSize);
+            const chromaMax = Math.max(...chroma);
+
+            let energy = 0;
+            for (let i = 0; i < frame.length; i++) {
+                energy += frame[i] * frame[i];
+            }
+
+            frames.push({
+                chroma: Array.from(chroma, value => chromaMax > 0 ? value / chromaMax : 0),
+                mfcc: computeMFCC(power, frameSize, sampleRate),
+                energy: Math.log10(energy / frame.length + 1e-10)
+            });
+        }
+
+        return { frames, frameDuration: frameSize / sampleRate };
+    }
+
+    // One vector per frame: unit-length chroma, then the MFCCs and energy standardised over
+    // the track; each of the three groups carries a third of the vector's weight
+    function buildFeatureVectors(frames) {
+        const standardize = values => {
+            const mean = values.reduce((sum, val) => sum + val, 0) / values.length;
+            const std = Math.sqrt(values.reduce((sum, val) => sum + Math.pow(val - mean, 2), 0) / values.length);
+            return values.map(val => std > 0 ? (val - mean) / std : 0);
+        };
+
+        const mfccColumns = [];
+        for (let c = 0; c < MFCC_COUNT; c++) {
+            mfccColumns.push(standardize(frames.map(frame => frame.mfcc[c])));
+        }
+        const energy = standardize(frames.map(frame => frame.energy));
+
+        return frames.map((frame, i) => {
+            const chromaNorm = Math.sqrt(frame.chroma.reduce((sum, val) => sum + val * val, 0)) || 1;
+            const chroma = frame.chroma.map(val => val / chromaNorm);
+            const mfcc = mfccColumns.map(column => column[i] / Math.sqrt(MFCC_COUNT));
+            return [...chroma, ...mfcc, energy[i]];
+        });
+    }
+
+    // Moving average over `width` frames
+    function smoothVectors(vectors, width) {
+        const half = Math.floor(width / 2);
+        return vectors.map((vector, i) => {
+            const start = Math.max(0, i - half);
+            const end = Math.min(vectors.length, i + half + 1);
+            const mean = new Array(vector.length).fill(0);
+            for (let j = start; j < end; j++) {
+                for (let d = 0; d < vector.length; d++) {
+                    mean[d] += vectors[j][d] / (end - start);
+                }
+            }
+            return mean;
+        });
+    }
+
+    function cosineSimilarity(a, b) {
+        let dot = 0, normA = 0, normB = 0;
+        for (let d = 0; d < a.length; d++) {
+            dot += a[d] * b[d];
+            normA += a[d] * a[d];
+            normB += b[d] * b[d];
+        }
+        return normA > 0 && normB > 0 ? dot / Math.sqrt(normA * normB) : 0;
+    }
+
+    // Self-similarity matrix (cosine similarity of every pair of frames)
+    function computeSelfSimilarity(vectors) {
+        const count = vectors.length;
+        const matrix = [];
+        for (let i = 0; i < count; i++) {
+            matrix.push(new Float32Array(count));
+        }
+        for (let i = 0; i < count; i++) {
+            matrix[i][i] = 1;
+            for (let j = i + 1; j < count; j++) {
+                matrix[i][j] = matrix[j][i] = cosineSimilarity(vectors[i], vectors[j]);
+            }
+        }
+        return matrix;
+    }
+
+    // Foote novelty: a Gaussian-tapered checkerboard kernel slid along the diagonal scores
+    // how much the material before each frame differs from the material after it,
+    // normalised by the kernel weight (1 = unrelated material on either side)
+    function computeNovelty(matrix, halfWidth) {
+        const count = matrix.length;
+        const novelty = new Float64Array(count);
+        const sigma = halfWidth / 2;
+
+        for (let i = 0; i < count; i++) {
+            let sum = 0;
+            let weight = 0;
+            for (let u = -halfWidth; u < halfWidth; u++) {
+                for (let v = -halfWidth; v < halfWidth; v++) {
+                    const row = i + u;
+                    const column = i + v;
+                    if (row < 0 || column < 0 || row >= count || column >= count) continue;
+                    const sign = (u < 0) === (v < 0) ? 1 : -1;
+                    const taper = Math.exp(-((u + 0.5) * (u + 0.5) + (v + 0.5) * (v + 0.5)) / (2 * sigma * sigma));
+                    sum += sign * taper * matrix[row][column];
+                    weight += taper;
+                }
+            }
+            novelty[i] = weight > 0 ? Math.max(0, sum / weight) : 0;
+        }
+
+        return novelty;
+    }
+
+    // Boundary frames: novelty peaks above the threshold, strongest first, at least
+    // `minFrames` from each other and from the start and end of the track
+    function pickBoundaries(novelty, minFrames) {
+        const mean = novelty.reduce((sum, val) => sum + val, 0) / novelty.length;
+        const std = Math.sqrt(novelty.reduce((sum, val) => sum + Math.pow(val - mean, 2), 0) / novelty.length);
+        const threshold = Math.max(MIN_NOVELTY, mean + NOVELTY_THRESHOLD * std);
+
+        const candidates = [];
+        for (let i = 1; i < novelty.length - 1; i++) {
+            if (novelty[i] > threshold && novelty[i] >= novelty[i - 1] && novelty[i] > novelty[i + 1]) {
+                candidates.push(i);
+            }
+        }
+        candidates.sort((a, b) => novelty[b] - novelty[a]);
+
+        const boundaries = [];
+        for (const frame of candidates) {
+            const clear = frame >= minFrames && novelty.length - frame >= minFrames &&
+                boundaries.every(boundary => Math.abs(boundary - frame) >= minFrames);
+            if (clear) boundaries.push(frame);
+        }
+
+        return boundaries.sort((a, b) => a - b);
+    }
+
+    // Group letters (A, B, C, ...): every section joins the most similar earlier group it repeats
+    function groupSections(sections) {
+        const groups = [];
+        for (const section of sections) {
+            let best = null;
+            for (const group of groups) {
+                const similarity = cosineSimilarity(section.features, group.features);
+                if (similarity >= REPEAT_SIMILARITY && (!best || similarity > best.similarity)) {
+                    best = { group, similarity };
+                }
+            }
+            if (best) {
+                section.group = best.group.letter;
+                best.group.members.push(section);
+            } else {
+                const letter = groups.length < 26 ? String.fromCharCode(65 + groups.length) : `G${groups.length + 1}`;
+                groups.push({ letter, features: section.features, members: [section] });
+                section.group = letter;
+            }
+        }
+        return groups;
+    }
+
+    // Section names from the repetition pattern: the loudest repeated group is the chorus,
+    // the other repeated groups are verses, one-off sections are the intro (first), the
+    // outro (last) or a bridge (in between)
+    function labelSections(sections, groups) {
+        const last = sections.length - 1;
+        const isEdge = section => section.index === 0 || section.index === last;
+        const repeated = groups.filter(group => group.members.length > 1 && !group.members.every(isEdge));
+        const meanEnergy = group => group.members.reduce((sum, section) => sum + section.energy, 0) / group.members.length;
+
+        let chorus = null;
+        for (const group of repeated) {
+            if (!chorus || meanEnergy(group) > meanEnergy(chorus)) chorus = group;
+        }
+
+        // Without repetition the loudest middle section stands in for the chorus
+        if (!chorus && sections.length > 1) {
+            const middle = sections.length > 2 ? sections.slice(1, -1) : sections;
+            const loudest = middle.reduce((best, section) => section.energy > best.energy ? section : best, middle[0]);
+            chorus = groups.find(group => group.letter === loudest.group);
+        }
+
+        for (const section of sections) {
+            const group = groups.find(candidate => candidate.letter === section.group);
+            if (group === chorus) {
+                section.label = 'chorus';
+            } else if (repeated.includes(group)) {
+                section.label = 'verse';
+            } else if (section.index === 0 && sections.length > 1) {
+                section.label = 'intro';
+            } else if (section.index === last && sections.length > 1) {
+                section.label = 'outro';
+            } else {
+                section.label = sections.length > 2 && repeated.length > 0 ? 'bridge' : 'verse';
+            }
+        }
+    }
+
+    function round(value, decimals) {
+        const factor = Math.pow(10, decimals);
+        return Math.round(value * factor) / factor;
+    }
+
+    // Labelled sections of mono audio: [{ start, end, label, group }]. Sections with the
+    // same group letter repeat each other. options.downbeats (seconds) snaps the boundaries
+    // to the nearest downbeat.
+    function analyzeStructure(audioData, sampleRate, options = {}) {
+        const duration = audioData.length / sampleRate;
+        const { frames, frameDuration } = extractFrameFeatures(audioData, sampleRate);
+        if (frames.length === 0) {
+            return duration > 0 ? [{ start: 0, end: round(duration, 2), label: 'verse', group: 'A' }] : [];
+        }
+
+        const vectors = smoothVectors(buildFeatureVectors(frames), Math.max(1, Math.round(SMOOTHING_SECONDS / frameDuration)));
+        const matrix = computeSelfSimilarity(vectors);
+        const novelty = computeNovelty(matrix, Math.max(2, Math.round(KERNEL_SECONDS / frameDuration)));
+        const boundaryFrames = pickBoundaries(novelty, Math.max(1, Math.round(MIN_SECTION_SECONDS / frameDuration)));
+
+        // Boundary times, on the nearest downbeat when there is one close by
+        const downbeats = options.downbeats || [];
+        const boundaries = boundaryFrames.map(frame => {
+            const time = frame * frameDuration;
+            const nearest = downbeats.reduce((best, beat) => Math.abs(beat - time) < Math.abs(best - time) ? beat : best, Infinity);
+            return Math.abs(nearest - time) <= SNAP_SECONDS ? nearest : time;
+        });
+
+        const edges = [0, ...boundaries, duration];
+        const sections = [];
+        for (let s = 0; s < edges.length - 1; s++) {
+            const first = Math.min(frames.length - 1, Math.round(edges[s] / frameDuration));
+            const last = Math.max(first + 1, Math.min(frames.length, Math.round(edges[s + 1] / frameDuration)));
+            const sectionVectors = vectors.slice(first, last);
+            const features = sectionVectors[0].map((_, d) => sectionVectors.reduce((sum, vector) => sum + vector[d], 0) / sectionVectors.length);
+            const energy = frames.slice(first, last).reduce((sum, frame) => sum + frame.energy, 0) / (last - first);
+            sections.push({ index: s, start: edges[s], end: edges[s + 1], features, energy });
+        }
+
+        const groups = groupSections(sections);
+        labelSections(sections, groups);
+
+        return sections.map(section => ({
+            start: round(section.start, 2),
+            end: round(section.end, 2),
+            label: section.label,
+            group: section.group
+        }));
+    }
+
+    return {
+        analyzeStructure
+    };
+});
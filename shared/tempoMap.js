@@ -0,0 +1,201 @@
+// Shared tempo map module
+// Tempo over time: the beat tracker's onset envelope is split into sliding windows,
+// each window gets its own tempo estimate and a penalised optimal segmentation finds
+// the points where the tempo changes. Loaded with require() on the server, as a
+// plain <script> in the page and with importScripts() in the analysis worker
+// (global: AudioTempoMap).
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./fft'), require('./beatTracker'));
+    } else {
+        root.AudioTempoMap = factory(root.AudioFFT, root.AudioBeatTracker);
+    }
+})(typeof self !== 'undefined' ? self : this, function (AudioFFT, AudioBeatTracker) {
+    'use strict';
+
+    // Analysis windows: 8 s long, one every 2 s
+    const WINDOW_SECONDS = 8;
+    const HOP_SECONDS = 2;
+
+    // A tempo section spans at least this many windows (~6 s of new material)
+    const MIN_SEGMENT_WINDOWS = 3;
+
+    // Cost of one more section, in squared percent of tempo: a change of about 4%
+    // has to hold for several windows before it becomes a section of its own
+    const CHANGE_PENALTY = 40;
+
+    // A window's tempo is moved an octave when that lands within this ratio of the
+    // reference tempo (a clear octave error rather than a real tempo change) and the
+    // envelope's periodicity at that octave is at least OCTAVE_FOLD_STRENGTH as strong
+    const OCTAVE_TOLERANCE = 1.2;
+    const OCTAVE_FOLD_STRENGTH = 0.5;
+
+    // The period is refined on the autocorrelation peak this many beats out
+    const REFINE_BEATS = 4;
+
+    const MIN_BPM = 60;
+    const MAX_BPM = 200;
+
+    // Tempo and periodicity strength (normalised autocorrelation, 0-1) of a stretch of
+    // envelope, folded to the octave of `referenceBpm` when it is an octave off
+    function estimateTempo(envelope, frameRate, referenceBpm) {
+        const period = AudioBeatTracker.estimateBeatPeriod(envelope, frameRate);
+        if (!(period > 0)) return null;
+
+        const autocorr = AudioFFT.autocorrelation(envelope);
+        const strengthAt = lag => {
+            const index = Math.round(lag);
+            return index > 0 && index < autocorr.length ? Math.max(0, autocorr[index] / autocorr[0]) : 0;
+        };
+
+        let bpm = 60 * frameRate / refinePeriod(autocorr, period);
+        let strength = strengthAt(period);
+        if (referenceBpm > 0) {
+            for (const factor of [2, 0.5]) {
+                const candidate = bpm * factor;
+                const nearReference = Math.abs(Math.log(candidate / referenceBpm)) < Math.log(OCTAVE_TOLERANCE);
+                const candidateStrength = strengthAt(period / factor);
+                if (candidate >= MIN_BPM && candidate <= MAX_BPM && nearReference && candidateStrength >= strength * OCTAVE_FOLD_STRENGTH) {
+                    bpm = candidate;
+                    strength = candidateStrength;
+                }
+            }
+        }
+
+        return { bpm, strength };
+    }
+
+    // The autocorrelation peak REFINE_BEATS periods out, parabolically interpolated and
+    // divided back, locates the period to a fraction of a frame (if the envelope is long enough)
+    function refinePeriod(autocorr, period) {
+        const target = Math.round(period * REFINE_BEATS);
+        if (target + 2 >= autocorr.length) return period;
+
+        let peak = target;
+        for (let lag = target - 2; lag <= target + 2; lag++) {
+            if (autocorr[lag] > autocorr[peak]) peak = lag;
+        }
+        const left = autocorr[peak - 1];
+        const centre = autocorr[peak];
+        const right = autocorr[peak + 1];
+        const curvature = left - 2 * centre + right;
+        const shift = curvature < 0 ? 0.5 * (left - right) / curvature : 0;
+
+        return (peak + Math.max(-0.5, Math.min(0.5, shift))) / REFINE_BEATS;
+    }
+
+    // Optimal split of `values` (weighted) into sections of at least MIN_SEGMENT_WINDOWS,
+    // minimising the weighted squared deviation from each section's mean plus
+    // CHANGE_PENALTY per section. Returns the first index of every section.
+    function findChangePoints(values, weights) {
+        const count = values.length;
+        const sumW = new Float64Array(count + 1);
+        const sumWX = new Float64Array(count + 1);
+        const sumWXX = new Float64Array(count + 1);
+        for (let i = 0; i < count; i++) {
+            sumW[i + 1] = sumW[i] + weights[i];
+            sumWX[i + 1] = sumWX[i] + weights[i] * values[i];
+            sumWXX[i + 1] = sumWXX[i] + weights[i] * values[i] * values[i];
+        }
+        const segmentCost = (start, end) => {
+            const w = sumW[end] - sumW[start];
+            if (w <= 0) return 0;
+            const wx = sumWX[end] - sumWX[start];
+            return (sumWXX[end] - sumWXX[start]) - wx * wx / w;
+        };
+
+        // best[end]: cheapest segmentation of values[0..end); from[end]: start of its last section
+        const best = new Float64Array(count + 1).fill(Infinity);
+        const from = new Int32Array(count + 1);
+        best[0] = 0;
+        for (let end = 1; end <= count; end++) {
+            for (let start = 0; start < end; start++) {
+                const tooShort = end - start < MIN_SEGMENT_WINDOWS && !(start === 0 && end === count);
+                if (tooShort || best[start] === Infinity) continue;
+                const cost = best[start] + segmentCost(start, end) + CHANGE_PENALTY;
+                if (cost < best[end]) {
+                    best[end] = cost;
+                    from[end] = start;
+                }
+            }
+        }
+
+        const starts = [];
+        for (let end = count; end > 0; end = from[end]) {
+            starts.unshift(from[end]);
+        }
+        return starts;
+    }
+
+    function round(value, decimals) {
+        const factor = Math.pow(10, decimals);
+        return Math.round(value * factor) / factor;
+    }
+
+    // Tempo sections of mono audio: [{ start, end, bpm, confidence }] covering the whole
+    // signal. options.referenceBpm (e.g. the global BPM estimate) decides the tempo octave.
+    function estimateTempoMap(audioData, sampleRate, options = {}) {
+        const onsets = AudioBeatTracker.computeOnsetEnvelope(audioData, sampleRate);
+        return estimateTempoMapFromOnsets(onsets, audioData.length / sampleRate, options);
+    }
+
+    // Tempo sections from the beat tracker's onset envelope of `duration` seconds of audio
+    function estimateTempoMapFromOnsets(onsets, duration, options = {}) {
+        const { envelope, frameRate } = onsets;
+
+        const windowFrames = Math.round(WINDOW_SECONDS * frameRate);
+        const hopFrames = Math.round(HOP_SECONDS * frameRate);
+        const windowCount = envelope.length > windowFrames ? Math.floor((envelope.length - windowFrames) / hopFrames) + 1 : 1;
+
+        const windows = [];
+        for (let w = 0; w < windowCount; w++) {
+            const start = w * hopFrames;
+            const tempo = estimateTempo(envelope.subarray(start, start + windowFrames), frameRate, options.referenceBpm);
+            if (tempo) {
+                const centre = (start + Math.min(windowFrames, envelope.length - start) / 2) / frameRate;
+                windows.push({ start, centre, bpm: tempo.bpm, strength: tempo.strength });
+            }
+        }
+
+        if (windows.length === 0) {
+            return [];
+        }
+
+        // Segment log-tempo in percent, so a change counts the same at every tempo;
+        // weakly periodic windows (breaks, ambient passages) count less
+        const values = windows.map(window => 100 * Math.log(window.bpm));
+        const weights = windows.map(window => Math.max(0.05, window.strength));
+        const starts = findChangePoints(values, weights);
+
+        return starts.map((first, s) => {
+            const last = s + 1 < starts.length ? starts[s + 1] - 1 : windows.length - 1;
+            const section = windows.slice(first, last + 1);
+            const sectionWeights = weights.slice(first, last + 1);
+            const totalWeight = sectionWeights.reduce((sum, weight) => sum + weight, 0);
+            const windowBpm = Math.exp(section.reduce((sum, window, i) => sum + sectionWeights[i] * Math.log(window.bpm), 0) / totalWeight);
+
+            // The whole section's envelope pins the tempo down more precisely than its windows
+            const envelopeEnd = Math.min(envelope.length, section[section.length - 1].start + windowFrames);
+            const sectionTempo = estimateTempo(envelope.subarray(section[0].start, envelopeEnd), frameRate, windowBpm);
+            const bpm = sectionTempo && Math.abs(Math.log(sectionTempo.bpm / windowBpm)) < Math.log(OCTAVE_TOLERANCE)
+                ? sectionTempo.bpm
+                : windowBpm;
+
+            // Sections meet halfway between the centres of their neighbouring windows
+            const start = s === 0 ? 0 : (windows[first - 1].centre + windows[first].centre) / 2;
+            const end = s + 1 < starts.length ? (windows[last].centre + windows[last + 1].centre) / 2 : duration;
+
+            return {
+                start: round(start, 2),
+                end: round(end, 2),
+                bpm: round(bpm, 1),
+                confidence: round(section.reduce((sum, window) => sum + window.strength, 0) / section.length, 3)
+            };
+        });
+    }
+
+    return {
+        estimateTempoMap,
+        estimateTempoMapFromOnsets
+    };
+});
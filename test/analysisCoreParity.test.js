@@ -0,0 +1,126 @@
+// Parity test of the shared analysis core
+// shared/analysisCore.js is loaded the three ways it is used: require() on the server, as
+// plain <script>s in the page (globals on window) and with importScripts() in the
+// analysis worker (public/analysisWorker.js, driven through its message interface). The
+// same fixture signal goes through each, and the results must be identical.
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.join(__dirname, '..');
+
+// The page's <script> tags of the shared modules, in the order public/index.html loads them
+function coreScripts() {
+    const html = fs.readFileSync(path.join(ROOT, 'public', 'index.html'), 'utf8');
+    return Array.from(html.matchAll(/<script src="(shared\/[^"]+)"><\/script>/g), match => match[1]);
+}
+
+// Fixture: 20 s at 22.05 kHz of a 120 BPM kick on every beat (accented on the downbeat)
+// over an A minor chord, slightly different in the two channels
+const SAMPLE_RATE = 22050;
+const DURATION = 20;
+
+function createFixture() {
+    const length = SAMPLE_RATE * DURATION;
+    const left = new Float32Array(length);
+    const right = new Float32Array(length);
+    const beatLength = SAMPLE_RATE / 2;
+    for (let i = 0; i < length; i++) {
+        const time = i / SAMPLE_RATE;
+        const beat = Math.floor(i / beatLength);
+        const sinceBeat = (i - beat * beatLength) / SAMPLE_RATE;
+        const kick = (beat % 4 === 0 ? 0.8 : 0.5) * Math.exp(-sinceBeat * 30) * Math.sin(2 * Math.PI * 60 * sinceBeat);
+        const chord = 0.1 * (Math.sin(2 * Math.PI * 220 * time) + Math.sin(2 * Math.PI * 261.63 * time) + Math.sin(2 * Math.PI * 329.63 * time));
+        left[i] = kick + chord;
+        right[i] = kick + 0.8 * chord;
+    }
+    const mono = new Float32Array(length);
+    for (let i = 0; i < length; i++) {
+        mono[i] = (left[i] + right[i]) / 2;
+    }
+    return { mono: mono, channels: [left, right] };
+}
+
+// Results as they cross a worker boundary: structured-cloned into this realm, so values
+// built in another vm context compare by content
+function normalise(result) {
+    return structuredClone(result);
+}
+
+// The page: every script run in one global context, as <script> tags share window
+function loadInPage() {
+    const context = vm.createContext({ console: console });
+    context.window = context;
+    context.self = context;
+    coreScripts().forEach(file => {
+        vm.runInContext(fs.readFileSync(path.join(ROOT, file), 'utf8'), context, { filename: file });
+    });
+    return context.AudioAnalysisCore;
+}
+
+// The worker: analysisWorker.js itself in a worker-like global, its importScripts()
+// paths resolved as the server serves them (/shared from shared/). Returns a function
+// that sends a task and resolves with the worker's answer.
+function loadInWorker() {
+    const pending = new Map();
+    const context = vm.createContext({ console: console });
+    context.self = context;
+    context.importScripts = (...files) => files.forEach(file => {
+        vm.runInContext(fs.readFileSync(path.join(ROOT, file), 'utf8'), context, { filename: file });
+    });
+    context.postMessage = (message) => {
+        if (message.id === undefined || message.progress) return;
+        const task = pending.get(message.id);
+        pending.delete(message.id);
+        if (message.error) {
+            task.reject(new Error(message.error));
+        } else {
+            task.resolve(message.result);
+        }
+    };
+    vm.runInContext(fs.readFileSync(path.join(ROOT, 'public', 'analysisWorker.js'), 'utf8'), context, { filename: 'analysisWorker.js' });
+
+    let nextId = 1;
+    return (type, audioData, options) => new Promise((resolve, reject) => {
+        const id = nextId++;
+        pending.set(id, { resolve: resolve, reject: reject });
+        context.onmessage({ data: { id: id, type: type, audioData: audioData, sampleRate: SAMPLE_RATE, options: options } });
+    });
+}
+
+test('analysis core returns identical results via require, the page and the worker', async (t) => {
+    const fixture = createFixture();
+    const serverCore = require('../shared/analysisCore');
+    const pageCore = loadInPage();
+    const runInWorker = loadInWorker();
+
+    await t.test('analyze', async () => {
+        const server = normalise(await serverCore.analyzeAudioData(fixture.mono, SAMPLE_RATE, {}));
+        const page = normalise(await pageCore.analyzeAudioData(fixture.mono, SAMPLE_RATE, {}));
+        const worker = normalise(await runInWorker('analyze', fixture.mono, {}));
+
+        assert.ok(Math.abs(server.bpm.bpm - 120) < 2, `fixture tempo detected (got ${server.bpm.bpm} BPM)`);
+        assert.deepStrictEqual(page, server);
+        assert.deepStrictEqual(worker, server);
+    });
+
+    await t.test('overview', async () => {
+        const server = normalise(await serverCore.analyzeOverviewData(fixture.mono, SAMPLE_RATE));
+        const page = normalise(await pageCore.analyzeOverviewData(fixture.mono, SAMPLE_RATE));
+        const worker = normalise(await runInWorker('overview', fixture.mono));
+
+        assert.deepStrictEqual(page, server);
+        assert.deepStrictEqual(worker, server);
+    });
+
+    await t.test('loudness', async () => {
+        const server = normalise(serverCore.analyzeLoudness(fixture.channels, SAMPLE_RATE));
+        const page = normalise(pageCore.analyzeLoudness(fixture.channels, SAMPLE_RATE));
+        const worker = normalise(await runInWorker('loudness', fixture.channels));
+
+        assert.deepStrictEqual(page, server);
+        assert.deepStrictEqual(worker, server);
+    });
+});
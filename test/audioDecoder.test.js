@@ -0,0 +1,233 @@
+// Tests of the server-side audio decoder
+// Small containers are built in memory: WAV files in every sample format the decoder
+// reads itself, AU and CAF files for the Aurora.js path, and headers of codecs it has to
+// turn down with 415 (or 422 for a broken stream).
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+    decodeAudioFile,
+    detectAudioFormat,
+    UnsupportedAudioFormatError,
+    AudioDecodeError
+} = require('../audioDecoder');
+
+const SAMPLE_RATE = 8000;
+
+// One second of a sine per channel (a different frequency in each)
+function createSignal(channelCount) {
+    return Array.from({ length: channelCount }, (_, ch) => {
+        const samples = new Float32Array(SAMPLE_RATE);
+        for (let i = 0; i < samples.length; i++) {
+            samples[i] = 0.5 * Math.sin(2 * Math.PI * (220 + 110 * ch) * i / SAMPLE_RATE);
+        }
+        return samples;
+    });
+}
+
+// Sample writers by WAVE format tag and bit depth, the inverse of the decoder's readers
+const WAV_WRITERS = {
+    '1/8': (buf, pos, value) => buf.writeUInt8(Math.round(value * 127) + 128, pos),
+    '1/16': (buf, pos, value) => buf.writeInt16LE(Math.round(value * 32767), pos),
+    '1/24': (buf, pos, value) => buf.writeIntLE(Math.round(value * 8388607), pos, 3),
+    '1/32': (buf, pos, value) => buf.writeInt32LE(Math.round(value * 2147483647), pos),
+    '3/32': (buf, pos, value) => buf.writeFloatLE(value, pos),
+    '3/64': (buf, pos, value) => buf.writeDoubleLE(value, pos)
+};
+
+// A RIFF/WAVE file of `channels` (Float32Arrays), with a LIST chunk before the data as
+// real files often have; `extensible` writes a WAVE_FORMAT_EXTENSIBLE fmt chunk
+function createWav(channels, formatTag, bitsPerSample, options = {}) {
+    const bytesPerSample = bitsPerSample / 8;
+    const blockAlign = bytesPerSample * channels.length;
+    const frameCount = channels.length > 0 ? channels[0].length : 0;
+
+    const fmt = Buffer.alloc(options.extensible ? 40 : 16);
+    fmt.writeUInt16LE(options.extensible ? 0xFFFE : formatTag, 0);
+    fmt.writeUInt16LE(channels.length, 2);
+    fmt.writeUInt32LE(SAMPLE_RATE, 4);
+    fmt.writeUInt32LE(SAMPLE_RATE * blockAlign, 8);
+    fmt.writeUInt16LE(blockAlign, 12);
+    fmt.writeUInt16LE(bitsPerSample, 14);
+    if (options.extensible) {
+        fmt.writeUInt16LE(22, 16);
+        fmt.writeUInt16LE(bitsPerSample, 18);
+        fmt.writeUInt16LE(formatTag, 24);
+    }
+
+    const data = Buffer.alloc(frameCount * blockAlign);
+    const write = WAV_WRITERS[`${formatTag}/${bitsPerSample}`];
+    for (let i = 0; write && i < frameCount; i++) {
+        channels.forEach((samples, ch) => write(data, i * blockAlign + ch * bytesPerSample, samples[i]));
+    }
+
+    const chunks = [createChunk('fmt ', fmt), createChunk('LIST', Buffer.from('INFOISFT\x04\x00\x00\x00test', 'latin1'))];
+    if (!options.noData) chunks.push(createChunk('data', data));
+    const body = Buffer.concat(chunks);
+    const header = Buffer.alloc(12);
+    header.write('RIFF', 0, 'latin1');
+    header.writeUInt32LE(4 + body.length, 4);
+    header.write('WAVE', 8, 'latin1');
+    return Buffer.concat([header, body]);
+}
+
+function createChunk(id, payload) {
+    const header = Buffer.alloc(8);
+    header.write(id, 0, 'latin1');
+    header.writeUInt32LE(payload.length, 4);
+    return Buffer.concat([header, payload, Buffer.alloc(payload.length % 2)]);
+}
+
+// A Sun/NeXT AU file: 16-bit big-endian PCM (encoding 3), or `encoding` with silence
+function createAu(samples, encoding = 3) {
+    const data = Buffer.alloc(samples.length * 2);
+    if (encoding === 3) samples.forEach((value, i) => data.writeInt16BE(Math.round(value * 32767), i * 2));
+    const header = Buffer.alloc(24);
+    header.write('.snd', 0, 'latin1');
+    header.writeUInt32BE(24, 4);
+    header.writeUInt32BE(data.length, 8);
+    header.writeUInt32BE(encoding, 12);
+    header.writeUInt32BE(SAMPLE_RATE, 16);
+    header.writeUInt32BE(1, 20);
+    return Buffer.concat([header, data]);
+}
+
+// A Core Audio file of 1000 silent stereo 16-bit frames in the codec `formatId`
+function createCaf(formatId) {
+    const header = Buffer.from('caff\x00\x01\x00\x00', 'latin1');
+    const desc = Buffer.alloc(12 + 32);
+    desc.write('desc', 0, 'latin1');
+    desc.writeUInt32BE(32, 8);
+    desc.writeDoubleBE(SAMPLE_RATE, 12);
+    desc.write(formatId, 20, 'latin1');
+    desc.writeUInt32BE(4, 28);
+    desc.writeUInt32BE(1, 32);
+    desc.writeUInt32BE(2, 36);
+    desc.writeUInt32BE(16, 40);
+    const frames = Buffer.alloc(4 * 1000);
+    const data = Buffer.alloc(16);
+    data.write('data', 0, 'latin1');
+    data.writeUInt32BE(frames.length + 4, 8);
+    return Buffer.concat([header, desc, data, frames]);
+}
+
+// The first page of an Ogg stream whose first packet is `packet`
+function createOggPage(packet) {
+    const header = Buffer.alloc(28);
+    header.write('OggS', 0, 'latin1');
+    header[5] = 0x02;
+    header[26] = 1;
+    header[27] = packet.length;
+    return Buffer.concat([header, packet]);
+}
+
+function assertSamplesClose(actual, expected, tolerance) {
+    assert.strictEqual(actual.length, expected.length);
+    for (let i = 0; i < expected.length; i++) {
+        if (Math.abs(actual[i] - expected[i]) > tolerance) {
+            assert.fail(`sample ${i}: ${actual[i]} is not within ${tolerance} of ${expected[i]}`);
+        }
+    }
+}
+
+test('detects containers from their magic bytes, not the file name', () => {
+    const padding = Buffer.alloc(16);
+    assert.strictEqual(detectAudioFormat(createWav(createSignal(1), 1, 16)), 'wav');
+    assert.strictEqual(detectAudioFormat(Buffer.concat([Buffer.from('fLaC'), padding])), 'flac');
+    assert.strictEqual(detectAudioFormat(Buffer.concat([Buffer.from('OggS'), padding])), 'ogg');
+    assert.strictEqual(detectAudioFormat(Buffer.concat([Buffer.from('FORM\x00\x00\x00\x00AIFF', 'latin1'), padding])), 'aiff');
+    assert.strictEqual(detectAudioFormat(Buffer.concat([Buffer.from('\x00\x00\x00\x20ftypM4A ', 'latin1'), padding])), 'm4a');
+    assert.strictEqual(detectAudioFormat(Buffer.concat([Buffer.from('ID3\x04'), padding])), 'mp3');
+    assert.strictEqual(detectAudioFormat(Buffer.concat([Buffer.from([0xFF, 0xFB, 0x90, 0x00]), padding])), 'mp3');
+    assert.strictEqual(detectAudioFormat(Buffer.concat([Buffer.from([0xFF, 0xF1, 0x50, 0x80]), padding])), 'aac');
+    assert.strictEqual(detectAudioFormat(createAu(new Float32Array(8))), 'au');
+    assert.strictEqual(detectAudioFormat(createCaf('lpcm')), 'caf');
+    assert.strictEqual(detectAudioFormat(Buffer.from('just some text, not audio')), null);
+});
+
+test('decodes WAV in every supported sample format', async (t) => {
+    const signal = createSignal(2);
+    const formats = [
+        { name: '8-bit PCM', formatTag: 1, bits: 8, tolerance: 1 / 64 },
+        { name: '16-bit PCM', formatTag: 1, bits: 16, tolerance: 1e-4 },
+        { name: '24-bit PCM', formatTag: 1, bits: 24, tolerance: 1e-6 },
+        { name: '32-bit PCM', formatTag: 1, bits: 32, tolerance: 1e-6 },
+        { name: '32-bit float', formatTag: 3, bits: 32, tolerance: 0 },
+        { name: '64-bit float', formatTag: 3, bits: 64, tolerance: 1e-7 },
+        { name: '16-bit PCM (WAVE_FORMAT_EXTENSIBLE)', formatTag: 1, bits: 16, tolerance: 1e-4, extensible: true }
+    ];
+
+    for (const format of formats) {
+        await t.test(format.name, async () => {
+            const wav = createWav(signal, format.formatTag, format.bits, { extensible: format.extensible });
+            const audioBuffer = await decodeAudioFile(wav, 'test.wav');
+
+            assert.strictEqual(audioBuffer.format, 'wav');
+            assert.strictEqual(audioBuffer.sampleRate, SAMPLE_RATE);
+            assert.strictEqual(audioBuffer.numberOfChannels, 2);
+            assert.strictEqual(audioBuffer.length, SAMPLE_RATE);
+            assertSamplesClose(audioBuffer.getChannelData(0), signal[0], format.tolerance);
+            assertSamplesClose(audioBuffer.getChannelData(1), signal[1], format.tolerance);
+        });
+    }
+});
+
+test('decodes other containers through Aurora.js', async (t) => {
+    await t.test('AU, 16-bit PCM', async () => {
+        const signal = createSignal(1)[0];
+        const audioBuffer = await decodeAudioFile(createAu(signal), 'test.au');
+
+        assert.strictEqual(audioBuffer.format, 'au');
+        assert.strictEqual(audioBuffer.sampleRate, SAMPLE_RATE);
+        assert.strictEqual(audioBuffer.numberOfChannels, 1);
+        assertSamplesClose(audioBuffer.getChannelData(0), signal, 1e-4);
+    });
+
+    await t.test('CAF, linear PCM', async () => {
+        const audioBuffer = await decodeAudioFile(createCaf('lpcm'), 'test.caf');
+
+        assert.strictEqual(audioBuffer.format, 'caf');
+        assert.strictEqual(audioBuffer.numberOfChannels, 2);
+        assert.strictEqual(audioBuffer.length, 1000);
+    });
+});
+
+test('turns down containers and codecs it cannot decode with 415', async (t) => {
+    const cases = [
+        { name: 'unknown container', buffer: Buffer.from('just some text, not audio'), message: /Unrecognised audio container in notes\.txt/ },
+        { name: 'ADPCM WAV', buffer: createWav(createSignal(1), 0x0011, 4), message: /WAV codec 0x0011 is not supported/ },
+        { name: '12-bit PCM WAV', buffer: createWav(createSignal(1), 1, 12), message: /12-bit PCM WAV is not supported/ },
+        { name: 'Ogg Opus', buffer: createOggPage(Buffer.from('OpusHead\x01\x02\x00\x00\x80\xbb\x00\x00\x00\x00\x00', 'latin1')), message: /Ogg Opus is not supported/ },
+        { name: 'Ogg FLAC', buffer: createOggPage(Buffer.from('\x7fFLAC\x01\x00\x00\x01', 'latin1')), message: /Ogg Flac is not supported/ },
+        { name: 'CAF with an unknown codec', buffer: createCaf('zzzz'), message: /CAF codec is not supported/ }
+    ];
+
+    for (const testCase of cases) {
+        await t.test(testCase.name, async () => {
+            await assert.rejects(decodeAudioFile(testCase.buffer, 'notes.txt'), (error) => {
+                assert.ok(error instanceof UnsupportedAudioFormatError);
+                assert.strictEqual(error.status, 415);
+                assert.match(error.message, testCase.message);
+                return true;
+            });
+        });
+    }
+});
+
+test('reports a broken stream in a supported container with 422', async (t) => {
+    const cases = [
+        { name: 'WAV without a data chunk', buffer: createWav(createSignal(1), 1, 16, { noData: true }), message: /no data chunk/ },
+        { name: 'WAV with an empty data chunk', buffer: createWav([new Float32Array(0)], 1, 16), message: /No audio samples/ },
+        { name: 'AU in an encoding Aurora cannot read', buffer: createAu(new Float32Array(64), 23), message: /Failed to decode AU data/ }
+    ];
+
+    for (const testCase of cases) {
+        await t.test(testCase.name, async () => {
+            await assert.rejects(decodeAudioFile(testCase.buffer, 'test'), (error) => {
+                assert.ok(error instanceof AudioDecodeError);
+                assert.strictEqual(error.status, 422);
+                assert.match(error.message, testCase.message);
+                return true;
+            });
+        });
+    }
+});
@@ -0,0 +1,429 @@
+// Tests of the tag writer
+// Small files of every taggable container are built in memory, tagged, and read back
+// with parsers of their own: ID3v2 frames, FLAC metadata blocks, Ogg pages (with their
+// CRC recomputed) and RIFF INFO chunks. What the writer must not touch - other tags and
+// the audio - is compared byte for byte.
+const test = require('node:test');
+const assert = require('node:assert');
+const { decodeAudioFile, UnsupportedAudioFormatError } = require('../audioDecoder');
+const { checkTaggable, validateTagMode, getAnalysisTags, writeAnalysisTags } = require('../audioTagger');
+
+const ANALYSIS = {
+    bpm: { bpm: 123.6 },
+    key: { tonic: 'Eb', scale: 'minor' },
+    mood: { primaryMood: '😀 Happy' }
+};
+
+// Stand-in for compressed audio: bytes the writer has to copy as they are
+const AUDIO = Buffer.from(Array.from({ length: 600 }, (_, i) => (i * 7) & 0xFF));
+
+// ID3v2
+
+function syncsafe(value) {
+    return Buffer.from([(value >> 21) & 0x7F, (value >> 14) & 0x7F, (value >> 7) & 0x7F, value & 0x7F]);
+}
+
+function id3Frame(id, content, version) {
+    const header = Buffer.alloc(10);
+    header.write(id, 0, 'latin1');
+    if (version === 4) {
+        syncsafe(content.length).copy(header, 4);
+    } else {
+        header.writeUInt32BE(content.length, 4);
+    }
+    return Buffer.concat([header, content]);
+}
+
+// A Latin-1 text frame
+function textFrame(id, text, version) {
+    return id3Frame(id, Buffer.concat([Buffer.from([0]), Buffer.from(text, 'latin1')]), version);
+}
+
+function createMp3(version, frames) {
+    const body = Buffer.concat(frames.concat(Buffer.alloc(32)));
+    const header = Buffer.concat([Buffer.from('ID3', 'latin1'), Buffer.from([version, 0, 0]), syncsafe(body.length)]);
+    return Buffer.concat([header, body, Buffer.from([0xFF, 0xFB, 0x90, 0x00]), AUDIO]);
+}
+
+// The text frames of an ID3v2.3/2.4 tag as { id, encoding, text } (TXXX frames with
+// their description), and the bytes after the tag
+function readID3(buffer) {
+    assert.strictEqual(buffer.toString('latin1', 0, 3), 'ID3');
+    const version = buffer[3];
+    const size = (buffer[6] << 21) | (buffer[7] << 14) | (buffer[8] << 7) | buffer[9];
+    const frames = [];
+    for (let offset = 10; offset + 10 <= 10 + size && buffer[offset] !== 0;) {
+        const id = buffer.toString('latin1', offset, offset + 4);
+        const length = version === 4
+            ? (buffer[offset + 4] << 21) | (buffer[offset + 5] << 14) | (buffer[offset + 6] << 7) | buffer[offset + 7]
+            : buffer.readUInt32BE(offset + 4);
+        frames.push(Object.assign({ id: id }, decodeTextFrame(id, buffer.subarray(offset + 10, offset + 10 + length))));
+        offset += 10 + length;
+    }
+    return { version: version, frames: frames, rest: buffer.subarray(10 + size) };
+}
+
+function decodeTextFrame(id, content) {
+    const encoding = content[0];
+    const decode = bytes => {
+        switch (encoding) {
+            case 1: return Buffer.from(bytes.subarray(2)).toString(bytes[0] === 0xFF ? 'utf16le' : 'latin1');
+            case 3: return bytes.toString('utf8');
+            default: return bytes.toString('latin1');
+        }
+    };
+    const text = content.subarray(1);
+    if (id !== 'TXXX') return { encoding: encoding, text: decode(text) };
+
+    const separator = encoding === 1 ? findDoubleZero(text) : text.indexOf(0);
+    return {
+        encoding: encoding,
+        description: decode(text.subarray(0, separator)),
+        text: decode(text.subarray(separator + (encoding === 1 ? 2 : 1)))
+    };
+}
+
+function findDoubleZero(bytes) {
+    for (let i = 0; i + 1 < bytes.length; i += 2) {
+        if (bytes[i] === 0 && bytes[i + 1] === 0) return i;
+    }
+    return bytes.length;
+}
+
+function frameText(tag, id, description) {
+    const frame = tag.frames.find(candidate => candidate.id === id && (!description || candidate.description === description));
+    return frame ? frame.text : undefined;
+}
+
+// FLAC
+
+function flacBlock(type, data, last) {
+    const header = Buffer.alloc(4);
+    header[0] = (last ? 0x80 : 0) | type;
+    header.writeUIntBE(data.length, 1, 3);
+    return Buffer.concat([header, data]);
+}
+
+function vorbisComments(vendor, comments) {
+    const parts = [];
+    [vendor, comments.length].concat(comments).forEach(value => {
+        const length = Buffer.alloc(4);
+        if (typeof value === 'number') {
+            length.writeUInt32LE(value);
+            parts.push(length);
+        } else {
+            length.writeUInt32LE(Buffer.byteLength(value));
+            parts.push(length, Buffer.from(value, 'utf8'));
+        }
+    });
+    return Buffer.concat(parts);
+}
+
+function readVorbisComments(data, offset) {
+    const read = () => {
+        const length = data.readUInt32LE(offset);
+        offset += 4 + length;
+        return data.toString('utf8', offset - length, offset);
+    };
+    const vendor = read();
+    const count = data.readUInt32LE(offset);
+    offset += 4;
+    return { vendor: vendor, comments: Array.from({ length: count }, read) };
+}
+
+const STREAMINFO = Buffer.alloc(34, 0x11);
+const PICTURE = Buffer.from('a cover picture block');
+
+// The metadata blocks ({ type, data }) of a FLAC file and the frames after them
+function readFlac(buffer) {
+    assert.strictEqual(buffer.toString('latin1', 0, 4), 'fLaC');
+    const blocks = [];
+    let offset = 4;
+    for (let last = false; !last;) {
+        last = (buffer[offset] & 0x80) !== 0;
+        const length = buffer.readUIntBE(offset + 1, 3);
+        blocks.push({ type: buffer[offset] & 0x7F, data: buffer.subarray(offset + 4, offset + 4 + length) });
+        offset += 4 + length;
+    }
+    return { blocks: blocks, rest: buffer.subarray(offset) };
+}
+
+// Ogg
+
+// CRC-32 of an Ogg page, bit by bit (polynomial 0x04C11DB7, checksum field as zero)
+function oggCrc(page) {
+    let crc = 0;
+    for (let i = 0; i < page.length; i++) {
+        crc ^= (i >= 22 && i < 26 ? 0 : page[i]) << 24;
+        for (let bit = 0; bit < 8; bit++) {
+            crc = crc & 0x80000000 ? (crc << 1) ^ 0x04C11DB7 : crc << 1;
+        }
+    }
+    return crc >>> 0;
+}
+
+// One page of the stream 1234 holding `packets`
+function oggPage(sequence, packets, options = {}) {
+    const lacing = [];
+    packets.forEach(packet => {
+        let size = packet.length;
+        while (size >= 255) {
+            lacing.push(255);
+            size -= 255;
+        }
+        lacing.push(size);
+    });
+    const header = Buffer.alloc(27);
+    header.write('OggS', 0, 'latin1');
+    header[5] = options.type || 0;
+    header.writeBigUInt64LE(BigInt(options.granule || 0), 6);
+    header.writeUInt32LE(1234, 14);
+    header.writeUInt32LE(sequence, 18);
+    header[26] = lacing.length;
+    const page = Buffer.concat([header, Buffer.from(lacing)].concat(packets));
+    page.writeUInt32LE(oggCrc(page), 22);
+    return page;
+}
+
+function vorbisHeader(type, body) {
+    return Buffer.concat([Buffer.from([type]), Buffer.from('vorbis', 'latin1'), body]);
+}
+
+// Identification page, comment and setup headers (the setup header longer than one
+// lacing value) on the second page, then two audio pages
+function createOgg(comments) {
+    const identification = vorbisHeader(0x01, Buffer.alloc(23, 0x01));
+    const comment = vorbisHeader(0x03, Buffer.concat([vorbisComments('Xiph.Org libVorbis I 20200704', comments), Buffer.from([0x01])]));
+    const setup = vorbisHeader(0x05, Buffer.alloc(700, 0x05));
+    return Buffer.concat([
+        oggPage(0, [identification], { type: 0x02 }),
+        oggPage(1, [comment, setup]),
+        oggPage(2, [AUDIO.subarray(0, 300)], { granule: 4096 }),
+        oggPage(3, [AUDIO.subarray(300)], { type: 0x04, granule: 8192 })
+    ]);
+}
+
+// The pages of an Ogg stream, each checked against its CRC, and its packets
+function readOgg(buffer) {
+    const pages = [];
+    const packets = [];
+    let packet = [];
+    for (let offset = 0; offset < buffer.length;) {
+        assert.strictEqual(buffer.toString('latin1', offset, offset + 4), 'OggS');
+        const lacing = buffer.subarray(offset + 27, offset + 27 + buffer[offset + 26]);
+        const end = offset + 27 + lacing.length + lacing.reduce((sum, size) => sum + size, 0);
+        const page = buffer.subarray(offset, end);
+        assert.strictEqual(page.readUInt32LE(22), oggCrc(page), `CRC of page ${pages.length}`);
+        pages.push({ type: page[5], granule: page.readBigUInt64LE(6), sequence: page.readUInt32LE(18), data: page.subarray(27 + lacing.length) });
+
+        let position = 27 + lacing.length;
+        lacing.forEach(size => {
+            packet.push(page.subarray(position, position + size));
+            position += size;
+            if (size < 255) {
+                packets.push(Buffer.concat(packet));
+                packet = [];
+            }
+        });
+        offset = end;
+    }
+    return { pages: pages, packets: packets };
+}
+
+// RIFF/WAVE
+
+function riffChunk(id, data) {
+    const header = Buffer.alloc(8);
+    header.write(id, 0, 'latin1');
+    header.writeUInt32LE(data.length, 4);
+    return Buffer.concat([header, data, Buffer.alloc(data.length % 2)]);
+}
+
+function infoList(entries) {
+    return riffChunk('LIST', Buffer.concat([Buffer.from('INFO', 'latin1')].concat(entries.map(([id, text]) => riffChunk(id, Buffer.from(`${text}\0`, 'latin1'))))));
+}
+
+// 16-bit mono PCM at 8 kHz
+function createWav(chunksBeforeData) {
+    const samples = Buffer.alloc(800);
+    for (let i = 0; i < 400; i++) samples.writeInt16LE(Math.round(10000 * Math.sin(i / 8)), i * 2);
+    const fmt = Buffer.alloc(16);
+    fmt.writeUInt16LE(1, 0);
+    fmt.writeUInt16LE(1, 2);
+    fmt.writeUInt32LE(8000, 4);
+    fmt.writeUInt32LE(16000, 8);
+    fmt.writeUInt16LE(2, 12);
+    fmt.writeUInt16LE(16, 14);
+    const body = Buffer.concat([Buffer.from('WAVE', 'latin1'), riffChunk('fmt ', fmt)].concat(chunksBeforeData, riffChunk('data', samples)));
+    return Buffer.concat([Buffer.from('RIFF', 'latin1'), Buffer.from(new Uint32Array([body.length]).buffer), body]);
+}
+
+// The RIFF size, chunk ids and INFO entries of a WAV file
+function readWav(buffer) {
+    const chunks = [];
+    const info = {};
+    for (let offset = 12; offset + 8 <= buffer.length;) {
+        const id = buffer.toString('latin1', offset, offset + 4);
+        const size = buffer.readUInt32LE(offset + 4);
+        chunks.push(id);
+        if (id === 'LIST' && buffer.toString('latin1', offset + 8, offset + 12) === 'INFO') {
+            for (let entry = offset + 12; entry < offset + 8 + size;) {
+                const length = buffer.readUInt32LE(entry + 4);
+                info[buffer.toString('latin1', entry, entry + 4)] = buffer.toString('utf8', entry + 8, entry + 8 + length).replace(/\0+$/, '');
+                entry += 8 + length + (length % 2);
+            }
+        }
+        offset += 8 + size + (size % 2);
+    }
+    return { riffSize: buffer.readUInt32LE(4), chunks: chunks, info: info };
+}
+
+test('the tag values come from the analysis', () => {
+    assert.deepStrictEqual(getAnalysisTags(ANALYSIS), { bpm: '124', key: 'Ebm', mood: 'Happy' });
+    assert.deepStrictEqual(getAnalysisTags({ bpm: { bpm: 0 }, key: { tonic: 'C', scale: 'major' } }), { key: 'C' });
+});
+
+test('ID3v2: frames are added, kept or replaced and the audio is copied unchanged', async (t) => {
+    await t.test('ID3v2.3, preserve', () => {
+        const mp3 = createMp3(3, [textFrame('TIT2', 'Title', 3), textFrame('TBPM', '99', 3)]);
+        const result = writeAnalysisTags(mp3, ANALYSIS, { mode: 'preserve' });
+        const tag = readID3(result.buffer);
+
+        assert.deepStrictEqual(result.written, ['key', 'mood']);
+        assert.deepStrictEqual(result.preserved, ['bpm']);
+        assert.strictEqual(tag.version, 3);
+        assert.strictEqual(frameText(tag, 'TIT2'), 'Title');
+        assert.strictEqual(frameText(tag, 'TBPM'), '99');
+        assert.strictEqual(frameText(tag, 'TKEY'), 'Ebm');
+        assert.strictEqual(frameText(tag, 'TXXX', 'MOOD'), 'Happy');
+        assert.deepStrictEqual(tag.rest, mp3.subarray(mp3.length - AUDIO.length - 4));
+    });
+
+    await t.test('ID3v2.4, overwrite', () => {
+        const mp3 = createMp3(4, [textFrame('TBPM', '99', 4), id3Frame('TXXX', Buffer.from('\x00mood\x00Sad', 'latin1'), 4)]);
+        const result = writeAnalysisTags(mp3, ANALYSIS, { mode: 'overwrite' });
+        const tag = readID3(result.buffer);
+
+        assert.deepStrictEqual(result.written, ['bpm', 'key', 'mood']);
+        assert.strictEqual(tag.version, 4);
+        assert.deepStrictEqual(tag.frames.map(frame => frame.id).sort(), ['TBPM', 'TKEY', 'TXXX']);
+        assert.strictEqual(frameText(tag, 'TBPM'), '124');
+        assert.strictEqual(frameText(tag, 'TXXX', 'MOOD'), 'Happy');
+    });
+
+    await t.test('text beyond Latin-1: UTF-16 in ID3v2.3, UTF-8 in ID3v2.4', () => {
+        const analysis = Object.assign({}, ANALYSIS, { mood: { primaryMood: '😀 Весёлый' } });
+        const v3 = readID3(writeAnalysisTags(createMp3(3, []), analysis).buffer);
+        const v4 = readID3(writeAnalysisTags(createMp3(4, []), analysis).buffer);
+
+        assert.deepStrictEqual(v3.frames.find(frame => frame.id === 'TXXX'), { id: 'TXXX', encoding: 1, description: 'MOOD', text: 'Весёлый' });
+        assert.deepStrictEqual(v4.frames.find(frame => frame.id === 'TXXX'), { id: 'TXXX', encoding: 3, description: 'MOOD', text: 'Весёлый' });
+    });
+
+    await t.test('an MP3 without a tag gets an ID3v2.3 one', () => {
+        const mp3 = Buffer.concat([Buffer.from([0xFF, 0xFB, 0x90, 0x00]), AUDIO]);
+        const tag = readID3(writeAnalysisTags(mp3, ANALYSIS).buffer);
+
+        assert.strictEqual(tag.version, 3);
+        assert.deepStrictEqual(tag.frames.map(frame => frame.id), ['TBPM', 'TKEY', 'TXXX']);
+        assert.deepStrictEqual(tag.rest, mp3);
+    });
+});
+
+test('FLAC: the Vorbis comment block is updated or added after STREAMINFO', async (t) => {
+    await t.test('existing block, preserve', () => {
+        const flac = Buffer.concat([
+            Buffer.from('fLaC', 'latin1'),
+            flacBlock(0, STREAMINFO),
+            flacBlock(4, vorbisComments('reference libFLAC 1.4.3', ['TITLE=Title', 'bpm=99'])),
+            flacBlock(6, PICTURE, true),
+            AUDIO
+        ]);
+        const result = writeAnalysisTags(flac, ANALYSIS);
+        const { blocks, rest } = readFlac(result.buffer);
+
+        assert.deepStrictEqual(result.preserved, ['bpm']);
+        assert.deepStrictEqual(blocks.map(block => block.type), [0, 4, 6]);
+        assert.deepStrictEqual(blocks[0].data, STREAMINFO);
+        assert.deepStrictEqual(blocks[2].data, PICTURE);
+        assert.deepStrictEqual(readVorbisComments(blocks[1].data, 0), {
+            vendor: 'reference libFLAC 1.4.3',
+            comments: ['TITLE=Title', 'bpm=99', 'INITIALKEY=Ebm', 'MOOD=Happy']
+        });
+        assert.deepStrictEqual(rest, AUDIO);
+    });
+
+    await t.test('no block yet', () => {
+        const flac = Buffer.concat([Buffer.from('fLaC', 'latin1'), flacBlock(0, STREAMINFO, true), AUDIO]);
+        const { blocks, rest } = readFlac(writeAnalysisTags(flac, ANALYSIS).buffer);
+
+        assert.deepStrictEqual(blocks.map(block => block.type), [0, 4]);
+        assert.deepStrictEqual(readVorbisComments(blocks[1].data, 0).comments, ['BPM=124', 'INITIALKEY=Ebm', 'MOOD=Happy']);
+        assert.deepStrictEqual(rest, AUDIO);
+    });
+});
+
+test('Ogg Vorbis: the comment header is rewritten and every page gets a valid CRC', () => {
+    const ogg = createOgg(['TITLE=Title', 'MOOD=Sad', 'MOOD=Dark']);
+    const result = writeAnalysisTags(ogg, ANALYSIS, { mode: 'overwrite' });
+    const original = readOgg(ogg);
+    const tagged = readOgg(result.buffer);
+
+    assert.deepStrictEqual(result.written, ['bpm', 'key', 'mood']);
+    assert.deepStrictEqual(tagged.pages.map(page => page.sequence), tagged.pages.map((page, index) => index));
+    assert.strictEqual(tagged.packets.length, original.packets.length);
+    assert.deepStrictEqual(tagged.packets[0], original.packets[0]);
+    assert.deepStrictEqual(tagged.packets[2], original.packets[2]);
+
+    const comment = tagged.packets[1];
+    assert.strictEqual(comment.toString('latin1', 0, 7), '\x03vorbis');
+    assert.strictEqual(comment[comment.length - 1], 0x01);
+    assert.deepStrictEqual(readVorbisComments(comment, 7), {
+        vendor: 'Xiph.Org libVorbis I 20200704',
+        comments: ['TITLE=Title', 'BPM=124', 'INITIALKEY=Ebm', 'MOOD=Happy']
+    });
+
+    // The audio pages keep their data, granule positions and flags
+    const audioPages = tagged.pages.slice(-2);
+    assert.deepStrictEqual(audioPages.map(page => page.data), original.pages.slice(-2).map(page => page.data));
+    assert.deepStrictEqual(audioPages.map(page => page.granule), [4096n, 8192n]);
+    assert.strictEqual(audioPages[1].type, 0x04);
+});
+
+test('WAV: the RIFF INFO list is updated or added and the samples still decode', async (t) => {
+    await t.test('existing INFO list, preserve', async () => {
+        const wav = createWav([infoList([['INAM', 'Title'], ['IMKY', 'Am']])]);
+        const result = writeAnalysisTags(wav, ANALYSIS);
+        const tagged = readWav(result.buffer);
+
+        assert.deepStrictEqual(result.preserved, ['key']);
+        assert.deepStrictEqual(tagged.chunks, ['fmt ', 'LIST', 'data']);
+        assert.strictEqual(tagged.riffSize, result.buffer.length - 8);
+        assert.deepStrictEqual(tagged.info, { INAM: 'Title', IMKY: 'Am', IBPM: '124', IMOO: 'Happy' });
+
+        const before = await decodeAudioFile(wav);
+        const after = await decodeAudioFile(result.buffer);
+        assert.deepStrictEqual(after.getChannelData(0), before.getChannelData(0));
+    });
+
+    await t.test('no INFO list yet: one goes in front of the samples', () => {
+        const tagged = readWav(writeAnalysisTags(createWav([]), ANALYSIS).buffer);
+
+        assert.deepStrictEqual(tagged.chunks, ['fmt ', 'LIST', 'data']);
+        assert.deepStrictEqual(tagged.info, { IBPM: '124', IMKY: 'Ebm', IMOO: 'Happy' });
+    });
+});
+
+test('files that cannot be tagged are turned down before the analysis', () => {
+    const rejects = (buffer, message) => assert.throws(() => checkTaggable(buffer, 'upload'), error => {
+        assert.ok(error instanceof UnsupportedAudioFormatError);
+        assert.strictEqual(error.status, 415);
+        assert.match(error.message, message);
+        return true;
+    });
+
+    assert.strictEqual(checkTaggable(createWav([]), 'upload.wav'), 'wav');
+    rejects(Buffer.concat([Buffer.from('\x00\x00\x00\x20ftypM4A ', 'latin1'), AUDIO]), /Cannot write tags into M4A \(upload\)/);
+    rejects(Buffer.concat([Buffer.from('ID3\x02\x00\x00\x00\x00\x00\x00', 'latin1'), AUDIO]), /ID3v2\.2 tags cannot be updated/);
+    assert.throws(() => validateTagMode('merge'), error => error.status === 400 && /Unknown tag mode "merge"/.test(error.message));
+});
@@ -0,0 +1,212 @@
+// Tests of the DJ library exports
+// The Rekordbox and Traktor collections are checked element by element, and the binary
+// Serato formats (crate, BeatGrid, Markers2) are decoded back into what was written.
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+    DJ_EXPORT_FORMATS,
+    getTempoMarkers,
+    getCues,
+    formatRekordboxXML,
+    formatTraktorNML,
+    formatSeratoCrate,
+    encodeSeratoBeatGrid,
+    encodeSeratoMarkers2,
+    formatSeratoTags,
+    getDJExportFileName,
+    formatDJLibrary
+} = require('../shared/djExport');
+
+const OPTIONS = { folder: 'C:\\Music\\Set 1', playlist: 'Friday', date: new Date('2024-01-15T10:30:00Z') };
+
+// An /api/analyze-multiple entry of a track with two tempo sections and ten song
+// sections (trimmed to what the exports read)
+function createEntry(fileName) {
+    const labels = ['intro', 'verse', 'chorus', 'verse', 'chorus', 'bridge', 'chorus', 'verse', 'chorus', 'outro'];
+    const times = [];
+    for (let time = 0.5; time < 60; time += 0.5) times.push(Math.round(time * 1000) / 1000);
+    return {
+        fileName: fileName,
+        fileSize: 10240000,
+        audio: { format: 'mp3', sampleRate: 44100, channels: 2, duration: 60.2 },
+        analysis: {
+            bpm: {
+                bpm: 120,
+                tempoMap: [
+                    { start: 0, end: 30, bpm: 120, confidence: 0.9 },
+                    { start: 30, end: 60.2, bpm: 126, confidence: 0.9 }
+                ]
+            },
+            beats: { bpm: 120, beatsPerBar: 4, times: times, downbeats: times.filter((time, index) => index % 4 === 0) },
+            mood: { primaryMood: '😀 Happy' },
+            key: { tonic: 'F#', scale: 'minor', camelot: '11A', openKey: '4m' },
+            structure: labels.map((label, index) => ({ start: index * 6 + 0.1, end: index * 6 + 6.1, label: label, group: 'A' }))
+        }
+    };
+}
+
+// The attributes of every <name .../> or <name ...> element in `xml`
+function elements(xml, name) {
+    return Array.from(xml.matchAll(new RegExp(`<${name}((?:\\s+[A-Z_a-z]+="[^"]*")*)\\s*/?>`, 'g')), match => {
+        const attributes = {};
+        for (const [, key, value] of match[1].matchAll(/([A-Z_a-z]+)="([^"]*)"/g)) attributes[key] = value;
+        return attributes;
+    });
+}
+
+// Serato crate tags (4-letter name, big-endian length, content) back into a list
+function readCrateTags(bytes) {
+    const buffer = Buffer.from(bytes);
+    const tags = [];
+    for (let offset = 0; offset < buffer.length;) {
+        const length = buffer.readUInt32BE(offset + 4);
+        tags.push({ name: buffer.toString('latin1', offset, offset + 4), content: buffer.subarray(offset + 8, offset + 8 + length) });
+        offset += 8 + length;
+    }
+    return tags;
+}
+
+function utf16BE(bytes) {
+    return Buffer.from(bytes).swap16().toString('utf16le');
+}
+
+test('tempo markers sit on the first downbeat of every tempo section', () => {
+    const analysis = createEntry('track.mp3').analysis;
+
+    assert.deepStrictEqual(getTempoMarkers(analysis), [{ time: 0.5, bpm: 120 }, { time: 30.5, bpm: 126 }]);
+
+    // A corrected grid is steady: one marker
+    analysis.correctedBeats = { bpm: 60, beatsPerBar: 4, times: [1, 2, 3], downbeats: [1] };
+    assert.deepStrictEqual(getTempoMarkers(analysis), [{ time: 1, bpm: 60 }]);
+});
+
+test('cues sit on the downbeat nearest each section, the first eight on hot cue pads', () => {
+    const cues = getCues(createEntry('track.mp3').analysis);
+
+    assert.strictEqual(cues.length, 10);
+    assert.deepStrictEqual(cues[0], { time: 0.5, name: 'Intro', color: [40, 226, 20], hotCue: 0 });
+    assert.deepStrictEqual(cues.map(cue => cue.time), [0.5, 6.5, 12.5, 18.5, 24.5, 30.5, 36.5, 42.5, 48.5, 54.5]);
+    assert.deepStrictEqual(cues.map(cue => cue.hotCue), [0, 1, 2, 3, 4, 5, 6, 7, -1, -1]);
+});
+
+test('the Rekordbox XML holds the track, its grid markers, cues and playlist', () => {
+    const xml = formatRekordboxXML([createEntry('My Track & Co.mp3'), { fileName: 'broken.mp3', error: 'failed' }], OPTIONS);
+
+    assert.match(xml, /<COLLECTION Entries="1">/);
+    const [track] = elements(xml, 'TRACK');
+    assert.strictEqual(track.Name, 'My Track &amp; Co');
+    assert.strictEqual(track.Kind, 'MP3 File');
+    assert.strictEqual(track.AverageBpm, '120.00');
+    assert.strictEqual(track.Tonality, 'F#m');
+    assert.strictEqual(track.TotalTime, '60');
+    assert.strictEqual(track.Location, 'file://localhost/C:/Music/Set%201/My%20Track%20%26%20Co.mp3');
+
+    assert.deepStrictEqual(elements(xml, 'TEMPO'), [
+        { Inizio: '0.500', Bpm: '120.00', Metro: '4/4', Battito: '1' },
+        { Inizio: '30.500', Bpm: '126.00', Metro: '4/4', Battito: '1' }
+    ]);
+    const marks = elements(xml, 'POSITION_MARK');
+    assert.strictEqual(marks.filter(mark => mark.Num === '-1').length, 10);
+    assert.deepStrictEqual(marks.filter(mark => mark.Num !== '-1').map(mark => mark.Num), ['0', '1', '2', '3', '4', '5', '6', '7']);
+    assert.deepStrictEqual(marks.find(mark => mark.Num === '2'), { Name: 'Chorus', Type: '0', Start: '12.500', Num: '2', Red: '230', Green: '40', Blue: '40' });
+
+    assert.ok(elements(xml, 'NODE').some(node => node.Name === 'Friday' && node.Entries === '1'));
+});
+
+test('the Traktor NML holds the track, its grid marker, key and playlist', () => {
+    const nml = formatTraktorNML([createEntry('track.mp3')], OPTIONS);
+
+    assert.deepStrictEqual(elements(nml, 'LOCATION'), [{ DIR: '/:Music/:Set 1/:', FILE: 'track.mp3', VOLUME: 'C:' }]);
+    assert.strictEqual(elements(nml, 'ENTRY')[0].MODIFIED_DATE, '2024/01/15');
+    assert.deepStrictEqual(elements(nml, 'TEMPO'), [{ BPM: '120.000000', BPM_QUALITY: '100.000000' }]);
+    // F# minor: the seventh minor key from C
+    assert.deepStrictEqual(elements(nml, 'MUSICAL_KEY'), [{ VALUE: '18' }]);
+    assert.strictEqual(elements(nml, 'INFO')[0].KEY, '4m');
+
+    const cues = elements(nml, 'CUE_V2');
+    assert.deepStrictEqual(cues[0], { NAME: 'Beat Marker', DISPL_ORDER: '0', TYPE: '4', START: '500.000000', LEN: '0.000000', REPEATS: '-1', HOTCUE: '-1' });
+    assert.strictEqual(cues.length, 11);
+    assert.deepStrictEqual(elements(nml, 'PRIMARYKEY'), [{ TYPE: 'TRACK', KEY: 'C:/:Music/:Set 1/:track.mp3' }]);
+});
+
+test('the Serato crate lists every track by its path', () => {
+    const tags = readCrateTags(formatSeratoCrate([createEntry('one.mp3'), createEntry('twö.mp3')], OPTIONS));
+
+    assert.strictEqual(tags[0].name, 'vrsn');
+    assert.strictEqual(utf16BE(tags[0].content), '1.0/Serato ScratchLive Crate');
+    const columns = tags.filter(tag => tag.name === 'ovct').map(tag => utf16BE(readCrateTags(tag.content)[0].content));
+    assert.deepStrictEqual(columns, ['song', 'bpm', 'key', 'length']);
+
+    const tracks = tags.filter(tag => tag.name === 'otrk').map(tag => readCrateTags(tag.content)[0]);
+    assert.deepStrictEqual(tracks.map(track => track.name), ['ptrk', 'ptrk']);
+    assert.deepStrictEqual(tracks.map(track => utf16BE(track.content)), ['Music/Set 1/one.mp3', 'Music/Set 1/twö.mp3']);
+});
+
+test('the Serato BeatGrid decodes to the tempo markers', () => {
+    const data = Buffer.from(encodeSeratoBeatGrid(createEntry('track.mp3').analysis));
+
+    assert.deepStrictEqual(Array.from(data.subarray(0, 2)), [0x01, 0x00]);
+    assert.strictEqual(data.readUInt32BE(2), 2);
+    // Every marker but the last counts the beats up to the next one; the last has the BPM
+    assert.strictEqual(data.readFloatBE(6), 0.5);
+    assert.strictEqual(data.readUInt32BE(10), 60);
+    assert.strictEqual(data.readFloatBE(14), 30.5);
+    assert.strictEqual(data.readFloatBE(18), 126);
+    assert.strictEqual(data.length, 23);
+});
+
+test('the Serato Markers2 decode to the hot cues', () => {
+    const data = Buffer.from(encodeSeratoMarkers2(createEntry('track.mp3').analysis));
+    assert.strictEqual(data.length, 470);
+    assert.deepStrictEqual(Array.from(data.subarray(0, 2)), [0x01, 0x01]);
+
+    const text = data.toString('latin1', 2, data.indexOf(0, 2));
+    assert.ok(text.split('\n').every(line => line.length <= 72));
+    const entries = Buffer.from(text.replace(/\n/g, ''), 'base64');
+    assert.deepStrictEqual(Array.from(entries.subarray(0, 2)), [0x01, 0x01]);
+
+    const cues = [];
+    let offset = 2;
+    while (entries[offset] !== 0) {
+        const type = entries.toString('latin1', offset, entries.indexOf(0, offset));
+        const start = offset + type.length + 1;
+        const length = entries.readUInt32BE(start);
+        const content = entries.subarray(start + 4, start + 4 + length);
+        if (type === 'CUE') {
+            cues.push({
+                pad: content[1],
+                position: content.readUInt32BE(2),
+                color: Array.from(content.subarray(7, 10)),
+                name: content.toString('utf8', 12, content.length - 1)
+            });
+        } else {
+            assert.strictEqual(type, 'BPMLOCK');
+        }
+        offset = start + 4 + length;
+    }
+
+    assert.strictEqual(cues.length, 8);
+    assert.deepStrictEqual(cues[0], { pad: 0, position: 500, color: [40, 226, 20], name: 'Intro' });
+    assert.deepStrictEqual(cues[7], { pad: 7, position: 42500, color: [48, 90, 255], name: 'Verse' });
+});
+
+test('the Serato tag set carries the ID3 values and both GEOB payloads', () => {
+    const entry = createEntry('track.mp3');
+    const tagSet = JSON.parse(formatSeratoTags([entry], OPTIONS));
+
+    assert.strictEqual(tagSet.crate, 'Friday');
+    assert.strictEqual(tagSet.tracks[0].path, 'C:/Music/Set 1/track.mp3');
+    assert.deepStrictEqual(tagSet.tracks[0].tags, { TBPM: '120', TKEY: 'F#m' });
+    const objects = Object.fromEntries(tagSet.tracks[0].objects.map(object => [object.description, Buffer.from(object.data, 'base64')]));
+    assert.deepStrictEqual(objects['Serato BeatGrid'], Buffer.from(encodeSeratoBeatGrid(entry.analysis)));
+    assert.deepStrictEqual(objects['Serato Markers2'], Buffer.from(encodeSeratoMarkers2(entry.analysis)));
+});
+
+test('formatDJLibrary picks the format and names the download', () => {
+    const entries = [createEntry('track.mp3')];
+
+    DJ_EXPORT_FORMATS.forEach(format => assert.ok(formatDJLibrary(entries, format, OPTIONS)));
+    assert.strictEqual(getDJExportFileName('serato', OPTIONS), 'Friday.crate');
+    assert.strictEqual(getDJExportFileName('rekordbox', OPTIONS), 'rekordbox.xml');
+    assert.throws(() => formatDJLibrary(entries, 'virtualdj', OPTIONS), /Unknown DJ export format "virtualdj"/);
+});
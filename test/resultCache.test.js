@@ -0,0 +1,182 @@
+// Tests of the result cache
+// Cache keys, and both caches (memory and file, the latter in a temporary directory)
+// through the same scenarios: hits, least-recently-used eviction by count and by size,
+// expiry after the TTL and purging by file. Date is mocked to move through time.
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const {
+    MemoryResultCache,
+    FileResultCache,
+    createResultCache,
+    getCacheKey,
+    isFileHash
+} = require('../resultCache');
+
+const SETTINGS = { type: 'analyze', engine: 'builtin', channels: 'mid', version: 3 };
+
+// A cache key for a made-up file and the default settings
+function keyOf(name, settings = SETTINGS) {
+    return getCacheKey(Buffer.from(name), settings);
+}
+
+function fileHashOf(name) {
+    return crypto.createHash('sha256').update(name).digest('hex');
+}
+
+// A clock that only moves when told to, and a fresh cache of each kind
+function setUp(t, limits) {
+    t.mock.timers.enable({ apis: ['Date'], now: Date.parse('2024-01-15T10:30:00Z') });
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'result-cache-test-'));
+    t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+    return {
+        caches: [
+            { name: 'memory', cache: new MemoryResultCache(limits) },
+            { name: 'file', cache: new FileResultCache(directory, limits), directory: directory }
+        ],
+        advance: (ms) => t.mock.timers.tick(ms)
+    };
+}
+
+// Store the entries one by one, each used a second after the previous one (the file
+// cache tells last use apart by modification time)
+async function storeInTurn(cache, entries, advance, directory) {
+    for (const [key, value] of entries) {
+        advance(1000);
+        await cache.set(key, value);
+        if (directory) {
+            const usedAt = new Date();
+            fs.utimesSync(path.join(directory, `${key}.json`), usedAt, usedAt);
+        }
+    }
+}
+
+test('cache keys depend on the file contents and the settings, not on option order', () => {
+    const key = keyOf('file a');
+
+    assert.match(key, /^[0-9a-f]{64}-[0-9a-f]{64}$/);
+    assert.ok(key.startsWith(`${fileHashOf('file a')}-`));
+    assert.strictEqual(getCacheKey(Buffer.from('file a'), { version: 3, channels: 'mid', engine: 'builtin', type: 'analyze' }), key);
+    assert.strictEqual(getCacheKey(Buffer.from('file a'), Object.assign({ method: undefined }, SETTINGS)), key);
+    assert.notStrictEqual(keyOf('file b'), key);
+    assert.notStrictEqual(keyOf('file a', Object.assign({}, SETTINGS, { engine: 'essentia' })), key);
+    assert.notStrictEqual(keyOf('file a', Object.assign({}, SETTINGS, { version: 4 })), key);
+
+    assert.ok(isFileHash(fileHashOf('file a')));
+    assert.ok(!isFileHash(key));
+    assert.ok(!isFileHash('../../etc/passwd'));
+});
+
+test('a stored result is returned as a copy', async (t) => {
+    const { caches } = setUp(t);
+
+    for (const { name, cache } of caches) {
+        await t.test(name, async () => {
+            const result = { bpm: { bpm: 120, methods: { autocorr: { bpm: 120 } } } };
+            assert.strictEqual(await cache.set(keyOf('file a'), result), true);
+
+            const hit = await cache.get(keyOf('file a'));
+            assert.deepStrictEqual(hit, result);
+            hit.bpm.bpm = 60;
+            assert.deepStrictEqual(await cache.get(keyOf('file a')), result);
+            assert.strictEqual(await cache.get(keyOf('file b')), null);
+        });
+    }
+});
+
+test('the least recently used entry is evicted when there are too many', async (t) => {
+    const { caches, advance } = setUp(t, { maxEntries: 2 });
+
+    for (const { name, cache, directory } of caches) {
+        await t.test(name, async () => {
+            await storeInTurn(cache, [[keyOf('file a'), { a: 1 }], [keyOf('file b'), { b: 1 }]], advance, directory);
+            // Using file a makes file b the least recently used
+            advance(1000);
+            assert.deepStrictEqual(await cache.get(keyOf('file a')), { a: 1 });
+            await storeInTurn(cache, [[keyOf('file c'), { c: 1 }]], advance, directory);
+
+            assert.strictEqual(await cache.get(keyOf('file b')), null);
+            assert.deepStrictEqual(await cache.get(keyOf('file a')), { a: 1 });
+            assert.deepStrictEqual(await cache.get(keyOf('file c')), { c: 1 });
+        });
+    }
+});
+
+test('the oldest entries are evicted when the stored results grow too large', async (t) => {
+    const { caches, advance } = setUp(t, { maxBytes: 1000 });
+    const result = { waveform: 'x'.repeat(400) };
+
+    for (const { name, cache, directory } of caches) {
+        await t.test(name, async () => {
+            await storeInTurn(cache, [[keyOf('file a'), result], [keyOf('file b'), result], [keyOf('file c'), result]], advance, directory);
+
+            assert.strictEqual(await cache.get(keyOf('file a')), null);
+            assert.deepStrictEqual(await cache.get(keyOf('file b')), result);
+            assert.deepStrictEqual(await cache.get(keyOf('file c')), result);
+            // A result larger than the whole cache is not stored at all
+            assert.strictEqual(await cache.set(keyOf('file d'), { waveform: 'x'.repeat(2000) }), false);
+            assert.strictEqual(await cache.get(keyOf('file d')), null);
+        });
+    }
+});
+
+test('entries expire after the TTL', async (t) => {
+    const { caches, advance } = setUp(t, { ttl: 60 * 1000 });
+
+    for (const { name, cache } of caches) {
+        await t.test(name, async () => {
+            await cache.set(keyOf('file a'), { a: 1 });
+            advance(59 * 1000);
+            assert.deepStrictEqual(await cache.get(keyOf('file a')), { a: 1 });
+            advance(2 * 1000);
+            assert.strictEqual(await cache.get(keyOf('file a')), null);
+        });
+    }
+});
+
+test('purge removes the entries of one file, or all of them', async (t) => {
+    const { caches } = setUp(t);
+    const essentia = Object.assign({}, SETTINGS, { engine: 'essentia' });
+
+    for (const { name, cache } of caches) {
+        await t.test(name, async () => {
+            await cache.set(keyOf('file a'), { a: 1 });
+            await cache.set(keyOf('file a', essentia), { a: 2 });
+            await cache.set(keyOf('file b'), { b: 1 });
+
+            assert.strictEqual(await cache.purge(fileHashOf('file a')), 2);
+            assert.strictEqual(await cache.get(keyOf('file a')), null);
+            assert.strictEqual(await cache.get(keyOf('file a', essentia)), null);
+            assert.deepStrictEqual(await cache.get(keyOf('file b')), { b: 1 });
+            assert.strictEqual(await cache.purge(), 1);
+            assert.strictEqual(await cache.get(keyOf('file b')), null);
+        });
+    }
+});
+
+test('the file cache only stores and reads well-formed keys', async (t) => {
+    const { caches } = setUp(t);
+    const { cache, directory } = caches[1];
+
+    assert.strictEqual(await cache.set('../escape', { a: 1 }), false);
+    assert.strictEqual(await cache.get('../escape'), null);
+    assert.deepStrictEqual(fs.readdirSync(directory), []);
+});
+
+test('createResultCache picks the cache by type', () => {
+    const directory = path.join(os.tmpdir(), 'result-cache-test-unused');
+
+    assert.ok(createResultCache({ type: 'memory' }) instanceof MemoryResultCache);
+    const fileCache = createResultCache({ type: 'file', directory: directory, maxEntries: 5, ttl: 0 });
+    assert.ok(fileCache instanceof FileResultCache);
+    assert.strictEqual(fileCache.directory, directory);
+    assert.strictEqual(fileCache.maxEntries, 5);
+    assert.strictEqual(fileCache.ttl, 0);
+    assert.strictEqual(createResultCache({ type: 'off' }), null);
+    assert.throws(() => createResultCache({ type: 'redis' }), /Unknown result cache "redis"/);
+    assert.ok(!fs.existsSync(directory));
+});
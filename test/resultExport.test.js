@@ -0,0 +1,168 @@
+// Tests of the result exports
+// The JSON and CSV exports are read back and compared with the entries they were made
+// from; the HTML report is checked for its content and its escaping.
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+    EXPORT_FORMATS,
+    FORMAT_TYPES,
+    formatCSV,
+    formatJSON,
+    formatReport,
+    formatResults
+} = require('../shared/resultExport');
+
+// An /api/analyze-multiple entry as the built-in engine returns it (trimmed to what the
+// exports read)
+function createEntry(fileName) {
+    return {
+        fileName: fileName,
+        fileSize: 5292044,
+        audio: { format: 'wav', sampleRate: 44100, channels: 2, duration: 30.0125 },
+        analysis: {
+            engine: 'builtin',
+            channelStrategy: 'mid',
+            bpm: {
+                bpm: 124,
+                confidence: 0.8123,
+                tempoCategory: 'Allegro',
+                tempoMap: [
+                    { start: 0, end: 16, bpm: 124, confidence: 0.9 },
+                    { start: 16, end: 30, bpm: 128, confidence: 0.8 }
+                ]
+            },
+            beats: { bpm: 124, count: 3, beatsPerBar: 4, times: [0.5, 0.984, 1.468], downbeats: [0.5] },
+            danceability: {
+                score: 71.234,
+                category: 'Danceable',
+                rhythmStrength: 0.9,
+                beatConsistency: 0.8,
+                energyDistribution: 0.55,
+                tempoStability: 0.95,
+                syncopation: 0.1234,
+                grooveFactor: 0.6
+            },
+            mood: {
+                primaryMood: '😀 Happy',
+                secondaryMood: '⚡ Energetic',
+                songType: 'Uplifting, "feel-good"',
+                moodExplanation: 'Bright and energetic',
+                detailedAnalysis: [{ type: '😀 Happy', score: 'High', description: 'Bright sound' }]
+            },
+            key: { tonic: 'F#', scale: 'minor', camelot: '11A', openKey: '4m', confidence: 0.734 },
+            loudness: { integrated: -9.4, loudnessRange: 5.1, truePeak: -0.3 },
+            structure: [
+                { start: 0, end: 16, label: 'intro', group: 'A' },
+                { start: 16, end: 30, label: 'chorus', group: 'B' }
+            ]
+        }
+    };
+}
+
+const FAILED_ENTRY = { fileName: 'notes.txt', error: 'Unrecognised audio container in notes.txt' };
+
+// RFC 4180 CSV back into rows of fields
+function parseCSV(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\r' && text[i + 1] === '\n') {
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+            i++;
+        } else {
+            field += char;
+        }
+    }
+    return rows;
+}
+
+test('the JSON export is the /api/analyze-multiple response', () => {
+    const entries = [createEntry('track.wav'), FAILED_ENTRY];
+
+    assert.deepStrictEqual(JSON.parse(formatJSON(entries)), { success: true, totalFiles: 2, results: entries });
+});
+
+test('the CSV export has a row per file that reads back to the analysis', () => {
+    const csv = formatCSV([createEntry('Artist, "Title".wav'), createEntry('=HYPERLINK("x").wav'), FAILED_ENTRY]);
+    assert.ok(csv.endsWith('\r\n'));
+
+    const [header, ...rows] = parseCSV(csv);
+    assert.strictEqual(rows.length, 3);
+    rows.forEach(row => assert.strictEqual(row.length, header.length));
+    const record = row => Object.fromEntries(header.map((name, index) => [name, row[index]]));
+
+    const first = record(rows[0]);
+    assert.strictEqual(first['File'], 'Artist, "Title".wav');
+    assert.strictEqual(first['File Size (bytes)'], '5292044');
+    assert.strictEqual(first['Duration (s)'], '30.01');
+    assert.strictEqual(first['BPM'], '124');
+    assert.strictEqual(first['BPM Confidence (%)'], '81.2');
+    assert.strictEqual(first['Danceability (%)'], '71.2');
+    assert.strictEqual(first['Syncopation (%)'], '12.3');
+    assert.strictEqual(first['Primary Mood'], 'Happy');
+    assert.strictEqual(first['Song Type'], 'Uplifting, "feel-good"');
+    assert.strictEqual(first['Key'], 'F# minor');
+    assert.strictEqual(first['Camelot'], '11A');
+    assert.strictEqual(first['Integrated Loudness (LUFS)'], '-9.4');
+    assert.strictEqual(first['Corrected BPM'], '');
+    assert.strictEqual(first['Error'], '');
+
+    // A spreadsheet must not take a cell for a formula
+    assert.strictEqual(record(rows[1])['File'], '\'=HYPERLINK("x").wav');
+
+    const failed = record(rows[2]);
+    assert.strictEqual(failed['File'], 'notes.txt');
+    assert.strictEqual(failed['BPM'], '');
+    assert.strictEqual(failed['Error'], FAILED_ENTRY.error);
+});
+
+test('the HTML report holds every file, escaped', () => {
+    const corrected = createEntry('<script>alert(1)</script>.wav');
+    corrected.analysis.correctedBeats = { bpm: 62, times: [0.5], downbeats: [0.5] };
+    const html = formatReport([createEntry('track.wav'), corrected, FAILED_ENTRY], {
+        title: 'Set & Tracks',
+        generatedAt: new Date('2024-01-15T10:30:00Z')
+    });
+
+    assert.ok(html.startsWith('<!DOCTYPE html>'));
+    assert.match(html, /<title>Set &amp; Tracks<\/title>/);
+    assert.match(html, /3 file\(s\) • generated 2024-01-15 10:30 UTC/);
+    assert.ok(!html.includes('<script>'));
+    assert.match(html, /&lt;script&gt;alert\(1\)&lt;\/script&gt;\.wav/);
+    assert.match(html, /<td>track\.wav<\/td><td>124<\/td><td>F# minor \(11A\)<\/td><td>71\.2%<\/td>/);
+    assert.match(html, /<td>62\*<\/td>/);
+    assert.match(html, /BPM corrected by hand/);
+    assert.match(html, /0:00 124 → 0:16 128/);
+    assert.match(html, /❌ notes\.txt/);
+    assert.match(html, /Unrecognised audio container in notes\.txt/);
+});
+
+test('formatResults picks the format', () => {
+    const entries = [createEntry('track.wav')];
+
+    assert.deepStrictEqual(EXPORT_FORMATS, Object.keys(FORMAT_TYPES));
+    assert.strictEqual(formatResults(entries, 'json'), formatJSON(entries));
+    assert.strictEqual(formatResults(entries, 'csv'), formatCSV(entries));
+    assert.strictEqual(formatResults(entries, 'html', { generatedAt: new Date(0) }), formatReport(entries, { generatedAt: new Date(0) }));
+    assert.throws(() => formatResults(entries, 'xlsx'), /Unknown export format "xlsx"/);
+});